@@ -22,10 +22,108 @@ module.exports = {
     // JWT configuration
     JWT_SECRET: process.env.JWT_SECRET,
     JWT_EXPIRES_IN: process.env.JWT_EXPIRES_IN || '7d',
+    // Admin panel: short-lived access tokens, renewed with rotating refresh tokens (sessions in Redis)
+    ADMIN_ACCESS_TOKEN_EXPIRES_IN: process.env.ADMIN_ACCESS_TOKEN_EXPIRES_IN || '15m',
+    ADMIN_REFRESH_TOKEN_TTL_DAYS: Number(process.env.ADMIN_REFRESH_TOKEN_TTL_DAYS) || 30,
 
     // Swagger configuration
     SWAGGER_API_KEY: process.env.SWAGGER_API_KEY,
     SWAGGER_SUPER_ADMIN_TOKEN: process.env.SWAGGER_SUPER_ADMIN_TOKEN,
 
+    // Idempotency configuration (how long an Idempotency-Key can be replayed)
+    IDEMPOTENCY_KEY_TTL_HOURS: Number(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24,
+    // A key still processing after this long is taken over by a retry (its request died)
+    IDEMPOTENCY_LOCK_TIMEOUT_SECONDS: Number(process.env.IDEMPOTENCY_LOCK_TIMEOUT_SECONDS) || 60,
+
+    // Points hold configuration (authorized points are released after this TTL)
+    POINTS_HOLD_TTL_MINUTES: Number(process.env.POINTS_HOLD_TTL_MINUTES) || 15,
+
+    // How far below zero a refund clawback may push a customer's balance
+    POINTS_NEGATIVE_BALANCE_LIMIT:
+        process.env.POINTS_NEGATIVE_BALANCE_LIMIT !== undefined
+            ? Number(process.env.POINTS_NEGATIVE_BALANCE_LIMIT)
+            : 1000,
+
+    // Manual point adjustments larger than this (either sign) need a second admin's approval
+    POINTS_ADJUSTMENT_APPROVAL_THRESHOLD:
+        process.env.POINTS_ADJUSTMENT_APPROVAL_THRESHOLD !== undefined
+            ? Number(process.env.POINTS_ADJUSTMENT_APPROVAL_THRESHOLD)
+            : 1000,
+
+    // Customers per batch (and per transaction) of the monthly tier downgrade run
+    TIER_DOWNGRADE_BATCH_SIZE: Number(process.env.TIER_DOWNGRADE_BATCH_SIZE) || 200,
+
+    // Largest points import file (rows) and its upload size in MB
+    POINTS_IMPORT_MAX_ROWS: Number(process.env.POINTS_IMPORT_MAX_ROWS) || 20000,
+    POINTS_IMPORT_MAX_FILE_MB: Number(process.env.POINTS_IMPORT_MAX_FILE_MB) || 10,
+
+    // How long a rotated SDK access key keeps working next to its replacement
+    SDK_KEY_ROTATION_OVERLAP_HOURS:
+        process.env.SDK_KEY_ROTATION_OVERLAP_HOURS !== undefined
+            ? Number(process.env.SDK_KEY_ROTATION_OVERLAP_HOURS)
+            : 24,
+
+    // Max age (and future skew) of a signed SDK request's X-Timestamp
+    SDK_SIGNATURE_MAX_SKEW_SECONDS: Number(process.env.SDK_SIGNATURE_MAX_SKEW_SECONDS) || 300,
+
+    // Default sliding window limits of new SDK access keys (0 means unlimited)
+    SDK_RATE_LIMIT_PER_MINUTE: process.env.SDK_RATE_LIMIT_PER_MINUTE !== undefined
+        ? Number(process.env.SDK_RATE_LIMIT_PER_MINUTE)
+        : 60,
+    SDK_RATE_LIMIT_PER_DAY: process.env.SDK_RATE_LIMIT_PER_DAY !== undefined
+        ? Number(process.env.SDK_RATE_LIMIT_PER_DAY)
+        : 10000,
+
+    // Outbound webhooks: delivery attempts (with exponential backoff) and request timeout
+    WEBHOOK_MAX_ATTEMPTS: Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 6,
+    WEBHOOK_TIMEOUT_MS: Number(process.env.WEBHOOK_TIMEOUT_MS) || 10000,
+
+    // Email transport: 'smtp' (nodemailer), 'file' (.eml files in EMAIL_FILE_DIR) or 'console' (logged only)
+    EMAIL_TRANSPORT: process.env.EMAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console'),
+    SMTP_HOST: process.env.SMTP_HOST,
+    SMTP_PORT: Number(process.env.SMTP_PORT) || 587,
+    SMTP_SECURE: process.env.SMTP_SECURE === 'true',
+    SMTP_USER: process.env.SMTP_USER,
+    SMTP_PASS: process.env.SMTP_PASS,
+    EMAIL_FROM: process.env.EMAIL_FROM || 'noreply@example.com',
+    EMAIL_FILE_DIR: process.env.EMAIL_FILE_DIR || './logs/emails',
+    // Email campaigns: recipients per email queue job and send attempts per recipient
+    EMAIL_BATCH_SIZE: Number(process.env.EMAIL_BATCH_SIZE) || 100,
+    EMAIL_MAX_ATTEMPTS: Number(process.env.EMAIL_MAX_ATTEMPTS) || 3,
+    // Open/click tracking: public URL of this API that tracking links point to, and the key they are
+    // signed with (derived from JWT_SECRET when unset, see services/email_tracking.service.js)
+    EMAIL_TRACKING_BASE_URL:
+        process.env.EMAIL_TRACKING_BASE_URL ||
+        `http://localhost:${process.env.PORT || 3000}/api/${process.env.API_VERSION || 'v1'}`,
+    EMAIL_TRACKING_SECRET: process.env.EMAIL_TRACKING_SECRET,
+
+    // Transactional outbox: how often the relay polls and how many events it relays per run
+    OUTBOX_RELAY_INTERVAL_MS: Number(process.env.OUTBOX_RELAY_INTERVAL_MS) || 5000,
+    OUTBOX_RELAY_BATCH_SIZE: Number(process.env.OUTBOX_RELAY_BATCH_SIZE) || 200,
+
+    // Mongo-to-SQL sync of transactions, customers and tier changes into the Khedmah database
+    // (enable on one instance only; it owns the change stream checkpoints)
+    SQL_SYNC_ENABLED: process.env.SQL_SYNC_ENABLED === 'true',
+    SQL_SYNC_HOST: process.env.SQL_SYNC_HOST,
+    SQL_SYNC_PORT: Number(process.env.SQL_SYNC_PORT) || 3306,
+    SQL_SYNC_USER: process.env.SQL_SYNC_USER,
+    SQL_SYNC_PASSWORD: process.env.SQL_SYNC_PASSWORD,
+    SQL_SYNC_DATABASE: process.env.SQL_SYNC_DATABASE,
+    SQL_SYNC_BATCH_SIZE: Number(process.env.SQL_SYNC_BATCH_SIZE) || 500,
+
+    // Scheduled jobs: cron expressions evaluated in SCHEDULER_TIMEZONE (empty disables a job)
+    SCHEDULER_TIMEZONE: process.env.SCHEDULER_TIMEZONE || 'Asia/Muscat',
+    POINTS_EXPIRY_CRON: process.env.POINTS_EXPIRY_CRON ?? '0 1 * * *',
+    POINTS_HOLD_RELEASE_CRON: process.env.POINTS_HOLD_RELEASE_CRON ?? '*/5 * * * *',
+    POINTS_RECONCILIATION_CRON: process.env.POINTS_RECONCILIATION_CRON ?? '0 2 * * *',
+    TIER_DOWNGRADE_CRON: process.env.TIER_DOWNGRADE_CRON ?? '0 0 1 * *',
+    // How often auto-refreshing segments are checked; each is refreshed per its own frequency
+    SEGMENT_REFRESH_CRON: process.env.SEGMENT_REFRESH_CRON ?? '*/15 * * * *',
+    // How often scheduled email campaigns that are due are started
+    EMAIL_CAMPAIGN_CRON: process.env.EMAIL_CAMPAIGN_CRON ?? '* * * * *',
+
+    // Days raw SDK activity events are kept (per-customer rollups are kept for good)
+    ACTIVITY_EVENT_RETENTION_DAYS: Number(process.env.ACTIVITY_EVENT_RETENTION_DAYS) || 90,
+
     // Other configurations can be added here
 }; 
\ No newline at end of file
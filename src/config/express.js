@@ -62,6 +62,7 @@ function initializeExpress() {
         "X-Requested-With",
         "api-key",
         "x-api-key",
+        "Idempotency-Key",
       ],
       optionsSuccessStatus: 200, // some legacy browsers (IE11, various SmartTVs) choke on 204
     })
@@ -71,7 +72,15 @@ function initializeExpress() {
   app.options("*", cors());
 
   // Parse JSON request bodies with increased size limit for file uploads metadata
-  app.use(express.json({ limit: "50mb" }));
+  app.use(
+    express.json({
+      limit: "50mb",
+      // Keep the raw body for SDK request signature verification
+      verify: (req, res, buf) => {
+        req.rawBody = buf;
+      },
+    })
+  );
 
   // Parse URL-encoded request body with increased size limit
   app.use(express.urlencoded({ extended: true, limit: "50mb" }));
@@ -1,20 +1,47 @@
 
 
 const { initializeScheduledJobs } = require('../jobs/scheduler');
+const { startWorkers } = require('../jobs/workers');
+const { scheduleOutboxRelay } = require('../services/outbox.service');
+const { shutdownQueues } = require('./queue');
 const { logger } = require('../middlewares/logger');
 
+let workers = {};
+
 /**
- * Initialize scheduled jobs
+ * Initialize scheduled jobs and start the queue workers
  */
-function startScheduledJobs() {
+async function startScheduledJobs() {
     try {
-        initializeScheduledJobs();
+        await initializeScheduledJobs();
         logger.info('Scheduled jobs initialized');
     } catch (error) {
         logger.error(`Error initializing scheduled jobs: ${error.message}`, { stack: error.stack });
     }
+
+    try {
+        await scheduleOutboxRelay();
+    } catch (error) {
+        logger.error(`Error scheduling outbox relay: ${error.message}`, { stack: error.stack });
+    }
+
+    try {
+        workers = startWorkers();
+        logger.info(`Queue workers started: ${Object.keys(workers).join(', ')}`);
+    } catch (error) {
+        logger.error(`Error starting queue workers: ${error.message}`, { stack: error.stack });
+    }
+}
+
+/**
+ * Close the queue workers and queues
+ */
+async function stopScheduledJobs() {
+    await shutdownQueues(workers);
+    workers = {};
 }
 
 module.exports = {
-    startScheduledJobs
+    startScheduledJobs,
+    stopScheduledJobs
 }; 
\ No newline at end of file
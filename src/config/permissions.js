@@ -0,0 +1,199 @@
+/**
+ * Permission registry
+ * Every admin permission is "<resource>:<action>". Roles hold these keys, a
+ * whole resource as "<resource>:*" or everything as "*".
+ */
+
+const CRUD = ["view", "create", "update", "delete"];
+
+// Resource => actions
+const RESOURCES = {
+  admins: [...CRUD, "reset_password"],
+  app_types: CRUD,
+  audit: ["view", "export"],
+  bonus_campaigns: CRUD,
+  coin_conversion: ["view", "create", "update"],
+  communications: [...CRUD, "send"],
+  coupons: [...CRUD, "redeem"],
+  customers: [...CRUD, "export"],
+  dashboard: ["view"],
+  expiry_rules: CRUD,
+  ledger: ["view", "reconcile"],
+  logs: ["view"],
+  offers: [...CRUD, "redeem"],
+  payment_methods: CRUD,
+  point_criteria: CRUD,
+  points: ["view", "earn", "redeem", "adjust", "approve_adjustment", "import"],
+  redemption_rules: CRUD,
+  referrals: CRUD,
+  reports: ["view", "export"],
+  roles: CRUD,
+  scheduled_jobs: ["view", "update"],
+  sdk_keys: CRUD,
+  segments: CRUD,
+  settings: ["view", "update"],
+  sql_sync: ["view", "update"],
+  support: ["view", "create", "update"],
+  tier: CRUD,
+  transactions: ["view", "create", "update"],
+  triggers: CRUD,
+  uploads: ["view", "create"],
+  webhooks: CRUD,
+};
+
+const PERMISSIONS = Object.entries(RESOURCES).flatMap(([resource, actions]) =>
+  actions.map((action) => `${resource}:${action}`)
+);
+
+const ALL = "*";
+
+// Values a role may hold: permissions, "<resource>:*" and "*"
+const ASSIGNABLE_PERMISSIONS = [
+  ALL,
+  ...Object.keys(RESOURCES).map((resource) => `${resource}:*`),
+  ...PERMISSIONS,
+];
+
+// Action checked for a request when the route does not name one
+const METHOD_ACTIONS = {
+  GET: "view",
+  HEAD: "view",
+  POST: "create",
+  PUT: "update",
+  PATCH: "update",
+  DELETE: "delete",
+};
+
+// Free-form permission names roles held before the registry, and what they grant.
+// Used by the role migration seed and for roles that were not migrated yet.
+const LEGACY_PERMISSIONS = {
+  // Customers
+  VIEW_CUSTOMERS: ["customers:view", "dashboard:view"],
+  EDIT_CUSTOMERS: ["customers:create", "customers:update"],
+  DELETE_CUSTOMERS: ["customers:delete"],
+  EXPORT_CUSTOMERS: ["customers:export"],
+  // Points
+  MANAGE_POINTS: [
+    "points:view",
+    "points:import",
+    "transactions:create",
+    "transactions:update",
+    "ledger:reconcile",
+    "expiry_rules:*",
+  ],
+  VIEW_POINTS_HISTORY: ["points:view", "transactions:view", "ledger:view"],
+  ADJUST_POINTS: ["points:adjust"],
+  APPROVE_POINT_ADJUSTMENTS: ["points:approve_adjustment"],
+  MANAGE_CRITERIA: [
+    "point_criteria:*",
+    "bonus_campaigns:*",
+    "redemption_rules:*",
+    "expiry_rules:*",
+  ],
+  VIEW_TRANSACTIONS: ["transactions:view", "ledger:view"],
+  MANAGE_TRANSACTIONS: ["transactions:*"],
+  VIEW_COIN_MANAGEMENT: ["coin_conversion:*"],
+  // Offers and coupons
+  CREATE_OFFERS: ["offers:create", "coupons:create"],
+  EDIT_OFFERS: ["offers:update", "coupons:update"],
+  DELETE_OFFERS: ["offers:delete", "coupons:delete"],
+  MANAGE_REDEMPTIONS: ["offers:redeem", "coupons:redeem", "points:redeem"],
+  MANAGE_KEDMAH_OFFERS: ["offers:*"],
+  VIEW_KEDMAH_OFFERS: ["offers:view"],
+  USE_KEDMAH_OFFERS: ["offers:view", "offers:redeem"],
+  MANAGE_COUPONS: ["coupons:*"],
+  REDEEM_COUPONS: ["coupons:redeem"],
+  CREATE_COUPON_BRAND: ["coupons:create"],
+  CREATE_COUPON_CATEGORY: ["coupons:create"],
+  VIEW_COUPON_BRAND: ["coupons:view"],
+  VIEW_COUPON_BRANDS: ["coupons:view"],
+  VIEW_COUPON_CATEGORY: ["coupons:view"],
+  VIEW_COUPON_CATEGORIES: ["coupons:view"],
+  UPDATE_COUPON_BRAND: ["coupons:update"],
+  UPDATE_COUPON_CATEGORY: ["coupons:update"],
+  DELETE_COUPON_BRAND: ["coupons:delete"],
+  DELETE_COUPON_CATEGORY: ["coupons:delete"],
+  VIEW_REFERRAL_PROGRAM: ["referrals:*"],
+  // Tiers
+  MANAGE_TIERS: ["tier:*"],
+  VIEW_TIERS: ["tier:view"],
+  ASSIGN_TIERS: ["tier:update"],
+  // Reports
+  VIEW_REPORTS: ["reports:view", "ledger:view", "dashboard:view"],
+  EXPORT_REPORTS: ["reports:export"],
+  MANAGE_ANALYTICS: ["reports:view"],
+  VIEW_DASHBOARD: ["dashboard:view"],
+  // Engagement
+  MANAGE_COMMUNICATIONS: ["communications:*"],
+  MANAGE_SEGMENTS: ["segments:*"],
+  MANAGE_SUPPORT: ["support:*"],
+  // System
+  MANAGE_ROLES: ["roles:*"],
+  MANAGE_ADMINS: ["admins:*"],
+  MANAGE_SUB_ADMINS: ["admins:*"],
+  VIEW_SUB_ADMINS: ["admins:view"],
+  VIEW_AUDIT_LOGS: ["audit:view", "logs:view"],
+  VIEW_SYSTEM_LOGS: ["audit:view", "logs:view"],
+  VIEW_API_LOGS: ["audit:view", "logs:view"],
+  EXPORT_AUDIT_LOGS: ["audit:export"],
+  MANAGE_APP_TYPES: ["app_types:*"],
+  UPLOAD_IMAGES: ["uploads:*"],
+  // Only what the routes checking MANAGE_SETTINGS covered; newer settings
+  // resources are granted explicitly
+  MANAGE_SETTINGS: [
+    "settings:*",
+    "triggers:*",
+    "sdk_keys:*",
+    "tier:*",
+    "point_criteria:*",
+  ],
+};
+
+/**
+ * Expand "*", "<resource>:*" and legacy names into registry permissions
+ * @param {Array<string>} permissions - As stored on a role
+ * @returns {Array<string>} - Registry permissions, sorted and without duplicates
+ */
+const expandPermissions = (permissions = []) => {
+  const expanded = new Set();
+
+  const add = (permission) => {
+    if (permission === ALL) {
+      PERMISSIONS.forEach((key) => expanded.add(key));
+    } else if (permission.endsWith(":*")) {
+      const resource = permission.slice(0, -2);
+      (RESOURCES[resource] || []).forEach((action) =>
+        expanded.add(`${resource}:${action}`)
+      );
+    } else if (PERMISSIONS.includes(permission)) {
+      expanded.add(permission);
+    } else if (LEGACY_PERMISSIONS[permission]) {
+      LEGACY_PERMISSIONS[permission].forEach(add);
+    }
+  };
+
+  permissions.forEach(add);
+  return [...expanded].sort();
+};
+
+/**
+ * Permissions an admin with this role actually has
+ * @param {Object} role - Role document (may be null)
+ * @returns {Array<string>}
+ */
+const getEffectivePermissions = (role) => {
+  if (!role || role.status === false) return [];
+  // Super Admin keeps full access regardless of what the role lists
+  if (role.name === "Super Admin") return [...PERMISSIONS];
+  return expandPermissions(role.permissions);
+};
+
+module.exports = {
+  RESOURCES,
+  PERMISSIONS,
+  ASSIGNABLE_PERMISSIONS,
+  METHOD_ACTIONS,
+  LEGACY_PERMISSIONS,
+  expandPermissions,
+  getEffectivePermissions,
+};
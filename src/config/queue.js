@@ -3,7 +3,7 @@
  * Sets up BullMQ queues for background job processing
  */
 
-const { Queue, Worker, QueueScheduler } = require("bullmq");
+const { Queue, Worker } = require("bullmq");
 const { logger } = require("../middlewares/logger");
 const { redisClient } = require("./redis");
 
@@ -34,16 +34,15 @@ const queues = {
 
   // Analytics queue for processing analytics data
   analytics: new Queue("analytics", { connection }),
-};
 
-// Initialize queue schedulers
-const schedulers = {
-  email: new QueueScheduler("email", { connection }),
-  notification: new QueueScheduler("notification", { connection }),
-  points: new QueueScheduler("points", { connection }),
-  segmentRefresh: new QueueScheduler("segment-refresh", { connection }),
-  export: new QueueScheduler("export", { connection }),
-  analytics: new QueueScheduler("analytics", { connection }),
+  // Outbound webhook deliveries
+  webhook: new Queue("webhook", { connection }),
+
+  // Transactional outbox relay (see services/outbox.service.js)
+  outbox: new Queue("outbox", { connection }),
+
+  // Repeatable cron jobs (see jobs/scheduler.js)
+  scheduler: new Queue("scheduled-jobs", { connection }),
 };
 
 /**
@@ -83,7 +82,9 @@ const addJob = async (queueName, jobName, data, options = {}) => {
  */
 const createWorker = (queueName, processor, options = {}) => {
   try {
-    const worker = new Worker(queueName, processor, {
+    // Keys of `queues` can differ from the BullMQ queue name (e.g. scheduler)
+    const name = queues[queueName] ? queues[queueName].name : queueName;
+    const worker = new Worker(name, processor, {
       connection,
       concurrency: options.concurrency || 5,
       ...options,
@@ -119,13 +120,16 @@ const createWorker = (queueName, processor, options = {}) => {
 
 /**
  * Initialize all workers
- * @param {Object} processors - Map of queue names to processor functions
+ * @param {Object} processors - Map of queue names to processor functions,
+ * or to { processor, ...workerOptions }
  */
 const initializeWorkers = (processors) => {
   const workers = {};
 
-  Object.entries(processors).forEach(([queueName, processor]) => {
-    workers[queueName] = createWorker(queueName, processor);
+  Object.entries(processors).forEach(([queueName, entry]) => {
+    const { processor, ...options } =
+      typeof entry === "function" ? { processor: entry } : entry;
+    workers[queueName] = createWorker(queueName, processor, options);
   });
 
   return workers;
@@ -142,12 +146,6 @@ const shutdownQueues = async (workers = {}) => {
   const workerPromises = Object.values(workers).map((worker) => worker.close());
   await Promise.all(workerPromises);
 
-  // Close all schedulers
-  const schedulerPromises = Object.values(schedulers).map((scheduler) =>
-    scheduler.close()
-  );
-  await Promise.all(schedulerPromises);
-
   // Close all queues
   const queuePromises = Object.values(queues).map((queue) => queue.close());
   await Promise.all(queuePromises);
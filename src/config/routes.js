@@ -5,6 +5,7 @@
 
 const { logger } = require("../middlewares/logger");
 const response_handler = require("../helpers/response_handler");
+const { requirePermission } = require("../middlewares/auth/auth");
 // Create two separate instances of swagger-ui-express
 const swaggerUi = require("swagger-ui-express");
 
@@ -48,6 +49,15 @@ const payment_method_routes = require("../modules/payment_method/payment_method.
 const upload_routes = require("../modules/upload/upload.routes");
 const dashboard_routes = require("../modules/dashboard/dashboard.routes");
 const reports_routes = require("../modules/reports/reports.routes");
+const points_ledger_routes = require("../modules/points_ledger/points_ledger.routes");
+const bonus_campaign_routes = require("../modules/bonus_campaign/bonus_campaign.routes");
+const scheduled_jobs_routes = require("../modules/scheduled_jobs/scheduled_jobs.routes");
+const webhooks_routes = require("../modules/webhooks/webhooks.routes");
+const sql_sync_routes = require("../modules/sql_sync/sql_sync.routes");
+const points_import_routes = require("../modules/points_import/points_import.routes");
+const segment_routes = require("../modules/segmentation/segment.routes");
+const communications_routes = require("../modules/communications/communications.routes");
+const email_tracking_routes = require("../modules/communications/email/email_tracking.routes");
 
 
 //new-kedmah-sdk-route 
@@ -94,57 +104,192 @@ function registerRoutes(app, basePath) {
   );
 
   // Register module routes
+  // Admin modules are authorized here against the permission registry
+  // (config/permissions.js); see requirePermission for the override format
   app.use(`${basePath}/auth`, auth_routes);
-  app.use(`${basePath}/logs`, log_routes);
-  app.use(`${basePath}/tier`, tier_routes);
-  app.use(`${basePath}/tier-eligibility`, tier_eligibility_routes);
-  app.use(`${basePath}/point-criteria`, point_criteria_routes);
-  app.use(`${basePath}/roles-settings`, role_routes);
-  app.use(`${basePath}/redemption-rules`, redemption_rules_routes);
-  app.use(`${basePath}/point-expiry-rules`, points_expiration_routes);
-  app.use(`${basePath}/app-types`, app_type_routes);
-  app.use(`${basePath}/trigger-events`, trigger_event_routes);
-  app.use(`${basePath}/trigger-services`, trigger_services_routes);
-  app.use(`${basePath}/coin-conversion`, coin_management_routes);
-  app.use(`${basePath}/referral-program-entry`, referral_program_entry_routes);
-  app.use(`${basePath}/referral-program-rules`, referral_program_rules_routes);
-  app.use(`${basePath}/transaction`, transaction_routes);
-  app.use(`${basePath}/customer`, customer_routes);
-  app.use(`${basePath}/loyalty-points`, loyalty_points_routes);
-  app.use(`${basePath}/coupon-brand`, coupon_brand_routes);
-  app.use(`${basePath}/coupon-category`, coupon_category_routes);
-  app.use(`${basePath}/customer-support`, customer_support_routes);
-  app.use(`${basePath}/sub-admin`, sub_admin_routes);
+  app.use(`${basePath}/logs`, requirePermission("logs:view"), log_routes);
+  app.use(
+    `${basePath}/tier`,
+    requirePermission("tier", {
+      "POST /downgrade-runs/:id/resume": "update",
+    }),
+    tier_routes
+  );
+  app.use(`${basePath}/tier-eligibility`, requirePermission("tier"), tier_eligibility_routes);
+  app.use(
+    `${basePath}/point-criteria`,
+    requirePermission("point_criteria", { "POST /simulate": "view" }),
+    point_criteria_routes
+  );
+  app.use(`${basePath}/bonus-campaigns`, requirePermission("bonus_campaigns"), bonus_campaign_routes);
+  app.use(`${basePath}/roles-settings`, requirePermission("roles"), role_routes);
+  app.use(
+    `${basePath}/redemption-rules`,
+    requirePermission("redemption_rules", {
+      "POST /validate": "view",
+      "PUT /transaction/:transaction_id/status": "transactions:update",
+    }),
+    redemption_rules_routes
+  );
+  app.use(`${basePath}/point-expiry-rules`, requirePermission("expiry_rules"), points_expiration_routes);
+  app.use(`${basePath}/app-types`, requirePermission("app_types"), app_type_routes);
+  app.use(`${basePath}/trigger-events`, requirePermission("triggers"), trigger_event_routes);
+  app.use(`${basePath}/trigger-services`, requirePermission("triggers"), trigger_services_routes);
+  app.use(
+    `${basePath}/coin-conversion`,
+    requirePermission("coin_conversion", { "POST /reset": "update" }),
+    coin_management_routes
+  );
+  app.use(
+    `${basePath}/referral-program-entry`,
+    requirePermission("referrals", { "POST /complete": "update" }),
+    referral_program_entry_routes
+  );
+  app.use(`${basePath}/referral-program-rules`, requirePermission("referrals"), referral_program_rules_routes);
+  app.use(`${basePath}/transaction`, requirePermission("transactions"), transaction_routes);
+  app.use(`${basePath}/customer`, requirePermission("customers"), customer_routes);
+  app.use(
+    `${basePath}/loyalty-points`,
+    requirePermission("points", {
+      "POST /adjust": "adjust",
+      "GET /my-adjustment-requests": "adjust",
+      "GET /adjustment-requests": "approve_adjustment",
+      "POST /adjustment-requests/:requestId/approve": "approve_adjustment",
+      "POST /adjustment-requests/:requestId/reject": "approve_adjustment",
+      "POST /redeem": "redeem",
+      "POST /process-loyalty-event": "earn",
+    }),
+    loyalty_points_routes
+  );
+  app.use(`${basePath}/coupon-brand`, requirePermission("coupons"), coupon_brand_routes);
+  app.use(`${basePath}/coupon-category`, requirePermission("coupons"), coupon_category_routes);
+  app.use(`${basePath}/customer-support`, requirePermission("support"), customer_support_routes);
+  app.use(
+    `${basePath}/sub-admin`,
+    requirePermission("admins", {
+      // Any admin can ask for a password reset and follow their own requests
+      "POST /password-change-request": null,
+      "GET /my-password-change-requests": null,
+      "GET /password-change-requests": "reset_password",
+      "POST /password-change-request/:requestId/approve": "reset_password",
+      "POST /password-change-request/:requestId/reject": "reset_password",
+      "POST /reset-password": "reset_password",
+      "DELETE /:id/sessions": "update",
+      "DELETE /:id/sessions/:sessionId": "update",
+    }),
+    sub_admin_routes
+  );
   // SDK routes
-  app.use(`${basePath}/sdk/access-keys`, sdkAccessKeyRoutes);
+  app.use(
+    `${basePath}/sdk/access-keys`,
+    requirePermission("sdk_keys", { "POST /:id/signing-secret": "update" }),
+    sdkAccessKeyRoutes
+  );
   app.use(`${basePath}/sdk/api`, sdkApiRoutes);
 
   //Offers routes
-  app.use(`${basePath}/merchant-offers`, merchant_offers_routes);
-  app.use(`${basePath}/kedmah-offers`, kedmah_offers_routes);
+  app.use(
+    `${basePath}/merchant-offers`,
+    requirePermission("coupons", {
+      "POST /redeem": "redeem",
+      "POST /initialize-priorities": "update",
+    }),
+    merchant_offers_routes
+  );
+  app.use(
+    `${basePath}/kedmah-offers`,
+    requirePermission("offers", {
+      "POST /check-eligibility": "view",
+      "POST /redeem": "redeem",
+    }),
+    kedmah_offers_routes
+  );
 
   // Audit routes
-  app.use(`${basePath}/audit`, auditRoutes);
-  app.use(`${basePath}/transactions`, transaction_routes);
-  app.use(`${basePath}/customer-support`, customer_support_routes);
-  app.use(`${basePath}/dashboard`, dashboard_routes);
-  app.use(`${basePath}/reports`, reports_routes);
+  app.use(
+    `${basePath}/audit`,
+    requirePermission("audit", { "GET /reports/export": "export" }),
+    auditRoutes
+  );
+  app.use(`${basePath}/transactions`, requirePermission("transactions"), transaction_routes);
+  app.use(`${basePath}/customer-support`, requirePermission("support"), customer_support_routes);
+  app.use(`${basePath}/dashboard`, requirePermission("dashboard:view"), dashboard_routes);
+  app.use(
+    `${basePath}/reports`,
+    requirePermission("reports", {
+      "GET /points-activity": "export",
+      "POST /update-transaction-app-types": "transactions:update",
+    }),
+    reports_routes
+  );
+  app.use(
+    `${basePath}/points-ledger`,
+    requirePermission("ledger", { "POST /reconciliation": "reconcile" }),
+    points_ledger_routes
+  );
+  app.use(
+    `${basePath}/points-imports`,
+    requirePermission("points:import", { "POST /:id/approve": "approve_adjustment" }),
+    points_import_routes
+  );
+  app.use(
+    `${basePath}/segments`,
+    requirePermission("segments", {
+      "POST /preview": "view",
+      "POST /:id/refresh": "update",
+    }),
+    segment_routes
+  );
+  app.use(
+    `${basePath}/communications`,
+    requirePermission("communications", {
+      "POST /email/campaigns/:id/test": "send",
+      "POST /email/campaigns/:id/send": "send",
+      "POST /push/:id/send": "send",
+      "POST /sms/:id/send": "send",
+    }),
+    communications_routes
+  );
+  app.use(`${basePath}/scheduled-jobs`, requirePermission("scheduled_jobs"), scheduled_jobs_routes);
+  app.use(
+    `${basePath}/webhooks`,
+    requirePermission("webhooks", {
+      "POST /deliveries/:id/replay": "update",
+      "POST /:id/secret": "update",
+    }),
+    webhooks_routes
+  );
+  app.use(
+    `${basePath}/sql-sync`,
+    requirePermission("sql_sync", { "POST /dead-letters/:id/retry": "update" }),
+    sql_sync_routes
+  );
 
   // Theme settings routes
-  app.use(`${basePath}/theme-settings`, themeSettingsRoutes);
+  app.use(
+    `${basePath}/theme-settings`,
+    requirePermission("settings", {
+      "POST /reset": "update",
+      "POST /apply-color-preset/:presetName": "update",
+    }),
+    themeSettingsRoutes
+  );
 
 
   //upload routes
-  app.use(`${basePath}/upload`, upload_routes);
+  app.use(`${basePath}/upload`, requirePermission("uploads"), upload_routes);
 
   //client only routes
   app.use(`${basePath}/client`, client_only_routes);
 
   //payment method routes
-  app.use(`${basePath}/payment-method`, payment_method_routes); 
+  app.use(`${basePath}/payment-method`, requirePermission("payment_methods"), payment_method_routes); 
 
   //new-kedmah-sdk-route 
   app.use(`${basePath}/khedmah-sdk`, new_kedmah_sdk_routes);
+
+  // Campaign email open/click tracking (public, signed links)
+  app.use(`${basePath}/email-tracking`, email_tracking_routes);
 }
 
 module.exports = registerRoutes;
@@ -6,6 +6,8 @@
 const clc = require('cli-color');
 const { logger } = require('../middlewares/logger');
 const { disconnectDatabase } = require('./database');
+const { stopScheduledJobs } = require('./jobs');
+const { stopSyncService } = require('../services/mongo-to-sql-sync');
 
 /**
  * Setup graceful shutdown handlers
@@ -24,6 +26,14 @@ function setupGracefulShutdown(server) {
         });
 
         try {
+            // Let running queue jobs finish before the database goes away
+            await stopScheduledJobs();
+            logger.info('Queue workers closed');
+            console.log(clc.yellowBright('✓ Queue workers closed'));
+
+            // Close the SQL sync change streams (no-op if the sync is not running here)
+            await stopSyncService();
+
             // Disconnect from database
             await disconnectDatabase();
             logger.info('Database connections closed');
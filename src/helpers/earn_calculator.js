@@ -0,0 +1,209 @@
+const { logger } = require("../middlewares/logger");
+const BonusCampaign = require("../models/bonus_campaign_model");
+const { buildRuleContext, resolveAppType } = require("./rule_engine");
+
+/**
+ * Points the Khedmah SDK awards for one earn request
+ *
+ * Shared by addPoints and the admin simulator so both always agree. Per item:
+ * usage limits, point system entry for the payment method, min/max value,
+ * percentage (x1000 as per Khedmah) or fixed points and criteria rules. Then the
+ * tier multiplier for the requesting app type and finally bonus campaigns.
+ *
+ * @param {Object} earn
+ * @param {Object} earn.customer - Customer with tier populated
+ * @param {Array} earn.criteriaList - PointsCriteria of the item criteria codes
+ * @param {Array} earn.items - [{ criteria_code, price }]
+ * @param {string} earn.paymentMethod
+ * @param {string} earn.requestedBy - App type name
+ * @param {Date} [earn.now] - Evaluation time for rules and campaigns
+ * @param {boolean} [earn.dryRun] - Don't reserve campaign budgets
+ * @param {boolean} [earn.includeInactive] - Evaluate inactive criteria too
+ * @param {Object} session - Mongoose session
+ * @returns {Promise<Object>} - Totals, transaction metadata details and per-item breakdown
+ */
+const calculateEarnPoints = async (
+  {
+    customer,
+    criteriaList,
+    items,
+    paymentMethod,
+    requestedBy,
+    now = new Date(),
+    dryRun = false,
+    includeInactive = false,
+  },
+  session = null
+) => {
+  const criteriaByCode = new Map(
+    criteriaList.map((criteria) => [criteria.unique_code, criteria])
+  );
+
+  // Facts for the criteria rules (tier, segments, spend...) are loaded once per request
+  const ruleContext = await buildRuleContext(criteriaList, {
+    customer,
+    appType: requestedBy,
+    now,
+  });
+
+  let basePoints = 0;
+  const transactionDetails = [];
+  const skippedCriteria = []; // Track criteria skipped due to limits
+  const campaignItems = []; // Criteria points that bonus campaigns can build on
+  const breakdown = [];
+
+  for (const item of items) {
+    const { criteria_code, price } = item;
+    const criteria = criteriaByCode.get(criteria_code);
+    const trace = { criteria_code, price, matched: Boolean(criteria), points: 0 };
+    breakdown.push(trace);
+
+    if (!criteria) {
+      trace.reason = "Criteria not found";
+      continue;
+    }
+    trace.is_active = criteria.isActive;
+    if (!criteria.isActive && !includeInactive) {
+      trace.reason = "Criteria is not active";
+      continue;
+    }
+
+    // Check transaction limits
+    const limitsCheck = await criteria.checkCriteriaUsageFromMetadata(
+      customer._id
+    );
+    trace.limits = limitsCheck;
+
+    if (!limitsCheck.withinLimits) {
+      // Skip this criteria but continue with others
+      skippedCriteria.push({
+        criteria_code,
+        reason: limitsCheck.message,
+        current_count: limitsCheck.currentCount,
+        limit: limitsCheck.limit,
+      });
+      trace.reason = limitsCheck.message;
+      logger.info(
+        `Skipping criteria ${criteria_code} due to limit: ${limitsCheck.message}`
+      );
+      continue;
+    }
+
+    const pointSystemEntry = criteria.pointSystem.find(
+      (ps) => ps.paymentMethod === paymentMethod
+    );
+    trace.point_system_entry = pointSystemEntry || null;
+    if (!pointSystemEntry) {
+      trace.reason = `No point system entry for payment method ${paymentMethod}`;
+      continue;
+    }
+
+    const { minValue, maxValue } = criteria.conditions.transactionValueLimits;
+    // Skip if price is below minimum (0 or null means no minimum limit)
+    trace.min_value_check = {
+      min_value: minValue,
+      passed: !(minValue != null && minValue > 0 && price < minValue),
+    };
+    if (!trace.min_value_check.passed) {
+      trace.reason = "Price is below the minimum value";
+      continue;
+    }
+
+    let itemPoints = 0;
+    let applicablePrice = price;
+    if (pointSystemEntry.pointType === "percentage") {
+      // Cap price at maxValue if valid and exceeded (0 or null means no maximum limit)
+      const capped =
+        maxValue != null && maxValue > 0 && !isNaN(maxValue) && price > maxValue;
+      if (capped) {
+        applicablePrice = maxValue;
+      }
+      trace.max_value_check = {
+        max_value: maxValue,
+        capped,
+        applicable_price: applicablePrice,
+      };
+      //?multiplying with 1000 as per kedmah request
+      itemPoints = (applicablePrice * pointSystemEntry.pointRate * 1000) / 100;
+    } else {
+      //flat points
+      itemPoints = pointSystemEntry.pointRate;
+    }
+    trace.base_points = itemPoints;
+
+    const ruleResult = criteria.applyRules(itemPoints, ruleContext, price);
+    trace.matched_rules = ruleResult.matchedRules;
+    if (ruleResult.excluded) {
+      skippedCriteria.push({
+        criteria_code,
+        reason: "Excluded by point criteria rules",
+        matched_rules: ruleResult.matchedRules,
+      });
+      trace.reason = "Excluded by point criteria rules";
+      continue;
+    }
+    itemPoints = ruleResult.points;
+
+    // Ensure points is a valid number
+    if (isNaN(itemPoints) || !isFinite(itemPoints)) {
+      itemPoints = 0;
+    }
+    trace.points = itemPoints;
+
+    basePoints += itemPoints;
+    transactionDetails.push({
+      criteria_code,
+      price,
+      points_awarded: itemPoints,
+      calculation_type: pointSystemEntry.pointType,
+      point_rate: pointSystemEntry.pointRate,
+      matched_rules: ruleResult.matchedRules,
+    });
+    campaignItems.push({ criteria, points: itemPoints });
+  }
+
+  // Apply the tier multiplier configured for the requesting app type
+  const appType = await resolveAppType(requestedBy);
+  const tierMultiplierEntry =
+    appType && customer.tier && customer.tier.tier_point_multiplier
+      ? customer.tier.tier_point_multiplier.find(
+          (tm) => tm.appType && tm.appType.toString() === appType._id.toString()
+        )
+      : null;
+  const tierMultiplier = tierMultiplierEntry ? tierMultiplierEntry.multiplier : 1;
+  let totalPoints = Math.ceil(basePoints * tierMultiplier) || 0;
+
+  // Layer active bonus campaigns on top of the criteria points
+  const campaignResult = await BonusCampaign.applyToEarn(
+    {
+      customer,
+      appType: appType || requestedBy,
+      paymentMethod,
+      items: campaignItems,
+      now,
+      dryRun,
+    },
+    session
+  );
+  totalPoints += campaignResult.bonusPoints;
+
+  // Ensure we have valid points before creating transaction
+  if (isNaN(totalPoints) || !isFinite(totalPoints) || totalPoints < 0) {
+    totalPoints = 0;
+  }
+
+  return {
+    totalPoints,
+    basePoints,
+    tierMultiplier,
+    campaignBonus: campaignResult.bonusPoints,
+    campaigns: campaignResult.campaigns,
+    transactionDetails,
+    skippedCriteria,
+    breakdown,
+  };
+};
+
+module.exports = {
+  calculateEarnPoints,
+};
@@ -0,0 +1,209 @@
+const { Readable } = require("stream");
+const path = require("path");
+const ExcelJS = require("exceljs");
+const Customer = require("../models/customer_model");
+const PointsImportRow = require("../models/points_import_row_model");
+
+const COLUMNS = ["customer_id", "points", "reason", "expiry", "reference"];
+const REQUIRED_COLUMNS = ["customer_id", "points", "reason"];
+const MAX_REASON_LENGTH = 500;
+const LOOKUP_CHUNK = 1000;
+
+/**
+ * Plain value of an ExcelJS cell (rich text, formulas and hyperlinks unwrapped)
+ */
+const cellValue = (value) => {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return value;
+  if (typeof value === "object") {
+    if (value.richText) return value.richText.map((part) => part.text).join("");
+    if (value.result !== undefined) return cellValue(value.result);
+    if (value.text !== undefined) return value.text;
+  }
+  return value;
+};
+
+const asText = (value) =>
+  value === null || value === undefined ? "" : String(value).trim();
+
+/**
+ * Read the rows of an uploaded CSV or XLSX points file
+ * @param {Buffer} buffer - File contents
+ * @param {string} fileName - Original name, its extension picks the parser
+ * @returns {Promise<Object>} - { rows: [{ row_number, customer_id, points, reason, expiry, reference }] }
+ *   or { error } when the file cannot be used at all
+ */
+const parsePointsFile = async (buffer, fileName) => {
+  const extension = path.extname(fileName || "").toLowerCase();
+  const workbook = new ExcelJS.Workbook();
+  let worksheet;
+
+  try {
+    if (extension === ".xlsx") {
+      await workbook.xlsx.load(buffer);
+      worksheet = workbook.worksheets[0];
+    } else if (extension === ".csv") {
+      worksheet = await workbook.csv.read(Readable.from(buffer), {
+        parserOptions: { trim: true },
+        // Keep every value as text; points and dates are parsed during validation
+        map: (value) => value,
+      });
+    } else {
+      return { error: "Only .csv and .xlsx files are supported" };
+    }
+  } catch (error) {
+    return { error: `File could not be read: ${error.message}` };
+  }
+
+  if (!worksheet || worksheet.rowCount < 2) {
+    return { error: "File has no data rows" };
+  }
+
+  const header = {};
+  worksheet.getRow(1).eachCell((cell, column) => {
+    const name = asText(cellValue(cell.value)).toLowerCase().replace(/\s+/g, "_");
+    if (COLUMNS.includes(name)) header[name] = column;
+  });
+
+  const missing = REQUIRED_COLUMNS.filter((name) => !header[name]);
+  if (missing.length > 0) {
+    return { error: `Missing required columns: ${missing.join(", ")}` };
+  }
+
+  const rows = [];
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+
+    const values = {};
+    for (const name of COLUMNS) {
+      values[name] = header[name] ? cellValue(row.getCell(header[name]).value) : null;
+    }
+    // Skip blank lines
+    if (COLUMNS.every((name) => asText(values[name]) === "")) return;
+
+    rows.push({ row_number: rowNumber, ...values });
+  });
+
+  return { rows };
+};
+
+/**
+ * Check every row and resolve its customer
+ * @param {Array} rows - From parsePointsFile
+ * @param {Date} [now]
+ * @returns {Promise<Array>} - Rows ready for PointsImportRow with status valid/invalid and validation_errors
+ */
+const validateImportRows = async (rows, now = new Date()) => {
+  const customerIds = [...new Set(rows.map((row) => asText(row.customer_id)).filter(Boolean))];
+  const customers = new Map();
+  for (let i = 0; i < customerIds.length; i += LOOKUP_CHUNK) {
+    const found = await Customer.find({
+      customer_id: { $in: customerIds.slice(i, i + LOOKUP_CHUNK) },
+    })
+      .select("_id customer_id status")
+      .lean();
+    for (const customer of found) customers.set(customer.customer_id, customer);
+  }
+
+  const references = [...new Set(rows.map((row) => asText(row.reference)).filter(Boolean))];
+  const usedReferences = new Set(
+    references.length > 0
+      ? await PointsImportRow.find({
+          reference: { $in: references },
+          status: "applied",
+        }).distinct("reference")
+      : []
+  );
+  const seenReferences = new Set();
+
+  return rows.map((row) => {
+    const errors = [];
+    const customerId = asText(row.customer_id);
+    const reference = asText(row.reference) || null;
+    const reason = asText(row.reason);
+
+    const customer = customerId ? customers.get(customerId) : null;
+    if (!customerId) {
+      errors.push("customer_id is required");
+    } else if (!customer) {
+      errors.push(`Customer ${customerId} not found`);
+    } else if (customer.status === false) {
+      errors.push(`Customer ${customerId} is inactive`);
+    }
+
+    const points = Number(asText(row.points));
+    if (asText(row.points) === "" || !Number.isInteger(points) || points <= 0) {
+      errors.push("points must be a positive whole number");
+    }
+
+    if (!reason) {
+      errors.push("reason is required");
+    } else if (reason.length > MAX_REASON_LENGTH) {
+      errors.push(`reason must be at most ${MAX_REASON_LENGTH} characters`);
+    }
+
+    let expiry = null;
+    if (asText(row.expiry) !== "") {
+      expiry = row.expiry instanceof Date ? row.expiry : new Date(asText(row.expiry));
+      if (isNaN(expiry)) {
+        errors.push("expiry is not a valid date");
+        expiry = null;
+      } else if (expiry <= now) {
+        errors.push("expiry must be in the future");
+      }
+    }
+
+    if (reference) {
+      if (seenReferences.has(reference)) {
+        errors.push(`reference ${reference} appears more than once in the file`);
+      } else if (usedReferences.has(reference)) {
+        errors.push(`reference ${reference} was already imported`);
+      }
+      seenReferences.add(reference);
+    }
+
+    return {
+      row_number: row.row_number,
+      customer_id: customerId,
+      points: Number.isFinite(points) ? points : null,
+      reason,
+      expiry,
+      reference,
+      customer: customer ? customer._id : null,
+      status: errors.length > 0 ? "invalid" : "valid",
+      validation_errors: errors,
+    };
+  });
+};
+
+/**
+ * CSV error report of the invalid rows of a batch
+ * @param {Array} rows - Invalid PointsImportRow documents
+ * @returns {Promise<Buffer>}
+ */
+const buildErrorReport = async (rows) => {
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = workbook.addWorksheet("Errors");
+  worksheet.addRow(["row", ...COLUMNS, "errors"]);
+
+  for (const row of rows) {
+    worksheet.addRow([
+      row.row_number,
+      row.customer_id,
+      row.points,
+      row.reason,
+      row.expiry ? row.expiry.toISOString() : "",
+      row.reference || "",
+      row.validation_errors.join("; "),
+    ]);
+  }
+
+  return workbook.csv.writeBuffer();
+};
+
+module.exports = {
+  COLUMNS,
+  parsePointsFile,
+  validateImportRows,
+  buildErrorReport,
+};
@@ -0,0 +1,312 @@
+const mongoose = require("mongoose");
+const moment = require("moment-timezone");
+const Tier = require("../models/tier_model");
+const AppType = require("../models/app_type_model");
+const Transaction = require("../models/transaction_model");
+const SegmentMembership = require("../models/segment_membership_model");
+
+/**
+ * Condition-tree evaluation for point criteria rules
+ *
+ * A condition is either a group or a predicate:
+ *   { type: "and", conditions: [...] }
+ *   { type: "or", conditions: [...] }
+ *   { type: "not", condition: {...} }
+ *   { type: "tier", operator: "in", value: ["<tier id or name>"] }
+ *   { type: "day_of_week", operator: "in", value: ["friday", 6] }
+ *   { type: "time_window", start: "18:00", end: "02:00" }
+ *   { type: "service_type", operator: "not_in", value: ["<service id or title>"] }
+ *   { type: "app_type", operator: "in", value: ["<app type id or name>"] }
+ *   { type: "segment", operator: "in", value: ["<segment id>"] }
+ *   { type: "cumulative_spend", operator: "gte", value: 100, period: "last_30_days" }
+ *   { type: "transaction_value", operator: "between", value: [20, 100] }
+ *
+ * Evaluation is synchronous; facts that need the database (segments,
+ * cumulative spend) are loaded beforehand by buildRuleContext.
+ */
+
+const RULE_TIMEZONE = process.env.RULE_TIMEZONE || "Asia/Muscat";
+
+const GROUP_TYPES = ["and", "or", "not"];
+const SET_PREDICATES = ["tier", "service_type", "app_type", "segment", "day_of_week"];
+const NUMERIC_PREDICATES = ["cumulative_spend", "transaction_value"];
+const PREDICATE_TYPES = [...SET_PREDICATES, ...NUMERIC_PREDICATES, "time_window"];
+const SET_OPERATORS = ["in", "not_in"];
+const NUMERIC_OPERATORS = ["eq", "gt", "gte", "lt", "lte", "between"];
+const SPEND_PERIODS = [
+  "last_7_days",
+  "last_30_days",
+  "last_90_days",
+  "last_year",
+  "all_time",
+];
+const DAY_NAMES = [
+  "sunday",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+];
+const RULE_ACTIONS = ["multiplier", "bonus", "exclude"];
+
+const normalize = (value) =>
+  value === null || value === undefined ? null : String(value).toLowerCase().trim();
+
+/**
+ * Check whether a referenced document ({ id, names }) is one of the values
+ */
+const matchesReference = (reference, values) => {
+  if (!reference) return false;
+  const candidates = [reference.id, ...(reference.names || [])]
+    .map(normalize)
+    .filter(Boolean);
+
+  return values.some((value) => candidates.includes(normalize(value)));
+};
+
+const compareNumber = (actual, operator, expected) => {
+  if (typeof actual !== "number" || isNaN(actual)) return false;
+
+  switch (operator) {
+    case "eq":
+      return actual === expected;
+    case "gt":
+      return actual > expected;
+    case "gte":
+      return actual >= expected;
+    case "lt":
+      return actual < expected;
+    case "lte":
+      return actual <= expected;
+    case "between":
+      return actual >= expected[0] && actual <= expected[1];
+    default:
+      return false;
+  }
+};
+
+const toMinutes = (hhmm) => {
+  const [hours, minutes] = hhmm.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+const toDayIndex = (day) =>
+  typeof day === "number" ? day : DAY_NAMES.indexOf(normalize(day));
+
+/**
+ * Evaluate a single predicate against the context
+ */
+const evaluatePredicate = (node, context) => {
+  const values = Array.isArray(node.value) ? node.value : [node.value];
+  const local = moment(context.now || new Date()).tz(RULE_TIMEZONE);
+  let matched;
+
+  switch (node.type) {
+    case "tier":
+      matched = matchesReference(context.tier, values);
+      break;
+    case "service_type":
+      matched = matchesReference(context.service_type, values);
+      break;
+    case "app_type":
+      matched = matchesReference(context.app_type, values);
+      break;
+    case "segment":
+      matched = values.some((segmentId) =>
+        (context.segment_ids || []).includes(String(segmentId))
+      );
+      break;
+    case "day_of_week":
+      matched = values.map(toDayIndex).includes(local.day());
+      break;
+    case "time_window": {
+      const minute = local.hours() * 60 + local.minutes();
+      const start = toMinutes(node.start);
+      const end = toMinutes(node.end);
+      // A window whose end is before its start wraps past midnight
+      return start <= end
+        ? minute >= start && minute < end
+        : minute >= start || minute < end;
+    }
+    case "cumulative_spend":
+      return compareNumber(
+        (context.cumulative_spend || {})[node.period || "all_time"],
+        node.operator,
+        node.value
+      );
+    case "transaction_value":
+      return compareNumber(context.transaction_value, node.operator, node.value);
+    default:
+      return false;
+  }
+
+  return node.operator === "not_in" ? !matched : matched;
+};
+
+/**
+ * Evaluate a condition tree; an empty tree always matches
+ * @param {Object} node - Condition tree
+ * @param {Object} context - Facts produced by buildRuleContext
+ * @returns {boolean}
+ */
+const evaluateCondition = (node, context) => {
+  if (!node || !node.type) return true;
+
+  switch (node.type) {
+    case "and":
+      return (node.conditions || []).every((child) =>
+        evaluateCondition(child, context)
+      );
+    case "or":
+      return (node.conditions || []).some((child) =>
+        evaluateCondition(child, context)
+      );
+    case "not":
+      return !evaluateCondition(node.condition, context);
+    default:
+      return evaluatePredicate(node, context);
+  }
+};
+
+/**
+ * Collect every predicate in a set of condition trees
+ */
+const collectPredicates = (nodes, predicates = []) => {
+  for (const node of nodes) {
+    if (!node || !node.type) continue;
+    if (node.type === "and" || node.type === "or") {
+      collectPredicates(node.conditions || [], predicates);
+    } else if (node.type === "not") {
+      collectPredicates([node.condition], predicates);
+    } else {
+      predicates.push(node);
+    }
+  }
+  return predicates;
+};
+
+const periodStart = (period, now) => {
+  const days = {
+    last_7_days: 7,
+    last_30_days: 30,
+    last_90_days: 90,
+    last_year: 365,
+  }[period];
+
+  return days ? moment(now).subtract(days, "days").toDate() : null;
+};
+
+/**
+ * Resolve an app type given as a document, an id or a name
+ * @returns {Promise<Object|null>} - AppType (at least _id and name)
+ */
+const resolveAppType = async (appType) => {
+  if (!appType) return null;
+  if (typeof appType !== "string" && !(appType instanceof mongoose.Types.ObjectId)) {
+    return appType;
+  }
+
+  return /^[0-9a-fA-F]{24}$/.test(String(appType))
+    ? AppType.findById(appType).select("name").lean()
+    : AppType.findOne({ name: appType }).select("name").lean();
+};
+
+/**
+ * Load the facts needed to evaluate the rules of the given criteria
+ * Only the database lookups the rules actually reference are made.
+ * @param {Array} criteriaList - PointsCriteria documents
+ * @param {Object} options
+ * @param {Object} options.customer - Customer document (tier populated or id)
+ * @param {Object|string} [options.appType] - AppType document, id or name
+ * @param {Date} [options.now] - Evaluation time
+ * @returns {Promise<Object>} - Rule context
+ */
+const buildRuleContext = async (criteriaList, { customer, appType, now = new Date() }) => {
+  const predicates = collectPredicates(
+    criteriaList.flatMap((criteria) =>
+      (criteria.rules || [])
+        .filter((rule) => rule.isActive !== false)
+        .map((rule) => rule.condition)
+    )
+  );
+  const needs = (type) => predicates.some((predicate) => predicate.type === type);
+  const context = { now };
+
+  if (customer && needs("tier")) {
+    let tier = customer.tier;
+    if (tier && !tier.name) {
+      tier = await Tier.findById(tier).select("name").lean();
+    }
+    if (tier) {
+      context.tier = {
+        id: tier._id.toString(),
+        names: [tier.name?.en, tier.name?.ar],
+      };
+    }
+  }
+
+  if (appType && needs("app_type")) {
+    const appTypeDoc = await resolveAppType(appType);
+    context.app_type = appTypeDoc
+      ? { id: appTypeDoc._id.toString(), names: [appTypeDoc.name] }
+      : { id: null, names: [appType] };
+  }
+
+  if (customer && needs("segment")) {
+    const segmentIds = await SegmentMembership.find({
+      customer: customer._id,
+    }).distinct("segment");
+    context.segment_ids = segmentIds.map((id) => id.toString());
+  }
+
+  if (customer && needs("cumulative_spend")) {
+    const periods = [
+      ...new Set(
+        predicates
+          .filter((predicate) => predicate.type === "cumulative_spend")
+          .map((predicate) => predicate.period || "all_time")
+      ),
+    ];
+    context.cumulative_spend = {};
+
+    for (const period of periods) {
+      const match = {
+        customer_id: customer._id,
+        transaction_type: "earn",
+        status: { $in: ["completed", "success"] },
+      };
+      const since = periodStart(period, now);
+      if (since) match.createdAt = { $gte: since };
+
+      const [result] = await Transaction.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: null,
+            total: { $sum: { $ifNull: ["$metadata.original_amount", 0] } },
+          },
+        },
+      ]);
+      context.cumulative_spend[period] = result ? result.total : 0;
+    }
+  }
+
+  return context;
+};
+
+module.exports = {
+  GROUP_TYPES,
+  PREDICATE_TYPES,
+  SET_PREDICATES,
+  NUMERIC_PREDICATES,
+  SET_OPERATORS,
+  NUMERIC_OPERATORS,
+  SPEND_PERIODS,
+  DAY_NAMES,
+  RULE_ACTIONS,
+  evaluateCondition,
+  buildRuleContext,
+  resolveAppType,
+};
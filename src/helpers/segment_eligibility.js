@@ -0,0 +1,320 @@
+const moment = require("moment-timezone");
+const Customer = require("../models/customer_model");
+const Transaction = require("../models/transaction_model");
+const CustomerActivity = require("../models/customer_activity_model");
+const CustomerActivityDaily = require("../models/customer_activity_daily_model");
+const CustomerDevice = require("../models/customer_device_model");
+const { SCHEDULER_TIMEZONE } = require("../config/env");
+const { compileSegmentQuery, periodStart, escapeRegex } = require("./segment_query");
+
+/**
+ * Segment eligibility
+ * Each segment type yields its eligible customers as a cursor of
+ * { _id, app_type }, so a refresh can stream any number of customers.
+ * Criteria that match nobody yield an empty array.
+ */
+
+// Fields a refresh needs of each eligible customer
+const ELIGIBLE_FIELDS = { _id: 1, app_type: 1 };
+
+const customerCursor = (query) =>
+  Customer.find(query).select(ELIGIBLE_FIELDS).lean().cursor();
+
+/**
+ * Get customers eligible for a segment based on its criteria
+ * @param {Object} segment - The segment document
+ * @returns {Promise<Cursor|Array>} Eligible customers ({ _id, app_type })
+ */
+const getEligibleCustomers = async (segment) => {
+  const criteria = segment.criteria || {};
+
+  switch (segment.type) {
+    case "transaction":
+      return getTransactionBasedCustomers(criteria.transaction);
+    case "engagement":
+      return getEngagementBasedCustomers(criteria.engagement);
+    case "app_type":
+      return getAppTypeBasedCustomers(criteria.app_type);
+    case "device":
+      return getDeviceBasedCustomers(criteria.device);
+    case "custom":
+      return getCustomFilterCustomers(segment);
+  }
+
+  return [];
+};
+
+/**
+ * Get customers matching the filter of a custom segment
+ * @param {Object} segment - The segment document
+ * @returns {Promise<Cursor|Array>} Eligible customers
+ */
+const getCustomFilterCustomers = async (segment) => {
+  const filter = segment.criteria.custom && segment.criteria.custom.filter;
+  if (!filter) {
+    throw new Error("Custom segment has no filter");
+  }
+
+  const compiled = await compileSegmentQuery(filter);
+  if (compiled.error) {
+    throw new Error(`Invalid filter: ${compiled.error}`);
+  }
+
+  return Customer.aggregate([
+    ...compiled.pipeline,
+    { $project: ELIGIBLE_FIELDS },
+  ]).cursor();
+};
+
+/**
+ * Get customers based on transaction criteria
+ * Every bound given must hold for the customer's completed transactions in
+ * the period.
+ * @param {Object} criteria - Transaction criteria
+ * @returns {Promise<Cursor|Array>} Eligible customers
+ */
+const getTransactionBasedCustomers = async (criteria) => {
+  if (!criteria) return [];
+
+  const transactionQuery = { status: "completed" };
+
+  const startDate = periodStart(criteria.transaction_period, new Date());
+  if (startDate) {
+    transactionQuery.transaction_date = { $gte: startDate };
+  }
+
+  if (criteria.transaction_types && criteria.transaction_types.length > 0) {
+    transactionQuery.transaction_type = { $in: criteria.transaction_types };
+  }
+
+  if (criteria.sources && criteria.sources.length > 0) {
+    transactionQuery.source = { $in: criteria.sources };
+  }
+
+  const bounds = {};
+  const addBound = (field, operator, value) => {
+    if (value) bounds[field] = { ...bounds[field], [operator]: value };
+  };
+  addBound("transaction_count", "$gte", criteria.min_transactions);
+  addBound("transaction_count", "$lte", criteria.max_transactions);
+  addBound("total_points", "$gte", criteria.min_points);
+  addBound("total_points", "$lte", criteria.max_points);
+  addBound("total_spend", "$gte", criteria.min_spend);
+  addBound("total_spend", "$lte", criteria.max_spend);
+
+  return Transaction.aggregate([
+    { $match: transactionQuery },
+    {
+      $group: {
+        _id: "$customer_id",
+        transaction_count: { $sum: 1 },
+        total_points: { $sum: "$points" },
+        // Spend is the amount the points were earned on
+        total_spend: { $sum: { $ifNull: ["$metadata.original_amount", 0] } },
+      },
+    },
+    { $match: bounds },
+    {
+      $lookup: {
+        from: Customer.collection.name,
+        localField: "_id",
+        foreignField: "_id",
+        pipeline: [{ $match: { status: true } }, { $project: ELIGIBLE_FIELDS }],
+        as: "customer",
+      },
+    },
+    { $unwind: "$customer" },
+    { $replaceRoot: { newRoot: "$customer" } },
+  ])
+    .allowDiskUse(true)
+    .cursor();
+};
+
+/**
+ * Get customers based on engagement criteria
+ * Reads the activity rollups built from SDK events; every criterion given
+ * must hold.
+ * @param {Object} criteria - Engagement criteria
+ * @returns {Promise<Cursor|Array>} Eligible customers
+ */
+const getEngagementBasedCustomers = async (criteria) => {
+  if (!criteria) return [];
+
+  const now = moment().tz(SCHEDULER_TIMEZONE);
+  let included = null; // Customer ids every criterion so far allows (null = any)
+  let excluded = [];
+
+  const restrictTo = (ids) => {
+    const allowed = new Set(ids.map(String));
+    included = included
+      ? new Set([...included].filter((id) => allowed.has(id)))
+      : allowed;
+  };
+
+  if (criteria.app_opens) {
+    const period = criteria.app_opens_period || "last_30_days";
+    const since = periodStart(period, now.toDate());
+
+    if (since) {
+      const opens = await CustomerActivityDaily.aggregate([
+        { $match: { date: { $gte: since }, app_opens: { $gt: 0 } } },
+        { $group: { _id: "$customer", app_opens: { $sum: "$app_opens" } } },
+        { $match: { app_opens: { $gte: criteria.app_opens } } },
+      ]);
+      restrictTo(opens.map((row) => row._id));
+    } else {
+      restrictTo(
+        await CustomerActivity.distinct("customer", {
+          app_opens: { $gte: criteria.app_opens },
+        })
+      );
+    }
+  }
+
+  switch (criteria.last_active) {
+    case "today":
+    case "this_week":
+    case "this_month": {
+      const unit = { today: "day", this_week: "week", this_month: "month" }[
+        criteria.last_active
+      ];
+      restrictTo(
+        await CustomerActivity.distinct("customer", {
+          last_seen_at: { $gte: now.clone().startOf(unit).toDate() },
+        })
+      );
+      break;
+    }
+    case "last_month": {
+      const start = now.clone().subtract(1, "month").startOf("month");
+      restrictTo(
+        await CustomerActivityDaily.distinct("customer", {
+          date: {
+            $gte: start.toDate(),
+            $lt: start.clone().add(1, "month").toDate(),
+          },
+        })
+      );
+      break;
+    }
+    case "inactive_30_days":
+    case "inactive_90_days": {
+      const days = criteria.last_active === "inactive_30_days" ? 30 : 90;
+      // Customers never seen by the SDK count as inactive
+      excluded = await CustomerActivity.distinct("customer", {
+        last_seen_at: { $gte: now.clone().subtract(days, "days").toDate() },
+      });
+      break;
+    }
+  }
+
+  // Rates are unique opens/clicks per message sent (received, for push)
+  const rates = [];
+  const rateOf = (channel, counter, base, minimum) => {
+    rates.push({ [`${channel}.${base}`]: { $gt: 0 } });
+    rates.push({
+      $expr: {
+        $gte: [
+          { $multiply: [{ $divide: [`$${channel}.${counter}`, `$${channel}.${base}`] }, 100] },
+          minimum,
+        ],
+      },
+    });
+  };
+  const email = criteria.email_engagement || {};
+  const push = criteria.push_engagement || {};
+  if (email.open_rate) rateOf("email", "opened", "sent", email.open_rate);
+  if (email.click_rate) rateOf("email", "clicked", "sent", email.click_rate);
+  if (push.open_rate) rateOf("push", "opened", "sent", push.open_rate);
+
+  if (rates.length > 0) {
+    restrictTo(await CustomerActivity.distinct("customer", { $and: rates }));
+  }
+
+  if (!included && excluded.length === 0 && !criteria.last_active) {
+    // No usable criteria
+    return [];
+  }
+
+  const query = { status: true };
+  if (included) query._id = { $in: [...included] };
+  if (excluded.length > 0) query._id = { ...(query._id || {}), $nin: excluded };
+
+  return customerCursor(query);
+};
+
+/**
+ * Get customers based on app type criteria
+ * @param {Object} criteria - App type criteria
+ * @returns {Promise<Cursor|Array>} Eligible customers
+ */
+const getAppTypeBasedCustomers = async (criteria) => {
+  if (!criteria || !criteria.types || criteria.types.length === 0) return [];
+
+  return customerCursor({
+    app_type: { $in: criteria.types },
+    status: true,
+  });
+};
+
+/**
+ * Get customers based on device criteria
+ * Matches the devices seen with SDK activity events; with only device types
+ * given, the customer's own device_type matches too.
+ * @param {Object} criteria - Device criteria
+ * @returns {Promise<Cursor|Array>} Eligible customers
+ */
+const getDeviceBasedCustomers = async (criteria) => {
+  if (!criteria) return [];
+
+  const types = criteria.types || [];
+  const models = criteria.models || [];
+  const osVersions = criteria.os_versions || [];
+  if (types.length === 0 && models.length === 0 && osVersions.length === 0) {
+    return [];
+  }
+
+  // One device has to match every given criterion
+  const deviceQuery = {};
+  if (types.length > 0) deviceQuery.type = { $in: types };
+  if (models.length > 0) {
+    deviceQuery.model = {
+      $in: models.map((model) => new RegExp(`^${escapeRegex(model)}$`, "i")),
+    };
+  }
+  if (osVersions.length > 0) {
+    deviceQuery.os_version = {
+      $in: osVersions.map((version) => new RegExp(`^${escapeRegex(version)}(\\.|$)`)),
+    };
+  }
+
+  const conditions = [
+    { _id: { $in: await CustomerDevice.distinct("customer", deviceQuery) } },
+  ];
+  if (models.length === 0 && osVersions.length === 0) {
+    conditions.push({ device_type: { $in: types } });
+  }
+
+  return customerCursor({ status: true, $or: conditions });
+};
+
+/**
+ * Get metadata for a customer in a segment
+ * @param {Object} customer - Eligible customer ({ _id, app_type })
+ * @param {Object} segment - Segment document
+ * @returns {Object} Metadata object
+ */
+const getCustomerMetadata = (customer, segment) => {
+  const metadata = {};
+
+  if (segment.type === "app_type" && customer.app_type) {
+    metadata.app_types = customer.app_type;
+  }
+
+  return metadata;
+};
+
+module.exports = {
+  getEligibleCustomers,
+  getCustomerMetadata,
+};
@@ -0,0 +1,502 @@
+const moment = require("moment-timezone");
+const Customer = require("../models/customer_model");
+const Transaction = require("../models/transaction_model");
+const CouponCode = require("../models/merchant_offers.model");
+const Tier = require("../models/tier_model");
+const AppType = require("../models/app_type_model");
+const TriggerServices = require("../models/trigger_services_model");
+const PointsCriteria = require("../models/point_criteria_model");
+const { SPEND_PERIODS } = require("./rule_engine");
+
+/**
+ * Filter language for custom segments
+ *
+ * A filter is a tree of groups and field predicates:
+ *   { type: "and", conditions: [...] }
+ *   { type: "or", conditions: [...] }
+ *   { type: "not", condition: {...} }
+ *   { type: "points_balance", operator: "gte", value: 500 }
+ *   { type: "tier", operator: "in", value: ["<tier id or name>"] }
+ *   { type: "email", operator: "contains", value: "@example.com" }
+ *   { type: "last_transaction_date", operator: "not_within_last_days", value: 90 }
+ *   { type: "lifetime_earned", operator: "between", value: [1000, 5000], period: "last_year" }
+ *   { type: "service_used", operator: "in", value: ["<service id or title>"], period: "last_30_days" }
+ *
+ * Only the fields in SEGMENT_FIELDS can be used, each with the operators of
+ * its kind. A filter is compiled to an aggregation pipeline on customers;
+ * admin input never reaches the database as a query.
+ */
+
+// Field kind => operators
+const FIELD_OPERATORS = {
+  string: ["eq", "neq", "in", "not_in", "contains", "starts_with"],
+  enum: ["in", "not_in"],
+  number: ["eq", "neq", "gt", "gte", "lt", "lte", "between"],
+  date: ["before", "after", "between", "within_last_days", "not_within_last_days"],
+  reference: ["in", "not_in"],
+};
+
+// Customer document fields, and facts computed from transactions and coupons
+// (computed: true). Fields with period: true take an optional period.
+const SEGMENT_FIELDS = {
+  name: { kind: "string", path: "name" },
+  email: { kind: "string", path: "email" },
+  phone: { kind: "string", path: "phone" },
+  customer_id: { kind: "string", path: "customer_id" },
+  device_type: { kind: "enum", path: "device_type", values: ["android", "ios", "web"] },
+  signup_date: { kind: "date", path: "createdAt" },
+  last_active: { kind: "date", path: "last_active" },
+  tier: { kind: "reference", path: "tier" },
+  app_type: { kind: "reference", path: "app_type" },
+  points_balance: { kind: "number", path: "total_points" },
+  coins: { kind: "number", path: "coins" },
+  lifetime_earned: { kind: "number", computed: true, period: true },
+  lifetime_burned: { kind: "number", computed: true, period: true },
+  last_transaction_date: { kind: "date", computed: true },
+  service_used: { kind: "reference", computed: true, period: true },
+  coupon_redemptions: { kind: "number", computed: true, period: true },
+};
+
+const GROUP_TYPES = ["and", "or", "not"];
+const SEGMENT_PERIODS = SPEND_PERIODS;
+const MAX_FILTER_DEPTH = 5;
+const MAX_FILTER_PREDICATES = 30;
+
+const COMPLETED_STATUSES = ["completed", "success"];
+// Transaction types counted as earning and as spending points
+const EARN_TYPES = ["earn", "referral", "adjust", "opening_balance"];
+const BURN_TYPES = ["redeem", "offer-redeem", "convert_to_coins"];
+
+const normalize = (value) =>
+  value === null || value === undefined ? null : String(value).toLowerCase().trim();
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const periodStart = (period, now) => {
+  const days = {
+    last_7_days: 7,
+    last_30_days: 30,
+    last_90_days: 90,
+    last_year: 365,
+  }[period];
+
+  return days ? moment(now).subtract(days, "days").toDate() : null;
+};
+
+/**
+ * Collect every predicate of a filter
+ */
+const collectPredicates = (node, predicates = []) => {
+  if (!node || !node.type) return predicates;
+  if (node.type === "and" || node.type === "or") {
+    (node.conditions || []).forEach((child) => collectPredicates(child, predicates));
+  } else if (node.type === "not") {
+    collectPredicates(node.condition, predicates);
+  } else {
+    predicates.push(node);
+  }
+  return predicates;
+};
+
+const usesComputedField = (node) =>
+  collectPredicates(node).some((predicate) => SEGMENT_FIELDS[predicate.type].computed);
+
+const filterDepth = (node) => {
+  if (!node || !GROUP_TYPES.includes(node.type)) return 0;
+  const children = node.type === "not" ? [node.condition] : node.conditions || [];
+  return 1 + Math.max(0, ...children.map(filterDepth));
+};
+
+/**
+ * Limits the Joi schema cannot express
+ * @param {Object} filter - Filter validated by the segment validator
+ * @returns {string|null} - Error message
+ */
+const checkFilterLimits = (filter) => {
+  if (filterDepth(filter) > MAX_FILTER_DEPTH) {
+    return `Filter groups can be nested at most ${MAX_FILTER_DEPTH} levels deep`;
+  }
+  if (collectPredicates(filter).length > MAX_FILTER_PREDICATES) {
+    return `A filter can have at most ${MAX_FILTER_PREDICATES} conditions`;
+  }
+  return null;
+};
+
+/**
+ * Resolve ids or names to document ids; these collections are small
+ * @returns {Object} - { ids } or { unknown } values that matched nothing
+ */
+const resolveReferences = (values, documents, namesOf) => {
+  const ids = [];
+  const unknown = [];
+
+  for (const value of values) {
+    const wanted = normalize(value);
+    const match = documents.find((doc) =>
+      [doc._id.toString(), ...namesOf(doc)].map(normalize).includes(wanted)
+    );
+    if (match) {
+      ids.push(match._id);
+    } else {
+      unknown.push(value);
+    }
+  }
+
+  return unknown.length > 0 ? { unknown } : { ids };
+};
+
+const REFERENCE_SOURCES = {
+  tier: {
+    label: "tier",
+    load: () => Tier.find().select("name").lean(),
+    names: (tier) => [tier.name?.en, tier.name?.ar],
+  },
+  app_type: {
+    label: "app type",
+    load: () => AppType.find().select("name").lean(),
+    names: (appType) => [appType.name],
+  },
+  service_used: {
+    label: "service",
+    load: () => TriggerServices.find().select("title").lean(),
+    names: (service) => [service.title?.en, service.title?.ar],
+  },
+};
+
+/**
+ * Replace the values of reference predicates with ObjectIds
+ * @returns {Promise<Map|Object>} - Map of predicate => ids, or { error }
+ */
+const resolveFilterReferences = async (predicates) => {
+  const resolved = new Map();
+  const loaded = {};
+
+  for (const predicate of predicates) {
+    const source = REFERENCE_SOURCES[predicate.type];
+    if (!source) continue;
+
+    loaded[predicate.type] = loaded[predicate.type] || (await source.load());
+    const result = resolveReferences(predicate.value, loaded[predicate.type], source.names);
+    if (result.unknown) {
+      return { error: `Unknown ${source.label}: ${result.unknown.join(", ")}` };
+    }
+
+    if (predicate.type === "service_used") {
+      // Transactions reference the criteria of a service, not the service
+      resolved.set(
+        predicate,
+        await PointsCriteria.find({ serviceType: { $in: result.ids } }).distinct("_id")
+      );
+    } else {
+      resolved.set(predicate, result.ids);
+    }
+  }
+
+  return resolved;
+};
+
+const transactionLookup = (as, match, stages) => ({
+  $lookup: {
+    from: Transaction.collection.name,
+    let: { customer: "$_id" },
+    pipeline: [
+      {
+        $match: {
+          $expr: { $eq: ["$customer_id", "$$customer"] },
+          status: { $in: COMPLETED_STATUSES },
+          ...match,
+        },
+      },
+      ...stages,
+    ],
+    as,
+  },
+});
+
+const sinceMatch = (field, period, now) => {
+  const since = periodStart(period, now);
+  return since ? { [field]: { $gte: since } } : {};
+};
+
+/**
+ * Stages that add a computed fact to each customer as `as`
+ */
+const computedStages = (predicate, as, ids, now) => {
+  const period = predicate.period || "all_time";
+
+  switch (predicate.type) {
+    case "lifetime_earned":
+    case "lifetime_burned": {
+      const earned = predicate.type === "lifetime_earned";
+      return [
+        transactionLookup(
+          as,
+          {
+            transaction_type: { $in: earned ? EARN_TYPES : BURN_TYPES },
+            points: earned ? { $gt: 0 } : { $ne: 0 },
+            ...sinceMatch("transaction_date", period, now),
+          },
+          [{ $group: { _id: null, total: { $sum: { $abs: "$points" } } } }]
+        ),
+        { $addFields: { [as]: { $ifNull: [{ $arrayElemAt: [`$${as}.total`, 0] }, 0] } } },
+      ];
+    }
+    case "last_transaction_date":
+      return [
+        transactionLookup(as, {}, [
+          { $sort: { transaction_date: -1 } },
+          { $limit: 1 },
+          { $project: { _id: 0, transaction_date: 1 } },
+        ]),
+        { $addFields: { [as]: { $arrayElemAt: [`$${as}.transaction_date`, 0] } } },
+      ];
+    case "service_used":
+      return [
+        transactionLookup(
+          as,
+          {
+            point_criteria: { $in: ids },
+            ...sinceMatch("transaction_date", period, now),
+          },
+          [{ $limit: 1 }, { $project: { _id: 1 } }]
+        ),
+        { $addFields: { [as]: { $gt: [{ $size: `$${as}` }, 0] } } },
+      ];
+    case "coupon_redemptions": {
+      const since = periodStart(period, now);
+      return [
+        {
+          $lookup: {
+            from: CouponCode.collection.name,
+            let: { customer: "$_id" },
+            pipeline: [
+              { $match: { $expr: { $in: ["$$customer", { $ifNull: ["$usageHistory.customerId", []] }] } } },
+              { $unwind: "$usageHistory" },
+              {
+                $match: {
+                  $expr: { $eq: ["$usageHistory.customerId", "$$customer"] },
+                  ...(since ? { "usageHistory.usedAt": { $gte: since } } : {}),
+                },
+              },
+              { $count: "total" },
+            ],
+            as,
+          },
+        },
+        { $addFields: { [as]: { $ifNull: [{ $arrayElemAt: [`$${as}.total`, 0] }, 0] } } },
+      ];
+    }
+    default:
+      return [];
+  }
+};
+
+const compareNumber = (operator, value) => {
+  switch (operator) {
+    case "eq":
+      return value;
+    case "neq":
+      return { $ne: value };
+    case "between":
+      return { $gte: value[0], $lte: value[1] };
+    default:
+      return { [`$${operator}`]: value };
+  }
+};
+
+const compareDate = (operator, value, now) => {
+  switch (operator) {
+    case "before":
+      return { $lt: new Date(value) };
+    case "after":
+      return { $gt: new Date(value) };
+    case "between":
+      return { $gte: new Date(value[0]), $lte: new Date(value[1]) };
+    case "within_last_days":
+      return { $gte: moment(now).subtract(value, "days").toDate() };
+    // Also matches customers without a date (e.g. never transacted)
+    case "not_within_last_days":
+      return { $not: { $gte: moment(now).subtract(value, "days").toDate() } };
+  }
+};
+
+const compareString = (operator, value) => {
+  switch (operator) {
+    case "eq":
+      return value;
+    case "neq":
+      return { $ne: value };
+    case "in":
+      return { $in: value };
+    case "not_in":
+      return { $nin: value };
+    case "contains":
+      return { $regex: escapeRegex(value), $options: "i" };
+    case "starts_with":
+      return { $regex: `^${escapeRegex(value)}`, $options: "i" };
+  }
+};
+
+/**
+ * Compile a filter node to a $match query
+ */
+const compileNode = (node, context) => {
+  switch (node.type) {
+    case "and":
+      return { $and: node.conditions.map((child) => compileNode(child, context)) };
+    case "or":
+      return { $or: node.conditions.map((child) => compileNode(child, context)) };
+    case "not":
+      return { $nor: [compileNode(node.condition, context)] };
+  }
+
+  const field = SEGMENT_FIELDS[node.type];
+  const path = field.computed ? context.aliases.get(node) : field.path;
+
+  switch (field.kind) {
+    case "string":
+      return { [path]: compareString(node.operator, node.value) };
+    case "enum":
+      return { [path]: node.operator === "in" ? { $in: node.value } : { $nin: node.value } };
+    case "number":
+      return { [path]: compareNumber(node.operator, node.value) };
+    case "date":
+      return { [path]: compareDate(node.operator, node.value, context.now) };
+    case "reference":
+      if (node.type === "service_used") {
+        return { [path]: node.operator === "in" };
+      }
+      return {
+        [path]:
+          node.operator === "in"
+            ? { $in: context.references.get(node) }
+            : { $nin: context.references.get(node) },
+      };
+  }
+};
+
+/**
+ * Compile a validated filter to an aggregation pipeline on customers
+ * Only active customers match. Conditions on customer fields are matched
+ * before any computed fact is looked up.
+ * @param {Object} filter - Filter validated by the segment validator
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Reference time for periods and relative dates
+ * @returns {Promise<Object>} - { pipeline } or { error }
+ */
+const compileSegmentQuery = async (filter, { now = new Date() } = {}) => {
+  const limitError = checkFilterLimits(filter);
+  if (limitError) return { error: limitError };
+
+  const predicates = collectPredicates(filter);
+  const references = await resolveFilterReferences(predicates);
+  if (references.error) return references;
+
+  const aliases = new Map();
+  const lookups = [];
+  let factCount = 0;
+  // Predicates that need the same fact share one lookup
+  const byFact = new Map();
+
+  predicates
+    .filter((predicate) => SEGMENT_FIELDS[predicate.type].computed)
+    .forEach((predicate) => {
+      const fact =
+        predicate.type === "service_used"
+          ? null
+          : `${predicate.type}:${predicate.period || "all_time"}`;
+      if (fact && byFact.has(fact)) {
+        aliases.set(predicate, byFact.get(fact));
+        return;
+      }
+
+      const as = `_segment_fact_${factCount++}`;
+      aliases.set(predicate, as);
+      if (fact) byFact.set(fact, as);
+      lookups.push(...computedStages(predicate, as, references.get(predicate), now));
+    });
+
+  const context = { aliases, references, now };
+  const direct = [];
+  const computed = [];
+
+  // Split a top-level "and" so customer fields narrow the set first
+  const topLevel = filter.type === "and" ? filter.conditions : [filter];
+  topLevel.forEach((node) =>
+    (usesComputedField(node) ? computed : direct).push(compileNode(node, context))
+  );
+
+  const pipeline = [{ $match: { $and: [{ status: true }, ...direct] } }];
+  if (computed.length > 0) {
+    pipeline.push(...lookups, { $match: { $and: computed } });
+    pipeline.push({ $project: Object.fromEntries([...new Set(aliases.values())].map((as) => [as, 0])) });
+  }
+
+  return { pipeline };
+};
+
+/**
+ * Count and sample the customers matching a filter
+ * @param {Object} filter - Filter validated by the segment validator
+ * @param {Object} [options]
+ * @param {number} [options.sampleSize]
+ * @returns {Promise<Object>} - { count, sample } or { error }
+ */
+const previewSegmentQuery = async (filter, { sampleSize = 10 } = {}) => {
+  const compiled = await compileSegmentQuery(filter);
+  if (compiled.error) return compiled;
+
+  const [result] = await Customer.aggregate([
+    ...compiled.pipeline,
+    {
+      $facet: {
+        count: [{ $count: "total" }],
+        sample: [
+          { $sort: { _id: 1 } },
+          { $limit: sampleSize },
+          {
+            $project: {
+              customer_id: 1,
+              name: 1,
+              email: 1,
+              phone: 1,
+              tier: 1,
+              total_points: 1,
+              last_active: 1,
+            },
+          },
+        ],
+      },
+    },
+  ]);
+
+  return {
+    count: result.count.length > 0 ? result.count[0].total : 0,
+    sample: result.sample,
+  };
+};
+
+/**
+ * Fields and operators for building filters in the admin panel
+ * @returns {Array}
+ */
+const describeSegmentFields = () =>
+  Object.entries(SEGMENT_FIELDS).map(([field, definition]) => ({
+    field,
+    kind: definition.kind,
+    operators: FIELD_OPERATORS[definition.kind],
+    ...(definition.values ? { values: definition.values } : {}),
+    ...(definition.period ? { periods: SEGMENT_PERIODS } : {}),
+  }));
+
+module.exports = {
+  SEGMENT_FIELDS,
+  FIELD_OPERATORS,
+  SEGMENT_PERIODS,
+  GROUP_TYPES,
+  periodStart,
+  escapeRegex,
+  compileSegmentQuery,
+  previewSegmentQuery,
+  describeSegmentFields,
+};
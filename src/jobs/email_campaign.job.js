@@ -0,0 +1,381 @@
+const { logger } = require("../middlewares/logger");
+const { addJob } = require("../config/queue");
+const { EMAIL_BATCH_SIZE, EMAIL_MAX_ATTEMPTS } = require("../config/env");
+const EmailCampaign = require("../models/email_campaign_model");
+const EmailDelivery = require("../models/email_delivery_model");
+const Customer = require("../models/customer_model");
+const SegmentMembership = require("../models/segment_membership_model");
+const CustomerActivity = require("../models/customer_activity_model");
+const {
+  renderTemplate,
+  sendMail,
+  isPermanentFailure,
+} = require("../services/email.service");
+const { addEmailTracking } = require("../services/email_tracking.service");
+
+const DISPATCH_JOB_NAME = "dispatch_campaign";
+const SEND_BATCH_JOB_NAME = "send_campaign_batch";
+
+// Customer fields a campaign email is rendered with
+const RECIPIENT_FIELDS = { _id: 1, customer_id: 1, name: 1, email: 1, total_points: 1, coins: 1 };
+
+// Campaign stats counter of each final delivery status
+const STAT_COUNTERS = {
+  sent: { "stats.total_sent": 1 },
+  bounced: { "stats.total_sent": 1, "stats.bounced": 1 },
+  failed: { "stats.failed": 1 },
+};
+
+/**
+ * Customers a campaign may email: active, with an address and, unless the
+ * campaign is transactional, not opted out of email
+ */
+const recipientQuery = (campaign) => ({
+  status: true,
+  email: { $exists: true, $nin: ["", null] },
+  ...(campaign.type !== "transactional" && {
+    "notification_preferences.email": { $ne: false },
+  }),
+});
+
+/**
+ * Recipients of a campaign by audience
+ * @param {Object} campaign - EmailCampaign document
+ * @returns {Cursor|Array} - Customers ({ RECIPIENT_FIELDS })
+ */
+const recipientCursor = (campaign) => {
+  switch (campaign.audience) {
+    case "all":
+      return Customer.find(recipientQuery(campaign)).select(RECIPIENT_FIELDS).lean().cursor();
+    case "segment":
+      if (!campaign.segment) return [];
+      return SegmentMembership.aggregate([
+        { $match: { segment: campaign.segment } },
+        {
+          $lookup: {
+            from: Customer.collection.name,
+            localField: "customer",
+            foreignField: "_id",
+            pipeline: [{ $match: recipientQuery(campaign) }, { $project: RECIPIENT_FIELDS }],
+            as: "customer",
+          },
+        },
+        { $unwind: "$customer" },
+        { $replaceRoot: { newRoot: "$customer" } },
+      ]).cursor();
+    case "specific":
+      return Customer.find({ _id: { $in: campaign.recipients }, ...recipientQuery(campaign) })
+        .select(RECIPIENT_FIELDS)
+        .lean()
+        .cursor();
+  }
+
+  return [];
+};
+
+/**
+ * Subject and body of a campaign email for one customer
+ * Campaign content_variables are available to the template, next to the
+ * customer's own: customer_name, customer_email, customer_id, points_balance
+ * and coins.
+ * @param {Object} campaign - EmailCampaign document
+ * @param {Object} template - EmailTemplate document
+ * @param {Object} customer - Customer ({ RECIPIENT_FIELDS })
+ * @returns {Object} - { subject, html }
+ */
+const renderCampaignEmail = (campaign, template, customer) => {
+  const contentVariables = campaign.content_variables || {};
+  const variables = {
+    ...(contentVariables instanceof Map
+      ? Object.fromEntries(contentVariables)
+      : contentVariables),
+    customer_name: customer.name,
+    customer_email: customer.email,
+    customer_id: customer.customer_id,
+    points_balance: customer.total_points || 0,
+    coins: customer.coins || 0,
+  };
+
+  return {
+    subject: renderTemplate(campaign.subject || template.subject, variables),
+    html: renderTemplate(template.body, variables, { html: true }),
+  };
+};
+
+/**
+ * Queue the dispatch of a campaign that was set to sending
+ * @param {string|ObjectId} campaignId
+ * @returns {Promise<Job>}
+ */
+const queueCampaignDispatch = (campaignId) =>
+  addJob(
+    "email",
+    DISPATCH_JOB_NAME,
+    { campaign_id: campaignId.toString() },
+    {
+      jobId: `email-campaign-${campaignId}`,
+      attempts: 3,
+      backoff: { type: "exponential", delay: 30000 },
+      removeOnComplete: true,
+      removeOnFail: 1000,
+    }
+  );
+
+/**
+ * Start the scheduled campaigns whose date has come
+ * @returns {Promise<Object>} - { started }
+ */
+const queueDueCampaigns = async () => {
+  let started = 0;
+
+  // Claim one at a time so two replicas never start the same campaign
+  for (;;) {
+    const campaign = await EmailCampaign.findOneAndUpdate(
+      { status: "scheduled", scheduled_date: { $lte: new Date() } },
+      { $set: { status: "sending", dispatched_at: null } },
+      { new: true }
+    );
+    if (!campaign) break;
+
+    await queueCampaignDispatch(campaign._id);
+    started += 1;
+  }
+
+  if (started > 0) {
+    logger.info(`Started ${started} scheduled email campaign(s)`);
+  }
+  return { started };
+};
+
+/**
+ * Mark a sending campaign as sent once every recipient was queued and
+ * no email is left to send
+ * @param {ObjectId} campaignId
+ */
+const completeCampaignIfDone = async (campaignId) => {
+  if (await EmailDelivery.exists({ campaign: campaignId, status: "queued" })) {
+    return;
+  }
+
+  const result = await EmailCampaign.updateOne(
+    { _id: campaignId, status: "sending", dispatched_at: { $ne: null } },
+    { $set: { status: "sent", sent_date: new Date() } }
+  );
+  if (result.modifiedCount === 1) {
+    logger.info(`Email campaign ${campaignId} sent`);
+  }
+};
+
+/**
+ * Create the deliveries of a batch of recipients and queue them as one job
+ * Recipients who already have a delivery (a resumed dispatch) are only
+ * queued again while it is still queued.
+ * @returns {Promise<number>} - Deliveries queued
+ */
+const queueRecipientBatch = async (campaign, customers) => {
+  await EmailDelivery.bulkWrite(
+    customers.map((customer) => ({
+      updateOne: {
+        filter: { campaign: campaign._id, customer: customer._id },
+        update: { $setOnInsert: { email: customer.email, status: "queued" } },
+        upsert: true,
+      },
+    })),
+    { ordered: false }
+  );
+
+  const deliveries = await EmailDelivery.find({
+    campaign: campaign._id,
+    customer: { $in: customers.map((customer) => customer._id) },
+    status: "queued",
+  })
+    .select("_id")
+    .sort({ _id: 1 })
+    .lean();
+  if (deliveries.length === 0) return 0;
+
+  await addJob(
+    "email",
+    SEND_BATCH_JOB_NAME,
+    {
+      campaign_id: campaign._id.toString(),
+      delivery_ids: deliveries.map((delivery) => delivery._id.toString()),
+    },
+    {
+      jobId: `email-batch-${campaign._id}-${deliveries[0]._id}`,
+      attempts: EMAIL_MAX_ATTEMPTS,
+      backoff: { type: "exponential", delay: 60000 },
+      removeOnComplete: true,
+      removeOnFail: 1000,
+    }
+  );
+  return deliveries.length;
+};
+
+/**
+ * Create a delivery per recipient of a campaign and queue them in batches
+ * (email queue job)
+ * @param {Object} data - { campaign_id }
+ * @returns {Promise<Object>} - { queued }
+ */
+const dispatchCampaign = async ({ campaign_id }) => {
+  const campaign = await EmailCampaign.findById(campaign_id);
+  if (!campaign || campaign.status !== "sending") return;
+
+  let batch = [];
+  let queued = 0;
+
+  for await (const customer of recipientCursor(campaign)) {
+    batch.push(customer);
+    if (batch.length >= EMAIL_BATCH_SIZE) {
+      queued += await queueRecipientBatch(campaign, batch);
+      batch = [];
+    }
+  }
+  if (batch.length > 0) {
+    queued += await queueRecipientBatch(campaign, batch);
+  }
+
+  await EmailCampaign.updateOne(
+    { _id: campaign._id },
+    {
+      $set: {
+        dispatched_at: new Date(),
+        "stats.recipients": await EmailDelivery.countDocuments({ campaign: campaign._id }),
+      },
+    }
+  );
+  await completeCampaignIfDone(campaign._id);
+
+  logger.info(`Queued ${queued} email(s) of campaign ${campaign._id}`);
+  return { queued };
+};
+
+/**
+ * Record the final status of a delivery and count it in the campaign stats
+ * @param {Object} delivery - EmailDelivery document
+ * @param {string} status - sent, bounced or failed
+ * @param {Object} fields - Delivery fields to set
+ */
+const finishDelivery = async (delivery, status, fields) => {
+  const updated = await EmailDelivery.findOneAndUpdate(
+    { _id: delivery._id, status: "queued" },
+    { $set: { status, ...fields }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+  // Already finished by an earlier run of the batch
+  if (!updated) return;
+
+  await EmailCampaign.updateOne(
+    { _id: delivery.campaign },
+    { $inc: STAT_COUNTERS[status] }
+  );
+  if (status === "sent") {
+    // Base of the customer's email open and click rates
+    await CustomerActivity.updateOne(
+      { customer: delivery.customer._id || delivery.customer },
+      { $inc: { "email.sent": 1 } },
+      { upsert: true }
+    );
+  }
+};
+
+/**
+ * Send one campaign email
+ * @returns {Promise<boolean>} - False if it failed temporarily and should be retried
+ */
+const sendDelivery = async (campaign, delivery, isLastAttempt) => {
+  const customer = delivery.customer;
+  if (!customer || !campaign.template) {
+    await finishDelivery(delivery, "failed", {
+      error: !customer ? "Customer no longer exists" : "Email template not found",
+      failed_at: new Date(),
+    });
+    return true;
+  }
+
+  try {
+    const { subject, html } = renderCampaignEmail(campaign, campaign.template, {
+      ...customer.toObject(),
+      email: delivery.email,
+    });
+    const result = await sendMail({
+      to: delivery.email,
+      subject,
+      html: addEmailTracking(html, delivery._id),
+      headers: {
+        "X-Campaign-Id": campaign._id.toString(),
+        "X-Delivery-Id": delivery._id.toString(),
+      },
+    });
+
+    if (result.rejected.length > 0) {
+      await finishDelivery(delivery, "bounced", {
+        message_id: result.messageId,
+        error: "Recipient rejected by the mail server",
+        failed_at: new Date(),
+      });
+    } else {
+      await finishDelivery(delivery, "sent", {
+        message_id: result.messageId,
+        sent_at: new Date(),
+      });
+    }
+    return true;
+  } catch (error) {
+    if (isPermanentFailure(error) || isLastAttempt) {
+      await finishDelivery(delivery, isPermanentFailure(error) ? "bounced" : "failed", {
+        error: error.message,
+        failed_at: new Date(),
+      });
+      return true;
+    }
+
+    await EmailDelivery.updateOne(
+      { _id: delivery._id },
+      { $inc: { attempts: 1 }, $set: { error: error.message } }
+    );
+    return false;
+  }
+};
+
+/**
+ * Send a batch of campaign emails (email queue job)
+ * Emails that fail temporarily make the job fail, so the queue retries the
+ * batch with backoff; emails already sent are skipped on retry.
+ * @param {Object} data - { campaign_id, delivery_ids }
+ * @param {Object} job - BullMQ job
+ */
+const sendCampaignBatch = async ({ campaign_id, delivery_ids }, job) => {
+  const campaign = await EmailCampaign.findById(campaign_id).populate("template");
+  if (!campaign) return;
+
+  const deliveries = await EmailDelivery.find({
+    _id: { $in: delivery_ids },
+    status: "queued",
+  }).populate("customer", RECIPIENT_FIELDS);
+  const isLastAttempt = !job || job.attemptsMade + 1 >= (job.opts.attempts || 1);
+  let retrying = 0;
+
+  for (const delivery of deliveries) {
+    if (!(await sendDelivery(campaign, delivery, isLastAttempt))) {
+      retrying += 1;
+    }
+  }
+
+  await completeCampaignIfDone(campaign._id);
+
+  if (retrying > 0) {
+    throw new Error(`${retrying} email(s) of campaign ${campaign_id} failed, retrying`);
+  }
+};
+
+module.exports = {
+  DISPATCH_JOB_NAME,
+  SEND_BATCH_JOB_NAME,
+  renderCampaignEmail,
+  queueCampaignDispatch,
+  queueDueCampaigns,
+  dispatchCampaign,
+  sendCampaignBatch,
+};
@@ -0,0 +1,70 @@
+const { logger } = require("../middlewares/logger");
+const Customer = require("../models/customer_model");
+const PointsExpiryReminder = require("../models/points_expiry_reminder_model");
+const {
+  renderTemplate,
+  sendMail,
+  isPermanentFailure,
+} = require("../services/email.service");
+
+const EXPIRY_REMINDER_JOB_NAME = "points_expiry_reminder";
+
+const EXPIRY_REMINDER_BODY = `<p>Hi {{customer_name}},</p>
+<p>{{points}} of your points will expire on {{expiry_date}}.</p>
+<p>Use them before then to keep their value.</p>`;
+
+/**
+ * Email a customer that their points are about to expire (notification queue job)
+ * Customers without an email address or opted out of email are skipped. A
+ * temporary send failure fails the job so the queue retries it.
+ * @param {Object} data - { reminder_id, customer_id, points, expiry_date, title }
+ * @param {Object} job - BullMQ job
+ */
+const sendExpiryReminder = async (
+  { reminder_id, customer_id, points, expiry_date, title },
+  job
+) => {
+  const reminder = await PointsExpiryReminder.findById(reminder_id);
+  if (!reminder || reminder.status === "sent") return;
+
+  const customer = await Customer.findById(customer_id)
+    .select("name email notification_preferences")
+    .lean();
+  if (!customer || !customer.email || customer.notification_preferences?.email === false) {
+    reminder.status = "skipped";
+    await reminder.save();
+    return;
+  }
+
+  const html = renderTemplate(
+    EXPIRY_REMINDER_BODY,
+    {
+      customer_name: customer.name,
+      points,
+      expiry_date: expiry_date.slice(0, 10),
+    },
+    { html: true }
+  );
+
+  try {
+    await sendMail({ to: customer.email, subject: title, html });
+  } catch (error) {
+    const isLastAttempt = !job || job.attemptsMade + 1 >= (job.opts.attempts || 1);
+    if (!isPermanentFailure(error) && !isLastAttempt) throw error;
+
+    reminder.status = "failed";
+    reminder.error = error.message;
+    await reminder.save();
+    logger.warn(`Expiry reminder ${reminder._id} not sent: ${error.message}`);
+    return;
+  }
+
+  reminder.status = "sent";
+  reminder.sent_at = new Date();
+  await reminder.save();
+};
+
+module.exports = {
+  EXPIRY_REMINDER_JOB_NAME,
+  sendExpiryReminder,
+};
@@ -0,0 +1,416 @@
+const { logger } = require("../middlewares/logger");
+const Customer = require("../models/customer_model");
+const LoyaltyPoints = require("../models/loyalty_points_model");
+const Transaction = require("../models/transaction_model");
+const PointsExpirationRules = require("../models/points_expiration_rules_model");
+const PointsExpiryReminder = require("../models/points_expiry_reminder_model");
+const PointsLedgerEntry = require("../models/points_ledger_entry_model");
+const { SafeTransaction } = require("../helpers/transaction");
+const { addJob } = require("../config/queue");
+const { publishEvent } = require("../services/outbox.service");
+const { EXPIRY_REMINDER_JOB_NAME } = require("./notification.job");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BATCH_SIZE = 500;
+const ACTIVITY_TYPES = ["earn", "redeem"];
+
+/**
+ * Expire the free points of one lot with its transaction, balance update and ledger entry
+ * @param {Object} lot - LoyaltyPoints document
+ * @param {Date} now - Run time
+ * @param {string} reason - Note for the expiry transaction
+ * @returns {Promise<number>} - Points expired (0 if the lot was already handled)
+ */
+const expireLot = async (lot, now, reason) => {
+  const transaction = new SafeTransaction();
+  const session = await transaction.start();
+
+  try {
+    // Only one run can flip the lot, so re-runs never expire it twice
+    const expiredLot = await LoyaltyPoints.findOneAndUpdate(
+      { _id: lot._id, status: "active", held_points: { $not: { $gt: 0 } } },
+      { status: "expired" },
+      { session }
+    );
+
+    if (!expiredLot || expiredLot.points <= 0) {
+      await transaction.abort();
+      return 0;
+    }
+
+    const [expiryTransaction] = await Transaction.create(
+      [
+        {
+          customer_id: expiredLot.customer_id,
+          transaction_type: "expire",
+          points: -expiredLot.points,
+          transaction_id: `EXP-${expiredLot._id}`,
+          status: "completed",
+          note: reason,
+          reference_id: expiredLot.transaction_id,
+          transaction_date: now,
+        },
+      ],
+      { session }
+    );
+
+    await Customer.findByIdAndUpdate(
+      expiredLot.customer_id,
+      { $inc: { total_points: -expiredLot.points } },
+      { session }
+    );
+
+    await PointsLedgerEntry.record(
+      {
+        customer_id: expiredLot.customer_id,
+        points: -expiredLot.points,
+        transaction_type: "expire",
+        transaction: expiryTransaction,
+        description: reason,
+      },
+      session
+    );
+
+    await publishEvent(
+      "points.expired",
+      {
+        customer: expiredLot.customer_id,
+        data: {
+          transaction_id: expiryTransaction.transaction_id,
+          points: expiredLot.points,
+          reason,
+        },
+      },
+      session
+    );
+
+    await transaction.commit();
+    return expiredLot.points;
+  } catch (error) {
+    await transaction.abort();
+    throw error;
+  } finally {
+    await transaction.end();
+  }
+};
+
+/**
+ * Date of the last earn/redeem per customer
+ * @returns {Promise<Map>} - customer _id string => Date
+ */
+const getLastActivity = async (customerIds) => {
+  const rows = await Transaction.aggregate([
+    {
+      $match: {
+        customer_id: { $in: customerIds },
+        transaction_type: { $in: ACTIVITY_TYPES },
+        status: { $in: ["completed", "success"] },
+      },
+    },
+    { $group: { _id: "$customer_id", last_activity: { $max: "$createdAt" } } },
+  ]);
+
+  return new Map(rows.map((row) => [row._id.toString(), row.last_activity]));
+};
+
+/**
+ * Stream customers holding points with their inactivity expiry date
+ * (last activity + expiry days for their tier + grace period)
+ * @param {Object} rules - Active PointsExpirationRules
+ * @param {Function} handler - Called with ({ customer, expiresAt }) per customer
+ */
+const forEachInactivityExpiry = async (rules, handler) => {
+  const cursor = Customer.find({ total_points: { $gt: 0 } })
+    .select("_id customer_id tier createdAt")
+    .sort({ _id: 1 })
+    .lean()
+    .cursor();
+
+  const processBatch = async (batch) => {
+    const lastActivity = await getLastActivity(batch.map((c) => c._id));
+    for (const customer of batch) {
+      const since = lastActivity.get(customer._id.toString()) || customer.createdAt;
+      const expiresAt = new Date(
+        since.getTime() +
+          (rules.getExpiryDays(customer.tier) + rules.grace_period) * DAY_MS
+      );
+      await handler({ customer, expiresAt });
+    }
+  };
+
+  let batch = [];
+  for await (const customer of cursor) {
+    batch.push(customer);
+    if (batch.length >= BATCH_SIZE) {
+      await processBatch(batch);
+      batch = [];
+    }
+  }
+  if (batch.length > 0) {
+    await processBatch(batch);
+  }
+};
+
+/**
+ * Expire every lot that is past its expiry date plus grace period
+ * @param {Object} rules - Active PointsExpirationRules
+ * @param {Date} now - Run time
+ * @returns {Promise<Object>} - { lots, points }
+ */
+const expirePoints = async (rules, now) => {
+  const result = { lots: 0, points: 0 };
+
+  const expireLots = async (filter, reason) => {
+    // Lots with points reserved by a checkout hold are picked up once the hold is released
+    const cursor = LoyaltyPoints.find({
+      ...filter,
+      status: "active",
+      held_points: { $not: { $gt: 0 } },
+    })
+      .lean()
+      .cursor();
+
+    for await (const lot of cursor) {
+      try {
+        const points = await expireLot(lot, now, reason);
+        if (points > 0) {
+          result.lots += 1;
+          result.points += points;
+        }
+      } catch (error) {
+        logger.error(`Error expiring points lot ${lot._id}: ${error.message}`, {
+          stack: error.stack,
+        });
+      }
+    }
+  };
+
+  if (rules.expiry_mode === "inactivity") {
+    await forEachInactivityExpiry(rules, async ({ customer, expiresAt }) => {
+      if (expiresAt > now) return;
+      await expireLots(
+        { customer_id: customer._id },
+        `Points expired after inactivity on ${now.toISOString()}`
+      );
+    });
+  } else {
+    const cutoff = new Date(now.getTime() - rules.grace_period * DAY_MS);
+    await expireLots(
+      { expiryDate: { $lt: cutoff } },
+      `Points expired on ${now.toISOString()}`
+    );
+  }
+
+  return result;
+};
+
+/**
+ * Latest reminder stage that is due for an expiry `daysLeft` days away
+ */
+const getDueReminder = (daysLeft, notifications) => {
+  if (daysLeft <= notifications.final_reminder) return "final";
+  if (daysLeft <= notifications.second_reminder) return "second";
+  if (daysLeft <= notifications.first_reminder) return "first";
+  return null;
+};
+
+/**
+ * Record and queue one reminder; a reminder already recorded is skipped
+ * @returns {Promise<boolean>} - Whether a notification was queued
+ */
+const queueReminder = async ({ customer, reminder, expiryDate, points, mode }) => {
+  let record;
+  try {
+    record = await PointsExpiryReminder.create({
+      customer_id: customer._id,
+      reminder,
+      expiry_date: expiryDate,
+      points,
+      expiry_mode: mode,
+    });
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+
+  try {
+    const job = await addJob(
+      "notification",
+      EXPIRY_REMINDER_JOB_NAME,
+      {
+        reminder_id: record._id.toString(),
+        customer_id: customer._id.toString(),
+        reminder,
+        points,
+        expiry_date: expiryDate.toISOString(),
+        title: "Your points are expiring soon",
+        body: `${points} points will expire on ${expiryDate
+          .toISOString()
+          .slice(0, 10)}`,
+      },
+      {
+        jobId: `points-expiry-${record._id}`,
+        attempts: 3,
+        backoff: { type: "exponential", delay: 60000 },
+        removeOnComplete: true,
+        removeOnFail: 1000,
+      }
+    );
+
+    record.status = "queued";
+    record.job_id = job.id;
+    record.queued_at = new Date();
+    await record.save();
+    return true;
+  } catch (error) {
+    // Drop the record so the next run tries again
+    await PointsExpiryReminder.deleteOne({ _id: record._id });
+    throw error;
+  }
+};
+
+/**
+ * Queue the first/second/final reminders for points expiring soon
+ * @param {Object} rules - Active PointsExpirationRules
+ * @param {Date} now - Run time
+ * @returns {Promise<number>} - Number of reminders queued
+ */
+const sendExpiryReminders = async (rules, now) => {
+  const notifications = rules.expiry_notifications;
+  const windowDays = Math.max(
+    notifications.first_reminder,
+    notifications.second_reminder,
+    notifications.final_reminder
+  );
+  const windowEnd = new Date(now.getTime() + windowDays * DAY_MS);
+  let queued = 0;
+
+  const remind = async (customer, expiryDate, points) => {
+    const daysLeft = Math.ceil((expiryDate - now) / DAY_MS);
+    const reminder = getDueReminder(daysLeft, notifications);
+    if (!reminder || points <= 0) return;
+
+    try {
+      if (
+        await queueReminder({
+          customer,
+          reminder,
+          expiryDate,
+          points,
+          mode: rules.expiry_mode,
+        })
+      ) {
+        queued += 1;
+      }
+    } catch (error) {
+      logger.error(
+        `Error queueing ${reminder} expiry reminder for customer ${customer._id}: ${error.message}`,
+        { stack: error.stack }
+      );
+    }
+  };
+
+  if (rules.expiry_mode === "inactivity") {
+    await forEachInactivityExpiry(rules, async ({ customer, expiresAt }) => {
+      if (expiresAt <= now || expiresAt > windowEnd) return;
+
+      const [lots] = await LoyaltyPoints.aggregate([
+        { $match: { customer_id: customer._id, status: "active" } },
+        { $group: { _id: null, points: { $sum: "$points" } } },
+      ]);
+      // Keyed by day so every run of the same inactivity period gets the same record
+      const expiryDay = new Date(expiresAt.toISOString().slice(0, 10));
+      await remind(customer, expiryDay, lots ? lots.points : 0);
+    });
+  } else {
+    const graceMs = rules.grace_period * DAY_MS;
+    const groups = LoyaltyPoints.aggregate([
+      {
+        $match: {
+          status: "active",
+          expiryDate: {
+            $gt: new Date(now.getTime() - graceMs),
+            $lte: new Date(windowEnd.getTime() - graceMs),
+          },
+        },
+      },
+      {
+        $group: {
+          _id: {
+            customer_id: "$customer_id",
+            day: {
+              $dateToString: {
+                format: "%Y-%m-%d",
+                date: { $add: ["$expiryDate", graceMs] },
+              },
+            },
+          },
+          points: { $sum: "$points" },
+        },
+      },
+    ]).cursor({ batchSize: BATCH_SIZE });
+
+    for await (const group of groups) {
+      await remind(
+        { _id: group._id.customer_id },
+        new Date(group._id.day),
+        group.points
+      );
+    }
+  }
+
+  return queued;
+};
+
+/**
+ * Expire due points under the active expiration rules
+ * @param {Date} now - Run time
+ */
+async function expireDuePoints(now = new Date()) {
+  const rules = await PointsExpirationRules.getActiveRules();
+  if (!rules) {
+    logger.info("No active points expiration rules, skipping expiry");
+    return { lots: 0, points: 0 };
+  }
+
+  return expirePoints(rules, now);
+}
+
+/**
+ * Daily expiry engine: queue pre-expiry reminders, then expire due points
+ */
+async function runPointsExpiry() {
+  const now = new Date();
+
+  try {
+    const rules = await PointsExpirationRules.getActiveRules();
+    if (!rules) {
+      logger.info("No active points expiration rules, skipping expiry run");
+      return;
+    }
+
+    logger.info("Starting daily points expiry", {
+      expiry_mode: rules.expiry_mode,
+      grace_period: rules.grace_period,
+    });
+
+    const remindersQueued = await sendExpiryReminders(rules, now);
+    const expired = await expirePoints(rules, now);
+
+    logger.info("Daily points expiry completed", {
+      reminders_queued: remindersQueued,
+      lots_expired: expired.lots,
+      points_expired: expired.points,
+    });
+  } catch (error) {
+    logger.error(`Error in daily points expiry: ${error.message}`, {
+      stack: error.stack,
+    });
+    throw error;
+  }
+}
+
+module.exports = {
+  expireDuePoints,
+  runPointsExpiry,
+};
@@ -0,0 +1,36 @@
+const { logger } = require("../middlewares/logger");
+const PointsHold = require("../models/points_hold_model");
+const { SafeTransaction } = require("../helpers/transaction");
+
+/**
+ * Release authorized points holds that were never captured or voided
+ * Runs every few minutes so held points don't stay blocked past their TTL
+ */
+async function releaseExpiredPointHolds() {
+  const transaction = new SafeTransaction();
+
+  try {
+    await transaction.start();
+    const session = transaction.session;
+
+    const releasedCount = await PointsHold.releaseExpiredHolds({}, session);
+
+    await transaction.commit();
+
+    if (releasedCount > 0) {
+      logger.info(`Released ${releasedCount} expired points holds`);
+    }
+  } catch (error) {
+    await transaction.abort();
+    logger.error(`Error releasing expired points holds: ${error.message}`, {
+      stack: error.stack,
+    });
+    throw error;
+  } finally {
+    await transaction.end();
+  }
+}
+
+module.exports = {
+  releaseExpiredPointHolds,
+};
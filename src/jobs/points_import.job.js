@@ -0,0 +1,462 @@
+const { logger } = require("../middlewares/logger");
+const Customer = require("../models/customer_model");
+const Transaction = require("../models/transaction_model");
+const LoyaltyPoints = require("../models/loyalty_points_model");
+const PointsExpirationRules = require("../models/points_expiration_rules_model");
+const PointsLedgerEntry = require("../models/points_ledger_entry_model");
+const PointsImportBatch = require("../models/points_import_batch_model");
+const PointsImportRow = require("../models/points_import_row_model");
+const { SafeTransaction } = require("../helpers/transaction");
+const { publishEvent } = require("../services/outbox.service");
+const { POINTS_NEGATIVE_BALANCE_LIMIT } = require("../config/env");
+
+const IMPORT_JOB_NAME = "points_import_apply";
+const REVERSE_JOB_NAME = "points_import_reverse";
+const ROW_CHUNK = 200;
+
+const getImportTransactionId = (batchId, rowNumber) =>
+  `IMPORT-${batchId}-${rowNumber}`;
+
+/**
+ * Whether BullMQ will not retry this job after the current attempt
+ */
+const isFinalAttempt = (job) =>
+  !job || job.attemptsMade + 1 >= (job.opts?.attempts || 1);
+
+/**
+ * Credit one import row: transaction, expiring lot, balance, ledger and event
+ * in a single database transaction
+ * @param {Object} batch - PointsImportBatch
+ * @param {Object} row - PointsImportRow with status "valid"
+ * @returns {Promise<boolean>} - False if the row was already handled by another run
+ */
+const applyRow = async (batch, row) => {
+  const transaction = new SafeTransaction();
+  const session = await transaction.start();
+
+  try {
+    const customer = await Customer.findById(row.customer).session(session);
+    if (!customer) {
+      throw new Error(`Customer ${row.customer_id} not found`);
+    }
+    if (customer.status === false) {
+      throw new Error(`Customer ${row.customer_id} is inactive`);
+    }
+
+    const now = new Date();
+    const transactionId = getImportTransactionId(batch._id, row.row_number);
+    const [importTransaction] = await Transaction.create(
+      [
+        {
+          customer_id: customer._id,
+          transaction_type: "adjust",
+          points: row.points,
+          transaction_id: transactionId,
+          status: "completed",
+          note: row.reason,
+          reference_id: row.reference || undefined,
+          metadata: {
+            points_import_batch: batch._id,
+            row_number: row.row_number,
+            reason: row.reason,
+            reference: row.reference,
+          },
+          transaction_date: now,
+        },
+      ],
+      { session }
+    );
+
+    const expiryDate =
+      row.expiry ||
+      (await PointsExpirationRules.calculateExpiryDate(customer.tier, now));
+
+    await LoyaltyPoints.create(
+      [
+        {
+          customer_id: customer._id,
+          points: row.points,
+          expiryDate,
+          transaction_id: importTransaction._id,
+          earnedAt: now,
+          status: "active",
+        },
+      ],
+      { session }
+    );
+
+    const updatedCustomer = await Customer.findByIdAndUpdate(
+      customer._id,
+      { $inc: { total_points: row.points } },
+      { new: true, session }
+    );
+
+    await PointsLedgerEntry.record(
+      {
+        customer_id: customer._id,
+        points: row.points,
+        transaction_type: "adjust",
+        transaction: importTransaction,
+        description: `Points import ${batch._id} row ${row.row_number}: ${row.reason}`,
+      },
+      session
+    );
+
+    await publishEvent(
+      "points.earned",
+      {
+        customer,
+        data: {
+          transaction_id: transactionId,
+          points: row.points,
+          point_balance: updatedCustomer.total_points,
+          reason: row.reason,
+          reference: row.reference,
+          expiry_date: expiryDate,
+        },
+      },
+      session
+    );
+
+    // Only the run that moves the row out of "valid" keeps its writes
+    const marked = await PointsImportRow.updateOne(
+      { _id: row._id, status: "valid" },
+      {
+        $set: {
+          status: "applied",
+          transaction: importTransaction._id,
+          applied_at: now,
+        },
+        $unset: { error: 1 },
+      },
+      { session }
+    );
+    if (marked.modifiedCount !== 1) {
+      await transaction.abort();
+      return false;
+    }
+
+    await PointsImportBatch.updateOne(
+      { _id: batch._id },
+      { $inc: { applied_rows: 1, points_applied: row.points } },
+      { session }
+    );
+
+    await transaction.commit();
+    return true;
+  } catch (error) {
+    await transaction.abort();
+    throw error;
+  } finally {
+    await transaction.end();
+  }
+};
+
+/**
+ * Take back the points of one applied import row. Unspent points come off
+ * the row's lot; spent points go negative on the balance within the limit
+ * and the rest is recorded as unrecovered.
+ * @param {Object} batch - PointsImportBatch
+ * @param {Object} row - PointsImportRow with status "applied"
+ * @returns {Promise<boolean>} - False if the row was already handled by another run
+ */
+const reverseRow = async (batch, row) => {
+  const transaction = new SafeTransaction();
+  const session = await transaction.start();
+
+  try {
+    const customer = await Customer.findById(row.customer).session(session);
+    if (!customer) {
+      throw new Error(`Customer ${row.customer_id} not found`);
+    }
+
+    const lot = await LoyaltyPoints.findOne({
+      transaction_id: row.transaction,
+    }).session(session);
+
+    let lotPointsReversed = 0;
+    if (lot && lot.status === "active") {
+      const freeLotPoints = lot.points - (lot.held_points || 0);
+      lotPointsReversed = Math.max(Math.min(row.points, freeLotPoints), 0);
+
+      if (lotPointsReversed > 0) {
+        const remainingLotPoints = lot.points - lotPointsReversed;
+        await LoyaltyPoints.findByIdAndUpdate(
+          lot._id,
+          remainingLotPoints === 0
+            ? { points: 0, status: "redeemed", redeemedAt: new Date() }
+            : { points: remainingLotPoints },
+          { session }
+        );
+      }
+    }
+
+    const lowestAllowedBalance = -POINTS_NEGATIVE_BALANCE_LIMIT;
+    const maxClawback = Math.max(
+      customer.total_points - lowestAllowedBalance,
+      lotPointsReversed
+    );
+    const pointsClawedBack = Math.min(row.points, maxClawback);
+    const unrecoveredPoints = row.points - pointsClawedBack;
+
+    const updatedCustomer = await Customer.findByIdAndUpdate(
+      customer._id,
+      { $inc: { total_points: -pointsClawedBack } },
+      { new: true, session }
+    );
+
+    const now = new Date();
+    const originalTransactionId = getImportTransactionId(batch._id, row.row_number);
+    const reversalTransactionId = `${originalTransactionId}-REV`;
+    const [reversalTransaction] = await Transaction.create(
+      [
+        {
+          customer_id: customer._id,
+          transaction_type: "adjust",
+          points: -pointsClawedBack,
+          transaction_id: reversalTransactionId,
+          status: "completed",
+          note: `Points import ${batch._id} reversed: ${batch.reversal_reason}`,
+          reference_id: originalTransactionId,
+          metadata: {
+            points_import_batch: batch._id,
+            row_number: row.row_number,
+            original_transaction_id: originalTransactionId,
+            lot_points_reversed: lotPointsReversed,
+            negative_balance_points: pointsClawedBack - lotPointsReversed,
+            unrecovered_points: unrecoveredPoints,
+            reason: batch.reversal_reason,
+          },
+          transaction_date: now,
+        },
+      ],
+      { session }
+    );
+
+    await PointsLedgerEntry.record(
+      {
+        customer_id: customer._id,
+        points: -pointsClawedBack,
+        transaction_type: "adjust",
+        transaction: reversalTransaction,
+        description: `Points import ${batch._id} row ${row.row_number} reversed`,
+      },
+      session
+    );
+
+    await publishEvent(
+      "points.refunded",
+      {
+        customer,
+        data: {
+          transaction_id: reversalTransactionId,
+          original_transaction_id: originalTransactionId,
+          points: pointsClawedBack,
+          point_balance: updatedCustomer.total_points,
+          reason: batch.reversal_reason,
+        },
+      },
+      session
+    );
+
+    const marked = await PointsImportRow.updateOne(
+      { _id: row._id, status: "applied" },
+      {
+        $set: {
+          status: "reversed",
+          reversal_transaction: reversalTransaction._id,
+          unrecovered_points: unrecoveredPoints,
+          reversed_at: now,
+        },
+        $unset: { error: 1 },
+      },
+      { session }
+    );
+    if (marked.modifiedCount !== 1) {
+      await transaction.abort();
+      return false;
+    }
+
+    await PointsImportBatch.updateOne(
+      { _id: batch._id },
+      { $inc: { reversed_rows: 1, points_reversed: pointsClawedBack } },
+      { session }
+    );
+
+    await transaction.commit();
+    return true;
+  } catch (error) {
+    await transaction.abort();
+    throw error;
+  } finally {
+    await transaction.end();
+  }
+};
+
+/**
+ * Apply the valid rows of an approved import batch, one row per database
+ * transaction so a bad row does not hold back the rest. Safe to retry: rows
+ * already applied are no longer "valid" and are skipped.
+ * @param {Object} data - { batch_id }
+ * @param {Object} job - BullMQ job
+ */
+async function applyPointsImportBatch({ batch_id }, job) {
+  const batch = await PointsImportBatch.findOneAndUpdate(
+    { _id: batch_id, status: { $in: ["approved", "processing"] } },
+    { $set: { status: "processing" } },
+    { new: true }
+  );
+  if (!batch) {
+    logger.info(`Skipping points import ${batch_id}, not approved`);
+    return;
+  }
+  if (!batch.started_at) {
+    batch.started_at = new Date();
+    await batch.save();
+  }
+
+  try {
+    let lastRowNumber = 0;
+    for (;;) {
+      const rows = await PointsImportRow.find({
+        batch: batch._id,
+        status: "valid",
+        row_number: { $gt: lastRowNumber },
+      })
+        .sort({ row_number: 1 })
+        .limit(ROW_CHUNK);
+      if (rows.length === 0) break;
+
+      for (const row of rows) {
+        try {
+          await applyRow(batch, row);
+        } catch (error) {
+          logger.error(`Points import ${batch._id} row ${row.row_number} failed`, {
+            error: error.message,
+          });
+          const marked = await PointsImportRow.updateOne(
+            { _id: row._id, status: "valid" },
+            { status: "failed", error: error.message }
+          );
+          if (marked.modifiedCount === 1) {
+            await PointsImportBatch.updateOne(
+              { _id: batch._id },
+              { $inc: { failed_rows: 1 } }
+            );
+          }
+        }
+      }
+
+      lastRowNumber = rows[rows.length - 1].row_number;
+      if (job) {
+        await job.updateProgress({ last_row_number: lastRowNumber });
+      }
+    }
+
+    const finished = await PointsImportBatch.findById(batch._id);
+    finished.status = finished.applied_rows > 0 ? "completed" : "failed";
+    if (finished.applied_rows === 0) {
+      finished.error = "No rows could be applied";
+    }
+    finished.finished_at = new Date();
+    await finished.save();
+
+    logger.info(`Points import ${batch._id} ${finished.status}`, {
+      applied_rows: finished.applied_rows,
+      failed_rows: finished.failed_rows,
+      points_applied: finished.points_applied,
+    });
+  } catch (error) {
+    // Left in "processing" while BullMQ still has retries for it
+    if (isFinalAttempt(job)) {
+      await PointsImportBatch.updateOne(
+        { _id: batch._id },
+        { status: "failed", error: error.message, finished_at: new Date() }
+      );
+    }
+    throw error;
+  }
+}
+
+/**
+ * Reverse every applied row of a batch that is being reversed. Rows that
+ * cannot be reversed keep status "applied" with their error; the batch then
+ * goes back to "completed" so the reversal can be requested again.
+ * @param {Object} data - { batch_id }
+ * @param {Object} job - BullMQ job
+ */
+async function reversePointsImportBatch({ batch_id }, job) {
+  const batch = await PointsImportBatch.findOne({
+    _id: batch_id,
+    status: "reversing",
+  });
+  if (!batch) {
+    logger.info(`Skipping points import reversal ${batch_id}, not reversing`);
+    return;
+  }
+
+  try {
+    let lastRowNumber = 0;
+    let failedRows = 0;
+    for (;;) {
+      const rows = await PointsImportRow.find({
+        batch: batch._id,
+        status: "applied",
+        row_number: { $gt: lastRowNumber },
+      })
+        .sort({ row_number: 1 })
+        .limit(ROW_CHUNK);
+      if (rows.length === 0) break;
+
+      for (const row of rows) {
+        try {
+          await reverseRow(batch, row);
+        } catch (error) {
+          failedRows += 1;
+          logger.error(
+            `Points import ${batch._id} row ${row.row_number} reversal failed`,
+            { error: error.message }
+          );
+          await PointsImportRow.updateOne(
+            { _id: row._id, status: "applied" },
+            { error: error.message }
+          );
+        }
+      }
+
+      lastRowNumber = rows[rows.length - 1].row_number;
+      if (job) {
+        await job.updateProgress({ last_row_number: lastRowNumber });
+      }
+    }
+
+    await PointsImportBatch.updateOne(
+      { _id: batch._id },
+      failedRows === 0
+        ? { status: "reversed", finished_at: new Date(), $unset: { error: 1 } }
+        : {
+            status: "completed",
+            error: `${failedRows} rows could not be reversed`,
+          }
+    );
+
+    logger.info(`Points import ${batch._id} reversal finished`, {
+      failed_rows: failedRows,
+    });
+  } catch (error) {
+    if (isFinalAttempt(job)) {
+      await PointsImportBatch.updateOne(
+        { _id: batch._id },
+        { status: "completed", error: `Reversal failed: ${error.message}` }
+      );
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  IMPORT_JOB_NAME,
+  REVERSE_JOB_NAME,
+  applyPointsImportBatch,
+  reversePointsImportBatch,
+};
@@ -0,0 +1,203 @@
+const { logger } = require("../middlewares/logger");
+const Customer = require("../models/customer_model");
+const Transaction = require("../models/transaction_model");
+const LoyaltyPoints = require("../models/loyalty_points_model");
+const PointsLedgerEntry = require("../models/points_ledger_entry_model");
+const PointsReconciliationRun = require("../models/points_reconciliation_run_model");
+
+const BATCH_SIZE = 500;
+const MAX_STORED_MISMATCHES = 1000;
+
+/**
+ * Sum a numeric field per customer for a batch of customers
+ * @returns {Promise<Map>} - customer _id string => sum
+ */
+const sumByCustomer = async (Model, customerIds, match, field) => {
+  const rows = await Model.aggregate([
+    { $match: { customer_id: { $in: customerIds }, ...match } },
+    { $group: { _id: "$customer_id", total: { $sum: `$${field}` } } },
+  ]);
+
+  return new Map(rows.map((row) => [row._id.toString(), row.total]));
+};
+
+/**
+ * Set a customer's cached total_points to the ledger balance
+ * The ledger is the source of truth, it is never corrected to match the
+ * cache. The ledger balance is read again and the cache only written while
+ * it still holds the balance the batch saw, so a point movement landing
+ * mid-run is not overwritten.
+ * @param {ObjectId} customerId
+ * @param {number|null} cachedBalance - total_points as read by the batch
+ * @returns {Promise<boolean>} - Whether it was repaired
+ */
+const syncCachedBalance = async (customerId, cachedBalance) => {
+  const [ledger] = await PointsLedgerEntry.getWalletBalances({ customer_id: customerId });
+
+  const result = await Customer.updateOne(
+    { _id: customerId, total_points: cachedBalance },
+    { $set: { total_points: ledger?.balance || 0 } }
+  );
+  return result.modifiedCount === 1;
+};
+
+/**
+ * Compare cached balances of one batch of customers to the ledger
+ * @param {Array} customers - Customer documents (_id, total_points)
+ * @param {Object} run - PointsReconciliationRun document
+ */
+const reconcileBatch = async (customers, run) => {
+  const customerIds = customers.map((c) => c._id);
+
+  const [ledgerRows, transactionTotals, lotTotals] = await Promise.all([
+    PointsLedgerEntry.getWalletBalances({ customer_id: { $in: customerIds } }),
+    sumByCustomer(
+      Transaction,
+      customerIds,
+      { status: { $in: ["completed", "success"] } },
+      "points"
+    ),
+    sumByCustomer(LoyaltyPoints, customerIds, { status: "active" }, "points"),
+  ]);
+  const ledgerBalances = new Map(
+    ledgerRows.map((row) => [row._id.toString(), row.balance])
+  );
+
+  for (const customer of customers) {
+    const id = customer._id.toString();
+    const cachedBalance = customer.total_points || 0;
+    const hasLedgerHistory = ledgerBalances.has(id);
+    const ledgerBalance = ledgerBalances.get(id) || 0;
+
+    if (cachedBalance === ledgerBalance) continue;
+
+    const mismatch = {
+      customer_id: customer._id,
+      issue: hasLedgerHistory ? "balance_mismatch" : "missing_ledger_history",
+      cached_balance: cachedBalance,
+      ledger_balance: ledgerBalance,
+      transaction_balance: transactionTotals.get(id) || 0,
+      lot_balance: lotTotals.get(id) || 0,
+      difference: cachedBalance - ledgerBalance,
+      repaired: false,
+    };
+
+    // Balances without ledger history are left to ledger:opening-balances,
+    // syncing them would zero the customer's points
+    if (run.auto_repair && hasLedgerHistory) {
+      mismatch.repaired = await syncCachedBalance(customer._id, customer.total_points ?? null);
+    }
+
+    run.mismatch_count += 1;
+    if (mismatch.repaired) run.repaired_count += 1;
+    if (run.mismatches.length < MAX_STORED_MISMATCHES) {
+      run.mismatches.push(mismatch);
+    }
+  }
+
+  run.customers_checked += customers.length;
+};
+
+/**
+ * Create a reconciliation run record
+ * @param {Object} options - Run options
+ * @param {boolean} options.autoRepair - Repair mismatches while reconciling
+ * @param {ObjectId} options.triggeredBy - Admin who started the run
+ * @returns {Promise<Object>} - The created run
+ */
+async function createReconciliationRun({ autoRepair = false, triggeredBy = null } = {}) {
+  return PointsReconciliationRun.create({
+    auto_repair: autoRepair,
+    triggered_by: triggeredBy,
+  });
+}
+
+/**
+ * Reconcile every customer's cached total_points against the points ledger
+ * @param {Object} run - PointsReconciliationRun document
+ * @returns {Promise<Object>} - The finished run
+ */
+async function executeReconciliationRun(run) {
+  logger.info("Starting points balance reconciliation", {
+    run_id: run._id,
+    auto_repair: run.auto_repair,
+  });
+
+  try {
+    const cursor = Customer.find({})
+      .select("_id total_points")
+      .sort({ _id: 1 })
+      .lean()
+      .cursor();
+
+    let batch = [];
+    for await (const customer of cursor) {
+      batch.push(customer);
+      if (batch.length >= BATCH_SIZE) {
+        await reconcileBatch(batch, run);
+        await run.save();
+        batch = [];
+      }
+    }
+    if (batch.length > 0) {
+      await reconcileBatch(batch, run);
+    }
+
+    run.status = "completed";
+    run.finished_at = new Date();
+    await run.save();
+
+    logger.info("Points balance reconciliation completed", {
+      run_id: run._id,
+      customers_checked: run.customers_checked,
+      mismatch_count: run.mismatch_count,
+      repaired_count: run.repaired_count,
+    });
+    // A mismatch means a point write bypassed the ledger; it needs a look even when repaired
+    if (run.mismatch_count > 0) {
+      logger.error("Cached point balances disagree with the points ledger", {
+        run_id: run._id,
+        mismatch_count: run.mismatch_count,
+        repaired_count: run.repaired_count,
+      });
+    }
+  } catch (error) {
+    run.status = "failed";
+    run.error = error.message;
+    run.finished_at = new Date();
+    await run.save();
+
+    logger.error(`Error in points balance reconciliation: ${error.message}`, {
+      run_id: run._id,
+      stack: error.stack,
+    });
+  }
+
+  return run;
+}
+
+/**
+ * Nightly reconciliation entry point
+ * Throws when the run failed, so the scheduler records the failure.
+ */
+async function reconcilePointBalances(options = {}) {
+  const run = await createReconciliationRun({
+    autoRepair:
+      options.autoRepair !== undefined
+        ? options.autoRepair
+        : process.env.POINTS_RECONCILIATION_AUTO_REPAIR === "true",
+    triggeredBy: options.triggeredBy,
+  });
+
+  await executeReconciliationRun(run);
+  if (run.status === "failed") {
+    throw new Error(`Reconciliation run ${run._id} failed: ${run.error}`);
+  }
+  return run;
+}
+
+module.exports = {
+  createReconciliationRun,
+  executeReconciliationRun,
+  reconcilePointBalances,
+};
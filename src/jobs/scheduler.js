@@ -1,101 +1,298 @@
+const cronParser = require("cron-parser");
 const { logger } = require("../middlewares/logger");
-const { processPointsAndTiers } = require("./tier_downgrade.job");
-
-
-function scheduleDaily(job, hour, minute) {
-  const now = new Date();
-  let scheduledTime = new Date(
-    now.getFullYear(),
-    now.getMonth(),
-    now.getDate(),
-    hour,
-    minute,
-    0
-  );
+const { queues, addJob } = require("../config/queue");
+const ScheduledJobRun = require("../models/scheduled_job_run_model");
+const {
+  SCHEDULER_TIMEZONE,
+  POINTS_EXPIRY_CRON,
+  POINTS_HOLD_RELEASE_CRON,
+  POINTS_RECONCILIATION_CRON,
+  TIER_DOWNGRADE_CRON,
+  SEGMENT_REFRESH_CRON,
+  EMAIL_CAMPAIGN_CRON,
+} = require("../config/env");
+const { startTierDowngradeRun, getRunPeriod } = require("./tier_downgrade.job");
+const { releaseExpiredPointHolds } = require("./points_hold_release.job");
+const { reconcilePointBalances } = require("./points_reconciliation.job");
+const { runPointsExpiry } = require("./points_expiry.job");
+const { queueDueSegmentRefreshes } = require("./segment_refresh.job");
+const { queueDueCampaigns } = require("./email_campaign.job");
 
-  // If the time has already passed today, schedule for tomorrow
-  if (scheduledTime <= now) {
-    scheduledTime.setDate(scheduledTime.getDate() + 1);
-  }
+/**
+ * Cron jobs. They run as BullMQ repeatable jobs on the scheduler queue, so each
+ * occurrence is processed by one replica only, whatever the number of replicas.
+ * catchUp: run the last missed occurrence on startup after downtime.
+ * staleAfterMs: how long a run may stay running before it is taken for dead
+ * (its worker died) and run again; defaults to DEFAULT_STALE_AFTER_MS.
+ */
+const scheduledJobs = [
+  {
+    name: "points_expiry",
+    description: "Queue expiry reminders and expire due points",
+    cron: POINTS_EXPIRY_CRON,
+    catchUp: true,
+    staleAfterMs: 2 * 60 * 60 * 1000,
+    handler: () => runPointsExpiry(),
+  },
+  {
+    name: "points_hold_release",
+    description: "Release uncaptured points holds",
+    cron: POINTS_HOLD_RELEASE_CRON,
+    catchUp: false,
+    handler: () => releaseExpiredPointHolds(),
+  },
+  {
+    name: "points_reconciliation",
+    description: "Reconcile cached point balances against the ledger",
+    cron: POINTS_RECONCILIATION_CRON,
+    catchUp: true,
+    staleAfterMs: 4 * 60 * 60 * 1000,
+    handler: () => reconcilePointBalances(),
+  },
+  {
+    name: "tier_downgrade",
+    description: "Monthly points expiration and tier downgrade",
+    cron: TIER_DOWNGRADE_CRON,
+    catchUp: true,
+    // A late (caught up) run still processes the month it was scheduled for
+    handler: ({ scheduledFor }) =>
+      startTierDowngradeRun({ period: getRunPeriod(scheduledFor) }),
+  },
+  {
+    name: "segment_refresh",
+    description: "Queue refreshes of auto-refreshing segments that are due",
+    cron: SEGMENT_REFRESH_CRON,
+    // Every run queues whatever is due, a missed one needs no catching up
+    catchUp: false,
+    handler: () => queueDueSegmentRefreshes(),
+  },
+  {
+    name: "email_campaigns",
+    description: "Start scheduled email campaigns that are due",
+    cron: EMAIL_CAMPAIGN_CRON,
+    // Every run starts whatever is due, a missed one needs no catching up
+    catchUp: false,
+    handler: () => queueDueCampaigns(),
+  },
+];
 
-  const timeUntilExecution = scheduledTime - now;
+const DEFAULT_STALE_AFTER_MS = 60 * 60 * 1000;
 
-  logger.info(
-    `Scheduling job to run at ${scheduledTime.toLocaleTimeString()} (in ${Math.round(
-      timeUntilExecution / 60000
-    )} minutes)`
-  );
+// Retries of an occurrence whose handler failed
+const RETRY_OPTIONS = {
+  attempts: 3,
+  backoff: { type: "exponential", delay: 5 * 60 * 1000 },
+};
 
-  // Schedule the first execution
-  const timer = setTimeout(async () => {
-    try {
-      await job();
-    } catch (error) {
-      logger.error(`Error executing scheduled job: ${error.message}`, {
-        stack: error.stack,
-      });
-    }
+const getScheduledJob = (name) => scheduledJobs.find((job) => job.name === name);
 
-    // Schedule the job to run again tomorrow
-    scheduleDaily(job, hour, minute);
-  }, timeUntilExecution);
+const getEnabledJobs = () => scheduledJobs.filter((job) => job.cron);
 
-  return timer;
+const getStaleAfterMs = (scheduledJob) => scheduledJob.staleAfterMs || DEFAULT_STALE_AFTER_MS;
+
+/**
+ * Next occurrences of a cron expression
+ * @param {string} cron
+ * @param {number} count
+ * @param {Date} [from]
+ * @returns {Date[]}
+ */
+function getUpcomingRuns(cron, count, from = new Date()) {
+  const interval = cronParser.parseExpression(cron, {
+    currentDate: from,
+    tz: SCHEDULER_TIMEZONE,
+  });
+  return Array.from({ length: count }, () => interval.next().toDate());
 }
 
+/**
+ * Last occurrence of a cron expression at or before `from`
+ * @returns {Date}
+ */
+function getPreviousRun(cron, from = new Date()) {
+  return cronParser
+    .parseExpression(cron, {
+      // prev() is exclusive, so an occurrence exactly at `from` is included
+      currentDate: new Date(from.getTime() + 1000),
+      tz: SCHEDULER_TIMEZONE,
+    })
+    .prev()
+    .toDate();
+}
 
-function scheduleMonthly(job) {
-  const now = new Date();
-  let scheduledTime = new Date(
-    now.getFullYear(),
-    now.getMonth() + 1, // Next month
-    1, // First day of month
-    0, // Midnight (00:00)
-    0,
-    0
+/**
+ * Claim the run record of an occurrence: a new one, or one to retry that
+ * failed or has been running for longer than the job's stale timeout
+ * @returns {Promise<Object|null>} - The run, or null if it completed or is running
+ */
+async function claimRun(scheduledJob, scheduledFor, catchUp) {
+  const staleBefore = new Date(Date.now() - getStaleAfterMs(scheduledJob));
+  const retry = await ScheduledJobRun.findOneAndUpdate(
+    {
+      job_name: scheduledJob.name,
+      scheduled_for: scheduledFor,
+      $or: [{ status: "failed" }, { status: "running", started_at: { $lt: staleBefore } }],
+    },
+    {
+      $set: { status: "running", catch_up: catchUp, started_at: new Date() },
+      $unset: { finished_at: 1, duration_ms: 1, error: 1 },
+      $inc: { attempts: 1 },
+    },
+    { new: true }
   );
+  if (retry) return retry;
+
+  try {
+    return await ScheduledJobRun.create({
+      job_name: scheduledJob.name,
+      scheduled_for: scheduledFor,
+      catch_up: catchUp,
+    });
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+}
 
-  const timeUntilExecution = scheduledTime - now;
+/**
+ * Process one occurrence of a scheduled job from the scheduler queue
+ * A handler error marks the run failed and fails the queue job, so it is
+ * retried with backoff and, once out of attempts, caught up on next startup.
+ * @param {Object} job - BullMQ job
+ */
+async function processScheduledJob(job) {
+  const scheduledJob = getScheduledJob(job.name);
+  if (!scheduledJob) {
+    logger.warn(`Unknown scheduled job ${job.name}`, { job_id: job.id });
+    return;
+  }
 
-  logger.info(
-    `Scheduling monthly job to run at ${scheduledTime.toLocaleString()} (in ${Math.round(
-      timeUntilExecution / 3600000
-    )} hours)`
-  );
+  // Repeatable jobs carry the cron time they were created for in prevMillis
+  const scheduledFor = job.data.scheduled_for
+    ? new Date(job.data.scheduled_for)
+    : new Date(job.opts.prevMillis || job.timestamp + (job.opts.delay || 0));
+  scheduledFor.setSeconds(0, 0);
 
-  // Schedule the first execution
-  const timer = setTimeout(async () => {
-    try {
-      await job();
-    } catch (error) {
-      logger.error(`Error executing monthly scheduled job: ${error.message}`, {
-        stack: error.stack,
-      });
-    }
+  const run = await claimRun(scheduledJob, scheduledFor, Boolean(job.data.catch_up));
+  if (!run) {
+    logger.info(
+      `Scheduled job ${scheduledJob.name} for ${scheduledFor.toISOString()} already ran or is running`
+    );
+    return;
+  }
+
+  let failure = null;
+  try {
+    await scheduledJob.handler({ scheduledFor });
 
-    // Schedule the job to run again next month
-    scheduleMonthly(job);
-  }, timeUntilExecution);
+    run.status = "completed";
+  } catch (error) {
+    logger.error(`Error executing scheduled job ${scheduledJob.name}: ${error.message}`, {
+      stack: error.stack,
+    });
+    run.status = "failed";
+    run.error = error.message;
+    failure = error;
+  }
 
-  return timer;
+  run.finished_at = new Date();
+  run.duration_ms = run.finished_at - run.started_at;
+  await run.save();
+
+  if (failure) throw failure;
 }
 
-function scheduleNow(job) {
-  job();
+/**
+ * Register the repeatable jobs, replacing ones whose cron changed or that were disabled
+ */
+async function registerRepeatableJobs() {
+  const enabledJobs = getEnabledJobs();
+  const existing = await queues.scheduler.getRepeatableJobs();
+
+  for (const repeatable of existing) {
+    const scheduledJob = enabledJobs.find((job) => job.name === repeatable.name);
+    if (
+      !scheduledJob ||
+      repeatable.pattern !== scheduledJob.cron ||
+      repeatable.tz !== SCHEDULER_TIMEZONE
+    ) {
+      await queues.scheduler.removeRepeatableByKey(repeatable.key);
+      logger.info(`Removed repeatable job ${repeatable.name} (${repeatable.pattern})`);
+    }
+  }
+
+  for (const scheduledJob of enabledJobs) {
+    // Same name and pattern always give the same repeat key, so replicas share one schedule
+    await addJob(
+      "scheduler",
+      scheduledJob.name,
+      {},
+      {
+        repeat: { pattern: scheduledJob.cron, tz: SCHEDULER_TIMEZONE },
+        ...RETRY_OPTIONS,
+        removeOnComplete: 100,
+        removeOnFail: 100,
+      }
+    );
+    logger.info(
+      `Scheduled ${scheduledJob.name} with cron "${scheduledJob.cron}" (${SCHEDULER_TIMEZONE})`
+    );
+  }
 }
 
+/**
+ * Queue the last occurrence of each catch-up job if it never ran or failed,
+ * e.g. the service was down or restarting when it was due
+ */
+async function catchUpMissedRuns(now = new Date()) {
+  for (const scheduledJob of getEnabledJobs().filter((job) => job.catchUp)) {
+    const scheduledFor = getPreviousRun(scheduledJob.cron, now);
+
+    const lastRun = await ScheduledJobRun.findOne({
+      job_name: scheduledJob.name,
+      scheduled_for: scheduledFor,
+    })
+      .select("status attempts started_at")
+      .lean();
+    if (lastRun?.status === "completed") continue;
+
+    // Don't catch up an occurrence from before the job was ever scheduled here
+    const everRan = await ScheduledJobRun.exists({ job_name: scheduledJob.name });
+    if (!everRan) continue;
+
+    // A run left running (its worker may have died with the last process) is
+    // caught up once it goes stale; claimRun skips it if it finished by then
+    const delay =
+      lastRun?.status === "running"
+        ? Math.max(lastRun.started_at.getTime() + getStaleAfterMs(scheduledJob) - now.getTime(), 0)
+        : 0;
 
-function initializeScheduledJobs() {
+    logger.warn(
+      `Missed run of ${scheduledJob.name} at ${scheduledFor.toISOString()}, catching up`,
+      { delay_ms: delay }
+    );
+    await addJob(
+      "scheduler",
+      scheduledJob.name,
+      { scheduled_for: scheduledFor.toISOString(), catch_up: true },
+      {
+        // Replicas starting together queue the catch-up once, per attempt of the run
+        jobId: `catch-up-${scheduledJob.name}-${scheduledFor.getTime()}-${lastRun?.attempts || 0}`,
+        delay,
+        ...RETRY_OPTIONS,
+        removeOnComplete: 100,
+        removeOnFail: 100,
+      }
+    );
+  }
+}
+
+async function initializeScheduledJobs() {
   try {
     logger.info("Initializing scheduled jobs");
 
-    // Schedule expired points processing to run at 1:00 AM daily
-
-    // Schedule points expiration and tier downgrade to run at midnight on first day of each month
-    // scheduleMonthly(processPointsAndTiers);
-    // scheduleDaily(processPointsAndTiers, 1, 0);
-    // scheduleNow(processPointsAndTiers);
-    // Add more scheduled jobs here as needed
+    await registerRepeatableJobs();
+    await catchUpMissedRuns();
 
     logger.info("All jobs scheduled successfully");
   } catch (error) {
@@ -106,5 +303,8 @@ function initializeScheduledJobs() {
 }
 
 module.exports = {
+  scheduledJobs,
+  getUpcomingRuns,
+  processScheduledJob,
   initializeScheduledJobs,
 };
@@ -0,0 +1,365 @@
+const crypto = require("crypto");
+const { logger } = require("../middlewares/logger");
+const { addJob } = require("../config/queue");
+const { SafeTransaction } = require("../helpers/transaction");
+const CustomerSegment = require("../models/customer_segment_model");
+const SegmentMembership = require("../models/segment_membership_model");
+const SegmentMembershipHistory = require("../models/segment_membership_history_model");
+const OutboxEvent = require("../models/outbox_event_model");
+const {
+  getEligibleCustomers,
+  getCustomerMetadata,
+} = require("../helpers/segment_eligibility");
+
+const REFRESH_JOB_NAME = "refresh_segment";
+const BATCH_SIZE = 500;
+
+// Time between automatic refreshes, by auto_refresh.frequency
+const REFRESH_INTERVALS_MS = {
+  hourly: 60 * 60 * 1000,
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Queue a refresh of a segment on the segmentRefresh queue
+ * The job id is per segment, so the queue holds one refresh of a segment at a
+ * time and drops the job of a request made while one is waiting or running.
+ * The request is flagged as refresh_pending instead: a waiting refresh clears
+ * it when it starts, a running one runs again when it finishes. A request
+ * made as a refresh finishes is left to the segment_refresh cron.
+ * @param {string|ObjectId} segmentId
+ * @param {string} trigger - scheduled, manual, created or updated
+ * @returns {Promise<Job>}
+ */
+const queueSegmentRefresh = async (segmentId, trigger) => {
+  await CustomerSegment.updateOne({ _id: segmentId }, { $set: { refresh_pending: trigger } });
+
+  const job = await addJob(
+    "segmentRefresh",
+    REFRESH_JOB_NAME,
+    { segment_id: segmentId.toString(), trigger },
+    {
+      jobId: `segment-refresh-${segmentId}`,
+      attempts: 3,
+      backoff: { type: "exponential", delay: 30000 },
+      removeOnComplete: true,
+      removeOnFail: true,
+    }
+  );
+
+  await CustomerSegment.updateOne(
+    { _id: segmentId, "last_refresh.status": { $ne: "running" } },
+    { $set: { "last_refresh.status": "queued", "last_refresh.trigger": trigger } }
+  );
+
+  return job;
+};
+
+/**
+ * Queue a refresh of every auto-refreshing segment that is due
+ * A segment is due once its frequency has passed since its last refresh, or
+ * while a requested refresh is still pending.
+ * @returns {Promise<Object>} - { queued }
+ */
+const queueDueSegmentRefreshes = async () => {
+  const now = Date.now();
+  const segments = await CustomerSegment.find({
+    status: "active",
+    $or: [{ "auto_refresh.enabled": true }, { refresh_pending: { $ne: null } }],
+  })
+    .select("auto_refresh last_refreshed refresh_pending")
+    .lean();
+
+  const due = segments.filter((segment) => {
+    if (segment.refresh_pending || !segment.last_refreshed) return true;
+    const interval =
+      REFRESH_INTERVALS_MS[segment.auto_refresh.frequency] || REFRESH_INTERVALS_MS.daily;
+    return segment.last_refreshed.getTime() + interval <= now;
+  });
+
+  for (const segment of due) {
+    await queueSegmentRefresh(segment._id, segment.refresh_pending || "scheduled");
+  }
+
+  logger.info(`Queued ${due.length} due segment refresh(es)`);
+  return { queued: due.length };
+};
+
+/**
+ * Record membership changes as history and outbox events, so campaigns can
+ * trigger on a customer entering or leaving a segment
+ * @param {Object} segment - CustomerSegment document
+ * @param {Array<ObjectId>} customerIds
+ * @param {string} change - entered or exited
+ * @param {Object} refresh - { id, at }
+ * @param {Object} session - Mongoose session
+ */
+const recordChanges = async (segment, customerIds, change, refresh, session) => {
+  if (customerIds.length === 0) return;
+
+  await SegmentMembershipHistory.bulkWrite(
+    customerIds.map((customer) => ({
+      updateOne: {
+        filter: { segment: segment._id, customer, refresh_id: refresh.id },
+        update: { $setOnInsert: { change, occurred_at: refresh.at } },
+        upsert: true,
+      },
+    })),
+    { session, ordered: false }
+  );
+
+  await OutboxEvent.record(
+    customerIds.map((customer) => ({
+      event_id: `segment.${change}-${segment._id}-${customer}-${refresh.id}`,
+      event_type: `segment.${change}`,
+      customer,
+      data: {
+        segment_id: segment._id.toString(),
+        segment_name: segment.name,
+        refresh_id: refresh.id,
+      },
+    })),
+    session
+  );
+};
+
+/**
+ * Mark a batch of eligible customers as members of this refresh
+ * @returns {Promise<number>} - Customers who entered the segment
+ */
+const applyEligibleBatch = async (segment, customers, refresh) => {
+  const transaction = new SafeTransaction();
+  const session = await transaction.start();
+
+  try {
+    const result = await SegmentMembership.bulkWrite(
+      customers.map((customer) => ({
+        updateOne: {
+          filter: { segment: segment._id, customer: customer._id },
+          update: {
+            $set: { last_refresh_id: refresh.id },
+            $setOnInsert: {
+              added_at: refresh.at,
+              metadata: getCustomerMetadata(customer, segment),
+            },
+          },
+          upsert: true,
+        },
+      })),
+      { session, ordered: true }
+    );
+
+    // Upserted means the customer was not a member before
+    const entered = Object.keys(result.upsertedIds || {}).map(
+      (index) => customers[index]._id
+    );
+    await recordChanges(segment, entered, "entered", refresh, session);
+
+    await transaction.commit();
+    return entered.length;
+  } catch (error) {
+    await transaction.abort();
+    throw error;
+  } finally {
+    await transaction.end();
+  }
+};
+
+/**
+ * Remove a batch of members this refresh did not find eligible
+ * @returns {Promise<number>} - Customers who exited the segment
+ */
+const applyExitedBatch = async (segment, memberships, refresh) => {
+  const transaction = new SafeTransaction();
+  const session = await transaction.start();
+
+  try {
+    await recordChanges(
+      segment,
+      memberships.map((membership) => membership.customer),
+      "exited",
+      refresh,
+      session
+    );
+    await SegmentMembership.deleteMany(
+      { _id: { $in: memberships.map((membership) => membership._id) } },
+      { session }
+    );
+
+    await transaction.commit();
+    return memberships.length;
+  } catch (error) {
+    await transaction.abort();
+    throw error;
+  } finally {
+    await transaction.end();
+  }
+};
+
+/**
+ * Feed a cursor (or array) to a batch handler
+ * @returns {Promise<number>} - Sum of the handler results
+ */
+const inBatches = async (source, handler) => {
+  let batch = [];
+  let total = 0;
+
+  for await (const item of source) {
+    batch.push(item);
+    if (batch.length >= BATCH_SIZE) {
+      total += await handler(batch);
+      batch = [];
+    }
+  }
+  if (batch.length > 0) {
+    total += await handler(batch);
+  }
+
+  return total;
+};
+
+/**
+ * Recalculate the members of a segment
+ * Eligible customers are streamed and marked with the refresh id; members
+ * left unmarked afterwards have exited. Only the changes are written, each
+ * with a history row and a segment.entered / segment.exited event.
+ * @param {string} segment_id
+ * @param {string} trigger
+ * @returns {Promise<Object>} - { entered, exited, total }
+ */
+const runSegmentRefresh = async (segment_id, trigger) => {
+  // Read and clear the pending request at once: this refresh covers it
+  const segment = await CustomerSegment.findByIdAndUpdate(
+    segment_id,
+    { $set: { refresh_pending: null } },
+    { new: true }
+  );
+  if (!segment) {
+    logger.warn(`Segment ${segment_id} no longer exists, refresh skipped`);
+    return;
+  }
+
+  // Skip processing if segment is not active
+  if (segment.status !== "active") {
+    await CustomerSegment.updateOne(
+      { _id: segment._id },
+      { $unset: { "last_refresh.status": "" } }
+    );
+    return;
+  }
+
+  // Custom segments saved before the filter language only hold a raw query,
+  // which is no longer run; keep their members rather than empty the segment
+  if (segment.type === "custom" && !segment.criteria?.custom?.filter) {
+    logger.warn(`Custom segment ${segment._id} has no filter, refresh skipped`);
+    await CustomerSegment.updateOne(
+      { _id: segment._id },
+      {
+        $set: {
+          last_refresh: {
+            status: "failed",
+            trigger,
+            finished_at: new Date(),
+            error: "Custom segment has no filter; rebuild its criteria.custom.filter",
+          },
+        },
+      }
+    );
+    return;
+  }
+
+  const refresh = { id: crypto.randomUUID(), at: new Date() };
+  await CustomerSegment.updateOne(
+    { _id: segment._id },
+    {
+      $set: {
+        last_refresh: { status: "running", trigger, started_at: refresh.at },
+      },
+    }
+  );
+
+  try {
+    const entered = await inBatches(await getEligibleCustomers(segment), (customers) =>
+      applyEligibleBatch(segment, customers, refresh)
+    );
+
+    const unmarked = SegmentMembership.find({
+      segment: segment._id,
+      last_refresh_id: { $ne: refresh.id },
+    })
+      .select("_id customer")
+      .lean()
+      .cursor();
+    const exited = await inBatches(unmarked, (memberships) =>
+      applyExitedBatch(segment, memberships, refresh)
+    );
+
+    const total = await SegmentMembership.countDocuments({ segment: segment._id });
+    await CustomerSegment.updateOne(
+      { _id: segment._id },
+      {
+        $set: {
+          customer_count: total,
+          last_refreshed: refresh.at,
+          last_refresh: {
+            status: "completed",
+            trigger,
+            entered,
+            exited,
+            started_at: refresh.at,
+            finished_at: new Date(),
+          },
+        },
+      }
+    );
+
+    logger.info(
+      `Processed segment ${segment._id}: Added ${entered}, Removed ${exited}, Total ${total}`
+    );
+    return { entered, exited, total };
+  } catch (error) {
+    logger.error(`Error processing segment ${segment._id}: ${error.message}`);
+    await CustomerSegment.updateOne(
+      { _id: segment._id },
+      {
+        $set: {
+          "last_refresh.status": "failed",
+          "last_refresh.finished_at": new Date(),
+          "last_refresh.error": error.message,
+        },
+      }
+    );
+    throw error;
+  }
+};
+
+/**
+ * Refresh a segment (segmentRefresh queue job)
+ * Refreshes requested while it ran were not queued, so it runs again until
+ * none is pending.
+ * @param {Object} data - { segment_id, trigger }
+ * @returns {Promise<Object>} - { entered, exited, total } of the last run
+ */
+const refreshSegmentMembership = async ({ segment_id, trigger = "manual" }) => {
+  let result = await runSegmentRefresh(segment_id, trigger);
+
+  for (;;) {
+    const pending = await CustomerSegment.findOneAndUpdate(
+      { _id: segment_id, refresh_pending: { $ne: null } },
+      { $set: { refresh_pending: null } }
+    )
+      .select("refresh_pending")
+      .lean();
+    if (!pending) return result;
+
+    result = await runSegmentRefresh(segment_id, pending.refresh_pending);
+  }
+};
+
+module.exports = {
+  REFRESH_JOB_NAME,
+  queueSegmentRefresh,
+  queueDueSegmentRefreshes,
+  refreshSegmentMembership,
+};
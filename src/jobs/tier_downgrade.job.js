@@ -1,11 +1,22 @@
+const moment = require("moment-timezone");
 const { logger } = require("../middlewares/logger");
 const Customer = require("../models/customer_model");
-const LoyaltyPoints = require("../models/loyalty_points_model");
 const Transaction = require("../models/transaction_model");
 const Tier = require("../models/tier_model");
 const TierEligibilityCriteria = require("../models/tier_eligibility_criteria_model");
 const AppType = require("../models/app_type_model");
+const TierDowngradeRun = require("../models/tier_downgrade_run_model");
 const { SafeTransaction } = require("../helpers/transaction");
+const { addJob } = require("../config/queue");
+const { publishEvent } = require("../services/outbox.service");
+const {
+  TIER_DOWNGRADE_BATCH_SIZE,
+  SCHEDULER_TIMEZONE,
+} = require("../config/env");
+const { expireDuePoints } = require("./points_expiry.job");
+
+const MAX_STORED_FAILURES = 500;
+const BATCH_JOB_NAME = "tier_downgrade_batch";
 
 /**
  * Check if customer meets tier eligibility criteria for tier retention
@@ -160,229 +171,368 @@ const checkTierRetentionEligibility = async (customer, tier, session) => {
 };
 
 /**
- * Process expired points and handle tier downgrades
- * Runs at midnight on the first day of each month
+ * Month a run belongs to in the scheduler timezone, e.g. "2026-10"
+ * @param {Date} date
+ * @returns {string}
  */
-async function processPointsAndTiers() {
-  const transaction = new SafeTransaction();
-
-  try {
-    await transaction.start();
-    const session = transaction.session;
+const getRunPeriod = (date = new Date()) =>
+  moment(date).tz(SCHEDULER_TIMEZONE).format("YYYY-MM");
 
-    logger.info(
-      "Starting monthly points expiration and tier downgrade process"
-    );
-
-    // 1. Find all expired points (status: active and expiryDate < now)
-    const now = new Date();
-    const expiredPoints = await LoyaltyPoints.find({
-      status: "active",
-      expiryDate: { $lt: now },
-    }).session(session);
+/**
+ * Marker transaction id of a downgrade, one per customer per period, so a
+ * resumed or re-run month never downgrades the same customer twice
+ */
+const getDowngradeTransactionId = (period, customerId) =>
+  `TIER-DOWN-${period}-${customerId}`;
 
-    logger.info(`Found ${expiredPoints.length} expired point records`);
+/**
+ * Queue the next batch of a run, starting after its checkpoint
+ * @param {Object} run - TierDowngradeRun document
+ */
+const queueNextBatch = async (run) =>
+  addJob(
+    "points",
+    BATCH_JOB_NAME,
+    { run_id: run._id.toString(), attempt: run.attempt },
+    {
+      // Same checkpoint and attempt always give the same job
+      jobId: `tier-downgrade-${run._id}-${run.attempt}-${run.last_customer_id || "start"}`,
+      attempts: 3,
+      backoff: { type: "exponential", delay: 30000 },
+      removeOnComplete: true,
+    }
+  );
 
-    // Process each expired points record
-    for (const pointRecord of expiredPoints) {
-      try {
-        // Mark points as expired
-        await LoyaltyPoints.findByIdAndUpdate(
-          pointRecord._id,
-          { status: "expired" },
-          { session }
-        );
+/**
+ * Decide the tier a customer should move to
+ * @returns {Promise<Object|null>} - New (lower) tier, or null to retain
+ */
+const findDowngradeTier = async (customer, tiers, bronzeTier, session) => {
+  const currentTier = customer.tier;
+
+  // Check if customer meets retention criteria for current tier
+  const meetsRetentionCriteria = await checkTierRetentionEligibility(
+    customer,
+    currentTier,
+    session
+  );
+  if (meetsRetentionCriteria) return null;
+
+  // Find the highest lower tier the customer is eligible for, default to bronze
+  let newTier = bronzeTier;
+  for (const tier of tiers) {
+    if (tier._id.toString() === currentTier._id.toString()) continue; // Skip current tier
+    if (tier.hierarchy_level < currentTier.hierarchy_level) {
+      const meetsNewTierCriteria = await checkTierRetentionEligibility(
+        customer,
+        tier,
+        session
+      );
+      if (meetsNewTierCriteria) {
+        newTier = tier;
+        break; // Take the first (highest) tier they qualify for
+      }
+    }
+  }
 
-        // Create expiration transaction
-        await Transaction.create(
-          [
-            {
-              customer_id: pointRecord.customer_id,
-              transaction_type: "expire",
-              points: -pointRecord.points,
-              transaction_id: `EXP-${Date.now()}-${pointRecord.customer_id}`,
-              status: "completed",
-              note: `Points expired on ${now.toISOString()}`,
-              reference_id: pointRecord.transaction_id,
-              transaction_date: now,
-            },
-          ],
-          { session }
-        );
-        console.log("expiry transaction created", Transaction);
+  // Only downgrade if the new tier is actually lower
+  return newTier.hierarchy_level < currentTier.hierarchy_level ? newTier : null;
+};
 
-        // Update customer's total points
-        await Customer.findByIdAndUpdate(
-          pointRecord.customer_id,
-          { $inc: { total_points: -pointRecord.points } },
-          { session }
-        );
+/**
+ * Process one batch of customers of a run inside a single transaction.
+ * The run checkpoint and counters are updated in the same transaction, so
+ * a batch is either fully applied and checkpointed or not at all.
+ * @param {Object} data - { run_id, attempt } from the points queue job
+ * @param {Object} job - BullMQ job
+ */
+async function processTierDowngradeBatch({ run_id, attempt }, job) {
+  const run = await TierDowngradeRun.findById(run_id);
+  if (!run || run.status !== "running" || run.attempt !== attempt) {
+    logger.info(`Skipping stale tier downgrade batch for run ${run_id}`);
+    return;
+  }
 
-        logger.info(
-          `Processed expiration for customer ${pointRecord.customer_id}: ${pointRecord.points} points`
-        );
-      } catch (error) {
-        logger.error(
-          `Error processing expired points for record ${pointRecord._id}:`,
-          error
-        );
-        // Continue with next record
-        continue;
-      }
-    }
+  const tiers = await Tier.find({}).sort({ hierarchy_level: -1 });
+  const bronzeTier =
+    tiers.find((t) => t.hierarchy_level === 0) || tiers[tiers.length - 1]; // Lowest tier
 
-    // 2. Process tier downgrades using dynamic eligibility criteria
-    // Get all tiers ordered by hierarchy_level (highest to lowest)
-    const tiers = await Tier.find({})
-      .sort({ hierarchy_level: -1 })
-      .session(session);
+  if (!bronzeTier) {
+    run.status = "failed";
+    run.error = "Bronze/Base tier not found";
+    run.finished_at = new Date();
+    await run.save();
+    return;
+  }
 
-    const bronzeTier =
-      tiers.find((t) => t.hierarchy_level === 0) || tiers[tiers.length - 1]; // Lowest tier
+  // Customers in tiers above bronze, after the checkpoint
+  const filter = { tier: { $ne: bronzeTier._id } };
+  if (run.last_customer_id) {
+    filter._id = { $gt: run.last_customer_id };
+  }
 
-    if (!bronzeTier) {
-      throw new Error("Bronze/Base tier not found");
-    }
+  const customers = await Customer.find(filter)
+    .sort({ _id: 1 })
+    .limit(run.batch_size)
+    .populate("tier");
+
+  if (customers.length === 0) {
+    run.status = "completed";
+    run.finished_at = new Date();
+    await run.save();
+    logger.info(`Tier downgrade run ${run.period} completed`, {
+      run_id: run._id,
+      customers_processed: run.customers_processed,
+      customers_downgraded: run.customers_downgraded,
+    });
+    return;
+  }
 
-    // Find customers in tiers above bronze (excluding bronze tier)
-    const customersToCheck = await Customer.find({
-      tier: { $ne: bronzeTier._id },
-    })
-      .populate("tier")
-      .session(session);
+  const transaction = new SafeTransaction();
+  const session = await transaction.start();
+  const now = new Date();
+  const counts = { downgraded: 0, retained: 0, skipped: 0, failed: 0 };
+  const failures = [];
 
-    logger.info(
-      `Processing tier downgrades for ${customersToCheck.length} customers in elevated tiers`
+  try {
+    const alreadyDowngraded = new Set(
+      (
+        await Transaction.find({
+          transaction_id: {
+            $in: customers.map((c) => getDowngradeTransactionId(run.period, c._id)),
+          },
+        })
+          .select("customer_id")
+          .session(session)
+      ).map((t) => t.customer_id.toString())
     );
 
-    for (const customer of customersToCheck) {
+    for (const customer of customers) {
+      if (alreadyDowngraded.has(customer._id.toString())) {
+        counts.skipped += 1;
+        continue;
+      }
+
+      let newTier;
       try {
-        const currentTier = customer.tier;
+        newTier = await findDowngradeTier(customer, tiers, bronzeTier, session);
+      } catch (error) {
+        counts.failed += 1;
+        failures.push({ customer_id: customer._id, error: error.message, at: now });
+        continue;
+      }
 
-        // Check if customer meets retention criteria for current tier
-        const meetsRetentionCriteria = await checkTierRetentionEligibility(
-          customer,
-          currentTier,
-          session
-        );
+      if (!newTier) {
+        counts.retained += 1;
+        continue;
+      }
 
-        if (!meetsRetentionCriteria) {
-          // Find the appropriate tier to downgrade to
-          let newTier = bronzeTier; // Default to bronze
-
-          // Find the highest tier the customer is eligible for
-          for (const tier of tiers) {
-            if (tier._id.toString() === currentTier._id.toString()) continue; // Skip current tier
-            // Check both hierarchy level and points requirement
-            if (tier.hierarchy_level < currentTier.hierarchy_level) {
-              const meetsNewTierCriteria = await checkTierRetentionEligibility(
-                customer,
-                tier,
-                session
-              );
-              if (meetsNewTierCriteria) {
-                newTier = tier;
-                break; // Take the first (highest) tier they qualify for
-              }
-            }
-          }
+      const currentTier = customer.tier;
+      await Customer.updateOne(
+        { _id: customer._id },
+        { tier: newTier._id },
+        { session }
+      );
 
-          // Only downgrade if the new tier is actually lower
-          if (newTier.hierarchy_level < currentTier.hierarchy_level) {
-            await Customer.findByIdAndUpdate(
-              customer._id,
-              { tier: newTier._id },
-              { session }
-            );
-
-            // Log the downgrade with details
-            logger.info(
-              `Downgraded customer ${customer._id} from ${
-                currentTier.name?.en || currentTier.name
-              } to ${newTier.name?.en || newTier.name}`,
-              {
-                customerId: customer._id,
-                fromTier: currentTier.name?.en || currentTier.name,
-                toTier: newTier.name?.en || newTier.name,
-                totalPoints: customer.total_points,
-                reason: "Failed to meet tier retention criteria",
-              }
-            );
-
-            // Create audit transaction for tier change
-            await Transaction.create(
-              [
-                {
-                  customer_id: customer._id,
-                  transaction_type: "tier_downgrade",
-                  points: 0,
-                  transaction_id: `TIER-DOWN-${Date.now()}-${customer._id}`,
-                  status: "completed",
-                  note: `Tier downgraded from ${
-                    currentTier.name?.en || currentTier.name
-                  } to ${
-                    newTier.name?.en || newTier.name
-                  } due to insufficient activity`,
-                  metadata: {
-                    previous_tier: currentTier.name?.en || currentTier.name,
-                    new_tier: newTier.name?.en || newTier.name,
-                    total_points: customer.total_points,
-                    downgrade_reason: "tier_retention_criteria_not_met",
-                  },
-                  transaction_date: now,
-                },
-              ],
-              { session }
-            );
-          } else {
-            logger.info(
-              `Customer ${customer._id} retains ${
-                currentTier.name?.en || currentTier.name
-              } tier (no lower eligible tier found)`,
-              {
-                customerId: customer._id,
-                currentTier: currentTier.name?.en || currentTier.name,
-                totalPoints: customer.total_points,
-              }
-            );
-          }
-        } else {
-          logger.debug(
-            `Customer ${customer._id} retains ${
+      // Create audit transaction for tier change
+      await Transaction.create(
+        [
+          {
+            customer_id: customer._id,
+            transaction_type: "tier_downgrade",
+            points: 0,
+            transaction_id: getDowngradeTransactionId(run.period, customer._id),
+            status: "completed",
+            note: `Tier downgraded from ${
               currentTier.name?.en || currentTier.name
-            } tier (meets retention criteria)`,
-            {
-              customerId: customer._id,
-              tier: currentTier.name?.en || currentTier.name,
-              totalPoints: customer.total_points,
-            }
-          );
-        }
-      } catch (error) {
-        logger.error(
-          `Error processing tier downgrade for customer ${customer._id}:`,
-          error
-        );
-        // Continue with next customer
-        continue;
-      }
+            } to ${
+              newTier.name?.en || newTier.name
+            } due to insufficient activity`,
+            metadata: {
+              previous_tier: currentTier.name?.en || currentTier.name,
+              new_tier: newTier.name?.en || newTier.name,
+              total_points: customer.total_points,
+              downgrade_reason: "tier_retention_criteria_not_met",
+              tier_downgrade_run: run._id,
+            },
+            transaction_date: now,
+          },
+        ],
+        { session }
+      );
+      await publishEvent(
+        "tier.downgraded",
+        {
+          customer,
+          data: {
+            transaction_id: getDowngradeTransactionId(run.period, customer._id),
+            previous_tier: currentTier.name?.en || currentTier.name,
+            new_tier: newTier.name?.en || newTier.name,
+            period: run.period,
+          },
+        },
+        session
+      );
+      counts.downgraded += 1;
+
+      logger.info(
+        `Downgraded customer ${customer._id} from ${
+          currentTier.name?.en || currentTier.name
+        } to ${newTier.name?.en || newTier.name}`,
+        { run_id: run._id, period: run.period }
+      );
     }
 
-    await transaction.commit();
-    logger.info(
-      "Successfully completed monthly points expiration and tier downgrade process"
+    // Checkpoint only moves if no other job advanced it meanwhile
+    const lastCustomerId = customers[customers.length - 1]._id;
+    const checkpoint = await TierDowngradeRun.updateOne(
+      {
+        _id: run._id,
+        attempt: run.attempt,
+        last_customer_id: run.last_customer_id,
+      },
+      {
+        $set: { last_customer_id: lastCustomerId },
+        $inc: {
+          batches_processed: 1,
+          customers_processed: customers.length,
+          customers_downgraded: counts.downgraded,
+          customers_retained: counts.retained,
+          customers_skipped: counts.skipped,
+          customers_failed: counts.failed,
+        },
+        $push: {
+          failures: { $each: failures, $slice: -MAX_STORED_FAILURES },
+        },
+      },
+      { session }
     );
+
+    if (checkpoint.modifiedCount !== 1) {
+      await transaction.abort();
+      logger.warn(`Tier downgrade run ${run._id} checkpoint moved, dropping batch`);
+      return;
+    }
+
+    await transaction.commit();
+    run.last_customer_id = lastCustomerId;
   } catch (error) {
     await transaction.abort();
-    logger.error(
-      "Error in monthly points expiration and tier downgrade process:",
-      error
-    );
+
+    // Out of retries: leave the run resumable from its last checkpoint
+    if (!job || job.attemptsMade + 1 >= (job.opts.attempts || 1)) {
+      await TierDowngradeRun.updateOne(
+        { _id: run._id, attempt: run.attempt },
+        { status: "failed", error: error.message, finished_at: new Date() }
+      );
+    }
+    throw error;
   } finally {
     await transaction.end();
   }
+
+  await queueNextBatch(run);
+}
+
+/**
+ * Start (or re-run) the tier downgrade run of a month
+ * Due points are expired first, then customers are queued in batches.
+ * @param {Object} options
+ * @param {string} [options.period] - YYYY-MM, defaults to the current month
+ * @param {ObjectId} [options.triggeredBy] - Admin who started the run
+ * @param {boolean} [options.rerun] - Process a completed month again from the start
+ * @returns {Promise<Object>} - The run
+ */
+async function startTierDowngradeRun({
+  period = getRunPeriod(),
+  triggeredBy = null,
+  rerun = false,
+} = {}) {
+  let run = await TierDowngradeRun.findOne({ period });
+
+  if (run && run.status === "running") {
+    logger.info(`Tier downgrade run ${period} is already running`);
+    return run;
+  }
+  if (run && run.status === "completed" && !rerun) {
+    logger.info(`Tier downgrade run ${period} already completed`);
+    return run;
+  }
+
+  if (run && run.status === "failed" && !rerun) {
+    return resumeTierDowngradeRun(run._id);
+  }
+
+  if (run) {
+    // Re-run: start over; customers downgraded earlier this period are skipped
+    run.set({
+      status: "running",
+      attempt: run.attempt + 1,
+      triggered_by: triggeredBy,
+      batch_size: TIER_DOWNGRADE_BATCH_SIZE,
+      last_customer_id: null,
+      batches_processed: 0,
+      customers_processed: 0,
+      customers_downgraded: 0,
+      customers_retained: 0,
+      customers_skipped: 0,
+      customers_failed: 0,
+      failures: [],
+      started_at: new Date(),
+      finished_at: null,
+      error: null,
+    });
+    await run.save();
+  } else {
+    run = await TierDowngradeRun.create({
+      period,
+      triggered_by: triggeredBy,
+      batch_size: TIER_DOWNGRADE_BATCH_SIZE,
+    });
+  }
+
+  logger.info(`Starting tier downgrade run ${period}`, { run_id: run._id });
+
+  // Expire due points with the same engine as the daily expiry run
+  const expired = await expireDuePoints(new Date());
+  await TierDowngradeRun.updateOne(
+    { _id: run._id },
+    { $inc: { lots_expired: expired.lots, points_expired: expired.points } }
+  );
+
+  await queueNextBatch(run);
+  return run;
+}
+
+/**
+ * Continue a failed or stuck run from its last checkpoint
+ * @param {ObjectId} runId
+ * @returns {Promise<Object|null>} - The run, or null if not found
+ */
+async function resumeTierDowngradeRun(runId) {
+  const run = await TierDowngradeRun.findOneAndUpdate(
+    { _id: runId, status: { $in: ["failed", "running"] } },
+    {
+      $set: { status: "running", error: null, finished_at: null },
+      $inc: { attempt: 1 },
+    },
+    { new: true }
+  );
+
+  if (!run) return null;
+
+  logger.info(`Resuming tier downgrade run ${run.period}`, {
+    run_id: run._id,
+    last_customer_id: run.last_customer_id,
+  });
+  await queueNextBatch(run);
+  return run;
 }
 
 module.exports = {
-  processPointsAndTiers,
+  BATCH_JOB_NAME,
+  getRunPeriod,
+  processTierDowngradeBatch,
+  startTierDowngradeRun,
+  resumeTierDowngradeRun,
 };
@@ -0,0 +1,107 @@
+const { initializeWorkers } = require("../config/queue");
+const { logger } = require("../middlewares/logger");
+const {
+  BATCH_JOB_NAME,
+  processTierDowngradeBatch,
+} = require("./tier_downgrade.job");
+const { processScheduledJob } = require("./scheduler");
+const {
+  IMPORT_JOB_NAME,
+  REVERSE_JOB_NAME,
+  applyPointsImportBatch,
+  reversePointsImportBatch,
+} = require("./points_import.job");
+const {
+  DELIVERY_JOB_NAME,
+  FAN_OUT_JOB_NAME,
+  processWebhookDelivery,
+  fanOutEvent,
+} = require("../services/webhook.service");
+const { relayOutboxEvents } = require("../services/outbox.service");
+const {
+  REFRESH_JOB_NAME,
+  refreshSegmentMembership,
+} = require("./segment_refresh.job");
+const {
+  DISPATCH_JOB_NAME,
+  SEND_BATCH_JOB_NAME,
+  dispatchCampaign,
+  sendCampaignBatch,
+} = require("./email_campaign.job");
+const {
+  EXPIRY_REMINDER_JOB_NAME,
+  sendExpiryReminder,
+} = require("./notification.job");
+
+// Handlers for the jobs on the points queue, by job name
+const pointsJobHandlers = {
+  [BATCH_JOB_NAME]: processTierDowngradeBatch,
+  [IMPORT_JOB_NAME]: applyPointsImportBatch,
+  [REVERSE_JOB_NAME]: reversePointsImportBatch,
+};
+
+// Handlers for the jobs on the webhook queue, by job name
+const webhookJobHandlers = {
+  [FAN_OUT_JOB_NAME]: fanOutEvent,
+  [DELIVERY_JOB_NAME]: processWebhookDelivery,
+};
+
+// Handlers for the jobs on the email queue, by job name
+const emailJobHandlers = {
+  [DISPATCH_JOB_NAME]: dispatchCampaign,
+  [SEND_BATCH_JOB_NAME]: sendCampaignBatch,
+};
+
+// Handlers for the jobs on the notification queue, by job name
+const notificationJobHandlers = {
+  [EXPIRY_REMINDER_JOB_NAME]: sendExpiryReminder,
+};
+
+// Handlers for the jobs on the segmentRefresh queue, by job name
+const segmentRefreshJobHandlers = {
+  [REFRESH_JOB_NAME]: refreshSegmentMembership,
+};
+
+/**
+ * Processor that dispatches the jobs of a queue to their handler by job name
+ * @param {string} queueName - For logging
+ * @param {Object} handlers - Job name => handler(data, job)
+ * @returns {Function} - BullMQ processor
+ */
+const dispatchByName = (queueName, handlers) => async (job) => {
+  const handler = handlers[job.name];
+  if (!handler) {
+    logger.warn(`No handler for ${queueName} job ${job.name}`, {
+      job_id: job.id,
+    });
+    return;
+  }
+
+  return handler(job.data, job);
+};
+
+/**
+ * Start the queue workers of this process
+ * @returns {Object} - Workers by queue name, for shutdown
+ */
+const startWorkers = () =>
+  initializeWorkers({
+    points: dispatchByName("points", pointsJobHandlers),
+    scheduler: processScheduledJob,
+    webhook: dispatchByName("webhook", webhookJobHandlers),
+    email: { processor: dispatchByName("email", emailJobHandlers), concurrency: 2 },
+    notification: {
+      processor: dispatchByName("notification", notificationJobHandlers),
+      concurrency: 2,
+    },
+    segmentRefresh: {
+      processor: dispatchByName("segmentRefresh", segmentRefreshJobHandlers),
+      concurrency: 2,
+    },
+    // One relay at a time; concurrent runs would only contend for the same events
+    outbox: { processor: () => relayOutboxEvents(), concurrency: 1 },
+  });
+
+module.exports = {
+  startWorkers,
+};
@@ -2,6 +2,12 @@ const response_handler = require("../../helpers/response_handler");
 const { protect } = require("./protect");
 const { logger } = require("../logger");
 const Role = require("../../models/role_model");
+const pathToRegexp = require("path-to-regexp");
+const {
+    PERMISSIONS,
+    METHOD_ACTIONS,
+    getEffectivePermissions,
+} = require("../../config/permissions");
 
 /**
  * Middleware to check if the user is authenticated
@@ -128,6 +134,95 @@ const authorizePermission = (requiredPermissions = []) => {
     };
 };
 
+/**
+ * Middleware to authorize an admin route against the permission registry
+ * (config/permissions.js). Mounted per module in config/routes.js.
+ *
+ * Usage examples:
+ * - requirePermission("points:import") - Every request needs points:import
+ * - requirePermission("tier") - Action from the HTTP method: GET tier:view,
+ *   POST tier:create, PUT/PATCH tier:update, DELETE tier:delete
+ * - requirePermission("points", { "POST /adjust": "adjust", "GET /mine": null })
+ *   - Overrides by method and path (relative to the mount point, Express
+ *   params allowed). The value is an action of the resource, a full
+ *   "resource:action", or null for any logged-in admin.
+ *
+ * Sets req.permissions to the admin's effective permissions.
+ *
+ * @param {String} permissionOrResource - "resource:action" or "resource"
+ * @param {Object} overrides - "METHOD /path" => action
+ */
+const requirePermission = (permissionOrResource, overrides = {}) => {
+    const [resource, fixedAction] = permissionOrResource.split(":");
+
+    const resolvePermission = (action) =>
+        action.includes(":") ? action : `${resource}:${action}`;
+
+    const routes = Object.entries(overrides).map(([route, action]) => {
+        const [method, path] = route.split(" ");
+        return {
+            method,
+            regexp: pathToRegexp(path, [], { end: true }),
+            permission: action === null ? null : resolvePermission(action),
+        };
+    });
+
+    // Typos would otherwise lock everyone but Super Admin out of the route
+    const unknown = [
+        ...(fixedAction ? [permissionOrResource] : []),
+        ...routes.map((route) => route.permission).filter(Boolean),
+    ].filter((permission) => !PERMISSIONS.includes(permission));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown permission(s): ${unknown.join(", ")}`);
+    }
+
+    const permissionFor = (req) => {
+        const override = routes.find(
+            (route) => route.method === req.method && route.regexp.test(req.path)
+        );
+        if (override) return override.permission;
+        if (fixedAction) return permissionOrResource;
+
+        const action = METHOD_ACTIONS[req.method];
+        const permission = action && `${resource}:${action}`;
+        return PERMISSIONS.includes(permission) ? permission : undefined;
+    };
+
+    return async (req, res, next) => {
+        try {
+            return protect(req, res, async () => {
+                try {
+                    const role = req.admin.role
+                        ? await Role.findById(req.admin.role)
+                        : null;
+                    req.permissions = getEffectivePermissions(role);
+
+                    const permission = permissionFor(req);
+                    if (permission === null) {
+                        return next();
+                    }
+
+                    if (!permission || !req.permissions.includes(permission)) {
+                        logger.warn(`Admin ${req.admin._id} lacks permission ${permission || `${resource}:${METHOD_ACTIONS[req.method] || req.method}`}`, {
+                            role: role ? role.name : null,
+                            path: req.originalUrl,
+                        });
+                        return response_handler(res, 403, "Access denied. Insufficient privileges for this operation.");
+                    }
+
+                    return next();
+                } catch (error) {
+                    logger.error(`Error checking admin permissions: ${error.message}`);
+                    return response_handler(res, 500, "Internal server error while checking permissions");
+                }
+            });
+        } catch (error) {
+            logger.error(`Authorization error: ${error.message}`, { stack: error.stack });
+            return response_handler(res, 500, `Internal Server Error: ${error.message}`);
+        }
+    };
+};
+
 /**
  * Shorthand middleware to check if the user is an admin
  * This is equivalent to authorizePermission("ADMIN")
@@ -139,5 +234,6 @@ const isAdmin = async (req, res, next) => {
 module.exports = {
     isAuthenticated,
     isAdmin,
-    authorizePermission
+    authorizePermission,
+    requirePermission
 }; 
\ No newline at end of file
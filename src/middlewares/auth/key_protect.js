@@ -1,13 +1,19 @@
+const crypto = require("crypto");
 const response_handler = require("../../helpers/response_handler");
 
+/**
+ * Protects the admin panel routes with the shared API_KEY.
+ * SDK routes authenticate with per-client SDK access keys instead (see sdk_auth).
+ */
 const key_protect = async (req, res, next) => {
   try {
     //? Check for API key in both possible header formats
     const apiKey = req.headers["api-key"] || req.headers["x-api-key"];
+    const expectedApiKey = process.env.API_KEY;
 
-    // Use development API key if no environment variable is set
-    const expectedApiKey = process.env.API_KEY || "dev-api-key-2024";
-
+    if (!expectedApiKey) {
+      return response_handler(res, 500, "API key is not configured.");
+    }
 
     if (!apiKey) {
       return response_handler(
@@ -17,16 +23,13 @@ const key_protect = async (req, res, next) => {
       );
     }
 
-    if (apiKey !== expectedApiKey) {
-      return response_handler(
-        res,
-        401,
-        `Invalid API key. Expected: ${expectedApiKey.substring(0, 8)}...`
-      );
+    // Compare hashes so the check takes the same time whatever the input
+    const provided = crypto.createHash("sha256").update(String(apiKey)).digest();
+    const expected = crypto.createHash("sha256").update(expectedApiKey).digest();
+    if (!crypto.timingSafeEqual(provided, expected)) {
+      return response_handler(res, 401, "Invalid API key.");
     }
 
-    // Log successful authentication
-    console.log("✅ API Key validated successfully");
     next();
   } catch (error) {
     return response_handler(
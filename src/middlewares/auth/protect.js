@@ -2,6 +2,7 @@ const jwt = require("jsonwebtoken");
 const response_handler = require("../../helpers/response_handler");
 const Admin = require("../../models/admin_model");
 const key_protect = require("./key_protect");
+const { getSession, touchSession } = require("../../services/admin_session.service");
 
 
 const protect = async (req, res, next) => {
@@ -20,6 +21,13 @@ const protect = async (req, res, next) => {
       const decoded = jwt.verify(jwtToken, process.env.JWT_SECRET);
       req.admin_id = decoded.admin_id;
 
+      //? The token's session must still be active (logout/revocation)
+      const session = decoded.sid ? await getSession(decoded.sid) : null;
+      if (!session || session.admin_id !== String(decoded.admin_id)) {
+        return response_handler(res, 401, "Session has expired or was revoked.");
+      }
+      req.session_id = decoded.sid;
+
       //? Find the user in the database
       const admin = await Admin.findById(req.admin_id);
       if (!admin) {
@@ -27,6 +35,7 @@ const protect = async (req, res, next) => {
       }
 
       req.admin = admin;
+      touchSession(session, req.ip);
       next();
     } catch (error) {
       if (error.name === "JsonWebTokenError") {
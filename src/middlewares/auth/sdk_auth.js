@@ -2,10 +2,15 @@ const response_handler = require("../../helpers/response_handler");
 const { logger } = require("../../middlewares/logger");
 const SDKAccessKey = require("../../models/sdk_access_key_model");
 const Customer = require("../../models/customer_model");
+const sdkRateLimit = require("../sdk_rate_limit");
+const { verifySdkSignature } = require("../sdk_signature");
 
 /**
  * Middleware to authenticate SDK access keys
- * This middleware validates the access key and attaches client information to the request
+ * This middleware validates the access key and attaches client information to the request.
+ * Keys are scoped to an app type: requested_by defaults to it and must match it if sent.
+ * Signed requests are verified (and must be signed if the key requires it), then
+ * the key's rate limits are enforced before the route runs.
  * @param {Array} requiredPermissions - Array of permissions required for this route
  * @returns {Function} - Express middleware
  */
@@ -19,50 +24,74 @@ const sdkAuth = (requiredPermissions = []) => {
             }
 
             // Check for access key in headers
-            const accessKey = req.headers["sdk-api-key"] || req.headers["x-access-key"] || req.headers["access-key"];
+            const accessKey = req.headers["sdk-api-key"] || req.headers["x-access-key"] || req.headers["access-key"]
+                || req.headers["api-key"] || req.headers["x-api-key"];
             if (!accessKey) {
                 logger.warn("SDK API request without access key");
                 return response_handler(res, 401, "Access key is required for SDK API access");
             }
 
             // Find the access key in the database
-            const keyData = await SDKAccessKey.findOne({ key: accessKey });
-            if (!keyData) {
-                logger.warn(`Invalid SDK access key attempt: ${accessKey.substring(0, 8)}...`);
+            const match = await SDKAccessKey.findByKey(accessKey);
+            if (!match) {
+                logger.warn("Invalid SDK access key attempt");
                 return response_handler(res, 401, "Invalid access key");
             }
+            const { keyData, rotated } = match;
 
             // Check if the key is active
-            if (keyData.status !== "active") {
-                logger.warn(`Attempt to use revoked SDK key: ${keyData.name}`);
+            if (!keyData.isValid()) {
+                logger.warn(`Attempt to use ${keyData.status} SDK key: ${keyData.key_prefix}...`);
                 return response_handler(res, 401, "This SDK key has been revoked/inactive");
             }
 
-            // Check if the key has expired
-            // if (keyData.expiresAt && new Date(keyData.expiresAt) < new Date()) {
-            //     logger.warn(`Attempt to use expired SDK key: ${keyData.name}`);
-            //     return response_handler(res, 401, "This SDK key has expired");
-            // }
+            // Verify the HMAC request signature (required or sent)
+            const signatureCheck = await verifySdkSignature(req, keyData);
+            if (!signatureCheck.valid) {
+                return response_handler(res, 401, signatureCheck.reason);
+            }
 
             // Check permissions if required
-            if (requiredPermissions.length > 0 && keyData.permissions) {
-                const hasAllPermissions = requiredPermissions.every(perm =>
-                    keyData.permissions.includes(perm)
-                );
+            const missingPermissions = requiredPermissions.filter(perm => !keyData.hasPermission(perm));
+            if (missingPermissions.length > 0) {
+                logger.warn(`SDK key ${keyData.key_prefix}... missing required permissions: ${missingPermissions.join(', ')}`);
+                return response_handler(res, 403, "This SDK key does not have the required permissions");
+            }
 
-                if (!hasAllPermissions) {
-                    logger.warn(`SDK key ${keyData.name} missing required permissions: ${requiredPermissions.join(', ')}`);
-                    return response_handler(res, 403, "This SDK key does not have the required permissions");
+            // Scope the request to the key's app type
+            const appTypeName = keyData.app_type && keyData.app_type.name;
+            if (!appTypeName) {
+                logger.warn(`SDK key ${keyData.key_prefix}... has no app type`);
+                return response_handler(res, 403, "This SDK key is not linked to an app type");
+            }
+            if (req.body && typeof req.body === "object") {
+                if (req.body.requested_by && req.body.requested_by !== appTypeName) {
+                    logger.warn(`SDK key ${keyData.key_prefix}... used for app type ${req.body.requested_by}`);
+                    return response_handler(res, 403, `This SDK key can only be used for ${appTypeName}`);
                 }
+                req.body.requested_by = appTypeName;
+            }
+
+            // The replaced key still works during the rotation overlap window
+            if (rotated) {
+                res.set("X-SDK-Key-Expires", keyData.previous_key_expires_at.toISOString());
+                logger.info(`SDK key ${keyData.key_prefix}... used with its previous key during rotation`);
             }
 
             // Attach SDK key data to the request
             req.sdkKey = keyData;
 
-            // Log the access
-            logger.info(`SDK API access: ${keyData.name} (${keyData.clientId})`);
+            // Enforce the key's rate limits; only accepted requests count as usage
+            return sdkRateLimit(req, res, () => {
+                keyData.updateUsage().catch(error =>
+                    logger.error(`Error updating SDK key usage: ${error.message}`)
+                );
+
+                // Log the access
+                logger.info(`SDK API access: ${keyData.name || keyData.key_prefix} (${appTypeName})`);
 
-            next();
+                next();
+            });
         } catch (error) {
             logger.error(`SDK authentication error: ${error.message}`);
             return response_handler(res, 500, "Authentication error");
@@ -72,19 +101,19 @@ const sdkAuth = (requiredPermissions = []) => {
 
 /**
  * Middleware to check SDK permissions
- * @param {String} permission - The permission to check (user_data, transactions, points, redemptions)
+ * @param {String} permission - The permission to check (see SDKAccessKey.PERMISSIONS)
  */
 const sdkPermission = (permission) => {
     return async (req, res, next) => {
         try {
-            // Check if client information is attached to the request
-            if (!req.sdkClient) {
+            // Check if key information is attached to the request
+            if (!req.sdkKey) {
                 return response_handler(res, 401, "SDK authentication required");
             }
 
-            // Check if the client has the required permission
-            if (!req.sdkClient.permissions[permission]) {
-                logger.warn(`SDK client ${req.sdkClient.name} attempted to access ${permission} without permission`);
+            // Check if the key has the required permission
+            if (!req.sdkKey.hasPermission(permission)) {
+                logger.warn(`SDK key ${req.sdkKey.key_prefix}... attempted to access ${permission} without permission`);
                 return response_handler(res, 403, `Access denied. Your SDK key doesn't have permission for ${permission}`);
             }
 
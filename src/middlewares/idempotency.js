@@ -0,0 +1,188 @@
+/**
+ * Idempotency Middleware
+ * Replays the stored response when a client retries a request with the same Idempotency-Key
+ */
+
+const crypto = require("crypto");
+const response_handler = require("../helpers/response_handler");
+const IdempotencyKey = require("../models/idempotency_key_model");
+const {
+  IDEMPOTENCY_KEY_TTL_HOURS,
+  IDEMPOTENCY_LOCK_TIMEOUT_SECONDS,
+} = require("../config/env");
+const { logger } = require("./logger");
+
+/**
+ * Serialize a value with sorted object keys so equal payloads hash the same
+ * @param {any} value - Value to serialize
+ * @returns {string} - Deterministic JSON string
+ */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+  if (value && typeof value === "object" && !(value instanceof Date)) {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+};
+
+const hashRequestBody = (body) =>
+  crypto
+    .createHash("sha256")
+    .update(stableStringify(body || {}))
+    .digest("hex");
+
+/**
+ * Idempotency middleware factory
+ * Must be mounted after `validate` so the hash is taken over the normalized body.
+ * @param {Object} options - Configuration options
+ * @param {boolean} options.required - Reject requests without an Idempotency-Key header
+ * @param {number} options.ttlHours - How long a key can be replayed
+ * @param {number} options.lockTimeoutSeconds - How long a key stays locked by a request
+ *   that never answered before a retry may take it over
+ * @returns {Function} Express middleware
+ */
+const idempotency = (options = {}) => {
+  const required = options.required || false;
+  const ttlHours = options.ttlHours || IDEMPOTENCY_KEY_TTL_HOURS;
+  const lockTimeoutMs =
+    (options.lockTimeoutSeconds || IDEMPOTENCY_LOCK_TIMEOUT_SECONDS) * 1000;
+
+  return async (req, res, next) => {
+    const key = req.headers["idempotency-key"];
+
+    if (!key) {
+      if (required) {
+        return response_handler(res, 400, "Idempotency-Key header is required");
+      }
+      return next();
+    }
+
+    if (key.length > 255) {
+      return response_handler(
+        res,
+        400,
+        "Idempotency-Key must be at most 255 characters"
+      );
+    }
+
+    // Keys are per SDK access key, so two apps can't replay each other's responses
+    const route = `${req.method} ${req.baseUrl}${req.path}`;
+    const scope = req.sdkKey ? `${req.sdkKey._id} ${route}` : route;
+    const requestHash = hashRequestBody(req.body);
+
+    try {
+      const existing = await IdempotencyKey.findOne({ key, scope });
+      let record = null;
+
+      if (existing && existing.expires_at > new Date()) {
+        if (existing.request_hash !== requestHash) {
+          return response_handler(
+            res,
+            409,
+            "Idempotency-Key has already been used with a different request payload"
+          );
+        }
+
+        if (existing.status === "processing") {
+          // Keys from before locked_at existed count from their creation
+          const lockedAt = existing.locked_at || existing.createdAt;
+          if (lockedAt.getTime() + lockTimeoutMs > Date.now()) {
+            return response_handler(
+              res,
+              409,
+              "A request with this Idempotency-Key is still being processed"
+            );
+          }
+
+          // The request holding the lock crashed or was dropped: take it over,
+          // unless a concurrent retry or the late response got there first
+          record = await IdempotencyKey.findOneAndUpdate(
+            { _id: existing._id, status: "processing", locked_at: existing.locked_at ?? null },
+            { $set: { locked_at: new Date() } },
+            { new: true }
+          );
+          if (!record) {
+            return response_handler(
+              res,
+              409,
+              "A request with this Idempotency-Key is still being processed"
+            );
+          }
+          logger.warn("Taking over stale idempotency lock", { key, scope });
+        } else {
+          logger.info("Replaying idempotent response", { key, scope });
+          res.setHeader("Idempotent-Replayed", "true");
+          return res.status(existing.response_status).json(existing.response_body);
+        }
+      }
+
+      if (!record) {
+        // Expired but not yet swept by the TTL monitor
+        if (existing) {
+          await IdempotencyKey.deleteOne({ _id: existing._id });
+        }
+
+        record = await IdempotencyKey.create({
+          key,
+          scope,
+          request_hash: requestHash,
+          expires_at: new Date(Date.now() + ttlHours * 60 * 60 * 1000),
+        });
+      }
+
+      // Only the request holding the lock stores its response
+      const lock = { _id: record._id, locked_at: record.locked_at };
+
+      const originalJson = res.json;
+      res.json = function (body) {
+        // Server errors are not stored so the client can safely retry them
+        const persist =
+          res.statusCode < 500
+            ? IdempotencyKey.updateOne(
+                lock,
+                {
+                  status: "completed",
+                  response_status: res.statusCode,
+                  response_body: body,
+                }
+              )
+            : IdempotencyKey.deleteOne(lock);
+
+        persist.catch((error) =>
+          logger.error("Error storing idempotent response", {
+            error: error.message,
+            key,
+            scope,
+          })
+        );
+
+        return originalJson.call(this, body);
+      };
+
+      next();
+    } catch (error) {
+      // Two concurrent first attempts raced on the unique index
+      if (error.code === 11000) {
+        return response_handler(
+          res,
+          409,
+          "A request with this Idempotency-Key is still being processed"
+        );
+      }
+
+      logger.error("Idempotency middleware error", {
+        error: error.message,
+        key,
+        scope,
+      });
+      return response_handler(res, 500, "Internal server error");
+    }
+  };
+};
+
+module.exports = idempotency;
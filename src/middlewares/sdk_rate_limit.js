@@ -0,0 +1,182 @@
+/**
+ * SDK Rate Limit Middleware
+ * Per SDK access key sliding window limits (per minute and per day) kept in Redis
+ */
+
+const response_handler = require("../helpers/response_handler");
+const { redisClient } = require("../config/redis");
+const SDKKeyUsage = require("../models/sdk_key_usage_model");
+const { logger } = require("./logger");
+
+const WINDOWS = [
+  { name: "minute", limitField: "requests_per_minute", ms: 60 * 1000 },
+  { name: "day", limitField: "requests_per_day", ms: 24 * 60 * 60 * 1000 },
+];
+
+/**
+ * Sliding window counter over every window of a key, all or nothing:
+ * a request rejected by one window is not counted in the others.
+ * The estimate is the current fixed window plus the previous one weighted by
+ * how much of it still overlaps the sliding window.
+ *
+ * KEYS: current and previous window counter per window
+ * ARGV: per window limit, window ms and ms elapsed in the current window
+ * Returns: allowed flag, then current and previous counter per window (before this request)
+ */
+const SLIDING_WINDOW_SCRIPT = `
+local counts = {}
+local allowed = 1
+for i = 1, #ARGV / 3 do
+  local limit = tonumber(ARGV[i * 3 - 2])
+  local window = tonumber(ARGV[i * 3 - 1])
+  local elapsed = tonumber(ARGV[i * 3])
+  local current = tonumber(redis.call('GET', KEYS[i * 2 - 1]) or '0')
+  local previous = tonumber(redis.call('GET', KEYS[i * 2]) or '0')
+  counts[i * 2 - 1] = current
+  counts[i * 2] = previous
+  if math.floor(previous * (window - elapsed) / window) + current >= limit then allowed = 0 end
+end
+if allowed == 1 then
+  for i = 1, #ARGV / 3 do
+    local window = tonumber(ARGV[i * 3 - 1])
+    if redis.call('INCR', KEYS[i * 2 - 1]) == 1 then
+      redis.call('PEXPIRE', KEYS[i * 2 - 1], window * 2)
+    end
+  end
+end
+table.insert(counts, 1, allowed)
+return counts
+`;
+
+redisClient.defineCommand("sdkSlidingWindow", {
+  lua: SLIDING_WINDOW_SCRIPT,
+});
+
+/**
+ * Check and count one request against the limits of a key
+ * @param {Object} sdkKey - SDKAccessKey document
+ * @param {number} [now]
+ * @returns {Promise<Object>} - { allowed, windows: [{ name, limit, remaining, reset, retryAfter }] }
+ */
+const consume = async (sdkKey, now = Date.now()) => {
+  const limits = sdkKey.rate_limit || {};
+  const windows = WINDOWS.map((window) => ({
+    ...window,
+    limit: limits[window.limitField] || 0,
+  })).filter((window) => window.limit > 0);
+
+  if (windows.length === 0) {
+    return { allowed: true, windows: [] };
+  }
+
+  const keys = [];
+  const args = [];
+  for (const window of windows) {
+    const index = Math.floor(now / window.ms);
+    window.elapsed = now - index * window.ms;
+    keys.push(
+      `sdk_rate:${sdkKey._id}:${window.name}:${index}`,
+      `sdk_rate:${sdkKey._id}:${window.name}:${index - 1}`
+    );
+    args.push(window.limit, window.ms, window.elapsed);
+  }
+
+  const [allowed, ...counts] = await redisClient.sdkSlidingWindow(
+    keys.length,
+    ...keys,
+    ...args
+  );
+
+  return {
+    allowed: allowed === 1,
+    windows: windows.map((window, i) => {
+      const current = counts[i * 2];
+      const previous = counts[i * 2 + 1];
+      const remainingMs = window.ms - window.elapsed;
+      const count = Math.floor((previous * remainingMs) / window.ms) + current;
+      const reset = Math.ceil(remainingMs / 1000);
+
+      let retryAfter = 0;
+      if (count >= window.limit) {
+        // Wait for the previous window to decay below the limit, or for the
+        // window to roll over if the current window alone is full
+        const decayMs =
+          current < window.limit && previous > 0
+            ? ((count - window.limit + 1) * window.ms) / previous
+            : remainingMs;
+        retryAfter = Math.max(1, Math.ceil(Math.min(decayMs, remainingMs) / 1000));
+      }
+
+      return {
+        name: window.name,
+        limit: window.limit,
+        ms: window.ms,
+        remaining: Math.max(0, window.limit - count - (allowed === 1 ? 1 : 0)),
+        reset,
+        retryAfter,
+      };
+    }),
+  };
+};
+
+/**
+ * Enforce the per minute and per day limits of the authenticated SDK key
+ * Mount after sdkAuth. Sets RateLimit-* headers for the most restrictive window
+ * and answers 429 with Retry-After when a limit is reached. If Redis is down
+ * requests are let through.
+ */
+const sdkRateLimit = async (req, res, next) => {
+  const sdkKey = req.sdkKey;
+  if (!sdkKey) {
+    return next();
+  }
+
+  let result;
+  try {
+    result = await consume(sdkKey);
+  } catch (error) {
+    logger.error(`SDK rate limit check failed, allowing request: ${error.message}`);
+    return next();
+  }
+
+  if (result.windows.length > 0) {
+    const tightest = result.windows.reduce((a, b) =>
+      b.remaining < a.remaining ? b : a
+    );
+    res.set({
+      "RateLimit-Limit": String(tightest.limit),
+      "RateLimit-Remaining": String(tightest.remaining),
+      "RateLimit-Reset": String(tightest.reset),
+      "RateLimit-Policy": result.windows
+        .map((w) => `${w.limit};w=${w.ms / 1000}`)
+        .join(", "),
+    });
+  }
+
+  if (!result.allowed) {
+    const exceeded = result.windows.filter((w) => w.retryAfter > 0);
+    const retryAfter = Math.max(...exceeded.map((w) => w.retryAfter));
+    res.set("Retry-After", String(retryAfter));
+
+    SDKKeyUsage.record(sdkKey._id, { throttled: true }).catch((error) =>
+      logger.error(`Error recording throttled SDK request: ${error.message}`)
+    );
+    logger.warn(
+      `SDK key ${sdkKey.key_prefix}... rate limited (${exceeded
+        .map((w) => w.name)
+        .join(", ")})`
+    );
+
+    return response_handler(
+      res,
+      429,
+      `Rate limit exceeded for this SDK key (${exceeded
+        .map((w) => `${w.limit} requests per ${w.name}`)
+        .join(", ")}). Retry after ${retryAfter} seconds.`
+    );
+  }
+
+  return next();
+};
+
+module.exports = sdkRateLimit;
@@ -0,0 +1,198 @@
+const mongoose = require("mongoose");
+const SegmentMembership = require("./segment_membership_model");
+const { resolveAppType } = require("../helpers/rule_engine");
+
+const bonus_campaign_schema = new mongoose.Schema(
+  {
+    name: {
+      en: { type: String, trim: true, required: true },
+      ar: { type: String, trim: true },
+    },
+    description: {
+      en: { type: String, trim: true },
+      ar: { type: String, trim: true },
+    },
+    start_date: { type: Date, required: true },
+    end_date: { type: Date, required: true },
+
+    // Empty target lists mean "all"
+    app_types: [{ type: mongoose.Schema.Types.ObjectId, ref: "AppType" }],
+    services: [{ type: mongoose.Schema.Types.ObjectId, ref: "TriggerServices" }],
+    segments: [{ type: mongoose.Schema.Types.ObjectId, ref: "CustomerSegment" }],
+    payment_methods: [{ type: String }],
+
+    // multiplier: points of matching items are multiplied by reward_value
+    // flat_bonus: reward_value points once per earn transaction
+    reward_type: {
+      type: String,
+      enum: ["multiplier", "flat_bonus"],
+      required: true,
+    },
+    reward_value: { type: Number, required: true },
+
+    // stack: added on top of criteria points and other campaigns
+    // best_of: only the largest best_of campaign is added (stack campaigns still apply)
+    // exclusive: when matched, only the largest exclusive campaign applies
+    stacking_policy: {
+      type: String,
+      enum: ["stack", "best_of", "exclusive"],
+      default: "stack",
+    },
+
+    // null means unlimited
+    points_budget: { type: Number, default: null },
+    points_awarded: { type: Number, default: 0 },
+
+    isActive: { type: Boolean, default: true },
+    created_by: { type: mongoose.Schema.Types.ObjectId, ref: "Admin" },
+  },
+  { timestamps: true }
+);
+
+bonus_campaign_schema.index({ isActive: 1, start_date: 1, end_date: 1 });
+
+const toContribution = (campaign, points) => ({
+  campaign_id: campaign._id,
+  name: campaign.name.en,
+  reward_type: campaign.reward_type,
+  reward_value: campaign.reward_value,
+  stacking_policy: campaign.stacking_policy,
+  points,
+});
+
+const largest = (candidates) =>
+  candidates.reduce((best, candidate) =>
+    candidate.points > best.points ? candidate : best
+  );
+
+/**
+ * Work out the campaign bonus for an earn and reserve it against the budgets
+ * @param {Object} earn
+ * @param {Object} earn.customer - Customer document
+ * @param {Object|string} earn.appType - AppType document, id or name
+ * @param {string} earn.paymentMethod - Payment method of the transaction
+ * @param {Array} earn.items - [{ criteria, points }] points earned per criteria
+ * @param {Date} [earn.now] - Evaluation time
+ * @param {boolean} [earn.dryRun] - Only work out the bonus, don't touch budgets
+ * @param {Object} session - Mongoose session
+ * @returns {Promise<Object>} - { bonusPoints, campaigns } for transaction metadata
+ */
+bonus_campaign_schema.statics.applyToEarn = async function (
+  { customer, appType, paymentMethod, items, now = new Date(), dryRun = false },
+  session = null
+) {
+  const campaigns = await this.find({
+    isActive: true,
+    start_date: { $lte: now },
+    end_date: { $gte: now },
+  }).session(session);
+
+  if (campaigns.length === 0 || items.length === 0) {
+    return { bonusPoints: 0, campaigns: [] };
+  }
+
+  const appTypeDoc = await resolveAppType(appType);
+  let segmentIds = null;
+  const candidates = [];
+
+  for (const campaign of campaigns) {
+    if (
+      campaign.app_types.length > 0 &&
+      !(appTypeDoc && campaign.app_types.some((id) => id.equals(appTypeDoc._id)))
+    ) {
+      continue;
+    }
+
+    if (
+      campaign.payment_methods.length > 0 &&
+      !campaign.payment_methods.includes(paymentMethod)
+    ) {
+      continue;
+    }
+
+    if (campaign.segments.length > 0) {
+      if (!segmentIds) {
+        segmentIds = (
+          await SegmentMembership.find({ customer: customer._id })
+            .distinct("segment")
+            .session(session)
+        ).map((id) => id.toString());
+      }
+      if (!campaign.segments.some((id) => segmentIds.includes(id.toString()))) {
+        continue;
+      }
+    }
+
+    const matchingItems = items.filter(
+      ({ criteria }) =>
+        campaign.services.length === 0 ||
+        campaign.services.some((id) =>
+          id.equals(criteria.serviceType._id || criteria.serviceType)
+        )
+    );
+    if (matchingItems.length === 0) continue;
+
+    let points =
+      campaign.reward_type === "multiplier"
+        ? matchingItems.reduce((sum, item) => sum + item.points, 0) *
+          (campaign.reward_value - 1)
+        : campaign.reward_value;
+
+    if (campaign.points_budget !== null) {
+      points = Math.min(points, campaign.points_budget - campaign.points_awarded);
+    }
+    points = Math.floor(points);
+    if (points <= 0) continue;
+
+    candidates.push({ campaign, points });
+  }
+
+  if (candidates.length === 0) {
+    return { bonusPoints: 0, campaigns: [] };
+  }
+
+  let selected;
+  const exclusive = candidates.filter(
+    (c) => c.campaign.stacking_policy === "exclusive"
+  );
+  if (exclusive.length > 0) {
+    selected = [largest(exclusive)];
+  } else {
+    const bestOf = candidates.filter(
+      (c) => c.campaign.stacking_policy === "best_of"
+    );
+    selected = candidates.filter((c) => c.campaign.stacking_policy === "stack");
+    if (bestOf.length > 0) selected.push(largest(bestOf));
+  }
+
+  const contributions = [];
+  for (const { campaign, points } of selected) {
+    if (dryRun) {
+      contributions.push(toContribution(campaign, points));
+      continue;
+    }
+
+    // Conditional increment so concurrent earns cannot overspend the budget
+    const filter = { _id: campaign._id };
+    if (campaign.points_budget !== null) {
+      filter.points_awarded = { $lte: campaign.points_budget - points };
+    }
+    const result = await this.updateOne(
+      filter,
+      { $inc: { points_awarded: points } },
+      { session }
+    );
+    if (result.modifiedCount !== 1) continue;
+
+    contributions.push(toContribution(campaign, points));
+  }
+
+  return {
+    bonusPoints: contributions.reduce((sum, c) => sum + c.points, 0),
+    campaigns: contributions,
+  };
+};
+
+const BonusCampaign = mongoose.model("BonusCampaign", bonus_campaign_schema);
+
+module.exports = BonusCampaign;
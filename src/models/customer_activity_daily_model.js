@@ -0,0 +1,30 @@
+const mongoose = require("mongoose");
+
+// Activity of a customer on one (UTC) day, for windowed engagement criteria
+const customer_activity_daily_schema = new mongoose.Schema(
+  {
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Customer",
+      required: true,
+    },
+    date: { type: Date, required: true }, // Start of the day
+    app_opens: { type: Number, default: 0 },
+    screen_views: { type: Number, default: 0 },
+    push_opened: { type: Number, default: 0 },
+    push_clicked: { type: Number, default: 0 },
+    email_opened: { type: Number, default: 0 },
+    email_clicked: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
+customer_activity_daily_schema.index({ customer: 1, date: 1 }, { unique: true });
+customer_activity_daily_schema.index({ date: 1 });
+
+const CustomerActivityDaily = mongoose.model(
+  "CustomerActivityDaily",
+  customer_activity_daily_schema
+);
+
+module.exports = CustomerActivityDaily;
@@ -0,0 +1,58 @@
+const mongoose = require("mongoose");
+
+const ACTIVITY_EVENT_TYPES = [
+  "app_open",
+  "screen_view",
+  "notification_received",
+  "notification_open",
+  "notification_click",
+];
+
+// Raw activity event sent by the SDK, kept for a retention window; the
+// per-customer rollups (CustomerActivity, CustomerActivityDaily) outlive it
+const customer_activity_event_schema = new mongoose.Schema(
+  {
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Customer",
+      required: true,
+    },
+    event_type: { type: String, enum: ACTIVITY_EVENT_TYPES, required: true },
+    // One event per key and customer: the client event id, or the notification
+    // for notification events so opens and clicks count once per notification
+    dedupe_key: { type: String, default: undefined },
+    notification_id: { type: String, trim: true, default: null },
+    screen: { type: String, trim: true, default: null },
+    device: {
+      type: { type: String, enum: ["ios", "android", "web", "other"] },
+      model: { type: String, trim: true },
+      os_version: { type: String, trim: true },
+      app_version: { type: String, trim: true },
+    },
+    app_type: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "AppType",
+      default: null,
+    },
+    metadata: { type: mongoose.Schema.Types.Mixed, default: {} },
+    occurred_at: { type: Date, required: true },
+    expires_at: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+customer_activity_event_schema.index(
+  { customer: 1, dedupe_key: 1 },
+  { unique: true, partialFilterExpression: { dedupe_key: { $type: "string" } } }
+);
+customer_activity_event_schema.index({ customer: 1, occurred_at: -1 });
+customer_activity_event_schema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+const CustomerActivityEvent = mongoose.model(
+  "CustomerActivityEvent",
+  customer_activity_event_schema
+);
+
+CustomerActivityEvent.EVENT_TYPES = ACTIVITY_EVENT_TYPES;
+
+module.exports = CustomerActivityEvent;
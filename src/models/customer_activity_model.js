@@ -0,0 +1,41 @@
+const mongoose = require("mongoose");
+
+// Unique messages a customer received, opened and clicked on one channel
+const channel_engagement_schema = new mongoose.Schema(
+  {
+    sent: { type: Number, default: 0 }, // Delivered for push (reported by the SDK)
+    opened: { type: Number, default: 0 },
+    clicked: { type: Number, default: 0 },
+    last_opened_at: { type: Date, default: null },
+  },
+  { _id: false }
+);
+
+// Lifetime activity rollup of a customer, used by engagement segments
+const customer_activity_schema = new mongoose.Schema(
+  {
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Customer",
+      required: true,
+    },
+    first_seen_at: { type: Date, default: null },
+    last_seen_at: { type: Date, default: null },
+    last_app_open_at: { type: Date, default: null },
+    app_opens: { type: Number, default: 0 },
+    screen_views: { type: Number, default: 0 },
+    push: { type: channel_engagement_schema, default: () => ({}) },
+    email: { type: channel_engagement_schema, default: () => ({}) },
+  },
+  { timestamps: true }
+);
+
+customer_activity_schema.index({ customer: 1 }, { unique: true });
+customer_activity_schema.index({ last_seen_at: -1 });
+
+const CustomerActivity = mongoose.model(
+  "CustomerActivity",
+  customer_activity_schema
+);
+
+module.exports = CustomerActivity;
@@ -0,0 +1,33 @@
+const mongoose = require("mongoose");
+
+// A device a customer used the app on, as reported with SDK activity events
+const customer_device_schema = new mongoose.Schema(
+  {
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Customer",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ["ios", "android", "web", "other"],
+      required: true,
+    },
+    model: { type: String, trim: true, default: "" },
+    os_version: { type: String, trim: true, default: "" },
+    app_version: { type: String, trim: true, default: null },
+    first_seen_at: { type: Date },
+    last_seen_at: { type: Date },
+  },
+  { timestamps: true }
+);
+
+customer_device_schema.index(
+  { customer: 1, type: 1, model: 1, os_version: 1 },
+  { unique: true }
+);
+customer_device_schema.index({ type: 1, model: 1 });
+
+const CustomerDevice = mongoose.model("CustomerDevice", customer_device_schema);
+
+module.exports = CustomerDevice;
@@ -59,6 +59,9 @@ const customer_schema = new mongoose.Schema(
   { timestamps: true }
 );
 
+// SQL sync backfill and lag status
+customer_schema.index({ updatedAt: 1 });
+
 const Customer = mongoose.model("Customer", customer_schema);
 
 //INDEXING
@@ -50,9 +50,14 @@ const customerSegmentSchema = new mongoose.Schema(
         sources: [{ type: String }],
       },
 
-      // Engagement-based criteria
+      // Engagement-based criteria, from SDK activity rollups
       engagement: {
-        app_opens: { type: Number },
+        app_opens: { type: Number }, // At least this many in app_opens_period
+        app_opens_period: {
+          type: String,
+          enum: ["last_7_days", "last_30_days", "last_90_days", "last_year", "all_time"],
+          default: "last_30_days",
+        },
         last_active: {
           type: String,
           enum: [
@@ -64,12 +69,13 @@ const customerSegmentSchema = new mongoose.Schema(
             "inactive_90_days",
           ],
         },
+        // Minimum rates; customers who were never sent anything don't match
         email_engagement: {
-          open_rate: { type: Number }, // Percentage
-          click_rate: { type: Number }, // Percentage
+          open_rate: { type: Number }, // Percentage of emails sent
+          click_rate: { type: Number }, // Percentage of emails sent
         },
         push_engagement: {
-          open_rate: { type: Number }, // Percentage
+          open_rate: { type: Number }, // Percentage of pushes received
         },
       },
 
@@ -83,7 +89,7 @@ const customerSegmentSchema = new mongoose.Schema(
         ],
       },
 
-      // Device-based criteria
+      // Device-based criteria: customer device_type and devices seen by the SDK
       device: {
         types: [
           {
@@ -92,12 +98,12 @@ const customerSegmentSchema = new mongoose.Schema(
           },
         ],
         models: [{ type: String }],
-        os_versions: [{ type: String }],
+        os_versions: [{ type: String }], // "17" also matches "17.2"
       },
 
-      // Custom criteria (for advanced segmentation)
+      // Custom criteria: a filter tree, see helpers/segment_query.js
       custom: {
-        query: { type: String }, // MongoDB query string
+        filter: { type: mongoose.Schema.Types.Mixed },
         description: { type: String },
       },
     },
@@ -113,6 +119,31 @@ const customerSegmentSchema = new mongoose.Schema(
       type: Date,
     },
 
+    // Outcome of the latest refresh
+    last_refresh: {
+      status: {
+        type: String,
+        enum: ["queued", "running", "completed", "failed"],
+      },
+      trigger: {
+        type: String,
+        enum: ["scheduled", "manual", "updated", "created"],
+      },
+      entered: { type: Number, default: 0 },
+      exited: { type: Number, default: 0 },
+      started_at: { type: Date },
+      finished_at: { type: Date },
+      error: { type: String },
+    },
+
+    // Trigger of a refresh requested since the latest one started, which that
+    // refresh runs again when it finishes
+    refresh_pending: {
+      type: String,
+      enum: ["scheduled", "manual", "updated", "created", null],
+      default: null,
+    },
+
     // Auto-refresh settings
     auto_refresh: {
       enabled: {
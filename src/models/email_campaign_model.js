@@ -24,7 +24,8 @@ const emailCampaignSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ["draft", "scheduled", "sent", "active"],
+      // sending: recipients are being queued or emailed
+      enum: ["draft", "scheduled", "sending", "sent", "active"],
       default: "draft",
     },
     audience: {
@@ -45,10 +46,21 @@ const emailCampaignSchema = new mongoose.Schema(
     scheduled_date: {
       type: Date,
     },
+    // When the last sending finished
     sent_date: {
       type: Date,
     },
+    // When every recipient of the current sending had been queued
+    dispatched_at: {
+      type: Date,
+    },
+    // Counted from the per-recipient EmailDelivery records as they finish
     stats: {
+      recipients: {
+        type: Number,
+        default: 0,
+      },
+      // Handed to the mail server, bounces included
       total_sent: {
         type: Number,
         default: 0,
@@ -65,6 +77,10 @@ const emailCampaignSchema = new mongoose.Schema(
         type: Number,
         default: 0,
       },
+      failed: {
+        type: Number,
+        default: 0,
+      },
     },
     content_variables: {
       type: Map,
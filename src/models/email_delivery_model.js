@@ -0,0 +1,45 @@
+const mongoose = require("mongoose");
+
+// One campaign email to one customer
+const email_delivery_schema = new mongoose.Schema(
+  {
+    campaign: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "EmailCampaign",
+      required: true,
+    },
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Customer",
+      required: true,
+    },
+    // Address at the time the campaign was sent
+    email: { type: String, required: true },
+    // bounced: the mail server refused the address; failed: gave up retrying
+    status: {
+      type: String,
+      enum: ["queued", "sent", "bounced", "failed"],
+      default: "queued",
+    },
+    attempts: { type: Number, default: 0 },
+    message_id: { type: String },
+    error: { type: String },
+    sent_at: { type: Date },
+    failed_at: { type: Date },
+    // Tracking (see services/email_tracking.service.js): first open/click and totals
+    opened_at: { type: Date, default: null },
+    last_opened_at: { type: Date },
+    opens: { type: Number, default: 0 },
+    clicked_at: { type: Date, default: null },
+    clicks: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
+email_delivery_schema.index({ campaign: 1, customer: 1 }, { unique: true });
+email_delivery_schema.index({ campaign: 1, status: 1 });
+email_delivery_schema.index({ customer: 1, createdAt: -1 });
+
+const EmailDelivery = mongoose.model("EmailDelivery", email_delivery_schema);
+
+module.exports = EmailDelivery;
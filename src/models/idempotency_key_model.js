@@ -0,0 +1,30 @@
+const mongoose = require("mongoose");
+
+const idempotency_key_schema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, trim: true },
+    // Route the key was used on, so one key can't replay another endpoint
+    scope: { type: String, required: true, trim: true },
+    // SHA-256 of the validated request body
+    request_hash: { type: String, required: true },
+    status: {
+      type: String,
+      enum: ["processing", "completed"],
+      default: "processing",
+    },
+    // When the request processing the key started; a stale lock can be taken over
+    locked_at: { type: Date, default: Date.now },
+    response_status: { type: Number, default: null },
+    response_body: { type: mongoose.Schema.Types.Mixed, default: null },
+    expires_at: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+idempotency_key_schema.index({ key: 1, scope: 1 }, { unique: true });
+// Let MongoDB drop keys once their retention window has passed
+idempotency_key_schema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+const IdempotencyKey = mongoose.model("IdempotencyKey", idempotency_key_schema);
+
+module.exports = IdempotencyKey;
@@ -8,6 +8,8 @@ const loyalty_points_schema = new mongoose.Schema(
       required: true,
     },
     points: { type: Number, required: true },
+    // Points reserved by an authorized checkout hold, still part of `points`
+    held_points: { type: Number, default: 0 },
     expiryDate: { type: Date, required: true }, // Expiry date for each point transaction
     transaction_id: {
       type: mongoose.Schema.Types.ObjectId,
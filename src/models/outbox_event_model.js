@@ -0,0 +1,76 @@
+const mongoose = require("mongoose");
+const { v4: uuidv4 } = require("uuid");
+
+// Domain event written in the same session as the change it describes and
+// relayed to the queues afterwards (see services/outbox.service.js)
+const outbox_event_schema = new mongoose.Schema(
+  {
+    // Dedupe key: recording the same event twice keeps one row, and consumers
+    // receive it as the job id / event id so repeated deliveries can be dropped
+    event_id: { type: String, required: true, unique: true },
+    event_type: { type: String, required: true, trim: true },
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Customer",
+      default: null,
+    },
+    // App type name or _id the event belongs to; null means the customer's app types
+    app_type: { type: String, default: null },
+    data: { type: mongoose.Schema.Types.Mixed, default: {} },
+    occurred_at: { type: Date, default: Date.now },
+
+    status: {
+      type: String,
+      enum: ["pending", "published"],
+      default: "pending",
+    },
+    attempts: { type: Number, default: 0 },
+    last_error: { type: String },
+    // Claimed by a relay until then; also used to back off after a failed relay
+    locked_until: { type: Date, default: null },
+    published_at: { type: Date },
+  },
+  { timestamps: true }
+);
+
+outbox_event_schema.index({ status: 1, _id: 1 });
+// Published events are kept for a month for troubleshooting
+outbox_event_schema.index(
+  { published_at: 1 },
+  { expireAfterSeconds: 30 * 24 * 60 * 60 }
+);
+
+/**
+ * Write domain events to the outbox
+ * An event whose event_id is already in the outbox is left as it is.
+ * @param {Array} events - [{ event_id, event_type, customer, app_type, data }]
+ * @param {Object} session - Session of the business change
+ * @returns {Promise<Array>} - event_id of every event
+ */
+outbox_event_schema.statics.record = async function (events, session = null) {
+  if (events.length === 0) return [];
+
+  const occurredAt = new Date();
+  const rows = events.map((event) => ({
+    ...event,
+    event_id: event.event_id || uuidv4(),
+    occurred_at: occurredAt,
+  }));
+
+  await this.bulkWrite(
+    rows.map((row) => ({
+      updateOne: {
+        filter: { event_id: row.event_id },
+        update: { $setOnInsert: row },
+        upsert: true,
+      },
+    })),
+    { session, ordered: true }
+  );
+
+  return rows.map((row) => row.event_id);
+};
+
+const OutboxEvent = mongoose.model("OutboxEvent", outbox_event_schema);
+
+module.exports = OutboxEvent;
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { evaluateCondition, RULE_ACTIONS } = require("../helpers/rule_engine");
 
 // Points Criteria Schema
 const pointsCriteriaSchema = new mongoose.Schema(
@@ -62,6 +63,18 @@ const pointsCriteriaSchema = new mongoose.Schema(
       },
     },
 
+    // Conditional adjustments on top of pointSystem, see helpers/rule_engine.js
+    // e.g. 2x for Gold tier on weekends: { condition: { type: "and", conditions: [...] }, action: "multiplier", value: 2 }
+    rules: [
+      {
+        name: { type: String, required: true },
+        condition: { type: mongoose.Schema.Types.Mixed, required: true },
+        action: { type: String, enum: RULE_ACTIONS, required: true },
+        value: { type: Number, default: null },
+        isActive: { type: Boolean, default: true },
+      },
+    ],
+
     isActive: {
       type: Boolean,
       default: true,
@@ -70,9 +83,67 @@ const pointsCriteriaSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+/**
+ * Apply the active rules to already calculated points
+ * Matched multipliers compound, bonuses are added afterwards, and a matched
+ * "exclude" rule awards nothing.
+ * @param {number} points - Points calculated from pointSystem
+ * @param {Object} ruleContext - Facts from buildRuleContext
+ * @param {number} transactionValue - Value the points were calculated on
+ * @returns {Object} - { points, excluded, matchedRules }
+ */
+pointsCriteriaSchema.methods.applyRules = function (
+  points,
+  ruleContext = {},
+  transactionValue
+) {
+  const activeRules = (this.rules || []).filter((rule) => rule.isActive);
+  if (activeRules.length === 0) {
+    return { points, excluded: false, matchedRules: [] };
+  }
+
+  const serviceType = this.serviceType || {};
+  const context = {
+    ...ruleContext,
+    service_type: {
+      id: (serviceType._id || serviceType).toString(),
+      names: serviceType.title ? [serviceType.title.en, serviceType.title.ar] : [],
+    },
+    transaction_value: transactionValue,
+  };
+
+  const matchedRules = activeRules.filter((rule) =>
+    evaluateCondition(rule.condition, context)
+  );
+
+  if (matchedRules.some((rule) => rule.action === "exclude")) {
+    return {
+      points: 0,
+      excluded: true,
+      matchedRules: matchedRules.map((rule) => rule.name),
+    };
+  }
+
+  let multiplier = 1;
+  let bonus = 0;
+  for (const rule of matchedRules) {
+    if (rule.action === "multiplier") multiplier *= rule.value || 1;
+    if (rule.action === "bonus") bonus += rule.value || 0;
+  }
+
+  return {
+    points: points * multiplier + bonus,
+    excluded: false,
+    multiplier,
+    bonus,
+    matchedRules: matchedRules.map((rule) => rule.name),
+  };
+};
+
 pointsCriteriaSchema.methods.calculatePoints = function (
   paymentMethod,
-  transactionValue
+  transactionValue,
+  ruleContext
 ) {
   // Check if criteria is active
   if (!this.isActive) {
@@ -131,14 +202,31 @@ pointsCriteriaSchema.methods.calculatePoints = function (
     calculatedPoints = pointRate;
   }
 
+  const ruleResult = this.applyRules(
+    calculatedPoints,
+    ruleContext,
+    transactionValue
+  );
+
+  if (ruleResult.excluded) {
+    return {
+      success: false,
+      message: "Transaction excluded by point criteria rules",
+      points: 0,
+      matchedRules: ruleResult.matchedRules,
+    };
+  }
+
   return {
     success: true,
     message: "Points calculated successfully",
-    points: calculatedPoints,
+    points: Math.round(ruleResult.points),
     calculationDetails: {
       pointType,
       pointRate,
       transactionValue,
+      basePoints: calculatedPoints,
+      matchedRules: ruleResult.matchedRules,
     },
   };
 };
@@ -356,6 +444,14 @@ pointsCriteriaSchema.methods.checkEligibility = function (
     transactionValue
   );
 
+  if (!pointCalculation.success) {
+    return {
+      eligible: false,
+      message: pointCalculation.message,
+      details: { matchedRules: pointCalculation.matchedRules },
+    };
+  }
+
   return {
     eligible: true,
     message: "Transaction eligible for points",
@@ -370,7 +466,8 @@ pointsCriteriaSchema.methods.checkEligibility = function (
 pointsCriteriaSchema.methods.checkEligibilityOptimized = async function (
   paymentMethod,
   transactionValue,
-  customerId
+  customerId,
+  ruleContext
 ) {
   // Check if criteria is active
   if (!this.isActive) {
@@ -427,9 +524,18 @@ pointsCriteriaSchema.methods.checkEligibilityOptimized = async function (
   // All checks passed
   const pointCalculation = this.calculatePoints(
     paymentMethod,
-    transactionValue
+    transactionValue,
+    ruleContext
   );
 
+  if (!pointCalculation.success) {
+    return {
+      eligible: false,
+      message: pointCalculation.message,
+      details: { matchedRules: pointCalculation.matchedRules },
+    };
+  }
+
   return {
     eligible: true,
     message: "Transaction eligible for points",
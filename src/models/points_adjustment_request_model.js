@@ -0,0 +1,53 @@
+const mongoose = require("mongoose");
+
+// Manual point adjustment above the approval threshold, waiting for a second admin
+const pointsAdjustmentRequestSchema = new mongoose.Schema(
+  {
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Customer",
+      required: true,
+    },
+    points: { type: Number, required: true }, // Negative to remove points
+    reason: { type: String, trim: true, required: true },
+    metadata: { type: mongoose.Schema.Types.Mixed, default: {} },
+    status: {
+      type: String,
+      enum: ["pending", "approved", "rejected"],
+      default: "pending",
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      required: true,
+    },
+    requestedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    processedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+    },
+    processedAt: Date,
+    notes: String,
+    // Adjustment transaction created on approval
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Transaction",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+pointsAdjustmentRequestSchema.index({ status: 1, requestedAt: -1 });
+pointsAdjustmentRequestSchema.index({ requestedBy: 1, requestedAt: -1 });
+
+const PointsAdjustmentRequest = mongoose.model(
+  "PointsAdjustmentRequest",
+  pointsAdjustmentRequestSchema
+);
+
+module.exports = PointsAdjustmentRequest;
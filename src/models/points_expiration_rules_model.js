@@ -18,6 +18,19 @@ const points_expiration_rules_schema = new mongoose.Schema(
     ],
     appType: { type: mongoose.Schema.Types.ObjectId, ref: "AppType" },
 
+    // rolling: each earn expires default_expiry_period days after it was earned
+    // fixed_date: each earn expires on the first fixed_expiry_date at least default_expiry_period days away
+    // inactivity: all points expire default_expiry_period days after the last earn/redeem
+    expiry_mode: {
+      type: String,
+      enum: ["rolling", "fixed_date", "inactivity"],
+      default: "rolling",
+    },
+    fixed_expiry_date: {
+      month: { type: Number, min: 1, max: 12, default: 12 },
+      day: { type: Number, min: 1, max: 31, default: 31 },
+    },
+
     expiry_notifications: {
       first_reminder: {
         type: Number,
@@ -32,6 +45,7 @@ const points_expiration_rules_schema = new mongoose.Schema(
         default: 7,
       },
     },
+    // Days after the expiry date before points are actually expired
     grace_period: {
       type: Number,
       default: 0,
@@ -54,6 +68,41 @@ points_expiration_rules_schema.statics.getActiveRules = async function () {
   return this.findOne({ is_active: true });
 };
 
+// Expiry period in days for a tier (default period plus tier extension)
+points_expiration_rules_schema.methods.getExpiryDays = function (tier_id) {
+  let totalDays = this.default_expiry_period;
+
+  // Check for tier-specific extension (also in days)
+  const tierExtension = tier_id
+    ? this.tier_extensions.find(
+        (t) => t.tier_id.toString() === tier_id.toString()
+      )
+    : null;
+  if (tierExtension) {
+    totalDays += tierExtension.additional_months; // interpreted as additional days
+  }
+
+  return totalDays;
+};
+
+// Next fixed calendar expiry date that is at least `date`
+points_expiration_rules_schema.methods.getNextFixedExpiryDate = function (date) {
+  const { month, day } = this.fixed_expiry_date;
+  let year = date.getFullYear();
+
+  const candidate = (y) => {
+    // Clamp the day to the month length (e.g. Feb 31 -> Feb 28/29)
+    const lastDay = new Date(y, month, 0).getDate();
+    return new Date(y, month - 1, Math.min(day, lastDay), 23, 59, 59, 999);
+  };
+
+  let expiryDate = candidate(year);
+  if (expiryDate < date) {
+    expiryDate = candidate(year + 1);
+  }
+  return expiryDate;
+};
+
 // Calculate expiry date based on user's tier
 points_expiration_rules_schema.statics.calculateExpiryDate = async function (tier_id, earnedAt = new Date()) {
   const rules = await this.getActiveRules();
@@ -62,22 +111,19 @@ points_expiration_rules_schema.statics.calculateExpiryDate = async function (tie
     return new Date(earnedAt.getTime() + 30 * 24 * 60 * 60 * 1000);
   }
 
-  let totalDays = rules.default_expiry_period;
-
-  // Check for tier-specific extension (also in days)
-  const tierExtension = rules.tier_extensions.find(
-    (t) => t.tier_id.toString() === tier_id.toString()
-  );
-  if (tierExtension) {
-    totalDays += tierExtension.additional_months; // interpreted as additional days
-  }
+  const totalDays = rules.getExpiryDays(tier_id);
 
   // Add days to the earnedAt timestamp
   const expiryDate = new Date(earnedAt.getTime() + totalDays * 24 * 60 * 60 * 1000);
-  return expiryDate;
-};
 
+  if (rules.expiry_mode === "fixed_date") {
+    return rules.getNextFixedExpiryDate(expiryDate);
+  }
 
+  // In inactivity mode the expiry engine ignores this date and counts from the
+  // customer's last activity instead
+  return expiryDate;
+};
 
 const PointsExpirationRules = mongoose.model(
   "PointsExpirationRules",
@@ -0,0 +1,48 @@
+const mongoose = require("mongoose");
+
+// One record per customer, expiry date and reminder stage, so a reminder is only queued once
+const points_expiry_reminder_schema = new mongoose.Schema(
+  {
+    customer_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Customer",
+      required: true,
+    },
+    reminder: {
+      type: String,
+      enum: ["first", "second", "final"],
+      required: true,
+    },
+    // Date the points are actually expired on (grace period included)
+    expiry_date: { type: Date, required: true },
+    points: { type: Number, required: true },
+    expiry_mode: {
+      type: String,
+      enum: ["rolling", "fixed_date", "inactivity"],
+    },
+    // skipped: the customer has no email address or opted out of email
+    status: {
+      type: String,
+      enum: ["pending", "queued", "sent", "skipped", "failed"],
+      default: "pending",
+    },
+    job_id: { type: String, default: null },
+    queued_at: { type: Date },
+    sent_at: { type: Date },
+    error: { type: String },
+  },
+  { timestamps: true }
+);
+
+points_expiry_reminder_schema.index(
+  { customer_id: 1, expiry_date: 1, reminder: 1 },
+  { unique: true }
+);
+points_expiry_reminder_schema.index({ createdAt: -1 });
+
+const PointsExpiryReminder = mongoose.model(
+  "PointsExpiryReminder",
+  points_expiry_reminder_schema
+);
+
+module.exports = PointsExpiryReminder;
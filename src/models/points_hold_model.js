@@ -0,0 +1,118 @@
+const mongoose = require("mongoose");
+
+const points_hold_schema = new mongoose.Schema(
+  {
+    customer_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Customer",
+      required: true,
+    },
+    // Partner checkout reference; the captured redeem transaction reuses it
+    transaction_id: { type: String, required: true, unique: true, trim: true },
+    points: { type: Number, required: true, min: 1 },
+    status: {
+      type: String,
+      enum: ["authorized", "captured", "voided", "expired"],
+      default: "authorized",
+    },
+    // Lots the hold is reserved against, in FIFO order
+    lots: [
+      {
+        _id: false,
+        loyalty_point_id: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "LoyaltyPoints",
+          required: true,
+        },
+        points: { type: Number, required: true },
+      },
+    ],
+    app_type: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "AppType",
+      default: null,
+    },
+    requested_by: { type: String, trim: true },
+    expires_at: { type: Date, required: true },
+    captured_points: { type: Number, default: 0 },
+    captured_at: { type: Date },
+    released_at: { type: Date },
+  },
+  { timestamps: true }
+);
+
+points_hold_schema.index({ customer_id: 1, status: 1 });
+points_hold_schema.index({ status: 1, expires_at: 1 });
+
+/**
+ * Give the reserved points of a hold back to its lots
+ * @param {Object} hold - PointsHold document
+ * @param {string} status - Final status ("voided" or "expired")
+ * @param {Object} session - Database session
+ */
+points_hold_schema.statics.releaseHold = async function (
+  hold,
+  status,
+  session = null
+) {
+  const LoyaltyPoints = mongoose.model("LoyaltyPoints");
+
+  for (const lot of hold.lots) {
+    await LoyaltyPoints.findByIdAndUpdate(
+      lot.loyalty_point_id,
+      { $inc: { held_points: -lot.points } },
+      { session }
+    );
+  }
+
+  hold.status = status;
+  hold.released_at = new Date();
+  return hold.save({ session });
+};
+
+/**
+ * Expire authorized holds whose TTL has passed
+ * @param {Object} filter - Extra filter (e.g. a single customer)
+ * @param {Object} session - Database session
+ * @returns {Promise<number>} - Number of holds released
+ */
+points_hold_schema.statics.releaseExpiredHolds = async function (
+  filter = {},
+  session = null
+) {
+  const expiredHolds = await this.find({
+    ...filter,
+    status: "authorized",
+    expires_at: { $lte: new Date() },
+  }).session(session);
+
+  for (const hold of expiredHolds) {
+    await this.releaseHold(hold, "expired", session);
+  }
+
+  return expiredHolds.length;
+};
+
+/**
+ * Total points currently reserved for a customer
+ * @param {ObjectId} customerId - Customer _id
+ * @returns {Promise<number>}
+ */
+points_hold_schema.statics.getHeldPoints = async function (customerId) {
+  const result = await this.aggregate([
+    {
+      $match: {
+        customer_id: new mongoose.Types.ObjectId(customerId),
+        status: "authorized",
+        expires_at: { $gt: new Date() },
+      },
+    },
+    { $group: { _id: null, total: { $sum: "$points" } } },
+  ]);
+
+  return result[0]?.total || 0;
+};
+
+const PointsHold = mongoose.model("PointsHold", points_hold_schema);
+
+module.exports = PointsHold;
@@ -0,0 +1,54 @@
+const mongoose = require("mongoose");
+
+// One uploaded points file. Rows live in PointsImportRow.
+//   validated -> approved -> processing -> completed -> reversing -> reversed
+// A file with invalid rows is "invalid" and can only be discarded or re-uploaded.
+const points_import_batch_schema = new mongoose.Schema(
+  {
+    file_name: { type: String, trim: true },
+    status: {
+      type: String,
+      enum: [
+        "validated",
+        "invalid",
+        "discarded",
+        "approved",
+        "processing",
+        "completed",
+        "failed",
+        "reversing",
+        "reversed",
+      ],
+      default: "validated",
+    },
+    total_rows: { type: Number, default: 0 },
+    valid_rows: { type: Number, default: 0 },
+    invalid_rows: { type: Number, default: 0 },
+    total_points: { type: Number, default: 0 },
+
+    applied_rows: { type: Number, default: 0 },
+    failed_rows: { type: Number, default: 0 },
+    points_applied: { type: Number, default: 0 },
+    reversed_rows: { type: Number, default: 0 },
+    points_reversed: { type: Number, default: 0 },
+
+    created_by: { type: mongoose.Schema.Types.ObjectId, ref: "Admin" },
+    approved_by: { type: mongoose.Schema.Types.ObjectId, ref: "Admin" },
+    approved_at: { type: Date },
+    reversed_by: { type: mongoose.Schema.Types.ObjectId, ref: "Admin" },
+    reversal_reason: { type: String, trim: true },
+    started_at: { type: Date },
+    finished_at: { type: Date },
+    error: { type: String },
+  },
+  { timestamps: true }
+);
+
+points_import_batch_schema.index({ createdAt: -1 });
+
+const PointsImportBatch = mongoose.model(
+  "PointsImportBatch",
+  points_import_batch_schema
+);
+
+module.exports = PointsImportBatch;
@@ -0,0 +1,59 @@
+const mongoose = require("mongoose");
+
+// One row of a points import file with its validation and apply result
+const points_import_row_schema = new mongoose.Schema(
+  {
+    batch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PointsImportBatch",
+      required: true,
+    },
+    row_number: { type: Number, required: true }, // Line in the file (header is 1)
+    // As uploaded
+    customer_id: { type: String, trim: true },
+    points: { type: Number },
+    reason: { type: String, trim: true },
+    expiry: { type: Date, default: null },
+    reference: { type: String, trim: true, default: null },
+
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Customer",
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: ["valid", "invalid", "applied", "failed", "reversed"],
+      required: true,
+    },
+    validation_errors: [{ type: String }],
+    error: { type: String }, // Apply/reversal failure
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Transaction",
+      default: null,
+    },
+    reversal_transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Transaction",
+      default: null,
+    },
+    // Points of a reversal that were spent and could not be clawed back
+    unrecovered_points: { type: Number, default: 0 },
+    applied_at: { type: Date },
+    reversed_at: { type: Date },
+  },
+  { timestamps: true }
+);
+
+points_import_row_schema.index({ batch: 1, row_number: 1 }, { unique: true });
+points_import_row_schema.index({ batch: 1, status: 1 });
+// A reference can only be credited once across imports
+points_import_row_schema.index({ reference: 1, status: 1 });
+
+const PointsImportRow = mongoose.model(
+  "PointsImportRow",
+  points_import_row_schema
+);
+
+module.exports = PointsImportRow;
@@ -0,0 +1,124 @@
+const mongoose = require("mongoose");
+const { v4: uuidv4 } = require("uuid");
+
+// Account every customer balance lives in; all other accounts are program-wide
+const CUSTOMER_WALLET_ACCOUNT = "customer_wallet";
+
+// Counter account a point movement is booked against, by transaction type
+const COUNTER_ACCOUNTS = {
+  earn: "points_issued",
+  referral: "points_issued",
+  redeem: "points_redeemed",
+  "offer-redeem": "points_redeemed",
+  convert_to_coins: "points_converted",
+  expire: "points_expired",
+  refund: "points_refunded",
+  adjust: "points_adjustment",
+  opening_balance: "opening_balance",
+};
+
+const points_ledger_entry_schema = new mongoose.Schema(
+  {
+    // Both legs of one movement share a journal id
+    journal_id: { type: String, required: true, index: true },
+    customer_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Customer",
+      required: true,
+    },
+    account: { type: String, required: true, trim: true },
+    direction: { type: String, enum: ["debit", "credit"], required: true },
+    points: { type: Number, required: true, min: 0 },
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Transaction",
+      default: null,
+    },
+    transaction_type: { type: String, required: true, trim: true },
+    description: { type: String, trim: true },
+  },
+  { timestamps: true }
+);
+
+points_ledger_entry_schema.index({ customer_id: 1, account: 1 });
+points_ledger_entry_schema.index({ transaction: 1 });
+points_ledger_entry_schema.index({ createdAt: -1 });
+
+/**
+ * Book a point movement as a balanced debit/credit pair
+ * Positive points credit the customer wallet, negative points debit it.
+ * @param {Object} movement - Movement details
+ * @param {ObjectId} movement.customer_id - Customer _id
+ * @param {number} movement.points - Signed points moved
+ * @param {string} movement.transaction_type - Type of the originating transaction
+ * @param {Object} movement.transaction - Originating Transaction document or _id
+ * @param {string} movement.description - Optional description
+ * @param {Object} session - Database session
+ * @returns {Promise<Array>} - The two ledger legs, or [] for zero movements
+ */
+points_ledger_entry_schema.statics.record = async function (
+  { customer_id, points, transaction_type, transaction = null, description },
+  session = null
+) {
+  if (!points) return [];
+
+  const journalId = uuidv4();
+  const amount = Math.abs(points);
+  const counterAccount =
+    COUNTER_ACCOUNTS[transaction_type] || COUNTER_ACCOUNTS.adjust;
+  const walletDirection = points > 0 ? "credit" : "debit";
+  const counterDirection = points > 0 ? "debit" : "credit";
+
+  const base = {
+    journal_id: journalId,
+    customer_id,
+    points: amount,
+    transaction: transaction?._id || transaction,
+    transaction_type,
+    description,
+  };
+
+  return this.create(
+    [
+      { ...base, account: CUSTOMER_WALLET_ACCOUNT, direction: walletDirection },
+      { ...base, account: counterAccount, direction: counterDirection },
+    ],
+    { session, ordered: true }
+  );
+};
+
+/**
+ * Wallet balance per customer according to the ledger
+ * @param {Object} match - Extra match on ledger entries
+ * @returns {Promise<Array>} - [{ _id: customer_id, balance, entries }]
+ */
+points_ledger_entry_schema.statics.getWalletBalances = function (match = {}) {
+  return this.aggregate([
+    { $match: { ...match, account: CUSTOMER_WALLET_ACCOUNT } },
+    {
+      $group: {
+        _id: "$customer_id",
+        balance: {
+          $sum: {
+            $cond: [
+              { $eq: ["$direction", "credit"] },
+              "$points",
+              { $multiply: ["$points", -1] },
+            ],
+          },
+        },
+        entries: { $sum: 1 },
+      },
+    },
+  ]).allowDiskUse(true);
+};
+
+const PointsLedgerEntry = mongoose.model(
+  "PointsLedgerEntry",
+  points_ledger_entry_schema
+);
+
+PointsLedgerEntry.CUSTOMER_WALLET_ACCOUNT = CUSTOMER_WALLET_ACCOUNT;
+PointsLedgerEntry.COUNTER_ACCOUNTS = COUNTER_ACCOUNTS;
+
+module.exports = PointsLedgerEntry;
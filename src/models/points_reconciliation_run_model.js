@@ -0,0 +1,54 @@
+const mongoose = require("mongoose");
+
+const points_reconciliation_run_schema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      enum: ["running", "completed", "failed"],
+      default: "running",
+    },
+    auto_repair: { type: Boolean, default: false },
+    // null when started by the nightly schedule
+    triggered_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+    started_at: { type: Date, default: Date.now },
+    finished_at: { type: Date },
+    customers_checked: { type: Number, default: 0 },
+    mismatch_count: { type: Number, default: 0 },
+    repaired_count: { type: Number, default: 0 },
+    // Only the first mismatches are stored; mismatch_count has the full total
+    mismatches: [
+      {
+        _id: false,
+        customer_id: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Customer",
+        },
+        issue: {
+          type: String,
+          enum: ["balance_mismatch", "missing_ledger_history"],
+        },
+        cached_balance: { type: Number },
+        ledger_balance: { type: Number },
+        transaction_balance: { type: Number },
+        lot_balance: { type: Number },
+        difference: { type: Number },
+        repaired: { type: Boolean, default: false },
+      },
+    ],
+    error: { type: String },
+  },
+  { timestamps: true }
+);
+
+points_reconciliation_run_schema.index({ started_at: -1 });
+
+const PointsReconciliationRun = mongoose.model(
+  "PointsReconciliationRun",
+  points_reconciliation_run_schema
+);
+
+module.exports = PointsReconciliationRun;
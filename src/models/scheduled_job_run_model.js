@@ -0,0 +1,39 @@
+const mongoose = require("mongoose");
+
+// One document per scheduled occurrence of a job. The unique index makes it the
+// run lock: whichever replica creates it first runs the job, the others skip.
+const scheduled_job_run_schema = new mongoose.Schema(
+  {
+    job_name: { type: String, required: true },
+    scheduled_for: { type: Date, required: true },
+    status: {
+      type: String,
+      enum: ["running", "completed", "failed"],
+      default: "running",
+    },
+    // Run started after downtime for an occurrence that was missed
+    catch_up: { type: Boolean, default: false },
+    // A failed run is retried under the same record
+    attempts: { type: Number, default: 1 },
+    started_at: { type: Date, default: Date.now },
+    finished_at: { type: Date },
+    duration_ms: { type: Number },
+    error: { type: String },
+  },
+  { timestamps: true }
+);
+
+scheduled_job_run_schema.index({ job_name: 1, scheduled_for: 1 }, { unique: true });
+scheduled_job_run_schema.index({ scheduled_for: -1 });
+// Keep 90 days of run history
+scheduled_job_run_schema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: 90 * 24 * 60 * 60 }
+);
+
+const ScheduledJobRun = mongoose.model(
+  "ScheduledJobRun",
+  scheduled_job_run_schema
+);
+
+module.exports = ScheduledJobRun;
@@ -1,5 +1,20 @@
 const mongoose = require("mongoose");
 const crypto = require("crypto");
+const SDKKeyUsage = require("./sdk_key_usage_model");
+const {
+    SDK_RATE_LIMIT_PER_MINUTE,
+    SDK_RATE_LIMIT_PER_DAY,
+} = require("../config/env");
+
+// What a key may be used for; checked per route by sdkAuth
+const SDK_PERMISSIONS = [
+    "user_data",    // register/view customers, customer tokens
+    "transactions", // transaction history
+    "points",       // earn and refund points
+    "redemptions",  // redeem, cancel and points holds
+    "offers",       // merchant offers and coupons
+    "events",       // customer activity events (app opens, notifications)
+];
 
 const sdk_access_key_schema = new mongoose.Schema(
     {
@@ -7,17 +22,64 @@ const sdk_access_key_schema = new mongoose.Schema(
             type: mongoose.Schema.Types.ObjectId,
             ref: "App"
         },
-       
+
+        name: {
+            type: String,
+            trim: true
+        },
+
+        // Requests made with this key act as this app type
+        app_type: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "AppType",
+            required: true
+        },
+
+        // SHA-256 hash of the access key; the key itself is only returned on creation/rotation
         key: {
             type: String,
             required: true,
             unique: true
         },
-       
-        // rate_limit: {
-        //     requests_per_minute: { type: Number, default: 60 },
-        //     requests_per_day: { type: Number, default: 10000 }
-        // },
+        // False for keys stored in plain text before hashing; they are hashed on first use
+        key_hashed: {
+            type: Boolean,
+            default: false
+        },
+        // First characters of the key so admins and logs can tell keys apart
+        key_prefix: {
+            type: String
+        },
+
+        // Hash of the key replaced by the last rotation, accepted until previous_key_expires_at
+        previous_key: {
+            type: String
+        },
+        previous_key_expires_at: {
+            type: Date
+        },
+
+        // HMAC-SHA256 secret for request signing (see sdk_signature); needed to verify, so not hashed
+        signing_secret: {
+            type: String,
+            select: false
+        },
+        // Reject requests without a valid signature
+        signature_required: {
+            type: Boolean,
+            default: false
+        },
+
+        permissions: [{
+            type: String,
+            enum: SDK_PERMISSIONS
+        }],
+
+        // Sliding window limits enforced by sdkRateLimit (0 means unlimited)
+        rate_limit: {
+            requests_per_minute: { type: Number, min: 0, default: SDK_RATE_LIMIT_PER_MINUTE },
+            requests_per_day: { type: Number, min: 0, default: SDK_RATE_LIMIT_PER_DAY }
+        },
         status: {
             type: String,
             enum: ['active', 'inactive', 'revoked'],
@@ -31,9 +93,9 @@ const sdk_access_key_schema = new mongoose.Schema(
         last_used: {
             type: Date
         },
+        // Hourly and daily counts are kept in SDKKeyUsage
         usage_stats: {
-            total_requests: { type: Number, default: 0 },
-            last_24h_requests: { type: Number, default: 0 }
+            total_requests: { type: Number, default: 0 }
         },
         created_by: {
             type: mongoose.Schema.Types.ObjectId,
@@ -43,19 +105,95 @@ const sdk_access_key_schema = new mongoose.Schema(
     { timestamps: true }
 );
 
+sdk_access_key_schema.index({ previous_key: 1 }, { sparse: true });
+
 // Static method to generate a new access key
 sdk_access_key_schema.statics.generateKey = function () {
     return crypto.randomBytes(32).toString('hex');
 };
 
+// Static method to hash an access key for storage and lookup
+sdk_access_key_schema.statics.hashKey = function (key) {
+    return crypto.createHash('sha256').update(String(key)).digest('hex');
+};
+
+/**
+ * Find the key record for a presented access key
+ * Matches the current key, the previous key within its rotation overlap window,
+ * or a legacy plain text key (which is hashed in place).
+ * @param {string} accessKey - Key from the request header
+ * @returns {Promise<Object|null>} - { keyData, rotated } where rotated means the previous key was used
+ */
+sdk_access_key_schema.statics.findByKey = async function (accessKey) {
+    const hash = this.hashKey(accessKey);
+
+    let keyData = await this.findOne({ key: hash, key_hashed: true }).select("+signing_secret").populate("app_type", "name");
+    if (keyData) {
+        return { keyData, rotated: false };
+    }
+
+    keyData = await this.findOne({
+        previous_key: hash,
+        previous_key_expires_at: { $gt: new Date() }
+    }).select("+signing_secret").populate("app_type", "name");
+    if (keyData) {
+        return { keyData, rotated: true };
+    }
+
+    keyData = await this.findOneAndUpdate(
+        { key: accessKey, key_hashed: { $ne: true } },
+        { key: hash, key_hashed: true, key_prefix: accessKey.substring(0, 8) },
+        { new: true }
+    ).select("+signing_secret").populate("app_type", "name");
+    if (keyData) {
+        return { keyData, rotated: false };
+    }
+
+    return null;
+};
+
+/**
+ * Set a freshly generated key; the replaced key keeps working for the overlap window
+ * @param {number} overlapHours - How long the replaced key stays valid (0 revokes it now)
+ * @returns {string} - The new plain text key, to be shown once
+ */
+sdk_access_key_schema.methods.setNewKey = function (overlapHours = 0) {
+    const newKey = this.constructor.generateKey();
+
+    if (this.key && overlapHours > 0) {
+        this.previous_key = this.key;
+        this.previous_key_expires_at = new Date(Date.now() + overlapHours * 60 * 60 * 1000);
+    } else {
+        this.previous_key = undefined;
+        this.previous_key_expires_at = undefined;
+    }
+
+    this.key = this.constructor.hashKey(newKey);
+    this.key_hashed = true;
+    this.key_prefix = newKey.substring(0, 8);
+    return newKey;
+};
+
+/**
+ * Generate a new request signing secret
+ * @returns {string} - The secret, to be shown once
+ */
+sdk_access_key_schema.methods.setSigningSecret = function () {
+    this.signing_secret = crypto.randomBytes(32).toString('hex');
+    return this.signing_secret;
+};
+
 // Method to update usage statistics
 sdk_access_key_schema.methods.updateUsage = async function () {
-    this.last_used = new Date();
-    this.usage_stats.total_requests += 1;
-    this.usage_stats.last_24h_requests += 1;
-
-    // Reset the 24h counter if needed (in a real app, you'd use a scheduled job for this)
-    return this.save();
+    // Atomic increment so concurrent requests with the same key are all counted
+    await this.constructor.updateOne(
+        { _id: this._id },
+        {
+            $set: { last_used: new Date() },
+            $inc: { "usage_stats.total_requests": 1 }
+        }
+    );
+    return SDKKeyUsage.record(this._id);
 };
 
 // Method to check if key is valid and active
@@ -65,9 +203,21 @@ sdk_access_key_schema.methods.isValid = function () {
 
 // Method to check if key has specific permission
 sdk_access_key_schema.methods.hasPermission = function (permission) {
-    return this.permissions[permission] === true;
+    return Array.isArray(this.permissions) && this.permissions.includes(permission);
 };
 
+// Don't expose key hashes in API responses
+sdk_access_key_schema.set("toJSON", {
+    transform: (doc, ret) => {
+        delete ret.key;
+        delete ret.previous_key;
+        delete ret.signing_secret;
+        return ret;
+    }
+});
+
 const SDKAccessKey = mongoose.model("SDKAccessKey", sdk_access_key_schema);
 
-module.exports = SDKAccessKey; 
\ No newline at end of file
+SDKAccessKey.PERMISSIONS = SDK_PERMISSIONS;
+
+module.exports = SDKAccessKey;
@@ -0,0 +1,96 @@
+const mongoose = require("mongoose");
+
+// Request counts of an SDK access key per hour and per day (UTC bucket starts)
+const sdk_key_usage_schema = new mongoose.Schema(
+  {
+    sdk_key: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SDKAccessKey",
+      required: true,
+    },
+    granularity: { type: String, enum: ["hour", "day"], required: true },
+    bucket_start: { type: Date, required: true },
+    requests: { type: Number, default: 0 },
+    // Requests rejected with 429 (not included in requests)
+    throttled: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
+sdk_key_usage_schema.index(
+  { sdk_key: 1, granularity: 1, bucket_start: 1 },
+  { unique: true }
+);
+
+const startOfBucket = (date, granularity) => {
+  const start = new Date(date);
+  start.setUTCMinutes(0, 0, 0);
+  if (granularity === "day") start.setUTCHours(0);
+  return start;
+};
+
+/**
+ * Count one request of a key in its hourly and daily buckets
+ * @param {ObjectId} sdkKeyId
+ * @param {Object} [options]
+ * @param {boolean} [options.throttled] - The request was rejected by the rate limit
+ * @param {Date} [options.at]
+ */
+sdk_key_usage_schema.statics.record = function (
+  sdkKeyId,
+  { throttled = false, at = new Date() } = {}
+) {
+  const field = throttled ? "throttled" : "requests";
+
+  return this.bulkWrite(
+    ["hour", "day"].map((granularity) => ({
+      updateOne: {
+        filter: {
+          sdk_key: sdkKeyId,
+          granularity,
+          bucket_start: startOfBucket(at, granularity),
+        },
+        update: { $inc: { [field]: 1 } },
+        upsert: true,
+      },
+    })),
+    { ordered: false }
+  );
+};
+
+/**
+ * Usage buckets of a key between two dates
+ * @returns {Promise<Array>} - [{ bucket_start, requests, throttled }] oldest first
+ */
+sdk_key_usage_schema.statics.getBuckets = function (
+  sdkKeyId,
+  granularity,
+  from,
+  to = new Date()
+) {
+  return this.find({
+    sdk_key: sdkKeyId,
+    granularity,
+    bucket_start: { $gte: startOfBucket(from, granularity), $lte: to },
+  })
+    .select("bucket_start requests throttled -_id")
+    .sort({ bucket_start: 1 })
+    .lean();
+};
+
+/**
+ * Requests of a key over the last 24 hours, from the hourly buckets
+ * @returns {Promise<number>}
+ */
+sdk_key_usage_schema.statics.getLast24hRequests = async function (sdkKeyId) {
+  const buckets = await this.getBuckets(
+    sdkKeyId,
+    "hour",
+    new Date(Date.now() - 23 * 60 * 60 * 1000)
+  );
+  return buckets.reduce((sum, bucket) => sum + bucket.requests, 0);
+};
+
+const SDKKeyUsage = mongoose.model("SDKKeyUsage", sdk_key_usage_schema);
+
+module.exports = SDKKeyUsage;
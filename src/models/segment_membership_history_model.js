@@ -0,0 +1,46 @@
+const mongoose = require("mongoose");
+
+// A customer entering or leaving a segment, as found by a refresh
+const segmentMembershipHistorySchema = new mongoose.Schema(
+  {
+    segment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CustomerSegment",
+      required: true,
+    },
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Customer",
+      required: true,
+    },
+    change: {
+      type: String,
+      enum: ["entered", "exited"],
+      required: true,
+    },
+    refresh_id: {
+      type: String,
+      required: true,
+    },
+    occurred_at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { timestamps: true }
+);
+
+// A refresh records each change once, so retried batches don't duplicate
+segmentMembershipHistorySchema.index(
+  { segment: 1, customer: 1, refresh_id: 1 },
+  { unique: true }
+);
+segmentMembershipHistorySchema.index({ segment: 1, occurred_at: -1 });
+segmentMembershipHistorySchema.index({ customer: 1, occurred_at: -1 });
+
+const SegmentMembershipHistory = mongoose.model(
+  "SegmentMembershipHistory",
+  segmentMembershipHistorySchema
+);
+
+module.exports = SegmentMembershipHistory;
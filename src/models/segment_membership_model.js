@@ -21,6 +21,11 @@ const segmentMembershipSchema = new mongoose.Schema(
       type: Map,
       of: mongoose.Schema.Types.Mixed,
     },
+    // Refresh that last found the customer eligible; members a refresh
+    // did not mark have left the segment
+    last_refresh_id: {
+      type: String,
+    },
   },
   { timestamps: true }
 );
@@ -29,6 +34,8 @@ const segmentMembershipSchema = new mongoose.Schema(
 segmentMembershipSchema.index({ segment: 1, customer: 1 }, { unique: true });
 // Index for faster lookups by segment
 segmentMembershipSchema.index({ segment: 1 });
+// Index for finding the members a refresh did not mark
+segmentMembershipSchema.index({ segment: 1, last_refresh_id: 1 });
 // Index for faster lookups by customer
 segmentMembershipSchema.index({ customer: 1 });
 
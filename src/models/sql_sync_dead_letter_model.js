@@ -0,0 +1,55 @@
+const mongoose = require("mongoose");
+
+// A document that could not be written to SQL. The sync moves on; the entry is
+// retried from the admin panel (with the current document) or by a backfill.
+const sql_sync_dead_letter_schema = new mongoose.Schema(
+  {
+    entity: { type: String, required: true }, // transactions | customers
+    mongo_id: { type: mongoose.Schema.Types.ObjectId, required: true },
+    operation: { type: String, required: true }, // insert | update | replace | delete | backfill
+    error: { type: String },
+    attempts: { type: Number, default: 0 },
+    status: {
+      type: String,
+      enum: ["pending", "resolved"],
+      default: "pending",
+    },
+    last_failed_at: { type: Date, default: Date.now },
+    resolved_at: { type: Date },
+  },
+  { timestamps: true }
+);
+
+// One open entry per document; repeated failures bump attempts
+sql_sync_dead_letter_schema.index(
+  { entity: 1, mongo_id: 1 },
+  { unique: true, partialFilterExpression: { status: "pending" } }
+);
+sql_sync_dead_letter_schema.index({ status: 1, createdAt: -1 });
+
+/**
+ * Record a failed write, or bump the open entry of the document
+ * @param {Object} failure - { entity, mongo_id, operation, error }
+ */
+sql_sync_dead_letter_schema.statics.record = function ({
+  entity,
+  mongo_id,
+  operation,
+  error,
+}) {
+  return this.findOneAndUpdate(
+    { entity, mongo_id, status: "pending" },
+    {
+      $set: { operation, error, last_failed_at: new Date() },
+      $inc: { attempts: 1 },
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+const SqlSyncDeadLetter = mongoose.model(
+  "SqlSyncDeadLetter",
+  sql_sync_dead_letter_schema
+);
+
+module.exports = SqlSyncDeadLetter;
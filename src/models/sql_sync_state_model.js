@@ -0,0 +1,37 @@
+const mongoose = require("mongoose");
+
+// Checkpoint of one Mongo-to-SQL change stream (see services/mongo-to-sql-sync.js)
+const sql_sync_state_schema = new mongoose.Schema(
+  {
+    stream: { type: String, required: true, unique: true },
+    // Change stream resume token of the last change written to SQL
+    resume_token: { type: mongoose.Schema.Types.Mixed, default: null },
+    // Cluster time of that change
+    last_event_at: { type: Date, default: null },
+    last_synced_at: { type: Date, default: null },
+    events_synced: { type: Number, default: 0 },
+    events_dead_lettered: { type: Number, default: 0 },
+    status: {
+      type: String,
+      enum: ["running", "reconnecting", "stopped"],
+      default: "stopped",
+    },
+    last_error: { type: String },
+    last_error_at: { type: Date },
+    // Set when the resume token had fallen off the oplog; changes between
+    // these times were not synced and need a backfill
+    gaps: [
+      {
+        _id: false,
+        from: { type: Date },
+        to: { type: Date },
+        detected_at: { type: Date, default: Date.now },
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+const SqlSyncState = mongoose.model("SqlSyncState", sql_sync_state_schema);
+
+module.exports = SqlSyncState;
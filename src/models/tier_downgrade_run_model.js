@@ -0,0 +1,57 @@
+const mongoose = require("mongoose");
+
+// One run per month; batches checkpoint on last_customer_id so a run can be resumed
+const tier_downgrade_run_schema = new mongoose.Schema(
+  {
+    period: { type: String, required: true, unique: true }, // YYYY-MM
+    status: {
+      type: String,
+      enum: ["running", "completed", "failed"],
+      default: "running",
+    },
+    // Bumped on resume/re-run; batch jobs of an older attempt are ignored
+    attempt: { type: Number, default: 1 },
+    triggered_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+    batch_size: { type: Number, required: true },
+    last_customer_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Customer",
+      default: null,
+    },
+    batches_processed: { type: Number, default: 0 },
+    customers_processed: { type: Number, default: 0 },
+    customers_downgraded: { type: Number, default: 0 },
+    customers_retained: { type: Number, default: 0 },
+    // Already downgraded for this period by an earlier attempt
+    customers_skipped: { type: Number, default: 0 },
+    customers_failed: { type: Number, default: 0 },
+    lots_expired: { type: Number, default: 0 },
+    points_expired: { type: Number, default: 0 },
+    // Only the latest failures are stored; customers_failed has the full total
+    failures: [
+      {
+        _id: false,
+        customer_id: { type: mongoose.Schema.Types.ObjectId, ref: "Customer" },
+        error: { type: String },
+        at: { type: Date, default: Date.now },
+      },
+    ],
+    started_at: { type: Date, default: Date.now },
+    finished_at: { type: Date },
+    error: { type: String },
+  },
+  { timestamps: true }
+);
+
+tier_downgrade_run_schema.index({ createdAt: -1 });
+
+const TierDowngradeRun = mongoose.model(
+  "TierDowngradeRun",
+  tier_downgrade_run_schema
+);
+
+module.exports = TierDowngradeRun;
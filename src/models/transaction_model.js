@@ -93,6 +93,8 @@ transaction_schema.index({ customer_id: 1, transaction_type: 1 });
 // transaction_schema.index({ transaction_id: 1 }, { unique: true });
 transaction_schema.index({ reference_id: 1 });
 transaction_schema.index({ point_criteria: 1 });
+// SQL sync backfill and lag status
+transaction_schema.index({ updatedAt: 1 });
 
 const Transaction = mongoose.model("Transaction", transaction_schema);
 
@@ -0,0 +1,77 @@
+const mongoose = require("mongoose");
+
+const MAX_ATTEMPT_LOG = 20;
+
+// One event sent to one subscription; replays create a new delivery of the same event
+const webhook_delivery_schema = new mongoose.Schema(
+  {
+    subscription: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "WebhookSubscription",
+      required: true,
+    },
+    event_id: { type: String, required: true },
+    event_type: { type: String, required: true },
+    // Exact body that is sent (and signed)
+    payload: { type: mongoose.Schema.Types.Mixed, required: true },
+    status: {
+      type: String,
+      enum: ["pending", "succeeded", "failed"],
+      default: "pending",
+    },
+    attempts: { type: Number, default: 0 },
+    attempt_log: [
+      {
+        _id: false,
+        at: { type: Date },
+        response_status: { type: Number },
+        response_body: { type: String },
+        error: { type: String },
+        duration_ms: { type: Number },
+      },
+    ],
+    delivered_at: { type: Date },
+    replay_of: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "WebhookDelivery",
+      default: null,
+    },
+    replayed_by: { type: mongoose.Schema.Types.ObjectId, ref: "Admin" },
+  },
+  { timestamps: true }
+);
+
+webhook_delivery_schema.index({ subscription: 1, createdAt: -1 });
+webhook_delivery_schema.index({ status: 1, createdAt: -1 });
+webhook_delivery_schema.index({ event_id: 1 });
+
+/**
+ * Record one delivery attempt (only the latest attempts are kept)
+ * @param {Object} attempt - { response_status, response_body, error, duration_ms }
+ * @param {string} [status] - New status after this attempt
+ */
+webhook_delivery_schema.methods.recordAttempt = function (attempt, status) {
+  return this.constructor.findByIdAndUpdate(
+    this._id,
+    {
+      $inc: { attempts: 1 },
+      $push: {
+        attempt_log: {
+          $each: [{ at: new Date(), ...attempt }],
+          $slice: -MAX_ATTEMPT_LOG,
+        },
+      },
+      ...(status && {
+        $set: {
+          status,
+          ...(status === "succeeded" && { delivered_at: new Date() }),
+        },
+      }),
+    },
+    { new: true }
+  );
+};
+
+const WebhookDelivery = mongoose.model("WebhookDelivery", webhook_delivery_schema);
+
+module.exports = WebhookDelivery;
@@ -0,0 +1,53 @@
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+
+// Loyalty events partners can subscribe to
+const WEBHOOK_EVENTS = [
+  "points.earned",
+  "points.redeemed",
+  "points.expired",
+  "points.refunded",
+  "points.redemption_cancelled",
+  "tier.upgraded",
+  "tier.downgraded",
+  "coupon.redeemed",
+  "referral.completed",
+];
+
+const webhook_subscription_schema = new mongoose.Schema(
+  {
+    name: { type: String, trim: true, required: true },
+    description: { type: String, trim: true },
+    // Only events of customers/transactions of this app type are delivered
+    app_type: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "AppType",
+      required: true,
+    },
+    url: { type: String, trim: true, required: true },
+    event_types: [{ type: String, enum: WEBHOOK_EVENTS, required: true }],
+    // HMAC-SHA256 secret deliveries are signed with; shown once on creation/rotation
+    secret: { type: String, required: true, select: false },
+    isActive: { type: Boolean, default: true },
+    last_delivery_at: { type: Date },
+    // Reset on every successful delivery
+    consecutive_failures: { type: Number, default: 0 },
+    created_by: { type: mongoose.Schema.Types.ObjectId, ref: "Admin" },
+  },
+  { timestamps: true }
+);
+
+webhook_subscription_schema.index({ app_type: 1, event_types: 1, isActive: 1 });
+
+webhook_subscription_schema.statics.generateSecret = function () {
+  return `whsec_${crypto.randomBytes(32).toString("hex")}`;
+};
+
+const WebhookSubscription = mongoose.model(
+  "WebhookSubscription",
+  webhook_subscription_schema
+);
+
+WebhookSubscription.EVENTS = WEBHOOK_EVENTS;
+
+module.exports = WebhookSubscription;
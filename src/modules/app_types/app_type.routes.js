@@ -7,7 +7,6 @@ const {
   updateAppType,
   deleteAppType,
 } = require("./app_type.controllers");
-const { authorizePermission } = require("../../middlewares/auth/auth");
 const { createAuditMiddleware } = require("../audit");
 const { cacheMiddleware, cacheKeys,cachePatterns } = require("../../middlewares/redis_cache/cache.middleware");
 const { cacheInvalidationMiddleware,enhancedCacheInvalidationMiddleware } = require("../../middlewares/redis_cache/cache_invalidation.middleware");
@@ -15,7 +14,6 @@ const { cacheInvalidationMiddleware,enhancedCacheInvalidationMiddleware } = requ
 
 const appTypeAudit = createAuditMiddleware("app_type");
 
-router.use(authorizePermission("MANAGE_APP_TYPES"));
 
 
 router.post(
@@ -5,9 +5,27 @@
  * It should be used when you need to log response data in audit logs.
  */
 
+/**
+ * Copy of a response body without the given fields of its data, e.g. secrets
+ * shown to the caller once that must not end up in audit logs
+ * @param {*} body - Response body
+ * @param {Array} fields - Fields to remove from body.data
+ * @returns {*}
+ */
+const omitDataFields = (body, fields) => {
+    if (fields.length === 0 || !body || typeof body !== 'object' || !body.data || typeof body.data !== 'object') {
+        return body;
+    }
+
+    const data = { ...body.data };
+    fields.forEach(field => delete data[field]);
+    return { ...body, data };
+};
+
 /**
  * Middleware to capture response bodies
  * @param {Object} options - Configuration options
+ * @param {Array} [options.omitFields] - Fields of the response data not to capture
  * @returns {Function} Express middleware
  */
 const captureResponse = (options = {}) => {
@@ -24,7 +42,10 @@ const captureResponse = (options = {}) => {
             'image/',
             'video/',
             'audio/'
-        ]
+        ],
+
+        // Fields of the response data not to capture
+        omitFields: options.omitFields || []
     };
 
     return (req, res, next) => {
@@ -35,7 +56,7 @@ const captureResponse = (options = {}) => {
         // Override the json method
         res.json = function (body) {
             // Store the response body in res.locals for audit middleware
-            res.locals.responseBody = body;
+            res.locals.responseBody = omitDataFields(body, config.omitFields);
 
             // Call the original method
             return originalJson.call(this, body);
@@ -52,7 +73,7 @@ const captureResponse = (options = {}) => {
                 if (typeof body === 'string') {
                     try {
                         const jsonBody = JSON.parse(body);
-                        res.locals.responseBody = jsonBody;
+                        res.locals.responseBody = omitDataFields(jsonBody, config.omitFields);
                     } catch (e) {
                         // Not JSON, store as string if not too large
                         if (body.length <= config.maxSize) {
@@ -63,7 +84,7 @@ const captureResponse = (options = {}) => {
                     }
                 } else if (body !== undefined) {
                     // Store the response body in res.locals for audit middleware
-                    res.locals.responseBody = body;
+                    res.locals.responseBody = omitDataFields(body, config.omitFields);
                 }
             }
 
@@ -1,11 +1,9 @@
 const express = require("express");
 const router = express.Router();
 const auditController = require("../controllers/audit.controller");
-const { authorizePermission } = require("../../../middlewares/auth/auth");
 const { auditAdminAction } = require("../middlewares/audit.middleware");
 
-// All routes require authentication and VIEW_AUDIT_LOGS permission
-router.use(authorizePermission("VIEW_AUDIT_LOGS"));
+// All routes require authentication and audit:view permission (see config/routes.js)
 
 // Reports and statistics
 router.get(
@@ -16,7 +14,6 @@ router.get(
 
 router.get(
     "/reports/export",
-    authorizePermission("EXPORT_AUDIT_LOGS"),
     auditAdminAction("export_audit_logs"),
     auditController.exportLogs
 );
@@ -38,7 +35,6 @@ router.get(
 // System logs
 router.get(
     "/system-logs",
-    authorizePermission("VIEW_SYSTEM_LOGS"),
     auditAdminAction("view_system_logs"),
     auditController.getSystemLogs
 );
@@ -46,7 +42,6 @@ router.get(
 // API logs
 router.get(
     "/api-logs",
-    authorizePermission("VIEW_API_LOGS"),
     auditAdminAction("view_api_logs"),
     auditController.getApiLogs
 );
@@ -7,6 +7,14 @@ const {
 } = require("../../utils/generate_referral_code");
 const { generate_admin_token } = require("../../utils/generate_admin_token");
 const validator = require("./auth.validator");
+const { getEffectivePermissions } = require("../../config/permissions");
+const {
+  createSession,
+  rotateRefreshToken,
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+} = require("../../services/admin_session.service");
 
 //for admin only
 exports.signup = async (req, res) => {
@@ -72,7 +80,11 @@ exports.admin_login = async (req, res) => {
     user.lastLogin = new Date();
     await user.save();
 
-    const jwt_token = await generate_admin_token(user._id);
+    const session = await createSession(user, {
+      device: req.body.device_name || req.headers["user-agent"],
+      ip: req.ip,
+    });
+    const jwt_token = await generate_admin_token(user._id, session.sessionId);
 
     // Check if password change is required
     const requirePasswordChange =
@@ -80,6 +92,8 @@ exports.admin_login = async (req, res) => {
 
     return response_handler(res, 200, "Login successful!", {
       token: jwt_token,
+      refreshToken: session.refreshToken,
+      sessionId: session.sessionId,
       requirePasswordChange,
       isFirstLogin: user.isFirstLogin,
     });
@@ -102,8 +116,107 @@ exports.getMe = async (req, res) => {
       res,
       200,
       "User details retrieved successfully",
-      user
+      {
+        ...user.toObject(),
+        // What requirePermission checks for this admin (role may hold wildcards/legacy names)
+        permissions: getEffectivePermissions(user.role),
+      }
+    );
+  } catch (error) {
+    return response_handler(
+      res,
+      500,
+      `Internal Server Error. ${error.message}`
     );
+  }
+};
+
+// New access token and rotated refresh token for a session
+exports.refresh = async (req, res) => {
+  try {
+    const { error } = validator.refresh.validate(req.body, {
+      abortEarly: false,
+    });
+    if (error) {
+      const error_messages = error.details.map((err) => err.message).join(", ");
+      return response_handler(res, 400, `Invalid input: ${error_messages}`);
+    }
+
+    const result = await rotateRefreshToken(req.body.refreshToken, {
+      ip: req.ip,
+    });
+    if (result.error) {
+      return response_handler(res, 401, result.error);
+    }
+
+    const admin = await Admin.findById(result.adminId);
+    if (!admin || !admin.isActive) {
+      await revokeSession(result.adminId, result.sessionId);
+      return response_handler(res, 401, "Account is inactive or no longer exists.");
+    }
+
+    const jwt_token = await generate_admin_token(admin._id, result.sessionId);
+
+    return response_handler(res, 200, "Token refreshed successfully!", {
+      token: jwt_token,
+      refreshToken: result.refreshToken,
+      sessionId: result.sessionId,
+    });
+  } catch (error) {
+    return response_handler(
+      res,
+      500,
+      `Internal Server Error. ${error.message}`
+    );
+  }
+};
+
+// Sessions of the logged-in admin
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await listSessions(req.admin._id);
+    return response_handler(
+      res,
+      200,
+      "Sessions retrieved successfully",
+      sessions.map((session) => ({
+        ...session,
+        current: session.session_id === req.session_id,
+      }))
+    );
+  } catch (error) {
+    return response_handler(
+      res,
+      500,
+      `Internal Server Error. ${error.message}`
+    );
+  }
+};
+
+exports.revokeSession = async (req, res) => {
+  try {
+    const revoked = await revokeSession(req.admin._id, req.params.sessionId);
+    if (!revoked) {
+      return response_handler(res, 404, "Session not found");
+    }
+    return response_handler(res, 200, "Session revoked successfully");
+  } catch (error) {
+    return response_handler(
+      res,
+      500,
+      `Internal Server Error. ${error.message}`
+    );
+  }
+};
+
+// Log out everywhere, this session included
+exports.revokeAllSessions = async (req, res) => {
+  try {
+    const count = await revokeAllSessions(req.admin._id);
+    res.clearCookie("token");
+    return response_handler(res, 200, "All sessions revoked successfully", {
+      revoked: count,
+    });
   } catch (error) {
     return response_handler(
       res,
@@ -115,6 +228,7 @@ exports.getMe = async (req, res) => {
 
 exports.logout = async (req, res) => {
   try {
+    await revokeSession(req.admin._id, req.session_id);
     res.clearCookie("token");
     return response_handler(res, 200, "Logout successful!");
   } catch (error) {
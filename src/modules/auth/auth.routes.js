@@ -54,9 +54,48 @@ router.post(
   auth_controller.register
 );
 
+// Exchange a refresh token for a new access token (the refresh token rotates)
+router.post(
+  "/refresh",
+  key_protect,
+  authAudit.authentication("refresh_token", {
+    description: "Admin session token refresh",
+  }),
+  auth_controller.refresh
+);
+
 router.get("/me", protect, auth_controller.getMe);
 
-router.get("/logout", auth_controller.logout);
+router.get(
+  "/logout",
+  protect,
+  authAudit.authentication("logout", {
+    description: "Admin logged out",
+  }),
+  auth_controller.logout
+);
+
+// Sessions of the logged-in admin
+router.get("/sessions", protect, auth_controller.getSessions);
+
+router.delete(
+  "/sessions",
+  protect,
+  authAudit.authentication("revoke_all_sessions", {
+    description: "Admin logged out of all sessions",
+  }),
+  auth_controller.revokeAllSessions
+);
+
+router.delete(
+  "/sessions/:sessionId",
+  protect,
+  authAudit.authentication("revoke_session", {
+    description: "Admin revoked a session",
+    details: (req) => ({ session_id: req.params.sessionId }),
+  }),
+  auth_controller.revokeSession
+);
 
 // Force password change route (for first-time login)
 router.post(
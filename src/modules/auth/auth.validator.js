@@ -11,6 +11,11 @@ exports.signup = Joi.object({
 exports.login = Joi.object({
   email: Joi.string().email().required(),
   password: Joi.string().required(),
+  device_name: Joi.string().trim().max(200), // Shown in the session list, defaults to the user agent
+});
+
+exports.refresh = Joi.object({
+  refreshToken: Joi.string().required(),
 });
 
 exports.register = Joi.object({
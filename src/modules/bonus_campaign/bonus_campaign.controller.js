@@ -0,0 +1,185 @@
+const response_handler = require("../../helpers/response_handler");
+const BonusCampaign = require("../../models/bonus_campaign_model");
+const validator = require("./bonus_campaign.validator");
+
+exports.create = async (req, res) => {
+  try {
+    const { error } = validator.create_campaign.validate(req.body, {
+      abortEarly: false,
+    });
+    if (error) {
+      const error_messages = error.details.map((err) => err.message).join(", ");
+      return response_handler(res, 400, `Invalid input: ${error_messages}`);
+    }
+
+    const new_campaign = await BonusCampaign.create({
+      ...req.body,
+      created_by: req.admin ? req.admin._id : undefined,
+    });
+
+    return response_handler(
+      res,
+      201,
+      "Bonus campaign created successfully!",
+      new_campaign
+    );
+  } catch (error) {
+    return response_handler(
+      res,
+      500,
+      `Internal Server Error. ${error.message}`
+    );
+  }
+};
+
+exports.list = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skipCount = (page - 1) * limit;
+    const { status, search } = req.query;
+    const filter = {};
+    const now = new Date();
+
+    if (search) {
+      filter["name.en"] = { $regex: search, $options: "i" };
+    }
+
+    if (status === "running") {
+      filter.isActive = true;
+      filter.start_date = { $lte: now };
+      filter.end_date = { $gte: now };
+    } else if (status === "scheduled") {
+      filter.start_date = { $gt: now };
+    } else if (status === "ended") {
+      filter.end_date = { $lt: now };
+    }
+
+    const campaigns = await BonusCampaign.find(filter)
+      .populate("app_types", "name")
+      .populate("services", "title")
+      .populate("segments", "name")
+      .skip(skipCount)
+      .limit(limit)
+      .sort({ _id: -1 })
+      .lean();
+    const total_count = await BonusCampaign.countDocuments(filter);
+
+    return response_handler(
+      res,
+      200,
+      "Bonus campaigns fetched successfully!",
+      campaigns,
+      total_count
+    );
+  } catch (error) {
+    return response_handler(
+      res,
+      500,
+      `Internal Server Error. ${error.message}`
+    );
+  }
+};
+
+exports.get_campaign = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const campaign = await BonusCampaign.findById(id)
+      .populate("app_types", "name")
+      .populate("services", "title")
+      .populate("segments", "name");
+
+    if (!campaign) {
+      return response_handler(res, 404, "Bonus campaign not found");
+    }
+
+    return response_handler(
+      res,
+      200,
+      "Bonus campaign fetched successfully!",
+      campaign
+    );
+  } catch (error) {
+    return response_handler(
+      res,
+      500,
+      `Internal Server Error. ${error.message}`
+    );
+  }
+};
+
+exports.update_campaign = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { error } = validator.update_campaign.validate(req.body, {
+      abortEarly: false,
+    });
+    if (error) {
+      const error_messages = error.details.map((err) => err.message).join(", ");
+      return response_handler(res, 400, `Invalid input: ${error_messages}`);
+    }
+
+    const campaign = await BonusCampaign.findById(id);
+    if (!campaign) {
+      return response_handler(res, 404, "Bonus campaign not found");
+    }
+
+    campaign.set(req.body);
+
+    if (campaign.end_date <= campaign.start_date) {
+      return response_handler(res, 400, "end_date must be after start_date");
+    }
+
+    await campaign.save();
+
+    return response_handler(
+      res,
+      200,
+      "Bonus campaign updated successfully!",
+      campaign
+    );
+  } catch (error) {
+    return response_handler(
+      res,
+      500,
+      `Internal Server Error. ${error.message}`
+    );
+  }
+};
+
+exports.delete_campaign = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const campaign = await BonusCampaign.findById(id);
+    if (!campaign) {
+      return response_handler(res, 404, "Bonus campaign not found");
+    }
+
+    // Campaigns that already awarded points stay for the transaction history
+    if (campaign.points_awarded > 0) {
+      campaign.isActive = false;
+      await campaign.save();
+      return response_handler(
+        res,
+        200,
+        "Bonus campaign has awarded points and was deactivated instead",
+        campaign
+      );
+    }
+
+    await campaign.deleteOne();
+
+    return response_handler(
+      res,
+      200,
+      "Bonus campaign deleted successfully!",
+      campaign
+    );
+  } catch (error) {
+    return response_handler(
+      res,
+      500,
+      `Internal Server Error. ${error.message}`
+    );
+  }
+};
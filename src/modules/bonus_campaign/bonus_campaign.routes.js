@@ -0,0 +1,61 @@
+const express = require("express");
+const router = express.Router();
+const bonus_campaign_controller = require("./bonus_campaign.controller");
+const { createAuditMiddleware } = require("../audit");
+
+// Create audit middleware for the bonus campaign module
+const bonusCampaignAudit = createAuditMiddleware("bonus_campaign");
+
+
+// Create and list bonus campaigns
+router.post(
+  "/",
+  bonusCampaignAudit.captureResponse(),
+  bonusCampaignAudit.adminAction("create_bonus_campaign", {
+    description: "Admin created a bonus campaign",
+    targetModel: "BonusCampaign",
+    details: (req) => req.body,
+    getModifiedData: (req, res) => {
+      if (res.locals.responseBody && res.locals.responseBody.data) {
+        return res.locals.responseBody.data;
+      }
+      return null;
+    },
+  }),
+  bonus_campaign_controller.create
+);
+
+router.get("/", bonus_campaign_controller.list);
+
+// Get, update, and delete a specific bonus campaign
+router.get("/:id", bonus_campaign_controller.get_campaign);
+
+router.put(
+  "/:id",
+  bonusCampaignAudit.captureResponse(),
+  bonusCampaignAudit.adminAction("update_bonus_campaign", {
+    description: "Admin updated a bonus campaign",
+    targetModel: "BonusCampaign",
+    targetId: (req) => req.params.id,
+    details: (req) => req.body,
+    getModifiedData: (req, res) => {
+      if (res.locals.responseBody && res.locals.responseBody.data) {
+        return res.locals.responseBody.data;
+      }
+      return null;
+    },
+  }),
+  bonus_campaign_controller.update_campaign
+);
+
+router.delete(
+  "/:id",
+  bonusCampaignAudit.adminAction("delete_bonus_campaign", {
+    description: "Admin deleted a bonus campaign",
+    targetModel: "BonusCampaign",
+    targetId: (req) => req.params.id,
+  }),
+  bonus_campaign_controller.delete_campaign
+);
+
+module.exports = router;
@@ -0,0 +1,53 @@
+const Joi = require("joi");
+
+const objectId = Joi.string().regex(/^[0-9a-fA-F]{24}$/); // MongoDB ObjectId validation
+
+const rewardValue = Joi.number().when("reward_type", {
+  is: "multiplier",
+  then: Joi.number().greater(1),
+  otherwise: Joi.number().integer().min(1),
+});
+
+exports.create_campaign = Joi.object({
+  name: Joi.object({
+    en: Joi.string().required(),
+    ar: Joi.string().allow(""),
+  }).required(),
+  description: Joi.object({
+    en: Joi.string().allow(""),
+    ar: Joi.string().allow(""),
+  }),
+  start_date: Joi.date().required(),
+  end_date: Joi.date().greater(Joi.ref("start_date")).required(),
+  app_types: Joi.array().items(objectId),
+  services: Joi.array().items(objectId),
+  segments: Joi.array().items(objectId),
+  payment_methods: Joi.array().items(Joi.string()),
+  reward_type: Joi.string().valid("multiplier", "flat_bonus").required(),
+  reward_value: rewardValue.required(),
+  stacking_policy: Joi.string().valid("stack", "best_of", "exclusive"),
+  points_budget: Joi.number().integer().min(1).allow(null),
+  isActive: Joi.boolean(),
+});
+
+exports.update_campaign = Joi.object({
+  name: Joi.object({
+    en: Joi.string(),
+    ar: Joi.string().allow(""),
+  }),
+  description: Joi.object({
+    en: Joi.string().allow(""),
+    ar: Joi.string().allow(""),
+  }),
+  start_date: Joi.date(),
+  end_date: Joi.date(),
+  app_types: Joi.array().items(objectId),
+  services: Joi.array().items(objectId),
+  segments: Joi.array().items(objectId),
+  payment_methods: Joi.array().items(Joi.string()),
+  reward_type: Joi.string().valid("multiplier", "flat_bonus"),
+  reward_value: rewardValue,
+  stacking_policy: Joi.string().valid("stack", "best_of", "exclusive"),
+  points_budget: Joi.number().integer().min(1).allow(null),
+  isActive: Joi.boolean(),
+}).with("reward_value", "reward_type");
@@ -4,6 +4,7 @@ const Customer = require("../../../models/customer_model");
 const { v4: uuidv4 } = require("uuid");
 const Tier = require("../../../models/tier_model");
 const ReferralProgramRule = require("../../../models/referral_program_rule_model");
+const PointsLedgerEntry = require("../../../models/points_ledger_entry_model");
 
 exports.customer_register = async (req, res) => {
   try {
@@ -94,6 +95,13 @@ exports.customer_register = async (req, res) => {
 
     await newCustomer.save();
 
+    await PointsLedgerEntry.record({
+      customer_id: newCustomer._id,
+      points: referralPoints,
+      transaction_type: "referral",
+      description: "Referral points on registration",
+    });
+
     // Remove sensitive information from response
     const customerResponse = newCustomer.toObject();
     delete customerResponse.password;
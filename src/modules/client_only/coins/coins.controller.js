@@ -1,6 +1,7 @@
 const Customer = require("../../../models/customer_model");
 const CoinConversionRule = require("../../../models/coin_management_model");
 const Transaction = require("../../../models/transaction_model");
+const PointsLedgerEntry = require("../../../models/points_ledger_entry_model");
 const response_handler = require("../../../helpers/response_handler");
 const { logger } = require("../../../middlewares/logger");
 const mongoose = require("mongoose");
@@ -70,6 +71,17 @@ exports.convertPointsToCoins = async (req, res) => {
             { session }
         );
 
+        await PointsLedgerEntry.record(
+            {
+                customer_id: customer._id,
+                points: -points,
+                transaction_type: "convert_to_coins",
+                transaction,
+                description: `Converted ${points} points to ${coins} coins`
+            },
+            session
+        );
+
         // Update transaction status
         await Transaction.findByIdAndUpdate(
             transaction._id,
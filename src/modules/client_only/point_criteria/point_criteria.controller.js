@@ -4,6 +4,8 @@ const response_handler = require("../../../helpers/response_handler");
 const { logger } = require("../../../middlewares/logger");
 const loyaltyPointsController = require("../../loyalty_points_core/loyalty_points.controller");
 const Customer = require("../../../models/customer_model");
+const PointsLedgerEntry = require("../../../models/points_ledger_entry_model");
+const { buildRuleContext } = require("../../../helpers/rule_engine");
 
 
 //process a loyalty point earning event from user based on trigger event, trigger service, app type , user tier, condition etc
@@ -93,6 +95,14 @@ exports.process_loyalty_event = async (req, res) => {
         },
         { new: true }
       );
+
+      await PointsLedgerEntry.record({
+        customer_id: customerId,
+        points: pointsToAward,
+        transaction_type: "earn",
+        transaction,
+        description: "Points earned from loyalty event",
+      });
   
       // Update the transaction status
       await Transaction.findByIdAndUpdate(transaction._id, {
@@ -140,15 +150,22 @@ exports.getPointCalculationDetails = async (req, res) => {
             return response_handler(res, 404, "No matching point criteria found", null);
         }
 
+        // Rule conditions see the same facts as when the points are awarded
+        const ruleContext = await buildRuleContext([pointCriteria], {
+            customer: req.customer,
+            appType: app_type,
+        });
+
         // Check eligibility
         const eligibilityCheck = await pointCriteria.checkEligibilityOptimized(
             payment_method,
             transaction_value,
-            req.user._id
+            req.customer._id,
+            ruleContext
         );
 
         // Calculate points
-        const pointCalculation = pointCriteria.calculatePoints(payment_method, transaction_value);
+        const pointCalculation = pointCriteria.calculatePoints(payment_method, transaction_value, ruleContext);
 
         return response_handler(res, 200, "Point calculation details retrieved successfully", {
             point_criteria: {
@@ -216,14 +233,14 @@ exports.checkCustomerEligibility = async (req, res) => {
 
         const [weeklyTransactions, monthlyTransactions] = await Promise.all([
             Transaction.countDocuments({
-                customer_id: req.user._id,
+                customer_id: req.customer._id,
                 point_criteria: pointCriteria._id,
                 status: "success",
                 transaction_type: "earn",
                 createdAt: { $gte: startOfWeek }
             }),
             Transaction.countDocuments({
-                customer_id: req.user._id,
+                customer_id: req.customer._id,
                 point_criteria: pointCriteria._id,
                 status: "success",
                 transaction_type: "earn",
@@ -235,7 +252,7 @@ exports.checkCustomerEligibility = async (req, res) => {
         const totalPoints = await Transaction.aggregate([
             {
                 $match: {
-                    customer_id: req.user._id,
+                    customer_id: req.customer._id,
                     point_criteria: pointCriteria._id,
                     status: "success",
                     transaction_type: "earn"
@@ -249,15 +266,22 @@ exports.checkCustomerEligibility = async (req, res) => {
             }
         ]);
 
+        // Rule conditions see the same facts as when the points are awarded
+        const ruleContext = await buildRuleContext([pointCriteria], {
+            customer: req.customer,
+            appType: app_type,
+        });
+
         // Check eligibility
         const eligibilityCheck = await pointCriteria.checkEligibilityOptimized(
             payment_method,
             transaction_value,
-            req.user._id
+            req.customer._id,
+            ruleContext
         );
 
         // Calculate potential points
-        const pointCalculation = pointCriteria.calculatePoints(payment_method, transaction_value);
+        const pointCalculation = pointCriteria.calculatePoints(payment_method, transaction_value, ruleContext);
 
                 return response_handler(res, 200, "Customer eligibility checked successfully", {
             point_criteria: {
@@ -6,7 +6,6 @@ const {
   updateCoinConversionRule,
   resetCoinConversionRule,
 } = require("./coin_management.controller");
-const { authorizePermission } = require("../../middlewares/auth/auth");
 const { createAuditMiddleware } = require("../audit");
 const {
   cacheInvalidationMiddleware,
@@ -18,7 +17,6 @@ const {
 
 const coinManagementAudit = createAuditMiddleware("coin_management");
 
-router.use(authorizePermission("VIEW_COIN_MANAGEMENT"));
 
 
 //add and update coin conversion rule
@@ -13,10 +13,10 @@ const {
   getEmailCampaignById,
   updateEmailCampaign,
   deleteEmailCampaign,
+  getEmailCampaignDeliveries,
   sendTestEmail,
   sendEmailCampaign,
 } = require("./email_campaign.controllers");
-const { authorizePermission } = require("../../../middlewares/auth/auth");
 const { createAuditMiddleware } = require("../../audit");
 
 // Create audit middleware for email communications
@@ -25,7 +25,6 @@ const emailAudit = createAuditMiddleware("email_communication");
 // Email Template Routes
 router.get(
   "/templates",
-  authorizePermission("MANAGE_COMMUNICATIONS"),
   emailAudit.captureResponse(),
   emailAudit.adminAction("view_email_templates", {
     description: "Admin viewed all email templates",
@@ -36,7 +35,6 @@ router.get(
 
 router.get(
   "/templates/:id",
-  authorizePermission("MANAGE_COMMUNICATIONS"),
   emailAudit.captureResponse(),
   emailAudit.adminAction("view_email_template", {
     description: "Admin viewed an email template",
@@ -47,7 +45,6 @@ router.get(
 
 router.post(
   "/templates",
-  authorizePermission("MANAGE_COMMUNICATIONS"),
   emailAudit.captureResponse(),
   emailAudit.adminAction("create_email_template", {
     description: "Admin created a new email template",
@@ -58,7 +55,6 @@ router.post(
 
 router.put(
   "/templates/:id",
-  authorizePermission("MANAGE_COMMUNICATIONS"),
   emailAudit.captureResponse(),
   emailAudit.adminAction("update_email_template", {
     description: "Admin updated an email template",
@@ -69,7 +65,6 @@ router.put(
 
 router.delete(
   "/templates/:id",
-  authorizePermission("MANAGE_COMMUNICATIONS"),
   emailAudit.captureResponse(),
   emailAudit.adminAction("delete_email_template", {
     description: "Admin deleted an email template",
@@ -81,7 +76,6 @@ router.delete(
 // Email Campaign Routes
 router.get(
   "/campaigns",
-  authorizePermission("MANAGE_COMMUNICATIONS"),
   emailAudit.captureResponse(),
   emailAudit.adminAction("view_email_campaigns", {
     description: "Admin viewed all email campaigns",
@@ -92,7 +86,6 @@ router.get(
 
 router.get(
   "/campaigns/:id",
-  authorizePermission("MANAGE_COMMUNICATIONS"),
   emailAudit.captureResponse(),
   emailAudit.adminAction("view_email_campaign", {
     description: "Admin viewed an email campaign",
@@ -103,7 +96,6 @@ router.get(
 
 router.post(
   "/campaigns",
-  authorizePermission("MANAGE_COMMUNICATIONS"),
   emailAudit.captureResponse(),
   emailAudit.adminAction("create_email_campaign", {
     description: "Admin created a new email campaign",
@@ -114,7 +106,6 @@ router.post(
 
 router.put(
   "/campaigns/:id",
-  authorizePermission("MANAGE_COMMUNICATIONS"),
   emailAudit.captureResponse(),
   emailAudit.adminAction("update_email_campaign", {
     description: "Admin updated an email campaign",
@@ -125,7 +116,6 @@ router.put(
 
 router.delete(
   "/campaigns/:id",
-  authorizePermission("MANAGE_COMMUNICATIONS"),
   emailAudit.captureResponse(),
   emailAudit.adminAction("delete_email_campaign", {
     description: "Admin deleted an email campaign",
@@ -134,9 +124,18 @@ router.delete(
   deleteEmailCampaign
 );
 
+router.get(
+  "/campaigns/:id/deliveries",
+  emailAudit.captureResponse(),
+  emailAudit.adminAction("view_email_campaign_deliveries", {
+    description: "Admin viewed the deliveries of an email campaign",
+    targetModel: "EmailCampaign",
+  }),
+  getEmailCampaignDeliveries
+);
+
 router.post(
   "/campaigns/:id/test",
-  authorizePermission("MANAGE_COMMUNICATIONS"),
   emailAudit.captureResponse(),
   emailAudit.adminAction("send_test_email", {
     description: "Admin sent a test email",
@@ -147,7 +146,6 @@ router.post(
 
 router.post(
   "/campaigns/:id/send",
-  authorizePermission("MANAGE_COMMUNICATIONS"),
   emailAudit.captureResponse(),
   emailAudit.adminAction("send_email_campaign", {
     description: "Admin sent or scheduled an email campaign",
@@ -1,8 +1,14 @@
 const EmailCampaign = require("../../../models/email_campaign_model");
 const EmailTemplate = require("../../../models/email_template_model");
-const Customer = require("../../../models/customer_model");
+const EmailDelivery = require("../../../models/email_delivery_model");
+const Joi = require("joi");
 const { logger } = require("../../../middlewares/logger");
-const { response_handler } = require("../../../helpers/response_handler");
+const response_handler = require("../../../helpers/response_handler");
+const { sendMail } = require("../../../services/email.service");
+const {
+  renderCampaignEmail,
+  queueCampaignDispatch,
+} = require("../../../jobs/email_campaign.job");
 
 /**
  * Create a new email campaign
@@ -42,8 +48,8 @@ const createEmailCampaign = async (req, res) => {
       recipients,
       scheduled_date,
       content_variables,
-      created_by: req.user._id,
-      updated_by: req.user._id,
+      created_by: req.admin._id,
+      updated_by: req.admin._id,
     });
 
     await campaign.save();
@@ -247,11 +253,11 @@ const updateEmailCampaign = async (req, res) => {
     }
 
     // Check if campaign is already sent
-    if (campaign.status === "sent") {
+    if (["sending", "sent"].includes(campaign.status)) {
       return response_handler(
         res,
         400,
-        "Cannot update a campaign that has already been sent"
+        "Cannot update a campaign that is being or has been sent"
       );
     }
 
@@ -277,7 +283,7 @@ const updateEmailCampaign = async (req, res) => {
         recipients: recipients || campaign.recipients,
         scheduled_date: scheduled_date || campaign.scheduled_date,
         content_variables: content_variables || campaign.content_variables,
-        updated_by: req.user._id,
+        updated_by: req.admin._id,
       },
       { new: true, runValidators: true }
     )
@@ -319,11 +325,11 @@ const deleteEmailCampaign = async (req, res) => {
     }
 
     // Check if campaign is already sent
-    if (campaign.status === "sent") {
+    if (["sending", "sent"].includes(campaign.status)) {
       return response_handler(
         res,
         400,
-        "Cannot delete a campaign that has already been sent"
+        "Cannot delete a campaign that is being or has been sent"
       );
     }
 
@@ -342,6 +348,62 @@ const deleteEmailCampaign = async (req, res) => {
   }
 };
 
+/**
+ * Per-recipient deliveries of an email campaign
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getEmailCampaignDeliveries = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { page = 1, limit = 20, status, email } = req.query;
+
+    const campaign = await EmailCampaign.findById(id).select("name status stats");
+
+    if (!campaign) {
+      return response_handler(res, 404, "Email campaign not found");
+    }
+
+    const filter = { campaign: id };
+    if (status) filter.status = status;
+    if (email) filter.email = email.trim();
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [deliveries, totalDeliveries] = await Promise.all([
+      EmailDelivery.find(filter)
+        .sort({ _id: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .populate("customer", "name email customer_id"),
+      EmailDelivery.countDocuments(filter),
+    ]);
+
+    return response_handler(
+      res,
+      200,
+      "Email campaign deliveries retrieved successfully",
+      {
+        campaign,
+        deliveries,
+        pagination: {
+          total: totalDeliveries,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          pages: Math.ceil(totalDeliveries / parseInt(limit)),
+        },
+      }
+    );
+  } catch (error) {
+    logger.error(`Error retrieving email campaign deliveries: ${error.message}`);
+    return response_handler(
+      res,
+      500,
+      "Failed to retrieve email campaign deliveries",
+      error.message
+    );
+  }
+};
+
 /**
  * Send a test email
  * @param {Object} req - Express request object
@@ -352,26 +414,31 @@ const sendTestEmail = async (req, res) => {
     const { id } = req.params;
     const { test_email } = req.body;
 
-    if (!test_email) {
-      return response_handler(res, 400, "Test email address is required");
+    if (!test_email || Joi.string().email().validate(test_email).error) {
+      return response_handler(res, 400, "A valid test email address is required");
     }
 
     // Check if campaign exists
     const campaign = await EmailCampaign.findById(id).populate(
       "template",
-      "name body variables"
+      "name subject body variables"
     );
 
     if (!campaign) {
       return response_handler(res, 404, "Email campaign not found");
     }
+    if (!campaign.template) {
+      return response_handler(res, 400, "Email template not found");
+    }
 
-    // In a real implementation, you would:
-    // 1. Process the template with variables
-    // 2. Send the email using your email service
-    // 3. Return the result
+    // Customer variables are filled with sample values
+    const { subject, html } = renderCampaignEmail(campaign, campaign.template, {
+      name: "Test Customer",
+      email: test_email,
+      customer_id: "TEST",
+    });
+    await sendMail({ to: test_email, subject: `[TEST] ${subject}`, html });
 
-    // For now, we'll just simulate success
     logger.info(
       `Test email for campaign ${campaign.name} sent to ${test_email}`
     );
@@ -396,7 +463,7 @@ const sendTestEmail = async (req, res) => {
 const sendEmailCampaign = async (req, res) => {
   try {
     const { id } = req.params;
-    const { send_now } = req.body;
+    const { send_now, scheduled_date } = req.body;
 
     // Check if campaign exists
     const campaign = await EmailCampaign.findById(id);
@@ -410,94 +477,64 @@ const sendEmailCampaign = async (req, res) => {
       return response_handler(res, 400, "Campaign has already been sent");
     }
 
-    // Determine recipients based on audience type
-    let recipients = [];
-
-    if (campaign.audience === "all") {
-      // Get all active customers with email
-      const customerCount = await Customer.countDocuments({
-        status: true,
-        email: { $exists: true, $ne: "" },
-      });
-
-      // In a real implementation, you would process these in batches
-      // For now, we'll just update the stats
-
-      // Update campaign status and stats
-      const updatedCampaign = await EmailCampaign.findByIdAndUpdate(
-        id,
-        {
-          status: send_now ? "sent" : "scheduled",
-          sent_date: send_now ? new Date() : null,
-          "stats.total_sent": customerCount,
-        },
-        { new: true }
-      );
+    if (campaign.status === "sending") {
+      return response_handler(res, 400, "Campaign is already being sent");
+    }
 
+    if (
+      (campaign.audience === "segment" && !campaign.segment) ||
+      (campaign.audience === "specific" &&
+        (!campaign.recipients || campaign.recipients.length === 0))
+    ) {
       return response_handler(
         res,
-        200,
-        send_now
-          ? "Email campaign sent successfully"
-          : "Email campaign scheduled successfully",
-        updatedCampaign
+        400,
+        "No recipients defined for this campaign"
       );
-    } else if (campaign.audience === "segment" && campaign.segment) {
-      // In a real implementation, you would:
-      // 1. Get all customers in the segment
-      // 2. Process and send emails to them
-      // For now, we'll just simulate success
+    }
 
-      // Update campaign status
-      const updatedCampaign = await EmailCampaign.findByIdAndUpdate(
-        id,
-        {
-          status: send_now ? "sent" : "scheduled",
-          sent_date: send_now ? new Date() : null,
-          "stats.total_sent": 100, // Placeholder value
-        },
-        { new: true }
-      );
+    if (!send_now) {
+      const scheduledDate = new Date(scheduled_date || campaign.scheduled_date);
+      if (isNaN(scheduledDate) || scheduledDate <= new Date()) {
+        return response_handler(
+          res,
+          400,
+          "A future scheduled_date is required to schedule a campaign"
+        );
+      }
 
-      return response_handler(
-        res,
-        200,
-        send_now
-          ? "Email campaign sent successfully"
-          : "Email campaign scheduled successfully",
-        updatedCampaign
-      );
-    } else if (
-      campaign.audience === "specific" &&
-      campaign.recipients &&
-      campaign.recipients.length > 0
-    ) {
-      // Update campaign status
       const updatedCampaign = await EmailCampaign.findByIdAndUpdate(
         id,
-        {
-          status: send_now ? "sent" : "scheduled",
-          sent_date: send_now ? new Date() : null,
-          "stats.total_sent": campaign.recipients.length,
-        },
+        { status: "scheduled", scheduled_date: scheduledDate },
         { new: true }
       );
 
       return response_handler(
         res,
         200,
-        send_now
-          ? "Email campaign sent successfully"
-          : "Email campaign scheduled successfully",
+        "Email campaign scheduled successfully",
         updatedCampaign
       );
-    } else {
-      return response_handler(
-        res,
-        400,
-        "No recipients defined for this campaign"
-      );
     }
+
+    // Claim the campaign so a double click doesn't send it twice
+    const updatedCampaign = await EmailCampaign.findOneAndUpdate(
+      { _id: id, status: { $in: ["draft", "scheduled", "active"] } },
+      { status: "sending", dispatched_at: null },
+      { new: true }
+    );
+    if (!updatedCampaign) {
+      return response_handler(res, 400, "Campaign is already being sent");
+    }
+
+    await queueCampaignDispatch(id);
+
+    return response_handler(
+      res,
+      202,
+      "Email campaign is being sent",
+      updatedCampaign
+    );
   } catch (error) {
     logger.error(`Error sending/scheduling email campaign: ${error.message}`);
     return response_handler(
@@ -515,6 +552,7 @@ module.exports = {
   getEmailCampaignById,
   updateEmailCampaign,
   deleteEmailCampaign,
+  getEmailCampaignDeliveries,
   sendTestEmail,
   sendEmailCampaign,
 };
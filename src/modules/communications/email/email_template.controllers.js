@@ -1,6 +1,6 @@
 const EmailTemplate = require("../../../models/email_template_model");
 const { logger } = require("../../../middlewares/logger");
-const { response_handler } = require("../../../helpers/response_handler");
+const response_handler = require("../../../helpers/response_handler");
 
 /**
  * Create a new email template
@@ -31,8 +31,8 @@ const createEmailTemplate = async (req, res) => {
       type,
       status,
       variables,
-      created_by: req.user._id,
-      updated_by: req.user._id,
+      created_by: req.admin._id,
+      updated_by: req.admin._id,
     });
 
     await template.save();
@@ -199,7 +199,7 @@ const updateEmailTemplate = async (req, res) => {
         type: type || template.type,
         status: status || template.status,
         variables: variables || template.variables,
-        updated_by: req.user._id,
+        updated_by: req.admin._id,
       },
       { new: true, runValidators: true }
     )
@@ -0,0 +1,68 @@
+const mongoose = require("mongoose");
+const response_handler = require("../../../helpers/response_handler");
+const {
+  verifySignature,
+  recordOpen,
+  recordClick,
+  trackSafely,
+} = require("../../../services/email_tracking.service");
+
+// 1x1 transparent GIF
+const PIXEL = Buffer.from(
+  "R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7",
+  "base64"
+);
+
+/**
+ * Tracking pixel of a campaign email
+ * Always answers with the pixel; only correctly signed requests are recorded.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const trackOpen = async (req, res) => {
+  const { deliveryId, signature } = req.params;
+
+  if (
+    mongoose.Types.ObjectId.isValid(deliveryId) &&
+    verifySignature("open", deliveryId, signature)
+  ) {
+    await trackSafely(recordOpen, deliveryId);
+  }
+
+  res.set({
+    "Content-Type": "image/gif",
+    "Cache-Control": "no-store, no-cache, must-revalidate, private",
+    Pragma: "no-cache",
+  });
+  return res.status(200).send(PIXEL);
+};
+
+/**
+ * Tracked link of a campaign email: records the click and redirects to the link
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const trackClick = async (req, res) => {
+  const { deliveryId, signature } = req.params;
+  const { url } = req.query;
+
+  // The signature covers the target, so only links of the email redirect
+  if (
+    typeof url !== "string" ||
+    !/^https?:\/\//i.test(url) ||
+    !mongoose.Types.ObjectId.isValid(deliveryId) ||
+    !verifySignature("click", deliveryId, signature, url)
+  ) {
+    return response_handler(res, 400, "Invalid tracking link");
+  }
+
+  await trackSafely(recordClick, deliveryId);
+
+  res.set("Cache-Control", "no-store");
+  return res.redirect(302, url);
+};
+
+module.exports = {
+  trackOpen,
+  trackClick,
+};
@@ -0,0 +1,9 @@
+const express = require("express");
+const router = express.Router();
+const { trackOpen, trackClick } = require("./email_tracking.controllers");
+
+// Public: requested by mail clients, authenticated by the signature in the URL
+router.get("/open/:deliveryId/:signature.gif", trackOpen);
+router.get("/click/:deliveryId/:signature", trackClick);
+
+module.exports = router;
@@ -8,7 +8,6 @@ const {
   deletePushNotification,
   sendPushNotification,
 } = require("./push_notification.controllers");
-const { authorizePermission } = require("../../../middlewares/auth/auth");
 const { createAuditMiddleware } = require("../../audit");
 
 // Create audit middleware for push notifications
@@ -17,7 +16,6 @@ const pushAudit = createAuditMiddleware("push_notification");
 // Push Notification Routes
 router.get(
   "/",
-  authorizePermission("MANAGE_COMMUNICATIONS"),
   pushAudit.captureResponse(),
   pushAudit.adminAction("view_push_notifications", {
     description: "Admin viewed all push notifications",
@@ -28,7 +26,6 @@ router.get(
 
 router.get(
   "/:id",
-  authorizePermission("MANAGE_COMMUNICATIONS"),
   pushAudit.captureResponse(),
   pushAudit.adminAction("view_push_notification", {
     description: "Admin viewed a push notification",
@@ -39,7 +36,6 @@ router.get(
 
 router.post(
   "/",
-  authorizePermission("MANAGE_COMMUNICATIONS"),
   pushAudit.captureResponse(),
   pushAudit.adminAction("create_push_notification", {
     description: "Admin created a new push notification",
@@ -50,7 +46,6 @@ router.post(
 
 router.put(
   "/:id",
-  authorizePermission("MANAGE_COMMUNICATIONS"),
   pushAudit.captureResponse(),
   pushAudit.adminAction("update_push_notification", {
     description: "Admin updated a push notification",
@@ -61,7 +56,6 @@ router.put(
 
 router.delete(
   "/:id",
-  authorizePermission("MANAGE_COMMUNICATIONS"),
   pushAudit.captureResponse(),
   pushAudit.adminAction("delete_push_notification", {
     description: "Admin deleted a push notification",
@@ -72,7 +66,6 @@ router.delete(
 
 router.post(
   "/:id/send",
-  authorizePermission("MANAGE_COMMUNICATIONS"),
   pushAudit.captureResponse(),
   pushAudit.adminAction("send_push_notification", {
     description: "Admin sent or scheduled a push notification",
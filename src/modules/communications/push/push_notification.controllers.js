@@ -1,7 +1,7 @@
 const PushNotification = require("../../../models/push_notification_model");
 const Customer = require("../../../models/customer_model");
 const { logger } = require("../../../middlewares/logger");
-const { response_handler } = require("../../../helpers/response_handler");
+const response_handler = require("../../../helpers/response_handler");
 
 /**
  * Create a new push notification
@@ -33,8 +33,8 @@ const createPushNotification = async (req, res) => {
       segment,
       recipients,
       scheduled_date,
-      created_by: req.user._id,
-      updated_by: req.user._id,
+      created_by: req.admin._id,
+      updated_by: req.admin._id,
     });
 
     await notification.save();
@@ -254,7 +254,7 @@ const updatePushNotification = async (req, res) => {
         segment: segment || notification.segment,
         recipients: recipients || notification.recipients,
         scheduled_date: scheduled_date || notification.scheduled_date,
-        updated_by: req.user._id,
+        updated_by: req.admin._id,
       },
       { new: true, runValidators: true }
     )
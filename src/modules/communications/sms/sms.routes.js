@@ -8,7 +8,6 @@ const {
   deleteSmsMessage,
   sendSmsMessage,
 } = require("./sms_message.controllers");
-const { authorizePermission } = require("../../../middlewares/auth/auth");
 const { createAuditMiddleware } = require("../../audit");
 
 // Create audit middleware for SMS messages
@@ -17,7 +16,6 @@ const smsAudit = createAuditMiddleware("sms_message");
 // SMS Message Routes
 router.get(
   "/",
-  authorizePermission("MANAGE_COMMUNICATIONS"),
   smsAudit.captureResponse(),
   smsAudit.adminAction("view_sms_messages", {
     description: "Admin viewed all SMS messages",
@@ -28,7 +26,6 @@ router.get(
 
 router.get(
   "/:id",
-  authorizePermission("MANAGE_COMMUNICATIONS"),
   smsAudit.captureResponse(),
   smsAudit.adminAction("view_sms_message", {
     description: "Admin viewed an SMS message",
@@ -39,7 +36,6 @@ router.get(
 
 router.post(
   "/",
-  authorizePermission("MANAGE_COMMUNICATIONS"),
   smsAudit.captureResponse(),
   smsAudit.adminAction("create_sms_message", {
     description: "Admin created a new SMS message",
@@ -50,7 +46,6 @@ router.post(
 
 router.put(
   "/:id",
-  authorizePermission("MANAGE_COMMUNICATIONS"),
   smsAudit.captureResponse(),
   smsAudit.adminAction("update_sms_message", {
     description: "Admin updated an SMS message",
@@ -61,7 +56,6 @@ router.put(
 
 router.delete(
   "/:id",
-  authorizePermission("MANAGE_COMMUNICATIONS"),
   smsAudit.captureResponse(),
   smsAudit.adminAction("delete_sms_message", {
     description: "Admin deleted an SMS message",
@@ -72,7 +66,6 @@ router.delete(
 
 router.post(
   "/:id/send",
-  authorizePermission("MANAGE_COMMUNICATIONS"),
   smsAudit.captureResponse(),
   smsAudit.adminAction("send_sms_message", {
     description: "Admin sent or scheduled an SMS message",
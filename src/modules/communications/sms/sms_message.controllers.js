@@ -1,7 +1,7 @@
 const SmsMessage = require("../../../models/sms_message_model");
 const Customer = require("../../../models/customer_model");
 const { logger } = require("../../../middlewares/logger");
-const { response_handler } = require("../../../helpers/response_handler");
+const response_handler = require("../../../helpers/response_handler");
 
 /**
  * Create a new SMS message
@@ -42,8 +42,8 @@ const createSmsMessage = async (req, res) => {
       recipients,
       scheduled_date,
       variables,
-      created_by: req.user._id,
-      updated_by: req.user._id,
+      created_by: req.admin._id,
+      updated_by: req.admin._id,
     });
 
     await message.save();
@@ -264,7 +264,7 @@ const updateSmsMessage = async (req, res) => {
         recipients: recipients || message.recipients,
         scheduled_date: scheduled_date || message.scheduled_date,
         variables: variables || message.variables,
-        updated_by: req.user._id,
+        updated_by: req.admin._id,
       },
       { new: true, runValidators: true }
     )
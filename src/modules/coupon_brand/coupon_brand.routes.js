@@ -7,7 +7,6 @@ const {
   updateCouponBrand,
   deleteCouponBrand,
 } = require("./coupon_brand.controllers");
-const { authorizePermission } = require("../../middlewares/auth/auth");
 const { createAuditMiddleware } = require("../audit");
 const {
   cacheInvalidationMiddleware,
@@ -23,7 +22,6 @@ const couponBrandAudit = createAuditMiddleware("coupon_brand");
 
 router.post(
   "/",
-  authorizePermission("CREATE_COUPON_BRAND"),
   couponBrandAudit.captureResponse(),
   couponBrandAudit.adminAction("create_coupon_brand", {
     description: "Admin created a coupon brand",
@@ -38,7 +36,6 @@ router.post(
 
 router.get(
   "/",
-  authorizePermission("VIEW_COUPON_BRANDS"),
   couponBrandAudit.captureResponse(),
   couponBrandAudit.adminAction("view_coupon_brands", {
     description: "Admin viewed all coupon brands",
@@ -50,7 +47,6 @@ router.get(
 
 router.get(
   "/:id",
-  authorizePermission("VIEW_COUPON_BRAND"),
   couponBrandAudit.captureResponse(),
   couponBrandAudit.adminAction("view_coupon_brand", {
     description: "Admin viewed a coupon brand",
@@ -62,7 +58,6 @@ router.get(
 
 router.put(
   "/:id",
-  authorizePermission("UPDATE_COUPON_BRAND"),
   couponBrandAudit.captureResponse(),
   couponBrandAudit.adminAction("update_coupon_brand", {
     description: "Admin updated a coupon brand",
@@ -78,7 +73,6 @@ router.put(
 
 router.delete(
   "/:id",
-  authorizePermission("DELETE_COUPON_BRAND"),
   couponBrandAudit.captureResponse(),
   couponBrandAudit.adminAction("delete_coupon_brand", {
     description: "Admin deleted a coupon brand",
@@ -7,7 +7,6 @@ const {
   updateCouponCategory,
   deleteCouponCategory,
 } = require("./coupon_category.controllers");
-const { authorizePermission } = require("../../middlewares/auth/auth");
 const { createAuditMiddleware } = require("../audit");
 const { cacheInvalidationMiddleware,enhancedCacheInvalidationMiddleware } = require("../../middlewares/redis_cache/cache_invalidation.middleware");
 const { cacheMiddleware, cacheKeys,cachePatterns } = require("../../middlewares/redis_cache/cache.middleware");
@@ -17,7 +16,6 @@ const couponCategoryAudit = createAuditMiddleware("coupon_category");
 
 router.post(
   "/",
-  authorizePermission("CREATE_COUPON_CATEGORY"),
   couponCategoryAudit.captureResponse(),
   couponCategoryAudit.adminAction("create_coupon_category", {
     description: "Admin created a coupon category",
@@ -32,7 +30,6 @@ router.post(
 );
 router.get(
   "/",
-  authorizePermission("VIEW_COUPON_CATEGORIES"),
   couponCategoryAudit.captureResponse(),
   couponCategoryAudit.adminAction("view_coupon_categories", {
     description: "Admin viewed all coupon categories",
@@ -44,7 +41,6 @@ router.get(
 
 router.get(
   "/:id",
-  authorizePermission("VIEW_COUPON_CATEGORY"),
   couponCategoryAudit.captureResponse(),
   couponCategoryAudit.adminAction("view_coupon_category", {
     description: "Admin viewed a coupon category",
@@ -56,7 +52,6 @@ router.get(
 
 router.put(
   "/:id",
-  authorizePermission("UPDATE_COUPON_CATEGORY"),
   couponCategoryAudit.captureResponse(),
   couponCategoryAudit.adminAction("update_coupon_category", {
     description: "Admin updated a coupon category",
@@ -72,7 +67,6 @@ router.put(
 
 router.delete(
   "/:id",
-  authorizePermission("DELETE_COUPON_CATEGORY"),
   couponCategoryAudit.captureResponse(),
   couponCategoryAudit.adminAction("delete_coupon_category", {
     description: "Admin deleted a coupon category",
@@ -8,7 +8,6 @@ const {
   deleteCustomer,
   getCustomerDashboard,
 } = require("./customer.controllers");
-const { authorizePermission } = require("../../middlewares/auth/auth");
 const { createAuditMiddleware } = require("../audit");
 const {
   cacheMiddleware,
@@ -19,10 +18,9 @@ const { cacheInvalidationMiddleware,enhancedCacheInvalidationMiddleware } = requ
 // Create audit middleware for customers
 const customerAudit = createAuditMiddleware("customer");
 
-// Routes that require VIEW_CUSTOMERS permission
+// Routes that require customers:view
 router.get(
   "/",
-  authorizePermission("VIEW_CUSTOMERS"),
   customerAudit.captureResponse(),
   customerAudit.adminAction("view_customers", {
     description: "Admin viewed all customers",
@@ -34,7 +32,6 @@ router.get(
 
 router.get(
   "/:id",
-  authorizePermission("VIEW_CUSTOMERS"),
   customerAudit.captureResponse(),
   customerAudit.adminAction("view_customer", {
     description: "Admin viewed a customer",
@@ -46,7 +43,6 @@ router.get(
 
 router.get(
   "/:id/dashboard",
-  authorizePermission("VIEW_CUSTOMERS"),
   customerAudit.captureResponse(),
   customerAudit.adminAction("view_customer_dashboard", {
     description: "Admin viewed customer dashboard",
@@ -55,10 +51,9 @@ router.get(
   getCustomerDashboard
 );
 
-// Routes that require EDIT_CUSTOMERS permission
+// Routes that require customers:create / customers:update
 router.post(
   "/",
-  authorizePermission("EDIT_CUSTOMERS"),
   customerAudit.captureResponse(),
   customerAudit.adminAction("create_customer", {
     description: "Admin created a new customer",
@@ -74,7 +69,6 @@ router.post(
 
 router.put(
   "/:id",
-  authorizePermission("EDIT_CUSTOMERS"),
   customerAudit.captureResponse(),
   customerAudit.adminAction("update_customer", {
     description: "Admin updated a customer",
@@ -88,10 +82,9 @@ router.put(
   updateCustomer
 );
 
-// Routes that require DELETE_CUSTOMERS permission
+// Routes that require customers:delete
 router.delete(
   "/:id",
-  authorizePermission("DELETE_CUSTOMERS"),
   customerAudit.captureResponse(),
   customerAudit.adminAction("delete_customer", {
     description: "Admin deleted a customer",
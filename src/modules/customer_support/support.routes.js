@@ -10,16 +10,14 @@ const {
   getTicketsByCustomer,
   getTicketStats,
 } = require("./support.controllers");
-const { authorizePermission } = require("../../middlewares/auth/auth");
 const { createAuditMiddleware } = require("../audit");
 
 // Create audit middleware for support tickets
 const supportAudit = createAuditMiddleware("support_ticket");
 
-// Routes that require MANAGE_SUPPORT permission
+// Routes that require support permissions
 router.get(
   "/",
-  authorizePermission("MANAGE_SUPPORT"),
   supportAudit.captureResponse(),
   supportAudit.adminAction("view_support_tickets", {
     description: "Admin viewed all support tickets",
@@ -30,7 +28,6 @@ router.get(
 
 router.get(
   "/stats",
-  authorizePermission("MANAGE_SUPPORT"),
   supportAudit.captureResponse(),
   supportAudit.adminAction("view_support_stats", {
     description: "Admin viewed support ticket statistics",
@@ -41,7 +38,6 @@ router.get(
 
 router.get(
   "/:id",
-  authorizePermission("MANAGE_SUPPORT"),
   supportAudit.captureResponse(),
   supportAudit.adminAction("view_support_ticket", {
     description: "Admin viewed a support ticket",
@@ -52,7 +48,6 @@ router.get(
 
 router.post(
   "/",
-  authorizePermission("MANAGE_SUPPORT"),
   supportAudit.captureResponse(),
   supportAudit.adminAction("create_support_ticket", {
     description: "Admin created a new support ticket",
@@ -63,7 +58,6 @@ router.post(
 
 router.put(
   "/:id",
-  authorizePermission("MANAGE_SUPPORT"),
   supportAudit.captureResponse(),
   supportAudit.adminAction("update_support_ticket", {
     description: "Admin updated a support ticket",
@@ -74,7 +68,6 @@ router.put(
 
 router.patch(
   "/:id/status",
-  authorizePermission("MANAGE_SUPPORT"),
   supportAudit.captureResponse(),
   supportAudit.adminAction("update_ticket_status", {
     description: "Admin updated a support ticket status",
@@ -85,7 +78,6 @@ router.patch(
 
 router.post(
   "/:id/messages",
-  authorizePermission("MANAGE_SUPPORT"),
   supportAudit.captureResponse(),
   supportAudit.adminAction("add_ticket_message", {
     description: "Admin added a message to a support ticket",
@@ -96,7 +88,6 @@ router.post(
 
 router.get(
   "/customer/:customerId",
-  authorizePermission("MANAGE_SUPPORT"),
   supportAudit.captureResponse(),
   supportAudit.adminAction("view_customer_tickets", {
     description: "Admin viewed customer support tickets",
@@ -1,7 +1,6 @@
 const express = require("express");
 const router = express.Router();
 const { getDashboardStats } = require("./dashboard.controllers");
-const { authorizePermission } = require("../../middlewares/auth/auth");
 const {
     cacheMiddleware,
     cacheKeys,
@@ -9,6 +8,6 @@ const {
   } = require("../../middlewares/redis_cache/cache.middleware");
 
 
-router.get("/stats", authorizePermission("VIEW_CUSTOMERS"), cacheMiddleware(60, cacheKeys.allDashboard),  getDashboardStats);
+router.get("/stats", cacheMiddleware(60, cacheKeys.allDashboard),  getDashboardStats);
 
 module.exports = router;
@@ -1,7 +1,6 @@
 const express = require("express");
 const router = express.Router();
 const kedmah_offers_controller = require("./kedmah_offers.controller");
-const { authorizePermission } = require("../../middlewares/auth/auth");
 const { createAuditMiddleware } = require("../audit");
 const { cacheInvalidationMiddleware,enhancedCacheInvalidationMiddleware } = require("../../middlewares/redis_cache/cache_invalidation.middleware");
 const { cacheMiddleware, cacheKeys,cachePatterns } = require("../../middlewares/redis_cache/cache.middleware");
@@ -10,10 +9,9 @@ const { kedmahOffersValidationSchema, validateOfferEligibility } = require("./ke
 // Create audit middleware for the kedmah_offers module
 const kedmahOffersAudit = createAuditMiddleware("kedmah_offers");
 
-// Admin routes for managing offers (requires MANAGE_KEDMAH_OFFERS permission)
+// Admin routes for managing offers (requires offers:create/update/delete permission)
 router.post(
     "/",
-    authorizePermission("MANAGE_KEDMAH_OFFERS"),
     kedmahOffersAudit.captureResponse(),
     kedmahOffersAudit.adminAction("create_kedmah_offer", {
         description: "Admin created a new Kedmah loyalty offer",
@@ -36,7 +34,6 @@ router.post(
 
 router.get(
     "/",
-    authorizePermission("MANAGE_KEDMAH_OFFERS", "VIEW_KEDMAH_OFFERS"),
     kedmahOffersAudit.adminAction("list_kedmah_offers", {
         description: "User viewed all Kedmah loyalty offers",
         targetModel: "KedmahOffers"
@@ -47,7 +44,6 @@ router.get(
 
 router.get(
     "/:id",
-    authorizePermission("MANAGE_KEDMAH_OFFERS", "VIEW_KEDMAH_OFFERS"),
     kedmahOffersAudit.adminAction("view_kedmah_offer", {
         description: "User viewed a Kedmah loyalty offer",
         targetModel: "KedmahOffers",
@@ -59,7 +55,6 @@ router.get(
 
 router.put(
     "/:id",
-    authorizePermission("MANAGE_KEDMAH_OFFERS"),
     kedmahOffersAudit.captureResponse(),
     kedmahOffersAudit.adminAction("update_kedmah_offer", {
         description: "Admin updated a Kedmah loyalty offer",
@@ -83,7 +78,6 @@ router.put(
 
 router.delete(
     "/:id",
-    authorizePermission("MANAGE_KEDMAH_OFFERS"),
     kedmahOffersAudit.captureResponse(),
     kedmahOffersAudit.adminAction("delete_kedmah_offer", {
         description: "Admin deleted a Kedmah loyalty offer",
@@ -101,7 +95,6 @@ router.delete(
 // eligibility finding apis after he select a offer with transaction value and payment method
 router.post(
     "/check-eligibility",
-    authorizePermission("USE_KEDMAH_OFFERS"),
     kedmahOffersAudit.adminAction("check_kedmah_offer_eligibility", {
         description: "User checked eligibility for a Kedmah loyalty offer",
         targetModel: "KedmahOffers",
@@ -115,7 +108,6 @@ router.post(
 // Redeem offer means the user is eligible for the offer and the user is redeeming the offer
 router.post(
     "/redeem",
-    authorizePermission("USE_KEDMAH_OFFERS"),
     kedmahOffersAudit.captureResponse(),
     kedmahOffersAudit.adminAction("redeem_kedmah_offer", {
         description: "User redeemed a Kedmah loyalty offer",
@@ -141,7 +133,6 @@ router.post(
 
 router.get(
     "/customer/:customerId",
-    authorizePermission("VIEW_KEDMAH_OFFERS", "USE_KEDMAH_OFFERS"),
     kedmahOffersAudit.adminAction("view_user_eligible_offers", {
         description: "User viewed their eligible Kedmah loyalty offers",
         targetModel: "KedmahOffers",
@@ -6,6 +6,12 @@ const mongoose = require("mongoose");
 const PointsExpirationRules = require("../../models/points_expiration_rules_model");
 const Criteria = require("../../models/point_criteria_model");
 const Transaction = require("../../models/transaction_model");
+const PointsLedgerEntry = require("../../models/points_ledger_entry_model");
+const { buildRuleContext } = require("../../helpers/rule_engine");
+const BonusCampaign = require("../../models/bonus_campaign_model");
+const PointsAdjustmentRequest = require("../../models/points_adjustment_request_model");
+const { SafeTransaction } = require("../../helpers/transaction");
+const { POINTS_ADJUSTMENT_APPROVAL_THRESHOLD } = require("../../config/env");
 
 //redeem loyalty points
 // This function is used to redeem loyalty points from the user's account
@@ -20,78 +26,83 @@ exports.redeem_loyalty_points = async (req, res) => {
     const { customer_id, pointsToRedeem, metadata, app_type } = req.body;
 
     //create a transaction
-    const transaction = await Transaction.create({
-      customer_id: customer_id,
-      transaction_type: "redeem",
-      points: pointsToRedeem,
-      transaction_id: uuidv4(),
-      status: "pending",
-      metadata: metadata,
-      app_type: app_type,
-    });
+    const [transaction] = await Transaction.create(
+      [
+        {
+          customer_id: customer_id,
+          transaction_type: "redeem",
+          points: pointsToRedeem,
+          transaction_id: uuidv4(),
+          status: "success",
+          metadata: metadata,
+          app_type: app_type,
+        },
+      ],
+      { session }
+    );
 
-    // Step 1: Calculate Total Valid Points
-    const totalPoints = await LoyaltyPoints.aggregate([
-      { $match: { customer_id, expiryDate: { $gte: new Date() } } },
-      { $group: { _id: null, total: { $sum: "$points" } } },
-    ]).session(session);
+    // Step 1: Get the valid lots, oldest first (FIFO)
+    const validPoints = await LoyaltyPoints.find({
+      customer_id,
+      expiryDate: { $gte: new Date() },
+      status: "active",
+    })
+      .sort({ earnedAt: 1 })
+      .session(session);
 
-    const availablePoints = totalPoints.length > 0 ? totalPoints[0].total : 0;
+    // Step 2: Check if the user has enough points (points reserved by holds are not spendable)
+    const availablePoints = validPoints.reduce(
+      (sum, entry) => sum + entry.points - (entry.held_points || 0),
+      0
+    );
 
-    // Step 2: Check if the user has enough points
     if (availablePoints < pointsToRedeem) {
       await session.abortTransaction();
       session.endSession();
       return response_handler(res, 400, "Insufficient points");
     }
 
-    // Step 3: Deduct points using FIFO (oldest points first)
+    // Step 3: Deduct the free points of each lot; a lot with held points stays for its capture
     let remainingPoints = pointsToRedeem;
 
-    const validPoints = await LoyaltyPoints.find({
-      customer_id,
-      expiryDate: { $gte: new Date() },
-    })
-      .sort({ expiryDate: 1 }) // ✅ Oldest points first
-      .session(session);
-
-    if (!validPoints.length) {
-      await session.abortTransaction(); // ✅ Ensure rollback before return
-      session.endSession();
-      return response_handler(
-        res,
-        400,
-        "No valid points available for redemption"
-      );
-    }
-
     for (const entry of validPoints) {
       if (remainingPoints <= 0) break;
 
-      if (remainingPoints >= entry.points) {
-        remainingPoints -= entry.points;
+      const freePoints = entry.points - (entry.held_points || 0);
+      if (freePoints <= 0) continue;
+
+      const pointsToUse = Math.min(freePoints, remainingPoints);
+      remainingPoints -= pointsToUse;
+
+      if (pointsToUse === entry.points) {
         await LoyaltyPoints.findByIdAndDelete(entry._id).session(session); // ✅ Use session
       } else {
-        entry.points -= remainingPoints;
+        entry.points -= pointsToUse;
         await entry.save({ session });
-        remainingPoints = 0;
       }
     }
 
-    // Step 4: Commit Transaction
-    await session.commitTransaction();
-    session.endSession();
-
+    // Step 4: Update the cached balance and the ledger with the lots
+    await Customer.findByIdAndUpdate(
+      customer_id,
+      { $inc: { total_points: -pointsToRedeem } },
+      { session }
+    );
 
-    //update the customer total points
-    await Customer.findByIdAndUpdate(customer_id, {
-      $inc: { total_points: -pointsToRedeem },
-    }, { new: true });
+    await PointsLedgerEntry.record(
+      {
+        customer_id,
+        points: -pointsToRedeem,
+        transaction_type: "redeem",
+        transaction,
+        description: "Points redeemed for reward",
+      },
+      session
+    );
 
-    //update the transaction
-    await Transaction.findByIdAndUpdate(transaction._id, {
-      status: "success",
-    });
+    // Step 5: Commit Transaction
+    await session.commitTransaction();
+    session.endSession();
 
     return response_handler(res, 200, "Points redeemed successfully!");
   } catch (error) {
@@ -134,11 +145,17 @@ exports.process_loyalty_event = async (req, res) => {
       );
     }
 
+    const ruleContext = await buildRuleContext([pointCriteria], {
+      customer,
+      appType: app_type,
+    });
+
     // Use our new optimized method to check eligibility - no need to fetch transactions first!
     const eligibilityCheck = await pointCriteria.checkEligibilityOptimized(
       paymentMethod,
       transactionValue,
-      customerId
+      customerId,
+      ruleContext
     );
 
     if (!eligibilityCheck.eligible) {
@@ -150,49 +167,90 @@ exports.process_loyalty_event = async (req, res) => {
       );
     }
 
-    // Calculate points using our new method
-    const pointsToAward = eligibilityCheck.points;
-
     // Fetch expiry rules & calculate expiry date
     const expiryDate = await PointsExpirationRules.calculateExpiryDate(
       customer.tier
     );
 
-    // Create a transaction
-    const transaction = await Transaction.create({
-      customer_id: customerId,
-      transaction_type: "earn",
-      points: pointsToAward,
-      transaction_id: uuidv4(),
-      point_criteria: pointCriteria._id,
-      payment_method: paymentMethod,
-      status: "pending",
-      metadata: metadata,
-      app_type: app_type,
-      reference_id: reference_id,
-    });
+    // Campaign budgets are reserved in the same transaction as the earn, so a
+    // failed earn does not use them up
+    const safeTransaction = new SafeTransaction();
+    const session = await safeTransaction.start();
+    let pointsToAward;
+    let campaignResult;
+
+    try {
+      // Calculate points using our new method, plus any running bonus campaigns
+      campaignResult = await BonusCampaign.applyToEarn(
+        {
+          customer,
+          appType: app_type,
+          paymentMethod,
+          items: [{ criteria: pointCriteria, points: eligibilityCheck.points }],
+        },
+        session
+      );
+      pointsToAward = eligibilityCheck.points + campaignResult.bonusPoints;
+
+      // Create a transaction
+      const [transaction] = await Transaction.create(
+        [
+          {
+            customer_id: customerId,
+            transaction_type: "earn",
+            points: pointsToAward,
+            transaction_id: uuidv4(),
+            point_criteria: pointCriteria._id,
+            payment_method: paymentMethod,
+            status: "success",
+            metadata: { ...metadata, campaigns: campaignResult.campaigns },
+            app_type: app_type,
+            reference_id: reference_id,
+          },
+        ],
+        { session }
+      );
 
-    // Add the points to the customer's loyalty points
-    await LoyaltyPoints.create({
-      customer_id: customerId,
-      points: pointsToAward,
-      expiryDate: expiryDate,
-      transaction_id: transaction._id,
-    });
+      // Add the points to the customer's loyalty points
+      await LoyaltyPoints.create(
+        [
+          {
+            customer_id: customerId,
+            points: pointsToAward,
+            expiryDate: expiryDate,
+            transaction_id: transaction._id,
+          },
+        ],
+        { session }
+      );
 
-    // Update customer's total points
-    await Customer.findByIdAndUpdate(
-      customerId,
-      {
-        $inc: { total_points: pointsToAward },
-      },
-      { new: true }
-    );
+      // Update customer's total points
+      await Customer.findByIdAndUpdate(
+        customerId,
+        {
+          $inc: { total_points: pointsToAward },
+        },
+        { new: true, session }
+      );
 
-    // Update the transaction status
-    await Transaction.findByIdAndUpdate(transaction._id, {
-      status: "success",
-    });
+      await PointsLedgerEntry.record(
+        {
+          customer_id: customerId,
+          points: pointsToAward,
+          transaction_type: "earn",
+          transaction,
+          description: `Points earned for criteria ${criteria_code}`,
+        },
+        session
+      );
+
+      await safeTransaction.commit();
+    } catch (error) {
+      await safeTransaction.abort();
+      throw error;
+    } finally {
+      await safeTransaction.end();
+    }
 
     return response_handler(
       res,
@@ -200,6 +258,7 @@ exports.process_loyalty_event = async (req, res) => {
       "Loyalty points processed successfully",
       {
         pointsAwarded: pointsToAward,
+        campaigns: campaignResult.campaigns,
         calculationDetails: eligibilityCheck.details
       }
     );
@@ -209,37 +268,368 @@ exports.process_loyalty_event = async (req, res) => {
   }
 };
 
+/**
+ * Credit or debit a customer's points for a manual adjustment: transaction,
+ * lots, balance and ledger in the caller's database transaction
+ * @param {Object} adjustment - { customer, points, reason, metadata, adjustedBy, approvedBy, request }
+ * @param {Object} session - Database session
+ * @returns {Promise<Object>} - { transaction, point_balance } or { error } when a debit exceeds the free points
+ */
+const applyPointAdjustment = async (
+  { customer, points, reason, metadata, adjustedBy, approvedBy, request },
+  session
+) => {
+  const now = new Date();
+  const lots = [];
+
+  if (points < 0) {
+    // Debits come off the free points of the lots expiring first
+    const validPoints = await LoyaltyPoints.find({
+      customer_id: customer._id,
+      expiryDate: { $gte: now },
+      status: "active",
+    })
+      .sort({ expiryDate: 1 })
+      .session(session);
+
+    const availablePoints = validPoints.reduce(
+      (sum, entry) => sum + entry.points - (entry.held_points || 0),
+      0
+    );
+    if (availablePoints < -points) {
+      return {
+        error: `Insufficient points. Available: ${availablePoints}, Requested: ${-points}`,
+      };
+    }
+
+    let remainingPoints = -points;
+    for (const entry of validPoints) {
+      if (remainingPoints <= 0) break;
+
+      const freePoints = entry.points - (entry.held_points || 0);
+      if (freePoints <= 0) continue;
+
+      const pointsToDeduct = Math.min(freePoints, remainingPoints);
+      remainingPoints -= pointsToDeduct;
+
+      const remainingLotPoints = entry.points - pointsToDeduct;
+      await LoyaltyPoints.findByIdAndUpdate(
+        entry._id,
+        remainingLotPoints === 0
+          ? { points: 0, status: "redeemed", redeemedAt: now }
+          : { points: remainingLotPoints },
+        { session }
+      );
+      lots.push({ loyalty_point_id: entry._id, points: pointsToDeduct });
+    }
+  }
+
+  const [transaction] = await Transaction.create(
+    [
+      {
+        customer_id: customer._id,
+        transaction_type: "adjust",
+        points,
+        transaction_id: uuidv4(),
+        status: "completed",
+        note: reason,
+        metadata: {
+          ...metadata,
+          reason,
+          adjusted_by: adjustedBy,
+          approved_by: approvedBy || null,
+          adjustment_request: request ? request._id : null,
+          ...(lots.length > 0 && { debited_lots: lots }),
+        },
+        transaction_date: now,
+      },
+    ],
+    { session }
+  );
+
+  if (points > 0) {
+    const expiryDate = await PointsExpirationRules.calculateExpiryDate(
+      customer.tier,
+      now
+    );
+    await LoyaltyPoints.create(
+      [
+        {
+          customer_id: customer._id,
+          points,
+          expiryDate,
+          transaction_id: transaction._id,
+          earnedAt: now,
+          status: "active",
+        },
+      ],
+      { session }
+    );
+  }
+
+  const updatedCustomer = await Customer.findByIdAndUpdate(
+    customer._id,
+    { $inc: { total_points: points } },
+    { new: true, session }
+  );
+
+  await PointsLedgerEntry.record(
+    {
+      customer_id: customer._id,
+      points,
+      transaction_type: "adjust",
+      transaction,
+      description: `Manual adjustment by admin: ${reason}`,
+    },
+    session
+  );
+
+  return { transaction, point_balance: updatedCustomer.total_points };
+};
+
 //adjust point by admin
+// Adjustments above POINTS_ADJUSTMENT_APPROVAL_THRESHOLD (either sign) are not applied
+// here; they become a PointsAdjustmentRequest that a second admin approves or rejects
 exports.adjust_point_by_admin = async (req, res) => {
+  const transaction = new SafeTransaction();
+  const session = await transaction.start();
+
   try {
-    const { customer_id, points, metadata } = req.body;
-    const transaction = await Transaction.create({
-      customer_id: customer_id,
-      transaction_type: "adjust",
-      points: points,
-      transaction_id: uuidv4(),
-      status: "pending",
-      metadata: metadata,
-    });
+    const { customer_id, points, reason, metadata } = req.body;
 
-    const loyalty_points = await LoyaltyPoints.create({
-      customer_id: customer_id,
-      transaction_id: transaction._id,
-      points: points,
-    });
+    const customer = await Customer.findById(customer_id).session(session);
+    if (!customer) {
+      await transaction.abort();
+      return response_handler(res, 404, "Customer not found");
+    }
 
-    await Customer.findByIdAndUpdate(customer_id, {
-      $inc: { total_points: points },
-    }, { new: true });
+    if (Math.abs(points) > POINTS_ADJUSTMENT_APPROVAL_THRESHOLD) {
+      const [request] = await PointsAdjustmentRequest.create(
+        [
+          {
+            customer: customer._id,
+            points,
+            reason,
+            metadata,
+            requestedBy: req.admin._id,
+          },
+        ],
+        { session }
+      );
+      await transaction.commit();
 
-    await Transaction.findByIdAndUpdate(transaction._id, {
-      status: "success",
-    });
+      return response_handler(
+        res,
+        202,
+        `Adjustments above ${POINTS_ADJUSTMENT_APPROVAL_THRESHOLD} points need approval. Request submitted.`,
+        request
+      );
+    }
 
-    return response_handler(res, 200, "Loyalty points adjusted successfully", {
-      loyalty_points: loyalty_points,
-      transaction: transaction,
-    });
+    const result = await applyPointAdjustment(
+      {
+        customer,
+        points,
+        reason,
+        metadata,
+        adjustedBy: req.admin._id,
+      },
+      session
+    );
+    if (result.error) {
+      await transaction.abort();
+      return response_handler(res, 400, result.error);
+    }
+
+    await transaction.commit();
+
+    return response_handler(res, 200, "Loyalty points adjusted successfully", result);
+  } catch (error) {
+    await transaction.abort();
+    return response_handler(res, 500, error.message);
+  } finally {
+    await transaction.end();
+  }
+};
+
+// Get point adjustment requests (approvers)
+exports.get_adjustment_requests = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skipCount = (page - 1) * limit;
+    const filter = {};
+
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+    if (req.query.customer_id) {
+      filter.customer = req.query.customer_id;
+    }
+
+    const requests = await PointsAdjustmentRequest.find(filter)
+      .populate("customer", "name customer_id email total_points")
+      .populate("requestedBy", "name email")
+      .populate("processedBy", "name email")
+      .skip(skipCount)
+      .limit(limit)
+      .sort({ requestedAt: -1 });
+    const total_count = await PointsAdjustmentRequest.countDocuments(filter);
+
+    return response_handler(
+      res,
+      200,
+      "Point adjustment requests retrieved successfully",
+      requests,
+      total_count
+    );
+  } catch (error) {
+    return response_handler(res, 500, error.message);
+  }
+};
+
+// Get the admin's own point adjustment requests
+exports.get_my_adjustment_requests = async (req, res) => {
+  try {
+    const requests = await PointsAdjustmentRequest.find({
+      requestedBy: req.admin._id,
+    })
+      .populate("customer", "name customer_id email")
+      .populate("processedBy", "name email")
+      .sort({ requestedAt: -1 });
+
+    return response_handler(
+      res,
+      200,
+      "Your point adjustment requests retrieved successfully",
+      requests
+    );
+  } catch (error) {
+    return response_handler(res, 500, error.message);
+  }
+};
+
+// Approve a point adjustment request and apply it (approvers, not the requester)
+exports.approve_adjustment_request = async (req, res) => {
+  const transaction = new SafeTransaction();
+  const session = await transaction.start();
+
+  try {
+    const { requestId } = req.params;
+    const { notes } = req.body;
+    const adminId = req.admin._id;
+
+    const request = await PointsAdjustmentRequest.findById(requestId).session(
+      session
+    );
+    if (!request) {
+      await transaction.abort();
+      return response_handler(res, 404, "Point adjustment request not found");
+    }
+
+    if (request.status !== "pending") {
+      await transaction.abort();
+      return response_handler(
+        res,
+        400,
+        "This request has already been processed"
+      );
+    }
+
+    if (request.requestedBy.equals(adminId)) {
+      await transaction.abort();
+      return response_handler(
+        res,
+        403,
+        "A point adjustment must be approved by a different admin"
+      );
+    }
+
+    const customer = await Customer.findById(request.customer).session(session);
+    if (!customer) {
+      await transaction.abort();
+      return response_handler(res, 404, "Customer not found");
+    }
+
+    const result = await applyPointAdjustment(
+      {
+        customer,
+        points: request.points,
+        reason: request.reason,
+        metadata: request.metadata,
+        adjustedBy: request.requestedBy,
+        approvedBy: adminId,
+        request,
+      },
+      session
+    );
+    if (result.error) {
+      await transaction.abort();
+      return response_handler(res, 400, result.error);
+    }
+
+    // Only one approval can win if two approvers race
+    const processed = await PointsAdjustmentRequest.updateOne(
+      { _id: request._id, status: "pending" },
+      {
+        status: "approved",
+        processedBy: adminId,
+        processedAt: new Date(),
+        notes,
+        transaction: result.transaction._id,
+      },
+      { session }
+    );
+    if (processed.modifiedCount !== 1) {
+      await transaction.abort();
+      return response_handler(
+        res,
+        400,
+        "This request has already been processed"
+      );
+    }
+
+    await transaction.commit();
+
+    return response_handler(
+      res,
+      200,
+      "Point adjustment request approved and points adjusted successfully",
+      result
+    );
+  } catch (error) {
+    await transaction.abort();
+    return response_handler(res, 500, error.message);
+  } finally {
+    await transaction.end();
+  }
+};
+
+// Reject a point adjustment request (approvers)
+exports.reject_adjustment_request = async (req, res) => {
+  try {
+    const { requestId } = req.params;
+    const { notes } = req.body;
+
+    const request = await PointsAdjustmentRequest.findOneAndUpdate(
+      { _id: requestId, status: "pending" },
+      {
+        status: "rejected",
+        processedBy: req.admin._id,
+        processedAt: new Date(),
+        notes,
+      },
+      { new: true }
+    );
+
+    if (!request) {
+      const existing = await PointsAdjustmentRequest.exists({ _id: requestId });
+      return existing
+        ? response_handler(res, 400, "This request has already been processed")
+        : response_handler(res, 404, "Point adjustment request not found");
+    }
+
+    return response_handler(res, 200, "Point adjustment request rejected", request);
   } catch (error) {
     return response_handler(res, 500, error.message);
   }
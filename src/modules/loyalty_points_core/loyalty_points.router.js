@@ -1,18 +1,59 @@
 const express = require("express");
 const router = express.Router();
 
-const { authorizePermission } = require("../../middlewares/auth/auth");
 const { createAuditMiddleware } = require("../audit");
 const loyalty_points_controller = require("./loyalty_points.controller");
+const validate = require("../../middlewares/validate");
+const {
+    adjustPointsSchema,
+    listAdjustmentRequestsSchema,
+    processAdjustmentRequestSchema,
+} = require("./loyalty_points.validator");
 
 const loyalty_points_audit = createAuditMiddleware("loyalty_points");   
 
 
-router.use(authorizePermission());
+// Manual point adjustment; above the approval threshold this only creates a request
+router.post("/adjust", validate(adjustPointsSchema), loyalty_points_audit.captureResponse(), loyalty_points_audit.adminAction("adjust_points", {
+    description: "Manual point adjustment",
+    targetModel: "Customer",
+    targetId: (req) => req.body.customer_id,
+    details: (req) => req.body,
+    getModifiedData: (req, res) => {
+        if (res.locals.responseBody && res.locals.responseBody.data) {
+            return res.locals.responseBody.data;
+        }
+        return null;
+    },
+}), loyalty_points_controller.adjust_point_by_admin);
 
+// Point adjustment requests (MUST come before /adjustment-requests/:requestId routes)
+router.get("/adjustment-requests", validate(listAdjustmentRequestsSchema, "query"), loyalty_points_audit.dataAccess("view_point_adjustment_requests", {
+    description: "Admin viewed point adjustment requests",
+    targetModel: "PointsAdjustmentRequest",
+}), loyalty_points_controller.get_adjustment_requests);
 
+router.get("/my-adjustment-requests", loyalty_points_controller.get_my_adjustment_requests);
 
+router.post("/adjustment-requests/:requestId/approve", validate(processAdjustmentRequestSchema), loyalty_points_audit.captureResponse(), loyalty_points_audit.adminAction("approve_point_adjustment", {
+    description: "Approved a point adjustment request",
+    targetModel: "PointsAdjustmentRequest",
+    targetId: (req) => req.params.requestId,
+    details: (req) => req.body,
+    getModifiedData: (req, res) => {
+        if (res.locals.responseBody && res.locals.responseBody.data) {
+            return res.locals.responseBody.data;
+        }
+        return null;
+    },
+}), loyalty_points_controller.approve_adjustment_request);
 
+router.post("/adjustment-requests/:requestId/reject", validate(processAdjustmentRequestSchema), loyalty_points_audit.adminAction("reject_point_adjustment", {
+    description: "Rejected a point adjustment request",
+    targetModel: "PointsAdjustmentRequest",
+    targetId: (req) => req.params.requestId,
+    details: (req) => req.body,
+}), loyalty_points_controller.reject_adjustment_request);
 
 router.post("/redeem", loyalty_points_audit.captureResponse(), loyalty_points_audit.adminAction("redeem_loyalty_points", {
     description: "Redeem loyalty points",
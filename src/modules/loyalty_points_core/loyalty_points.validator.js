@@ -0,0 +1,21 @@
+const Joi = require("joi");
+
+const objectId = Joi.string().regex(/^[0-9a-fA-F]{24}$/); // MongoDB ObjectId validation
+
+exports.adjustPointsSchema = Joi.object({
+  customer_id: objectId.required(),
+  points: Joi.number().integer().invalid(0).required(), // Negative to remove points
+  reason: Joi.string().trim().max(500).required(),
+  metadata: Joi.object(),
+});
+
+exports.listAdjustmentRequestsSchema = Joi.object({
+  page: Joi.number().integer().min(1),
+  limit: Joi.number().integer().min(1).max(100),
+  status: Joi.string().valid("pending", "approved", "rejected"),
+  customer_id: objectId,
+});
+
+exports.processAdjustmentRequestSchema = Joi.object({
+  notes: Joi.string().trim().max(500).allow(""),
+});
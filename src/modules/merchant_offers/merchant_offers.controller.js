@@ -9,6 +9,7 @@ const { v4: uuidv4 } = require("uuid");
 const Transaction = require("../../models/transaction_model");
 const Customer = require("../../models/customer_model");
 const mongoose = require("mongoose");
+const { publishEvent } = require("../../services/outbox.service");
 //!search for coupon by title, description, code, merchantId, couponCategoryId, type, validityPeriod, discountDetails, redeemablePointsCount, eligibilityCriteria, usagePolicy, conditions, termsAndConditions, redemptionInstructions, redemptionUrl, linkData
 //!reordering based on priority
 
@@ -599,6 +600,16 @@ exports.redeemPreGeneratedCoupon = async (req, res) => {
     });
     await coupon.save();
 
+    await publishEvent("coupon.redeemed", {
+      customer,
+      data: {
+        transaction_id: transactionId,
+        coupon_id: coupon._id,
+        coupon_title: coupon.title,
+        points: coupon.redeemablePointsCount,
+      },
+    });
+
     return response_handler(res, 200, true, "Coupon redeemed successfully", {
       couponId: coupon._id,
       title: coupon.title,
@@ -1,7 +1,6 @@
 const express = require("express");
 const router = express.Router();
 const merchant_offers_controller = require("./merchant_offers.controller");
-const { authorizePermission } = require("../../middlewares/auth/auth");
 const { createAuditMiddleware } = require("../audit");
 const {
   cacheInvalidationMiddleware,
@@ -19,7 +18,6 @@ const couponAudit = createAuditMiddleware("merchant_offers");
 // Create a single coupon
 router.post(
   "/create",
-  authorizePermission("MANAGE_COUPONS"),
   couponAudit.captureResponse(),
   couponAudit.adminAction("create_coupon", {
     description: "Admin created a coupon",
@@ -36,7 +34,6 @@ router.post(
 // Create bulk coupons with pre-generated codes
 router.post(
   "/bulk-create",
-  authorizePermission("MANAGE_COUPONS"),
   couponAudit.captureResponse(),
   couponAudit.adminAction("create_bulk_coupons", {
     description: "Admin created bulk coupons",
@@ -53,7 +50,6 @@ router.post(
 // Create a one-time link coupon
 router.post(
   "/create-link",
-  authorizePermission("MANAGE_COUPONS"),
   couponAudit.captureResponse(),
   couponAudit.adminAction("create_one_time_link_coupon", {
     description: "Admin created a one-time link coupon",
@@ -70,7 +66,6 @@ router.post(
 // Get coupons by batch ID
 router.get(
   "/batch/:batchId",
-  authorizePermission("MANAGE_COUPONS"),
   couponAudit.adminAction("get_coupons_by_batch", {
     description: "User viewed coupons by batch ID",
     targetModel: "CouponCode",
@@ -83,7 +78,6 @@ router.get(
 // Get coupon details by ID
 router.get(
   "/:couponId",
-  authorizePermission("MANAGE_COUPONS"),
   couponAudit.adminAction("get_coupon_details", {
     description: "User viewed coupon details",
     targetModel: "CouponCode",
@@ -96,7 +90,6 @@ router.get(
 // Get all coupons
 router.get(
   "/",
-  authorizePermission("MANAGE_COUPONS"),
   couponAudit.adminAction("get_all_coupons", {
     description: "User viewed all coupons",
     targetModel: "CouponCode",
@@ -108,7 +101,6 @@ router.get(
 // Update coupon details
 router.put(
   "/:couponId",
-  authorizePermission("MANAGE_COUPONS"),
   couponAudit.captureResponse(),
   couponAudit.adminAction("update_coupon", {
     description: "Admin updated coupon details",
@@ -126,7 +118,6 @@ router.put(
 // Delete coupon
 router.delete(
   "/:couponId",
-  authorizePermission("MANAGE_COUPONS"),
   couponAudit.captureResponse(),
   couponAudit.adminAction("delete_coupon", {
     description: "Admin deleted a coupon",
@@ -143,7 +134,6 @@ router.delete(
 // Initialize sequential priorities for all existing coupons
 router.post(
   "/initialize-priorities",
-  authorizePermission("MANAGE_COUPONS"),
   couponAudit.captureResponse(),
   couponAudit.adminAction("initialize_coupon_priorities", {
     description: "Admin initialized priorities for all coupons",
@@ -159,7 +149,6 @@ router.post(
 // Redeem a dynamic coupon
 router.post(
   "/redeem",
-  authorizePermission("REDEEM_COUPONS"),
   couponAudit.captureResponse(),
   couponAudit.adminAction("redeem_dynamic_coupon", {
     description: "User redeemed a dynamic coupon",
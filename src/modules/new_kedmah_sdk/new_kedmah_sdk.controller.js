@@ -16,6 +16,15 @@ const TierEligibilityCriteria = require("../../models/tier_eligibility_criteria_
 const CouponBrand = require("../../models/coupon_brand_model");
 const CouponCategory = require("../../models/coupon_category_model");
 const moment = require("moment-timezone");
+const PointsHold = require("../../models/points_hold_model");
+const PointsLedgerEntry = require("../../models/points_ledger_entry_model");
+const { calculateEarnPoints } = require("../../helpers/earn_calculator");
+const { publishEvent } = require("../../services/outbox.service");
+const { recordActivityEvents } = require("../../services/customer_activity.service");
+const {
+  POINTS_HOLD_TTL_MINUTES,
+  POINTS_NEGATIVE_BALANCE_LIMIT,
+} = require("../../config/env");
 
 /**
  * ✅ HELPER FUNCTIONS FOR iOS 26 COMPATIBILITY
@@ -109,9 +118,9 @@ const redeemPointsFIFO = async (customer_id, pointsToRedeem, session) => {
       .sort({ earnedAt: 1 }) // Oldest points first (FIFO)
       .session(session);
 
-    // Calculate total available points
+    // Calculate total available points (points reserved by holds are not spendable)
     const totalAvailablePoints = validPoints.reduce(
-      (sum, entry) => sum + entry.points,
+      (sum, entry) => sum + entry.points - (entry.held_points || 0),
       0
     );
 
@@ -133,11 +142,15 @@ const redeemPointsFIFO = async (customer_id, pointsToRedeem, session) => {
     for (const pointEntry of validPoints) {
       if (remainingPointsToRedeem <= 0) break;
 
-      if (remainingPointsToRedeem >= pointEntry.points) {
-        // Redeem entire point entry
-        remainingPointsToRedeem -= pointEntry.points;
-        actualRedeemedPoints += pointEntry.points;
+      const freePoints = pointEntry.points - (pointEntry.held_points || 0);
+      if (freePoints <= 0) continue;
 
+      const pointsToUse = Math.min(freePoints, remainingPointsToRedeem);
+      const remainingLotPoints = pointEntry.points - pointsToUse;
+      remainingPointsToRedeem -= pointsToUse;
+      actualRedeemedPoints += pointsToUse;
+
+      if (remainingLotPoints === 0) {
         // Mark as redeemed instead of deleting for audit trail
         await LoyaltyPoints.findByIdAndUpdate(
           pointEntry._id,
@@ -148,36 +161,23 @@ const redeemPointsFIFO = async (customer_id, pointsToRedeem, session) => {
           },
           { session }
         );
-        usedLoyaltyPoints.push({
-          loyalty_point_id: pointEntry._id,
-          original_points: pointEntry.points,
-          points_used: pointEntry.points,
-          fully_redeemed: true,
-          expiryDate: pointEntry.expiryDate,
-          earnedAt: pointEntry.earnedAt,
-        });
       } else {
-        // Partially redeem point entry
-        const pointsToUse = remainingPointsToRedeem;
-        actualRedeemedPoints += remainingPointsToRedeem;
-        pointEntry.points -= remainingPointsToRedeem;
-        remainingPointsToRedeem = 0;
-
         // Update the remaining points
         await LoyaltyPoints.findByIdAndUpdate(
           pointEntry._id,
-          { points: pointEntry.points },
+          { points: remainingLotPoints },
           { session }
         );
-        usedLoyaltyPoints.push({
-          loyalty_point_id: pointEntry._id,
-          original_points: pointEntry.points + pointsToUse,
-          points_used: pointsToUse,
-          fully_redeemed: false,
-          expiryDate: pointEntry.expiryDate,
-          earnedAt: pointEntry.earnedAt,
-        });
       }
+
+      usedLoyaltyPoints.push({
+        loyalty_point_id: pointEntry._id,
+        original_points: pointEntry.points,
+        points_used: pointsToUse,
+        fully_redeemed: remainingLotPoints === 0,
+        expiryDate: pointEntry.expiryDate,
+        earnedAt: pointEntry.earnedAt,
+      });
     }
 
     return {
@@ -202,6 +202,120 @@ const redeemPointsFIFO = async (customer_id, pointsToRedeem, session) => {
   }
 };
 
+/**
+ * Work out how many earned points a (partial) refund should claw back
+ * Items are matched to the original earn per criteria code and reversed in
+ * proportion to the refunded price; an amount refunds proportionally to the
+ * original transaction value. Earlier refunds of the same earn are deducted.
+ */
+const calculateRefundClawback = (
+  originalTransaction,
+  previousRefunds,
+  { items, amount }
+) => {
+  const earnedItems = originalTransaction.metadata?.items || [];
+  const alreadyClawedBack = previousRefunds.reduce(
+    (sum, refund) => sum + Math.abs(refund.points),
+    0
+  );
+  const remainingPoints = originalTransaction.points - alreadyClawedBack;
+
+  if (remainingPoints <= 0) {
+    return { error: "All points of this transaction were already refunded" };
+  }
+
+  if (amount) {
+    const originalAmount = originalTransaction.metadata?.original_amount;
+    if (!originalAmount) {
+      return { error: "Original transaction value not recorded, refund by items" };
+    }
+
+    const previouslyRefundedAmount = previousRefunds.reduce(
+      (sum, refund) => sum + (refund.metadata?.refunded_amount || 0),
+      0
+    );
+    if (previouslyRefundedAmount + amount > originalAmount) {
+      return {
+        error: `Refund amount exceeds remaining transaction value of ${
+          originalAmount - previouslyRefundedAmount
+        }`,
+      };
+    }
+
+    return {
+      points: Math.min(
+        Math.round((originalTransaction.points * amount) / originalAmount),
+        remainingPoints
+      ),
+      refundedItems: [],
+    };
+  }
+
+  // Base (pre-multiplier) points and prices earned per criteria code
+  const earnedByCode = {};
+  for (const item of earnedItems) {
+    const entry = earnedByCode[item.criteria_code] || { price: 0, points: 0 };
+    entry.price += item.price || 0;
+    entry.points += item.points_awarded || 0;
+    earnedByCode[item.criteria_code] = entry;
+  }
+  const totalBasePoints = Object.values(earnedByCode).reduce(
+    (sum, entry) => sum + entry.points,
+    0
+  );
+
+  // Prices of the same criteria already refunded earlier
+  const refundedPriceByCode = {};
+  for (const refund of previousRefunds) {
+    for (const item of refund.metadata?.refunded_items || []) {
+      refundedPriceByCode[item.criteria_code] =
+        (refundedPriceByCode[item.criteria_code] || 0) + item.refunded_price;
+    }
+  }
+
+  const refundedItems = [];
+  let clawbackBasePoints = 0;
+
+  for (const { criteria_code, price } of items) {
+    const earned = earnedByCode[criteria_code];
+    if (!earned) {
+      return { error: `Criteria code ${criteria_code} was not part of this transaction` };
+    }
+
+    const remainingPrice =
+      earned.price - (refundedPriceByCode[criteria_code] || 0);
+    if (price > remainingPrice) {
+      return {
+        error: `Refunded price for ${criteria_code} exceeds remaining item value of ${remainingPrice}`,
+      };
+    }
+    refundedPriceByCode[criteria_code] =
+      (refundedPriceByCode[criteria_code] || 0) + price;
+
+    const itemBasePoints =
+      earned.price > 0 ? (earned.points * price) / earned.price : 0;
+    clawbackBasePoints += itemBasePoints;
+    refundedItems.push({
+      criteria_code,
+      refunded_price: price,
+      base_points_reversed: itemBasePoints,
+    });
+  }
+
+  // Scale base points to what was actually awarded (tier multiplier, rounding)
+  const points =
+    totalBasePoints > 0
+      ? Math.round(
+          (originalTransaction.points * clawbackBasePoints) / totalBasePoints
+        )
+      : 0;
+
+  return {
+    points: Math.min(points, remainingPoints),
+    refundedItems,
+  };
+};
+
 /**
  * Check tier eligibility based on dynamic criteria from TierEligibilityCriteria model
  */
@@ -504,11 +618,16 @@ const viewCustomer = async (req, res) => {
       });
     }
 
+    // Points reserved by open checkout holds can't be spent
+    const heldPoints = await PointsHold.getHeldPoints(customer._id);
+
     const responseData = {
       name: customer.name || "",
       email: customer.email || "",
       mobile: customer.phone || "",
       point_balance: customer.total_points || 0,
+      held_points: heldPoints,
+      available_points: Math.max((customer.total_points || 0) - heldPoints, 0),
       customer_tier: customer.tier ? customer.tier.name : "Bronze",
       next_tier: nextTier
         ? {
@@ -637,134 +756,34 @@ const addPoints = async (req, res) => {
     }
 
     // Calculate points based on criteria and items
-    let totalPointsAwarded = 0;
-    const transactionDetails = [];
-    const skippedCriteria = []; // Track criteria skipped due to limits
-
-    if (metadata && metadata.items && Array.isArray(metadata.items)) {
-      try {
-        // Calculate points for each item based on criteria
-        for (const item of metadata.items) {
-          const { criteria_code, price } = item;
-
-          // Find point criteria
-          const criteria = await PointCriteria.findOne({
-            unique_code: criteria_code,
-            isActive: true,
-          }).session(session);
-
-          if (criteria) {
-            // Check transaction limits
-            const limitsCheck = await criteria.checkCriteriaUsageFromMetadata(
-              customer._id
-            );
-
-            if (!limitsCheck.withinLimits) {
-              // Skip this criteria but continue with others
-              skippedCriteria.push({
-                criteria_code,
-                reason: limitsCheck.message,
-                current_count: limitsCheck.currentCount,
-                limit: limitsCheck.limit,
-              });
-              logger.info(
-                `Skipping criteria ${criteria_code} due to limit: ${limitsCheck.message}`
-              );
-              continue; // Skip to next criteria
-            }
-            // Calculate points based on point system
-            const pointSystemEntry = criteria.pointSystem.find(
-              (ps) => ps.paymentMethod === payment_method
-            );
-            if (!pointSystemEntry) {
-              logger.info(
-                `No point system entry found for criteria: ${criteria_code} and payment method: ${payment_method}`
-              );
-              continue; // Skip if payment method not supported for this criteria
-            }
-
-            //calculate points
-            //check transaction value limit
-            //check minimum value irrespective of point type
-
-            const { minValue, maxValue } =
-              criteria.conditions.transactionValueLimits;
-            // Skip if price is below minimum (0 or null means no minimum limit)
-            if (minValue != null && minValue > 0 && price < minValue) {
-              console.log("minValue not met", minValue, price);
-              continue;
-            }
-
-            //now calculate points based on point type
-            let itemPoints = 0;
-            if (pointSystemEntry.pointType === "percentage") {
-              // Cap price at maxValue if valid and exceeded (0 or null means no maximum limit)
-              if (
-                maxValue != null &&
-                maxValue > 0 &&
-                maxValue !== "undefined" &&
-                !isNaN(maxValue) &&
-                price > maxValue
-              ) {
-                price = maxValue;
-              }
-              //?multiplying with 1000 as per kedmah request
-              itemPoints = (price * pointSystemEntry.pointRate * 1000) / 100;
-              console.log("itemPoints", itemPoints);
-            } else {
-              //flat points
-
-              itemPoints = pointSystemEntry.pointRate;
-              console.log("test", itemPoints);
-            }
-
-            // Ensure points is a valid number
-            if (isNaN(itemPoints) || !isFinite(itemPoints)) {
-              itemPoints = 0;
-            }
-
-            totalPointsAwarded += itemPoints;
-            console.log(totalPointsAwarded);
-            transactionDetails.push({
-              criteria_code,
-              price,
-              points_awarded: itemPoints,
-              calculation_type: pointSystemEntry.pointType,
-              point_rate: pointSystemEntry.pointRate,
-            });
-          }
-        }
-      } catch (error) {
-        await transaction.abort();
-        logger.error(`Error processing items: ${error.message}`, {
-          stack: error.stack,
-          body: req.body,
-        });
-        return response_handler(res, 500, "Error processing items");
-      }
+    let earnResult;
+    try {
+      earnResult = await calculateEarnPoints(
+        {
+          customer,
+          criteriaList: allCriteriaCodes,
+          items: metadata.items,
+          paymentMethod: payment_method,
+          requestedBy: requested_by,
+        },
+        session
+      );
+    } catch (error) {
+      await transaction.abort();
+      logger.error(`Error processing items: ${error.message}`, {
+        stack: error.stack,
+        body: req.body,
+      });
+      return response_handler(res, 500, "Error processing items");
     }
 
-    // Apply tier multiplier
-    const tierMultiplier = customer.tier.tier_point_multiplier.find(
-      async (tm) => {
-        //find name from object id from appType
-        let appType = await AppType.findById(tm.appType);
-        if (appType.name === requested_by) {
-          return tm.multiplier;
-        }
-      }
-    );
-    totalPointsAwarded =
-      Math.ceil(totalPointsAwarded * (tierMultiplier.multiplier || 1)) || 0;
-
-    // Ensure we have valid points before creating transaction
-    if (
-      isNaN(totalPointsAwarded) ||
-      !isFinite(totalPointsAwarded) ||
-      totalPointsAwarded < 0
-    ) {
-      totalPointsAwarded = 0;
-    }
+    const {
+      totalPoints: totalPointsAwarded,
+      transactionDetails,
+      skippedCriteria,
+      tierMultiplier,
+      campaigns,
+    } = earnResult;
 
     // Prepare response message and transaction creation based on points awarded
     let responseMessage = "Loyalty points processed successfully";
@@ -786,6 +805,7 @@ const addPoints = async (req, res) => {
 
     let newTransaction = null;
     let updatedCustomer = customer;
+    let tierUpgrade = null;
 
     // Create transaction record only if points were awarded
     if (shouldCreateTransaction) {
@@ -805,7 +825,8 @@ const addPoints = async (req, res) => {
               skipped_criteria: skippedCriteria, // Include skipped criteria info
               requested_by: requested_by || "Khedmah SDK",
               original_amount: transaction_value,
-              tier_multiplier: tierMultiplier || 1,
+              tier_multiplier: tierMultiplier,
+              campaigns,
             },
             transaction_date: new Date(),
           },
@@ -840,6 +861,17 @@ const addPoints = async (req, res) => {
         return response_handler(res, 500, "Failed to update customer points");
       }
 
+      await PointsLedgerEntry.record(
+        {
+          customer_id: customer._id,
+          points: totalPointsAwarded,
+          transaction_type: "earn",
+          transaction: newTransaction[0],
+          description: `Points earned for ${transaction_id}`,
+        },
+        session
+      );
+
       // Create loyalty points record with expiry date
       if (totalPointsAwarded > 0) {
         try {
@@ -896,6 +928,7 @@ const addPoints = async (req, res) => {
         );
 
         if (tierUpgradeResult.upgraded) {
+          tierUpgrade = tierUpgradeResult;
           logger.info(
             `Customer tier upgraded during point earning: ${customer_id}`,
             {
@@ -925,6 +958,38 @@ const addPoints = async (req, res) => {
       }
     }
 
+    if (totalPointsAwarded > 0) {
+      await publishEvent(
+        "points.earned",
+        {
+          customer,
+          appType: requested_by,
+          data: {
+            transaction_id,
+            points: totalPointsAwarded,
+            point_balance: updatedCustomer.total_points,
+            transaction_value,
+          },
+        },
+        session
+      );
+    }
+    if (tierUpgrade) {
+      await publishEvent(
+        "tier.upgraded",
+        {
+          customer,
+          appType: requested_by,
+          data: {
+            transaction_id,
+            previous_tier: tierUpgrade.previousTier.name,
+            new_tier: tierUpgrade.newTier.name,
+          },
+        },
+        session
+      );
+    }
+
     await transaction.commit();
 
     // Prepare response data
@@ -1074,6 +1139,9 @@ const redeemPoints = async (req, res) => {
     //   // Apply tier multiplier if exists
     // }
 
+    // Give back points from this customer's holds that have already timed out
+    await PointsHold.releaseExpiredHolds({ customer_id: customer._id }, session);
+
     // Use FIFO redemption logic
     const fifoResult = await redeemPointsFIFO(
       customer._id,
@@ -1099,7 +1167,7 @@ const redeemPoints = async (req, res) => {
     );
 
     // Create transaction record for the redemption
-    await Transaction.create(
+    const [redeemTransaction] = await Transaction.create(
       [
         {
           customer_id: customer._id,
@@ -1120,6 +1188,32 @@ const redeemPoints = async (req, res) => {
       { session }
     );
 
+    await PointsLedgerEntry.record(
+      {
+        customer_id: customer._id,
+        points: -fifoResult.redeemedPoints,
+        transaction_type: "redeem",
+        transaction: redeemTransaction,
+        description: `Points redeemed for ${transaction_id}`,
+      },
+      session
+    );
+
+    await publishEvent(
+      "points.redeemed",
+      {
+        customer,
+        appType,
+        data: {
+          transaction_id,
+          points: fifoResult.redeemedPoints,
+          point_balance: updatedCustomer.total_points,
+          total_spent,
+        },
+      },
+      session
+    );
+
     await transaction.commit();
 
     logger.info(`Points redeemed successfully: ${customer_id}`, {
@@ -1205,7 +1299,7 @@ const cancelRedemption = async (req, res) => {
     const pointsToRestore = Math.abs(originalTransaction.points);
 
     // Create cancellation transaction
-    await Transaction.create(
+    const [cancellationTransaction] = await Transaction.create(
       [
         {
           customer_id: originalTransaction.customer_id._id,
@@ -1235,6 +1329,17 @@ const cancelRedemption = async (req, res) => {
       { new: true, session }
     );
 
+    await PointsLedgerEntry.record(
+      {
+        customer_id: originalTransaction.customer_id._id,
+        points: pointsToRestore,
+        transaction_type: "adjust",
+        transaction: cancellationTransaction,
+        description: `Cancellation of redemption ${transaction_id}`,
+      },
+      session
+    );
+
     // Create loyalty points record with expiry date for restored points
     if (pointsToRestore > 0) {
       try {
@@ -1295,6 +1400,21 @@ const cancelRedemption = async (req, res) => {
       }
     }
 
+    await publishEvent(
+      "points.redemption_cancelled",
+      {
+        customer: originalTransaction.customer_id,
+        appType: originalTransaction.app_type,
+        data: {
+          transaction_id: cancellationTransaction.transaction_id,
+          original_transaction_id: transaction_id,
+          points: pointsToRestore,
+          point_balance: updatedCustomer.total_points,
+        },
+      },
+      session
+    );
+
     await transaction.commit();
 
     logger.info(`Redemption cancelled successfully: ${customer_id}`, {
@@ -1319,6 +1439,550 @@ const cancelRedemption = async (req, res) => {
   }
 };
 
+/**
+ * Refund (part of) an earn transaction and claw back the points it awarded
+ */
+const refundPoints = async (req, res) => {
+  const transaction = new SafeTransaction();
+  const session = await transaction.start();
+
+  try {
+    const { customer_id, transaction_id, refund_id, items, amount, requested_by } =
+      req.body;
+
+    const customer = await Customer.findOne({ customer_id }).session(session);
+    if (!customer) {
+      await transaction.abort();
+      return response_handler(res, 404, "Customer not found");
+    }
+
+    const originalTransaction = await Transaction.findOne({
+      transaction_id,
+      transaction_type: "earn",
+      customer_id: customer._id,
+    }).session(session);
+
+    if (!originalTransaction) {
+      await transaction.abort();
+      return response_handler(res, 404, "Earn transaction not found");
+    }
+
+    const refundTransactionId =
+      refund_id || `${transaction_id}_refund_${Date.now()}`;
+    const existingRefund = await Transaction.findOne({
+      transaction_id: refundTransactionId,
+    }).session(session);
+
+    if (existingRefund) {
+      await transaction.abort();
+      return response_handler(res, 400, "Refund already processed");
+    }
+
+    const previousRefunds = await Transaction.find({
+      reference_id: transaction_id,
+      transaction_type: "refund",
+    }).session(session);
+
+    const clawback = calculateRefundClawback(
+      originalTransaction,
+      previousRefunds,
+      { items, amount }
+    );
+
+    if (clawback.error) {
+      await transaction.abort();
+      return response_handler(res, 400, clawback.error);
+    }
+
+    // Take back what is still unspent on the lot created by the earn
+    const lot = await LoyaltyPoints.findOne({
+      transaction_id: originalTransaction._id,
+    }).session(session);
+
+    let lotPointsReversed = 0;
+    if (lot && lot.status === "active") {
+      const freeLotPoints = lot.points - (lot.held_points || 0);
+      lotPointsReversed = Math.max(Math.min(clawback.points, freeLotPoints), 0);
+
+      if (lotPointsReversed > 0) {
+        const remainingLotPoints = lot.points - lotPointsReversed;
+        await LoyaltyPoints.findByIdAndUpdate(
+          lot._id,
+          remainingLotPoints === 0
+            ? { points: 0, status: "redeemed", redeemedAt: new Date() }
+            : { points: remainingLotPoints },
+          { session }
+        );
+      }
+    }
+
+    // Already spent points go negative on the balance, within the limit
+    const lowestAllowedBalance = -POINTS_NEGATIVE_BALANCE_LIMIT;
+    const maxClawback = Math.max(
+      customer.total_points - lowestAllowedBalance,
+      lotPointsReversed
+    );
+    const pointsClawedBack = Math.min(clawback.points, maxClawback);
+    const unrecoveredPoints = clawback.points - pointsClawedBack;
+
+    const updatedCustomer = await Customer.findByIdAndUpdate(
+      customer._id,
+      { $inc: { total_points: -pointsClawedBack } },
+      { new: true, session }
+    );
+
+    const [refundTransaction] = await Transaction.create(
+      [
+        {
+          customer_id: customer._id,
+          transaction_id: refundTransactionId,
+          transaction_type: "refund",
+          points: -pointsClawedBack,
+          payment_method: originalTransaction.payment_method,
+          status: "completed",
+          note: `Points reversed for refund of transaction ${transaction_id}`,
+          reference_id: transaction_id,
+          app_type: originalTransaction.app_type,
+          metadata: {
+            original_transaction_id: transaction_id,
+            refunded_items: clawback.refundedItems,
+            refunded_amount: amount || null,
+            lot_points_reversed: lotPointsReversed,
+            negative_balance_points: pointsClawedBack - lotPointsReversed,
+            unrecovered_points: unrecoveredPoints,
+            requested_by: requested_by || "Khedmah SDK",
+          },
+          transaction_date: new Date(),
+        },
+      ],
+      { session }
+    );
+
+    await PointsLedgerEntry.record(
+      {
+        customer_id: customer._id,
+        points: -pointsClawedBack,
+        transaction_type: "refund",
+        transaction: refundTransaction,
+        description: `Points reversed for refund of ${transaction_id}`,
+      },
+      session
+    );
+
+    await publishEvent(
+      "points.refunded",
+      {
+        customer,
+        appType: originalTransaction.app_type,
+        data: {
+          transaction_id: refundTransactionId,
+          original_transaction_id: transaction_id,
+          points: pointsClawedBack,
+          point_balance: updatedCustomer.total_points,
+        },
+      },
+      session
+    );
+
+    await transaction.commit();
+
+    logger.info(`Points refunded: ${customer_id}`, {
+      customer_id,
+      transaction_id,
+      refund_id: refundTransactionId,
+      points_clawed_back: pointsClawedBack,
+      unrecovered_points: unrecoveredPoints,
+    });
+
+    return response_handler(res, 200, "Refund processed successfully", {
+      refund_id: refundTransactionId,
+      points_reversed: pointsClawedBack,
+      unrecovered_points: unrecoveredPoints,
+      point_balance: updatedCustomer.total_points,
+    });
+  } catch (error) {
+    await transaction.abort();
+    logger.error(`Error refunding points: ${error.message}`, {
+      stack: error.stack,
+      body: req.body,
+    });
+    return response_handler(res, 500, "Internal server error");
+  } finally {
+    await transaction.end();
+  }
+};
+
+/**
+ * Authorize (hold) points for a checkout without burning them
+ */
+const authorizePoints = async (req, res) => {
+  const transaction = new SafeTransaction();
+  const session = await transaction.start();
+
+  try {
+    const { customer_id, points, transaction_id, requested_by, ttl_minutes } =
+      req.body;
+
+    // Check if the checkout reference was already used
+    const [existingHold, existingTransaction] = await Promise.all([
+      PointsHold.findOne({ transaction_id }).session(session),
+      Transaction.findOne({ transaction_id }).session(session),
+    ]);
+
+    if (existingHold || existingTransaction) {
+      await transaction.abort();
+      return response_handler(res, 400, "Transaction already processed");
+    }
+
+    // Find customer
+    const customer = await Customer.findOne({ customer_id }).session(session);
+    if (!customer) {
+      await transaction.abort();
+      return response_handler(res, 404, "Customer not found");
+    }
+
+    const appType = await AppType.findOne({ name: requested_by }).session(
+      session
+    );
+    if (!appType) {
+      await transaction.abort();
+      return response_handler(res, 404, "App type requested by not found");
+    }
+
+    // Give back points from this customer's holds that have already timed out
+    await PointsHold.releaseExpiredHolds({ customer_id: customer._id }, session);
+
+    const validPoints = await LoyaltyPoints.find({
+      customer_id: customer._id,
+      expiryDate: { $gte: new Date() },
+      status: "active",
+    })
+      .sort({ earnedAt: 1 }) // Oldest points first (FIFO)
+      .session(session);
+
+    const availablePoints = validPoints.reduce(
+      (sum, entry) => sum + entry.points - (entry.held_points || 0),
+      0
+    );
+
+    if (availablePoints < points) {
+      await transaction.abort();
+      return response_handler(
+        res,
+        400,
+        `Insufficient points. Available: ${availablePoints}, Requested: ${points}`
+      );
+    }
+
+    // Reserve points against lots in FIFO order
+    let remainingPointsToHold = points;
+    const heldLots = [];
+
+    for (const pointEntry of validPoints) {
+      if (remainingPointsToHold <= 0) break;
+
+      const freePoints = pointEntry.points - (pointEntry.held_points || 0);
+      if (freePoints <= 0) continue;
+
+      const pointsToHold = Math.min(freePoints, remainingPointsToHold);
+      remainingPointsToHold -= pointsToHold;
+
+      await LoyaltyPoints.findByIdAndUpdate(
+        pointEntry._id,
+        { $inc: { held_points: pointsToHold } },
+        { session }
+      );
+      heldLots.push({ loyalty_point_id: pointEntry._id, points: pointsToHold });
+    }
+
+    const expiresAt = new Date(
+      Date.now() + (ttl_minutes || POINTS_HOLD_TTL_MINUTES) * 60 * 1000
+    );
+
+    await PointsHold.create(
+      [
+        {
+          customer_id: customer._id,
+          transaction_id,
+          points,
+          lots: heldLots,
+          app_type: appType._id,
+          requested_by,
+          expires_at: expiresAt,
+        },
+      ],
+      { session }
+    );
+
+    await transaction.commit();
+
+    logger.info(`Points authorized: ${customer_id}`, {
+      customer_id,
+      transaction_id,
+      points,
+      expires_at: expiresAt,
+    });
+
+    return response_handler(res, 200, "Points authorized successfully", {
+      transaction_id,
+      held_points: points,
+      available_points: availablePoints - points,
+      point_balance: customer.total_points,
+      expires_at: expiresAt,
+    });
+  } catch (error) {
+    await transaction.abort();
+    logger.error(`Error authorizing points: ${error.message}`, {
+      stack: error.stack,
+      body: req.body,
+    });
+    return response_handler(res, 500, "Internal server error");
+  } finally {
+    await transaction.end();
+  }
+};
+
+/**
+ * Capture a points hold, burning all or part of the held points
+ */
+const capturePoints = async (req, res) => {
+  const transaction = new SafeTransaction();
+  const session = await transaction.start();
+
+  try {
+    const { customer_id, transaction_id, points } = req.body;
+
+    const customer = await Customer.findOne({ customer_id }).session(session);
+    if (!customer) {
+      await transaction.abort();
+      return response_handler(res, 404, "Customer not found");
+    }
+
+    const hold = await PointsHold.findOne({
+      transaction_id,
+      customer_id: customer._id,
+    }).session(session);
+
+    if (!hold) {
+      await transaction.abort();
+      return response_handler(res, 404, "Points hold not found");
+    }
+
+    if (hold.status !== "authorized") {
+      await transaction.abort();
+      return response_handler(res, 400, `Points hold is already ${hold.status}`);
+    }
+
+    if (hold.expires_at <= new Date()) {
+      await PointsHold.releaseHold(hold, "expired", session);
+      await transaction.commit();
+      return response_handler(res, 400, "Points hold has expired");
+    }
+
+    const pointsToCapture = points || hold.points;
+    if (pointsToCapture > hold.points) {
+      await transaction.abort();
+      return response_handler(
+        res,
+        400,
+        `Cannot capture ${pointsToCapture} points, only ${hold.points} are held`
+      );
+    }
+
+    // Held lots may have expired since authorization
+    const lots = await LoyaltyPoints.find({
+      _id: { $in: hold.lots.map((lot) => lot.loyalty_point_id) },
+    }).session(session);
+
+    const unavailableLot = hold.lots.find((heldLot) => {
+      const lot = lots.find(
+        (l) => l._id.toString() === heldLot.loyalty_point_id.toString()
+      );
+      return !lot || lot.status !== "active";
+    });
+
+    if (unavailableLot) {
+      await transaction.abort();
+      return response_handler(res, 400, "Held points are no longer available");
+    }
+
+    // Burn captured points lot by lot and release the rest of each lot's hold
+    let remainingPointsToCapture = pointsToCapture;
+    const usedLoyaltyPoints = [];
+
+    for (const heldLot of hold.lots) {
+      const lot = lots.find(
+        (l) => l._id.toString() === heldLot.loyalty_point_id.toString()
+      );
+      const pointsToUse = Math.min(heldLot.points, remainingPointsToCapture);
+      const remainingLotPoints = lot.points - pointsToUse;
+      remainingPointsToCapture -= pointsToUse;
+
+      const update = {
+        points: remainingLotPoints,
+        held_points: Math.max((lot.held_points || 0) - heldLot.points, 0),
+      };
+      if (remainingLotPoints === 0) {
+        update.status = "redeemed";
+        update.redeemedAt = new Date();
+      }
+      await LoyaltyPoints.findByIdAndUpdate(lot._id, update, { session });
+
+      if (pointsToUse > 0) {
+        usedLoyaltyPoints.push({
+          loyalty_point_id: lot._id,
+          original_points: lot.points,
+          points_used: pointsToUse,
+          fully_redeemed: remainingLotPoints === 0,
+          expiryDate: lot.expiryDate,
+          earnedAt: lot.earnedAt,
+        });
+      }
+    }
+
+    const updatedCustomer = await Customer.findByIdAndUpdate(
+      customer._id,
+      { $inc: { total_points: -pointsToCapture } },
+      { new: true, session }
+    );
+
+    const [captureTransaction] = await Transaction.create(
+      [
+        {
+          customer_id: customer._id,
+          transaction_id,
+          transaction_type: "redeem",
+          points: -pointsToCapture, // Negative for redemption
+          status: "completed",
+          note: "Points redeemed for purchase",
+          metadata: {
+            total_spent: pointsToCapture,
+            requested_by: hold.requested_by,
+            points_hold_id: hold._id,
+            authorized_points: hold.points,
+            used_loyalty_points: usedLoyaltyPoints,
+          },
+          transaction_date: new Date(),
+          app_type: hold.app_type,
+        },
+      ],
+      { session }
+    );
+
+    await PointsLedgerEntry.record(
+      {
+        customer_id: customer._id,
+        points: -pointsToCapture,
+        transaction_type: "redeem",
+        transaction: captureTransaction,
+        description: `Points hold captured for ${transaction_id}`,
+      },
+      session
+    );
+
+    hold.status = "captured";
+    hold.captured_points = pointsToCapture;
+    hold.captured_at = new Date();
+    await hold.save({ session });
+
+    await publishEvent(
+      "points.redeemed",
+      {
+        customer,
+        appType: hold.app_type,
+        data: {
+          transaction_id,
+          points: pointsToCapture,
+          point_balance: updatedCustomer.total_points,
+          points_hold_id: hold._id,
+        },
+      },
+      session
+    );
+
+    await transaction.commit();
+
+    logger.info(`Points hold captured: ${customer_id}`, {
+      customer_id,
+      transaction_id,
+      captured_points: pointsToCapture,
+      released_points: hold.points - pointsToCapture,
+    });
+
+    return response_handler(res, 200, "Points captured successfully", {
+      captured_points: pointsToCapture,
+      released_points: hold.points - pointsToCapture,
+      point_balance: updatedCustomer.total_points,
+      used_loyalty_points: usedLoyaltyPoints,
+    });
+  } catch (error) {
+    await transaction.abort();
+    logger.error(`Error capturing points: ${error.message}`, {
+      stack: error.stack,
+      body: req.body,
+    });
+    return response_handler(res, 500, "Internal server error");
+  } finally {
+    await transaction.end();
+  }
+};
+
+/**
+ * Void a points hold and give the held points back
+ */
+const voidPoints = async (req, res) => {
+  const transaction = new SafeTransaction();
+  const session = await transaction.start();
+
+  try {
+    const { customer_id, transaction_id } = req.body;
+
+    const customer = await Customer.findOne({ customer_id }).session(session);
+    if (!customer) {
+      await transaction.abort();
+      return response_handler(res, 404, "Customer not found");
+    }
+
+    const hold = await PointsHold.findOne({
+      transaction_id,
+      customer_id: customer._id,
+    }).session(session);
+
+    if (!hold) {
+      await transaction.abort();
+      return response_handler(res, 404, "Points hold not found");
+    }
+
+    if (hold.status !== "authorized") {
+      await transaction.abort();
+      return response_handler(res, 400, `Points hold is already ${hold.status}`);
+    }
+
+    await PointsHold.releaseHold(hold, "voided", session);
+    await transaction.commit();
+
+    logger.info(`Points hold voided: ${customer_id}`, {
+      customer_id,
+      transaction_id,
+      released_points: hold.points,
+    });
+
+    return response_handler(res, 200, "Points hold voided successfully", {
+      released_points: hold.points,
+      point_balance: customer.total_points,
+    });
+  } catch (error) {
+    await transaction.abort();
+    logger.error(`Error voiding points hold: ${error.message}`, {
+      stack: error.stack,
+      body: req.body,
+    });
+    return response_handler(res, 500, "Internal server error");
+  } finally {
+    await transaction.end();
+  }
+};
+
 const generateToken = async (req, res) => {
   try {
     const { customer_id, requested_by } = req.body;
@@ -1414,6 +2078,8 @@ const getTransactionHistory = async (req, res) => {
         title = "Tier Upgrade";
       } else if (transaction.transaction_type === "offer-redeem") {
         title = "Offer Redeemed";
+      } else if (transaction.transaction_type === "refund") {
+        title = "Points Reversed";
       }
       return {
         id: transaction._id,
@@ -1924,6 +2590,34 @@ const redeemCoupon = async (req, res) => {
   }
 };
 
+/**
+ * Record customer activity events (app opens, screen views, notifications)
+ */
+const trackActivityEvents = async (req, res) => {
+  try {
+    const { customer_id, device, events } = req.body;
+
+    const customer = await Customer.findOne({ customer_id }).select("_id");
+    if (!customer) {
+      return response_handler(res, 404, "Customer not found");
+    }
+
+    const result = await recordActivityEvents(customer, {
+      events,
+      device,
+      appType: req.sdkKey.app_type?._id,
+    });
+
+    return response_handler(res, 202, "Activity events recorded", result);
+  } catch (error) {
+    logger.error(`Error recording activity events: ${error.message}`, {
+      stack: error.stack,
+      customer_id: req.body.customer_id,
+    });
+    return response_handler(res, 500, "Internal server error");
+  }
+};
+
 /**
  * Evaluate existing customer for tier upgrade (Admin function)
  */
@@ -1964,6 +2658,15 @@ const evaluateCustomerTier = async (req, res) => {
       responseData.upgrade_performed = true;
       responseData.new_tier = tierEvaluation.newTier.name;
 
+      await publishEvent("tier.upgraded", {
+        customer,
+        data: {
+          previous_tier: customer.tier.name,
+          new_tier: tierEvaluation.newTier.name,
+          point_balance: customer.total_points,
+        },
+      });
+
       logger.info(`Admin tier upgrade performed: ${customer_id}`, {
         customer_id,
         from_tier: customer.tier.name,
@@ -1993,6 +2696,10 @@ module.exports = {
   addPoints,
   redeemPoints,
   cancelRedemption,
+  refundPoints,
+  authorizePoints,
+  capturePoints,
+  voidPoints,
   generateToken,
   getTransactionHistory,
   getMerchantOffers,
@@ -2001,4 +2708,5 @@ module.exports = {
   getCouponBrands,
   getAllCategories,
   evaluateCustomerTier,
+  trackActivityEvents,
 };
@@ -1,15 +1,21 @@
 const express = require("express");
 const router = express.Router();
 const kedmah_sdk_controller = require("./new_kedmah_sdk.controller.js");
-const key_protect = require("../../middlewares/auth/key_protect");
+const { sdkAuth } = require("../../middlewares/auth/sdk_auth");
 const { createAuditMiddleware } = require("../audit");
 const validate = require("../../middlewares/validate");
+const idempotency = require("../../middlewares/idempotency");
 const {
   registerCustomerSchema,
   viewCustomerSchema,
   addPointsSchema,
   redeemPointsSchema,
   cancelRedemptionSchema,
+  authorizePointsSchema,
+  capturePointsSchema,
+  voidPointsSchema,
+  refundPointsSchema,
+  activityEventsSchema,
 } = require("./new_kedmah_sdk.validator");
 
 const merchant_offers_controller = require("../merchant_offers/merchant_offers.controller.js")
@@ -19,14 +25,15 @@ const kedmahSdkAudit = createAuditMiddleware("new_kedmah_sdk");
 
 router.post(
   "/generate-token",
-  key_protect,
+  sdkAuth(["user_data"]),
   kedmah_sdk_controller.generateToken
 );
 
 router.post(
   "/register",
-  key_protect,
+  sdkAuth(["user_data"]),
   validate(registerCustomerSchema),
+  idempotency(),
   kedmahSdkAudit.sdkAction("customer_registration", {
     description: "Customer registration via Khedmah SDK",
     targetModel: "Customer",
@@ -42,7 +49,7 @@ router.post(
 
 router.post(
   "/customer",
-  key_protect,
+  sdkAuth(["user_data"]),
   validate(viewCustomerSchema),
   kedmahSdkAudit.sdkAction("view_customer", {
     description: "View customer details via Khedmah SDK",
@@ -57,7 +64,7 @@ router.post(
 
 router.post(
   "/transaction-history",
-  key_protect,
+  sdkAuth(["transactions"]),
   validate(viewCustomerSchema),
   kedmahSdkAudit.sdkAction("view_transaction_history", {
     description: "View customer transaction history via Khedmah SDK",
@@ -74,8 +81,9 @@ router.post(
 
 router.post(
   "/add-points",
-  key_protect,
+  sdkAuth(["points"]),
   validate(addPointsSchema),
+  idempotency(),
   kedmahSdkAudit.sdkAction("add_points", {
     description: "Add loyalty points via Khedmah SDK",
     targetModel: "Transaction",
@@ -93,8 +101,9 @@ router.post(
 
 router.post(
   "/redeem-points",
-  key_protect,
+  sdkAuth(["redemptions"]),
   validate(redeemPointsSchema),
+  idempotency(),
   kedmahSdkAudit.sdkAction("redeem_points", {
     description: "Redeem loyalty points via Khedmah SDK",
     targetModel: "Transaction",
@@ -112,8 +121,9 @@ router.post(
 
 router.post(
   "/cancel-redeem-points",
-  key_protect,
+  sdkAuth(["redemptions"]),
   validate(cancelRedemptionSchema),
+  idempotency(),
   kedmahSdkAudit.sdkAction("cancel_redemption", {
     description: "Cancel point redemption via Khedmah SDK",
     targetModel: "Transaction",
@@ -127,20 +137,112 @@ router.post(
   kedmah_sdk_controller.cancelRedemption
 );
 
+router.post(
+  "/refund-points",
+  sdkAuth(["points"]),
+  validate(refundPointsSchema),
+  idempotency(),
+  kedmahSdkAudit.sdkAction("refund_points", {
+    description: "Reverse earned points for a refund via Khedmah SDK",
+    targetModel: "Transaction",
+    logResponseBody: true,
+    details: (req) => ({
+      customer_id: req.body.customer_id,
+      transaction_id: req.body.transaction_id,
+      refund_id: req.body.refund_id,
+      amount: req.body.amount,
+      items: req.body.items,
+    }),
+  }),
+  kedmahSdkAudit.captureResponse(),
+  kedmah_sdk_controller.refundPoints
+);
+
+router.post(
+  "/authorize-points",
+  sdkAuth(["redemptions"]),
+  validate(authorizePointsSchema),
+  idempotency(),
+  kedmahSdkAudit.sdkAction("authorize_points", {
+    description: "Hold loyalty points for checkout via Khedmah SDK",
+    targetModel: "PointsHold",
+    logResponseBody: true,
+    details: (req) => ({
+      customer_id: req.body.customer_id,
+      transaction_id: req.body.transaction_id,
+      points: req.body.points,
+      requested_by: req.body.requested_by,
+    }),
+  }),
+  kedmahSdkAudit.captureResponse(),
+  kedmah_sdk_controller.authorizePoints
+);
+
+router.post(
+  "/capture-points",
+  sdkAuth(["redemptions"]),
+  validate(capturePointsSchema),
+  idempotency(),
+  kedmahSdkAudit.sdkAction("capture_points", {
+    description: "Capture held loyalty points via Khedmah SDK",
+    targetModel: "Transaction",
+    logResponseBody: true,
+    details: (req) => ({
+      customer_id: req.body.customer_id,
+      transaction_id: req.body.transaction_id,
+      points: req.body.points,
+    }),
+  }),
+  kedmahSdkAudit.captureResponse(),
+  kedmah_sdk_controller.capturePoints
+);
+
+router.post(
+  "/void-points",
+  sdkAuth(["redemptions"]),
+  validate(voidPointsSchema),
+  idempotency(),
+  kedmahSdkAudit.sdkAction("void_points", {
+    description: "Release held loyalty points via Khedmah SDK",
+    targetModel: "PointsHold",
+    logResponseBody: true,
+    details: (req) => ({
+      customer_id: req.body.customer_id,
+      transaction_id: req.body.transaction_id,
+    }),
+  }),
+  kedmahSdkAudit.captureResponse(),
+  kedmah_sdk_controller.voidPoints
+);
+
 router.get(
   "/get-merchant-offers",
-  key_protect,
+  sdkAuth(["offers"]),
   kedmah_sdk_controller.getMerchantOffers
 );
-router.get("/get-brands", key_protect, kedmah_sdk_controller.getCouponBrands);
-router.get("/get-categories", key_protect, kedmah_sdk_controller.getAllCategories);
+router.get("/get-brands", sdkAuth(["offers"]), kedmah_sdk_controller.getCouponBrands);
+router.get("/get-categories", sdkAuth(["offers"]), kedmah_sdk_controller.getAllCategories);
 router.get(
   "/get-coupon-details/:couponId",
-  key_protect,
+  sdkAuth(["offers"]),
   kedmah_sdk_controller.getCouponDetails
 );
 
-router.post("/redeem-coupon", key_protect, merchant_offers_controller.redeemPreGeneratedCoupon);
+router.post(
+  "/redeem-coupon",
+  sdkAuth(["offers"]),
+  idempotency(),
+  merchant_offers_controller.redeemPreGeneratedCoupon
+);
 //transaction
 
+// Activity events are high volume and deduplicated per event, so they are not
+// audited or idempotency-keyed like the points routes
+router.post(
+  "/events",
+  sdkAuth(["events"]),
+  validate(activityEventsSchema),
+  kedmah_sdk_controller.trackActivityEvents
+);
+
 module.exports = router;
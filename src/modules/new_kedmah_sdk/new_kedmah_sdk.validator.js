@@ -61,10 +61,106 @@ const cancelRedemptionSchema = Joi.object({
   transaction_id: Joi.string().trim().max(100).required(),
 });
 
+/**
+ * Validation schema for authorizing (holding) points
+ */
+const authorizePointsSchema = Joi.object({
+  customer_id: Joi.string().trim().max(50).required(),
+  points: Joi.number().integer().positive().required(),
+  transaction_id: Joi.string().trim().max(100).required(),
+  requested_by: Joi.string().trim().max(100).optional().allow(""),
+  ttl_minutes: Joi.number().integer().min(1).max(1440).optional(),
+});
+
+/**
+ * Validation schema for capturing a points hold
+ */
+const capturePointsSchema = Joi.object({
+  customer_id: Joi.string().trim().max(50).required(),
+  transaction_id: Joi.string().trim().max(100).required(),
+  points: Joi.number().integer().positive().optional(),
+});
+
+/**
+ * Validation schema for voiding a points hold
+ */
+const voidPointsSchema = Joi.object({
+  customer_id: Joi.string().trim().max(50).required(),
+  transaction_id: Joi.string().trim().max(100).required(),
+});
+
+/**
+ * Validation schema for refunding an earn transaction (by items or by amount)
+ */
+const refundPointsSchema = Joi.object({
+  customer_id: Joi.string().trim().max(50).required(),
+  transaction_id: Joi.string().trim().max(100).required(),
+  refund_id: Joi.string().trim().max(100).optional(),
+  items: Joi.array()
+    .items(
+      Joi.object({
+        criteria_code: Joi.string().trim().max(50).required(),
+        price: Joi.number().positive().precision(2).required(),
+      })
+    )
+    .min(1),
+  amount: Joi.number().positive().precision(2),
+  requested_by: Joi.string().trim().max(100).optional().allow(""),
+}).xor("items", "amount");
+
+/**
+ * Validation schema for a batch of customer activity events
+ */
+const activityEventsSchema = Joi.object({
+  customer_id: Joi.string().trim().max(50).required(),
+  requested_by: Joi.string().trim().max(100).optional().allow(""),
+  device: Joi.object({
+    type: Joi.string().valid("ios", "android", "web", "other").required(),
+    model: Joi.string().trim().max(100).optional().allow(""),
+    os_version: Joi.string().trim().max(50).optional().allow(""),
+    app_version: Joi.string().trim().max(50).optional().allow(""),
+  }).optional(),
+  events: Joi.array()
+    .items(
+      Joi.object({
+        type: Joi.string()
+          .valid(
+            "app_open",
+            "screen_view",
+            "notification_received",
+            "notification_open",
+            "notification_click"
+          )
+          .required(),
+        event_id: Joi.string().trim().max(100).optional(),
+        occurred_at: Joi.date().iso().optional(),
+        screen: Joi.when("type", {
+          is: "screen_view",
+          then: Joi.string().trim().max(200).required(),
+          otherwise: Joi.forbidden(),
+        }),
+        notification_id: Joi.when("type", {
+          is: Joi.valid("notification_received", "notification_open", "notification_click"),
+          then: Joi.string().trim().max(100).required(),
+          otherwise: Joi.forbidden(),
+        }),
+        metadata: Joi.object().max(20).optional(),
+      })
+    )
+    .min(1)
+    .max(100)
+    .required(),
+});
+
 module.exports = {
   registerCustomerSchema,
   viewCustomerSchema,
   addPointsSchema,
   redeemPointsSchema,
   cancelRedemptionSchema,
+  authorizePointsSchema,
+  capturePointsSchema,
+  voidPointsSchema,
+  refundPointsSchema,
+  activityEventsSchema,
 };
@@ -1,7 +1,6 @@
 const express = require("express");
 const router = express.Router();
 const payment_method_controller = require("./payment_method.controller");
-const { authorizePermission } = require("../../middlewares/auth/auth");
 const { createAuditMiddleware } = require("../audit");
 const {
   cacheInvalidationMiddleware,
@@ -3,6 +3,9 @@ const Criteria = require("../../models/point_criteria_model");
 const pointsCriteriaValidationSchema = require("./point_criteria.validator");
 const TriggerEvent = require("../../models/trigger_event_model");
 const TriggerServices = require("../../models/trigger_services_model");
+const Customer = require("../../models/customer_model");
+const Tier = require("../../models/tier_model");
+const { calculateEarnPoints } = require("../../helpers/earn_calculator");
 
 exports.create = async (req, res) => {
   try {
@@ -115,6 +118,18 @@ exports.update_criteria = async (req, res) => {
   try {
     const { id } = req.params;
 
+    if (req.body.rules !== undefined) {
+      const { error, value } = pointsCriteriaValidationSchema.rulesSchema.validate(
+        req.body.rules,
+        { abortEarly: false }
+      );
+      if (error) {
+        const error_messages = error.details.map((err) => err.message).join(", ");
+        return response_handler(res, 400, `Invalid rules: ${error_messages}`);
+      }
+      req.body.rules = value;
+    }
+
     const updated_criteria = await Criteria.findByIdAndUpdate(id, req.body, {
       new: true,
     });
@@ -152,6 +167,83 @@ exports.delete_criteria = async (req, res) => {
   }
 };
 
+// Dry run of the Khedmah SDK add-points calculation; nothing is written
+exports.simulate = async (req, res) => {
+  try {
+    const { error, value } = pointsCriteriaValidationSchema.simulateSchema.validate(
+      req.body,
+      { abortEarly: false }
+    );
+    if (error) {
+      const error_messages = error.details.map((err) => err.message).join(", ");
+      return response_handler(res, 400, `Invalid input: ${error_messages}`);
+    }
+
+    const {
+      customer_id,
+      payment_method,
+      metadata,
+      requested_by,
+      tier_id,
+      simulated_at,
+    } = value;
+
+    const customer = await Customer.findOne({ customer_id })
+      .populate("tier")
+      .lean();
+    if (!customer) {
+      return response_handler(res, 404, "Customer not found");
+    }
+
+    let tier = customer.tier;
+    if (tier_id) {
+      tier = await Tier.findById(tier_id).lean();
+      if (!tier) {
+        return response_handler(res, 404, "Tier not found");
+      }
+    }
+
+    // Inactive criteria are included so they can be checked before activation
+    const criteriaList = await Criteria.find({
+      unique_code: { $in: metadata.items.map((item) => item.criteria_code) },
+    });
+
+    const now = simulated_at || new Date();
+    const result = await calculateEarnPoints({
+      customer: { ...customer, tier },
+      criteriaList,
+      items: metadata.items,
+      paymentMethod: payment_method,
+      requestedBy: requested_by,
+      now,
+      dryRun: true,
+      includeInactive: true,
+    });
+
+    return response_handler(res, 200, "Simulation completed, nothing was saved", {
+      customer_id,
+      current_tier: customer.tier ? customer.tier.name : null,
+      simulated_tier: tier ? tier.name : null,
+      simulated_at: now,
+      payment_method,
+      requested_by,
+      items: result.breakdown,
+      skipped_criteria: result.skippedCriteria,
+      base_points: result.basePoints,
+      tier_multiplier: result.tierMultiplier,
+      campaign_bonus: result.campaignBonus,
+      campaigns: result.campaigns,
+      total_points: result.totalPoints,
+    });
+  } catch (error) {
+    return response_handler(
+      res,
+      500,
+      `Internal Server Error. ${error.message}`
+    );
+  }
+};
+
 const generateUniqueCode = (eventName, serviceTypeName) => {
   const sanitizedEvent = eventName
     .replace(/\s+/g, "")
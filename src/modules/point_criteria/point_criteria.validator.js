@@ -1,8 +1,93 @@
 const Joi = require("joi");
 const mongoose = require("mongoose");
+const {
+  SET_PREDICATES,
+  NUMERIC_PREDICATES,
+  SET_OPERATORS,
+  NUMERIC_OPERATORS,
+  SPEND_PERIODS,
+  DAY_NAMES,
+  RULE_ACTIONS,
+} = require("../../helpers/rule_engine");
 
 const objectId = Joi.string().regex(/^[0-9a-fA-F]{24}$/); // MongoDB ObjectId validation
 
+const timeOfDay = Joi.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/);
+
+// Condition tree node, see helpers/rule_engine.js for the grammar
+const conditionSchema = Joi.object({
+  type: Joi.string()
+    .valid("and", "or", "not", ...SET_PREDICATES, ...NUMERIC_PREDICATES, "time_window")
+    .required(),
+  conditions: Joi.when("type", {
+    is: Joi.valid("and", "or"),
+    then: Joi.array().items(Joi.link("#conditionNode")).min(1).required(),
+    otherwise: Joi.forbidden(),
+  }),
+  condition: Joi.when("type", {
+    is: "not",
+    then: Joi.link("#conditionNode").required(),
+    otherwise: Joi.forbidden(),
+  }),
+  operator: Joi.when("type", {
+    switch: [
+      { is: Joi.valid(...SET_PREDICATES), then: Joi.string().valid(...SET_OPERATORS).default("in") },
+      { is: Joi.valid(...NUMERIC_PREDICATES), then: Joi.string().valid(...NUMERIC_OPERATORS).required() },
+    ],
+    otherwise: Joi.forbidden(),
+  }),
+  value: Joi.when("type", {
+    switch: [
+      {
+        is: "day_of_week",
+        then: Joi.array()
+          .items(Joi.number().integer().min(0).max(6), Joi.string().lowercase().valid(...DAY_NAMES))
+          .min(1)
+          .required(),
+      },
+      { is: Joi.valid(...SET_PREDICATES), then: Joi.array().items(Joi.string()).min(1).required() },
+      {
+        is: Joi.valid(...NUMERIC_PREDICATES),
+        then: Joi.when("operator", {
+          is: "between",
+          then: Joi.array().items(Joi.number()).length(2).required(),
+          otherwise: Joi.number().required(),
+        }),
+      },
+    ],
+    otherwise: Joi.forbidden(),
+  }),
+  period: Joi.when("type", {
+    is: "cumulative_spend",
+    then: Joi.string().valid(...SPEND_PERIODS).default("all_time"),
+    otherwise: Joi.forbidden(),
+  }),
+  start: Joi.when("type", {
+    is: "time_window",
+    then: timeOfDay.required(),
+    otherwise: Joi.forbidden(),
+  }),
+  end: Joi.when("type", {
+    is: "time_window",
+    then: timeOfDay.required(),
+    otherwise: Joi.forbidden(),
+  }),
+}).id("conditionNode");
+
+const rulesSchema = Joi.array().items(
+  Joi.object({
+    name: Joi.string().required(),
+    condition: conditionSchema.required(),
+    action: Joi.string().valid(...RULE_ACTIONS).required(),
+    value: Joi.when("action", {
+      is: "exclude",
+      then: Joi.forbidden(),
+      otherwise: Joi.number().positive().required(),
+    }),
+    isActive: Joi.boolean().default(true),
+  })
+);
+
 const pointsCriteriaValidationSchema = Joi.object({
   eventType: objectId.required(),
 
@@ -34,7 +119,34 @@ const pointsCriteriaValidationSchema = Joi.object({
     }).default({}),
   }).default({}),
 
+  rules: rulesSchema.default([]),
+
   isActive: Joi.boolean().default(true),
 });
 
+// Same body as the Khedmah SDK add-points, plus an optional hypothetical tier and date
+const simulateSchema = Joi.object({
+  payment_method: Joi.string().required(),
+  customer_id: Joi.string().trim().max(50).required(),
+  transaction_value: Joi.number().positive().precision(2).required(),
+  metadata: Joi.object({
+    items: Joi.array()
+      .items(
+        Joi.object({
+          criteria_code: Joi.string().trim().max(50).required(),
+          price: Joi.number().positive().precision(2).required(),
+          account_no: Joi.string().trim().max(50).optional(),
+        })
+      )
+      .min(1)
+      .required(),
+  }).required(),
+  transaction_id: Joi.string().trim().max(100).optional(),
+  requested_by: Joi.string().trim().max(100).optional().allow(""),
+  tier_id: objectId.optional(),
+  simulated_at: Joi.date().optional(),
+});
+
 module.exports = pointsCriteriaValidationSchema;
+module.exports.rulesSchema = rulesSchema;
+module.exports.simulateSchema = simulateSchema;
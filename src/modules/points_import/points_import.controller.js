@@ -0,0 +1,346 @@
+const response_handler = require("../../helpers/response_handler");
+const PointsImportBatch = require("../../models/points_import_batch_model");
+const PointsImportRow = require("../../models/points_import_row_model");
+const {
+  parsePointsFile,
+  validateImportRows,
+  buildErrorReport,
+} = require("../../helpers/points_import");
+const { addJob } = require("../../config/queue");
+const {
+  IMPORT_JOB_NAME,
+  REVERSE_JOB_NAME,
+} = require("../../jobs/points_import.job");
+const { POINTS_IMPORT_MAX_ROWS } = require("../../config/env");
+const validator = require("./points_import.validator");
+
+const INSERT_CHUNK = 1000;
+const ERROR_PREVIEW_ROWS = 20;
+
+const validate = (schema, payload, res) => {
+  const { error } = schema.validate(payload, { abortEarly: false });
+  if (error) {
+    const error_messages = error.details.map((err) => err.message).join(", ");
+    response_handler(res, 400, `Invalid input: ${error_messages}`);
+    return false;
+  }
+  return true;
+};
+
+exports.upload = async (req, res) => {
+  try {
+    if (!req.file) {
+      return response_handler(res, 400, "A .csv or .xlsx file is required");
+    }
+
+    const parsed = await parsePointsFile(req.file.buffer, req.file.originalname);
+    if (parsed.error) {
+      return response_handler(res, 400, parsed.error);
+    }
+    if (parsed.rows.length > POINTS_IMPORT_MAX_ROWS) {
+      return response_handler(
+        res,
+        400,
+        `File has ${parsed.rows.length} rows, the limit is ${POINTS_IMPORT_MAX_ROWS}`
+      );
+    }
+
+    const rows = await validateImportRows(parsed.rows);
+    const validRows = rows.filter((row) => row.status === "valid");
+    const invalidRows = rows.filter((row) => row.status === "invalid");
+
+    const batch = await PointsImportBatch.create({
+      file_name: req.file.originalname,
+      status: invalidRows.length > 0 ? "invalid" : "validated",
+      total_rows: rows.length,
+      valid_rows: validRows.length,
+      invalid_rows: invalidRows.length,
+      total_points: validRows.reduce((sum, row) => sum + row.points, 0),
+      created_by: req.admin ? req.admin._id : undefined,
+    });
+
+    for (let i = 0; i < rows.length; i += INSERT_CHUNK) {
+      await PointsImportRow.insertMany(
+        rows
+          .slice(i, i + INSERT_CHUNK)
+          .map((row) => ({ ...row, batch: batch._id })),
+        { ordered: false }
+      );
+    }
+
+    return response_handler(
+      res,
+      201,
+      invalidRows.length > 0
+        ? "File has invalid rows, download the error report to fix them"
+        : "File validated successfully, ready for approval",
+      {
+        batch,
+        errors: invalidRows.slice(0, ERROR_PREVIEW_ROWS).map((row) => ({
+          row_number: row.row_number,
+          customer_id: row.customer_id,
+          errors: row.validation_errors,
+        })),
+      }
+    );
+  } catch (error) {
+    return response_handler(
+      res,
+      500,
+      `Internal Server Error. ${error.message}`
+    );
+  }
+};
+
+exports.list = async (req, res) => {
+  try {
+    if (!validate(validator.list_batches, req.query, res)) return;
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skipCount = (page - 1) * limit;
+    const filter = {};
+
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const batches = await PointsImportBatch.find(filter)
+      .populate("created_by approved_by reversed_by", "name email")
+      .skip(skipCount)
+      .limit(limit)
+      .sort({ createdAt: -1 })
+      .lean();
+    const total_count = await PointsImportBatch.countDocuments(filter);
+
+    return response_handler(
+      res,
+      200,
+      "Points imports fetched successfully!",
+      batches,
+      total_count
+    );
+  } catch (error) {
+    return response_handler(
+      res,
+      500,
+      `Internal Server Error. ${error.message}`
+    );
+  }
+};
+
+exports.get_batch = async (req, res) => {
+  try {
+    const batch = await PointsImportBatch.findById(req.params.id).populate(
+      "created_by approved_by reversed_by",
+      "name email"
+    );
+    if (!batch) {
+      return response_handler(res, 404, "Points import not found");
+    }
+
+    return response_handler(
+      res,
+      200,
+      "Points import fetched successfully!",
+      batch
+    );
+  } catch (error) {
+    return response_handler(
+      res,
+      500,
+      `Internal Server Error. ${error.message}`
+    );
+  }
+};
+
+exports.list_rows = async (req, res) => {
+  try {
+    if (!validate(validator.list_rows, req.query, res)) return;
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skipCount = (page - 1) * limit;
+    const filter = { batch: req.params.id };
+
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const rows = await PointsImportRow.find(filter)
+      .skip(skipCount)
+      .limit(limit)
+      .sort({ row_number: 1 })
+      .lean();
+    const total_count = await PointsImportRow.countDocuments(filter);
+
+    return response_handler(
+      res,
+      200,
+      "Points import rows fetched successfully!",
+      rows,
+      total_count
+    );
+  } catch (error) {
+    return response_handler(
+      res,
+      500,
+      `Internal Server Error. ${error.message}`
+    );
+  }
+};
+
+exports.error_report = async (req, res) => {
+  try {
+    const batch = await PointsImportBatch.findById(req.params.id);
+    if (!batch) {
+      return response_handler(res, 404, "Points import not found");
+    }
+
+    const rows = await PointsImportRow.find({
+      batch: batch._id,
+      status: "invalid",
+    })
+      .sort({ row_number: 1 })
+      .lean();
+    const report = await buildErrorReport(rows);
+
+    res.setHeader("Content-Type", "text/csv");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="points-import-${batch._id}-errors.csv"`
+    );
+    return res.send(report);
+  } catch (error) {
+    return response_handler(
+      res,
+      500,
+      `Internal Server Error. ${error.message}`
+    );
+  }
+};
+
+exports.approve = async (req, res) => {
+  try {
+    const existing = await PointsImportBatch.findById(req.params.id).select("created_by");
+    if (!existing) {
+      return response_handler(res, 404, "Points import not found");
+    }
+    // Same four-eyes rule as manual point adjustments
+    if (existing.created_by && existing.created_by.equals(req.admin._id)) {
+      return response_handler(
+        res,
+        403,
+        "A points import must be approved by a different admin than the uploader"
+      );
+    }
+
+    const batch = await PointsImportBatch.findOneAndUpdate(
+      { _id: req.params.id, status: "validated" },
+      {
+        status: "approved",
+        approved_by: req.admin._id,
+        approved_at: new Date(),
+      },
+      { new: true }
+    );
+    if (!batch) {
+      return response_handler(res, 400, "Only a validated import can be approved");
+    }
+
+    await addJob(
+      "points",
+      IMPORT_JOB_NAME,
+      { batch_id: batch._id.toString() },
+      {
+        jobId: `points-import-${batch._id}`,
+        attempts: 3,
+        backoff: { type: "exponential", delay: 30000 },
+      }
+    );
+
+    return response_handler(
+      res,
+      200,
+      "Points import approved and queued",
+      batch
+    );
+  } catch (error) {
+    return response_handler(
+      res,
+      500,
+      `Internal Server Error. ${error.message}`
+    );
+  }
+};
+
+exports.discard = async (req, res) => {
+  try {
+    const batch = await PointsImportBatch.findOneAndUpdate(
+      { _id: req.params.id, status: { $in: ["validated", "invalid"] } },
+      { status: "discarded" },
+      { new: true }
+    );
+    if (!batch) {
+      const existing = await PointsImportBatch.exists({ _id: req.params.id });
+      return existing
+        ? response_handler(res, 400, "Only an import that was not approved can be discarded")
+        : response_handler(res, 404, "Points import not found");
+    }
+
+    return response_handler(res, 200, "Points import discarded", batch);
+  } catch (error) {
+    return response_handler(
+      res,
+      500,
+      `Internal Server Error. ${error.message}`
+    );
+  }
+};
+
+exports.reverse = async (req, res) => {
+  try {
+    if (!validate(validator.reverse_batch, req.body, res)) return;
+
+    const batch = await PointsImportBatch.findOneAndUpdate(
+      { _id: req.params.id, status: "completed" },
+      {
+        status: "reversing",
+        reversed_by: req.admin ? req.admin._id : undefined,
+        reversal_reason: req.body.reason,
+      },
+      { new: true }
+    );
+    if (!batch) {
+      const existing = await PointsImportBatch.exists({ _id: req.params.id });
+      return existing
+        ? response_handler(res, 400, "Only a completed import can be reversed")
+        : response_handler(res, 404, "Points import not found");
+    }
+
+    // A reversal can be retried after partial failure, so each gets its own job
+    await addJob(
+      "points",
+      REVERSE_JOB_NAME,
+      { batch_id: batch._id.toString() },
+      {
+        jobId: `points-import-reverse-${batch._id}-${Date.now()}`,
+        attempts: 3,
+        backoff: { type: "exponential", delay: 30000 },
+      }
+    );
+
+    return response_handler(
+      res,
+      200,
+      "Points import reversal queued",
+      batch
+    );
+  } catch (error) {
+    return response_handler(
+      res,
+      500,
+      `Internal Server Error. ${error.message}`
+    );
+  }
+};
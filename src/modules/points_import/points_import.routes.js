@@ -0,0 +1,95 @@
+const express = require("express");
+const multer = require("multer");
+const router = express.Router();
+const points_import_controller = require("./points_import.controller");
+const response_handler = require("../../helpers/response_handler");
+const { createAuditMiddleware } = require("../audit");
+const { POINTS_IMPORT_MAX_FILE_MB } = require("../../config/env");
+
+// Create audit middleware for the points import module
+const pointsImportAudit = createAuditMiddleware("points_import");
+
+// Files are parsed in memory and never stored
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: POINTS_IMPORT_MAX_FILE_MB * 1024 * 1024 },
+});
+
+const uploadFile = (req, res, next) =>
+  upload.single("file")(req, res, (err) => {
+    if (err) {
+      return response_handler(res, 400, `Upload failed: ${err.message}`);
+    }
+    next();
+  });
+
+
+// Upload and validate a file (columns customer_id, points, reason, expiry, reference)
+router.post(
+  "/",
+  uploadFile,
+  pointsImportAudit.captureResponse(),
+  pointsImportAudit.adminAction("upload_points_import", {
+    description: "Admin uploaded a points import file",
+    targetModel: "PointsImportBatch",
+    details: (req) => ({ file_name: req.file?.originalname }),
+    getModifiedData: (req, res) => {
+      if (res.locals.responseBody && res.locals.responseBody.data) {
+        return res.locals.responseBody.data.batch;
+      }
+      return null;
+    },
+  }),
+  points_import_controller.upload
+);
+
+router.get("/", points_import_controller.list);
+
+router.get("/:id", points_import_controller.get_batch);
+
+// Per-row validation and apply results
+router.get(
+  "/:id/rows",
+  pointsImportAudit.dataAccess("view_points_import_rows", {
+    description: "Admin viewed points import rows",
+    targetModel: "PointsImportRow",
+    targetId: (req) => req.params.id,
+  }),
+  points_import_controller.list_rows
+);
+
+// Downloadable CSV of the invalid rows
+router.get("/:id/error-report", points_import_controller.error_report);
+
+router.post(
+  "/:id/approve",
+  pointsImportAudit.adminAction("approve_points_import", {
+    description: "Admin approved a points import",
+    targetModel: "PointsImportBatch",
+    targetId: (req) => req.params.id,
+  }),
+  points_import_controller.approve
+);
+
+router.post(
+  "/:id/discard",
+  pointsImportAudit.adminAction("discard_points_import", {
+    description: "Admin discarded a points import",
+    targetModel: "PointsImportBatch",
+    targetId: (req) => req.params.id,
+  }),
+  points_import_controller.discard
+);
+
+router.post(
+  "/:id/reverse",
+  pointsImportAudit.adminAction("reverse_points_import", {
+    description: "Admin reversed a points import",
+    targetModel: "PointsImportBatch",
+    targetId: (req) => req.params.id,
+    details: (req) => req.body,
+  }),
+  points_import_controller.reverse
+);
+
+module.exports = router;
@@ -0,0 +1,27 @@
+const Joi = require("joi");
+
+exports.list_batches = Joi.object({
+  page: Joi.number().integer().min(1),
+  limit: Joi.number().integer().min(1).max(100),
+  status: Joi.string().valid(
+    "validated",
+    "invalid",
+    "discarded",
+    "approved",
+    "processing",
+    "completed",
+    "failed",
+    "reversing",
+    "reversed"
+  ),
+});
+
+exports.list_rows = Joi.object({
+  page: Joi.number().integer().min(1),
+  limit: Joi.number().integer().min(1).max(500),
+  status: Joi.string().valid("valid", "invalid", "applied", "failed", "reversed"),
+});
+
+exports.reverse_batch = Joi.object({
+  reason: Joi.string().trim().max(500).required(),
+});
@@ -0,0 +1,184 @@
+const mongoose = require("mongoose");
+const response_handler = require("../../helpers/response_handler");
+const { logger } = require("../../middlewares/logger");
+const Customer = require("../../models/customer_model");
+const PointsLedgerEntry = require("../../models/points_ledger_entry_model");
+const PointsReconciliationRun = require("../../models/points_reconciliation_run_model");
+const {
+  createReconciliationRun,
+  executeReconciliationRun,
+} = require("../../jobs/points_reconciliation.job");
+
+/**
+ * Get ledger entries and ledger balance for a customer
+ */
+const getCustomerLedger = async (req, res) => {
+  try {
+    const { customer_id } = req.params;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const customer = mongoose.Types.ObjectId.isValid(customer_id)
+      ? await Customer.findById(customer_id).select("customer_id name total_points")
+      : await Customer.findOne({ customer_id }).select("customer_id name total_points");
+
+    if (!customer) {
+      return response_handler(res, 404, "Customer not found");
+    }
+
+    const filter = { customer_id: customer._id };
+    const [entries, total_count, balances] = await Promise.all([
+      PointsLedgerEntry.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate("transaction", "transaction_id transaction_type status")
+        .lean(),
+      PointsLedgerEntry.countDocuments(filter),
+      PointsLedgerEntry.getWalletBalances(filter),
+    ]);
+
+    const ledgerBalance = balances[0]?.balance || 0;
+
+    return response_handler(
+      res,
+      200,
+      "Customer ledger retrieved successfully",
+      {
+        customer: {
+          _id: customer._id,
+          customer_id: customer.customer_id,
+          name: customer.name,
+        },
+        cached_balance: customer.total_points,
+        ledger_balance: ledgerBalance,
+        in_sync: customer.total_points === ledgerBalance,
+        entries,
+      },
+      total_count
+    );
+  } catch (error) {
+    logger.error(`Error retrieving customer ledger: ${error.message}`, {
+      stack: error.stack,
+    });
+    return response_handler(res, 500, `Internal Server Error: ${error.message}`);
+  }
+};
+
+/**
+ * List reconciliation runs (without the mismatch details)
+ */
+const getReconciliationRuns = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+    const filter = {};
+
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const [runs, total_count] = await Promise.all([
+      PointsReconciliationRun.find(filter)
+        .select("-mismatches")
+        .sort({ started_at: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate("triggered_by", "name email")
+        .lean(),
+      PointsReconciliationRun.countDocuments(filter),
+    ]);
+
+    return response_handler(
+      res,
+      200,
+      "Reconciliation runs retrieved successfully",
+      runs,
+      total_count
+    );
+  } catch (error) {
+    logger.error(`Error retrieving reconciliation runs: ${error.message}`, {
+      stack: error.stack,
+    });
+    return response_handler(res, 500, `Internal Server Error: ${error.message}`);
+  }
+};
+
+/**
+ * Get one reconciliation run with its mismatch report
+ */
+const getReconciliationRun = async (req, res) => {
+  try {
+    const run = await PointsReconciliationRun.findById(req.params.id)
+      .populate("triggered_by", "name email")
+      .populate("mismatches.customer_id", "customer_id name email")
+      .lean();
+
+    if (!run) {
+      return response_handler(res, 404, "Reconciliation run not found");
+    }
+
+    return response_handler(
+      res,
+      200,
+      "Reconciliation run retrieved successfully",
+      run
+    );
+  } catch (error) {
+    logger.error(`Error retrieving reconciliation run: ${error.message}`, {
+      stack: error.stack,
+    });
+    return response_handler(res, 500, `Internal Server Error: ${error.message}`);
+  }
+};
+
+/**
+ * Start a reconciliation run now; it continues in the background
+ */
+const runReconciliation = async (req, res) => {
+  try {
+    const runningRun = await PointsReconciliationRun.findOne({
+      status: "running",
+    });
+
+    if (runningRun) {
+      return response_handler(
+        res,
+        409,
+        "A reconciliation run is already in progress",
+        { run_id: runningRun._id }
+      );
+    }
+
+    const run = await createReconciliationRun({
+      autoRepair: req.body.auto_repair === true,
+      triggeredBy: req.admin ? req.admin._id : null,
+    });
+
+    executeReconciliationRun(run).catch((error) =>
+      logger.error(`Reconciliation run failed: ${error.message}`, {
+        run_id: run._id,
+        stack: error.stack,
+      })
+    );
+
+    return response_handler(res, 202, "Reconciliation run started", {
+      run_id: run._id,
+      auto_repair: run.auto_repair,
+    });
+  } catch (error) {
+    logger.error(`Error starting reconciliation run: ${error.message}`, {
+      stack: error.stack,
+    });
+    return response_handler(res, 500, `Internal Server Error: ${error.message}`);
+  }
+};
+
+module.exports = {
+  getCustomerLedger,
+  getReconciliationRuns,
+  getReconciliationRun,
+  runReconciliation,
+};
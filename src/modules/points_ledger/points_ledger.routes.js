@@ -0,0 +1,46 @@
+const express = require("express");
+const router = express.Router();
+const points_ledger_controller = require("./points_ledger.controller");
+const { createAuditMiddleware } = require("../audit");
+const validate = require("../../middlewares/validate");
+const { runReconciliationSchema } = require("./points_ledger.validator");
+
+// Create audit middleware for the points ledger module
+const pointsLedgerAudit = createAuditMiddleware("points_ledger");
+
+// Ledger entries and ledger balance of one customer
+router.get(
+  "/customer/:customer_id",
+  pointsLedgerAudit.dataAccess("view_customer_ledger", {
+    description: "Admin viewed customer points ledger",
+    targetModel: "PointsLedgerEntry",
+    targetId: (req) => req.params.customer_id,
+  }),
+  points_ledger_controller.getCustomerLedger
+);
+
+// Reconciliation run history
+router.get(
+  "/reconciliation",
+  points_ledger_controller.getReconciliationRuns
+);
+
+// Start a reconciliation run now
+router.post(
+  "/reconciliation",
+  validate(runReconciliationSchema),
+  pointsLedgerAudit.adminAction("run_reconciliation", {
+    description: "Admin started a points balance reconciliation",
+    targetModel: "PointsReconciliationRun",
+    details: (req) => req.body,
+  }),
+  points_ledger_controller.runReconciliation
+);
+
+// Reconciliation run with mismatch report
+router.get(
+  "/reconciliation/:id",
+  points_ledger_controller.getReconciliationRun
+);
+
+module.exports = router;
@@ -0,0 +1,12 @@
+const Joi = require("joi");
+
+/**
+ * Validation schema for starting a reconciliation run
+ */
+const runReconciliationSchema = Joi.object({
+  auto_repair: Joi.boolean().default(false),
+});
+
+module.exports = {
+  runReconciliationSchema,
+};
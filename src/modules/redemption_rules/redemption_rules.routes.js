@@ -1,7 +1,6 @@
 const express = require("express");
 const router = express.Router();
 const redemption_rules_controller = require("./redemption_rules.controller");
-const { authorizePermission } = require("../../middlewares/auth/auth");
 const { createAuditMiddleware } = require("../audit");
 const {
   cacheInvalidationMiddleware,
@@ -18,7 +17,6 @@ const redemptionAudit = createAuditMiddleware("redemption_rules");
 // Get all redemption rules
 router.get(
   "/",
-  authorizePermission(),
   redemptionAudit.dataAccess("view_rules", {
     description: "User viewed redemption rules",
     targetModel: "RedemptionRules",
@@ -30,7 +28,6 @@ router.get(
 // Create or update redemption rules
 router.post(
   "/",
-  authorizePermission(),
   redemptionAudit.captureResponse(),
   redemptionAudit.adminAction("update_rules", {
     description: "Admin updated redemption rules",
@@ -51,7 +48,6 @@ router.post(
 //getby id
 router.get(
   "/:id",
-  authorizePermission(),
   redemptionAudit.dataAccess("view_rule", {
     description: "User viewed redemption rule",
     targetModel: "RedemptionRules",
@@ -64,7 +60,6 @@ router.get(
 // edit rule
 router.put(
   "/:id",
-  authorizePermission(),
   redemptionAudit.captureResponse(),
   redemptionAudit.dataModification("update_rule", {
     description: "Admin updated redemption rule",
@@ -79,7 +74,6 @@ router.put(
 //delete rule
 router.delete(
   "/:id",
-  authorizePermission(),
   redemptionAudit.dataModification("delete_rule", {
     description: "Admin deleted redemption rule",
     targetModel: "RedemptionRules",
@@ -95,7 +89,6 @@ router.delete(
 
 router.put(
   "/transaction/:transaction_id/status",
-  authorizePermission(),
   redemptionAudit.captureResponse(),
   redemptionAudit.dataModification("update_redemption_status", {
     description: "Admin updated redemption transaction status",
@@ -121,7 +114,6 @@ router.put(
 // Validate redemption
 router.post(
   "/validate",
-  authorizePermission(),
   redemptionAudit.captureResponse(),
   redemptionAudit.pointTransaction("validate_redemption", {
     description: "User validated a redemption request",
@@ -134,7 +126,6 @@ router.post(
 // Get redemption history
 router.get(
   "/history/:user_id",
-  authorizePermission(),
   redemptionAudit.dataAccess("view_redemption_history", {
     description: "User viewed redemption history",
     targetModel: "User",
@@ -150,7 +141,6 @@ router.get(
 //get by appid
 router.get(
   "/app/:appId",
-  authorizePermission(),
   redemptionAudit.dataAccess("view_rule", {
     description: "User viewed redemption rule",
     targetModel: "RedemptionRules",
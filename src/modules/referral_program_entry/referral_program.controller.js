@@ -3,6 +3,7 @@ const ReferralEntry = require("../../models/referral_entry_model");
 const Customer = require("../../models/customer_model");
 const { logger } = require("../../middlewares/logger");
 const response_handler = require("../../helpers/response_handler");
+const { publishEvent } = require("../../services/outbox.service");
 
 
 //who does this function work for?
@@ -84,6 +85,18 @@ exports.createReferralLink = async (req, res) => {
     referral.referralPoints.refereePoints = program.pointsForReferee;
     await referral.save();
 
+    await publishEvent("referral.completed", {
+      customer: referral.referrer,
+      appType: referral.appType,
+      eventId: `referral.completed-${referral._id}`,
+      data: {
+        referral_id: referral._id,
+        purchase_amount: purchaseAmount,
+        referrer_points: referral.referralPoints.referrerPoints,
+        referee_points: referral.referralPoints.refereePoints,
+      },
+    });
+
     return response_handler(res, 200, "Referral completed successfully.", referral);
   } catch (error) {
     return response_handler(res, 500, "Server error", error);
@@ -14,12 +14,10 @@ const {
 const {
   cacheInvalidationMiddleware,
 } = require("../../middlewares/redis_cache/cache_invalidation.middleware");
-const { authorizePermission } = require("../../middlewares/auth/auth");
 const { createAuditMiddleware } = require("../audit");
 
 const referralProgramAudit = createAuditMiddleware("referral_program_entry");
 
-router.use(authorizePermission("VIEW_REFERRAL_PROGRAM"));
 
 
 router.post("/", referralProgramAudit.captureResponse(), referralProgramAudit.adminAction("create_referral_program_entry", {
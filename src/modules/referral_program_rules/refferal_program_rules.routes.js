@@ -6,7 +6,6 @@ const {
     updateReferralProgramRules,
     deleteReferralProgramRules
 } = require("./referral_program_rules.controllers");
-const { authorizePermission } = require("../../middlewares/auth/auth");
 const { createAuditMiddleware } = require("../audit");
 const { cacheInvalidationMiddleware } = require("../../middlewares/redis_cache/cache_invalidation.middleware");
 const { cacheMiddleware, cacheKeys } = require("../../middlewares/redis_cache/cache.middleware");
@@ -14,7 +13,6 @@ const { cacheMiddleware, cacheKeys } = require("../../middlewares/redis_cache/ca
 
 const referralProgramRulesAudit = createAuditMiddleware("referral_program_rules");
 
-router.use(authorizePermission("VIEW_REFERRAL_PROGRAM"));
 
 router.post("/", referralProgramRulesAudit.captureResponse(), referralProgramRulesAudit.adminAction("create_referral_program_rules", {
     description: "Admin created a new referral program rules",
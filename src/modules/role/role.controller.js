@@ -1,6 +1,7 @@
 const Role = require("../../models/role_model");
 const validator = require("./role.validator");
 const response_handler = require("../../helpers/response_handler");
+const { RESOURCES } = require("../../config/permissions");
 
 exports.create = async (req, res) => {
   try {
@@ -98,3 +99,17 @@ exports.list = async (req, res) => {
     );
   }
 };
+
+// Permission registry, for building role forms
+exports.list_permissions = async (req, res) => {
+  return response_handler(
+    res,
+    200,
+    "Permissions fetched successfully!",
+    Object.entries(RESOURCES).map(([resource, actions]) => ({
+      resource,
+      actions,
+      permissions: actions.map((action) => `${resource}:${action}`),
+    }))
+  );
+};
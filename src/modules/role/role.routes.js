@@ -36,6 +36,9 @@ router.get(
   role_controller.list
 );
 
+// Permissions a role can be given
+router.get("/permissions", role_controller.list_permissions);
+
 // Get, update, and delete a specific role
 router.get(
   "/:id",
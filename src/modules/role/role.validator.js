@@ -1,15 +1,21 @@
 const Joi = require("joi");
+const { ASSIGNABLE_PERMISSIONS } = require("../../config/permissions");
+
+// "resource:action", "resource:*" or "*" from config/permissions.js
+const permissions = Joi.array()
+  .items(Joi.string().valid(...ASSIGNABLE_PERMISSIONS))
+  .unique();
 
 exports.create_role = Joi.object({
   name: Joi.string().required(),
   description: Joi.string().required(),
-  permissions: Joi.array().required(),
+  permissions: permissions.required(),
   status: Joi.boolean(),
 });
 
 exports.update_role = Joi.object({
   name: Joi.string(),
   description: Joi.string(),
-  permissions: Joi.array(),
+  permissions,
   status: Joi.boolean(),
 });
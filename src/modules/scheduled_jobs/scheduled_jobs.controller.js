@@ -0,0 +1,90 @@
+const response_handler = require("../../helpers/response_handler");
+const { logger } = require("../../middlewares/logger");
+const ScheduledJobRun = require("../../models/scheduled_job_run_model");
+const { SCHEDULER_TIMEZONE } = require("../../config/env");
+const { scheduledJobs, getUpcomingRuns } = require("../../jobs/scheduler");
+
+const UPCOMING_RUNS = 5;
+
+/**
+ * List the scheduled jobs with their next runs and last run
+ */
+const getScheduledJobs = async (req, res) => {
+  try {
+    const jobs = await Promise.all(
+      scheduledJobs.map(async (job) => ({
+        name: job.name,
+        description: job.description,
+        cron: job.cron || null,
+        timezone: SCHEDULER_TIMEZONE,
+        enabled: Boolean(job.cron),
+        catch_up: job.catchUp,
+        upcoming_runs: job.cron ? getUpcomingRuns(job.cron, UPCOMING_RUNS) : [],
+        last_run: await ScheduledJobRun.findOne({ job_name: job.name })
+          .sort({ scheduled_for: -1 })
+          .lean(),
+      }))
+    );
+
+    return response_handler(
+      res,
+      200,
+      "Scheduled jobs retrieved successfully",
+      jobs
+    );
+  } catch (error) {
+    logger.error(`Error retrieving scheduled jobs: ${error.message}`, {
+      stack: error.stack,
+    });
+    return response_handler(res, 500, `Internal Server Error: ${error.message}`);
+  }
+};
+
+/**
+ * Past runs of the scheduled jobs
+ */
+const getScheduledJobRuns = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+    const filter = {};
+
+    if (req.query.job_name) {
+      filter.job_name = req.query.job_name;
+    }
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+    if (req.query.catch_up !== undefined) {
+      filter.catch_up = req.query.catch_up === "true";
+    }
+
+    const [runs, total_count] = await Promise.all([
+      ScheduledJobRun.find(filter)
+        .sort({ scheduled_for: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      ScheduledJobRun.countDocuments(filter),
+    ]);
+
+    return response_handler(
+      res,
+      200,
+      "Scheduled job runs retrieved successfully",
+      runs,
+      total_count
+    );
+  } catch (error) {
+    logger.error(`Error retrieving scheduled job runs: ${error.message}`, {
+      stack: error.stack,
+    });
+    return response_handler(res, 500, `Internal Server Error: ${error.message}`);
+  }
+};
+
+module.exports = {
+  getScheduledJobs,
+  getScheduledJobRuns,
+};
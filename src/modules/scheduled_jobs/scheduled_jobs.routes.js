@@ -0,0 +1,30 @@
+const express = require("express");
+const router = express.Router();
+const scheduled_jobs_controller = require("./scheduled_jobs.controller");
+const { createAuditMiddleware } = require("../audit");
+
+// Create audit middleware for the scheduled jobs module
+const scheduledJobsAudit = createAuditMiddleware("scheduled_jobs");
+
+
+// Scheduled jobs with their upcoming runs and last run
+router.get(
+  "/",
+  scheduledJobsAudit.dataAccess("view_scheduled_jobs", {
+    description: "Admin viewed scheduled jobs",
+    targetModel: "ScheduledJobRun",
+  }),
+  scheduled_jobs_controller.getScheduledJobs
+);
+
+// Run history
+router.get(
+  "/runs",
+  scheduledJobsAudit.dataAccess("view_scheduled_job_runs", {
+    description: "Admin viewed scheduled job runs",
+    targetModel: "ScheduledJobRun",
+  }),
+  scheduled_jobs_controller.getScheduledJobRuns
+);
+
+module.exports = router;
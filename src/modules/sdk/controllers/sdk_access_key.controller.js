@@ -1,67 +1,207 @@
 const SDKAccessKey = require("../../../models/sdk_access_key_model");
+const SDKKeyUsage = require("../../../models/sdk_key_usage_model");
+const AppType = require("../../../models/app_type_model");
 const response_handler = require("../../../helpers/response_handler");
 const { logger } = require("../../../middlewares/logger");
+const { SDK_KEY_ROTATION_OVERLAP_HOURS } = require("../../../config/env");
+const validator = require("../validators/sdk_access_key.validator");
 
-// Get the current SDK access key
+const validationError = (res, error) => {
+    const error_messages = error.details.map((err) => err.message).join(", ");
+    return response_handler(res, 400, `Invalid input: ${error_messages}`);
+};
+
+// Get the SDK access keys of an app (key hashes are never returned)
 exports.getSDKKey = async (req, res) => {
     try {
         let app_id = req.params.app_id;
-        const accessKey = await SDKAccessKey.findOne({ app_id: app_id });
-        if (!accessKey) {
+        const accessKeys = await SDKAccessKey.find({ app_id: app_id })
+            .populate("app_type", "name")
+            .sort({ createdAt: -1 });
+        if (accessKeys.length === 0) {
             return response_handler(res, 404, "No SDK key found.");
         }
-        return response_handler(res, 200, "SDK key retrieved successfully.", { key: accessKey });
+
+        const keys = await Promise.all(accessKeys.map(async (accessKey) => {
+            const data = accessKey.toJSON();
+            data.usage_stats.last_24h_requests = await SDKKeyUsage.getLast24hRequests(accessKey._id);
+            return data;
+        }));
+
+        return response_handler(res, 200, "SDK keys retrieved successfully.", { keys });
     } catch (error) {
         logger.error(`Error fetching SDK key: ${error.message}`);
         return response_handler(res, 500, "Internal Server Error");
     }
 };
 
-// Create a new SDK access key (only if not present)
+// Create a new SDK access key for an app type (one active key per app and app type)
 exports.createSDKKey = async (req, res) => {
     try {
+        const { error } = validator.create_key.validate(req.body, { abortEarly: false });
+        if (error) {
+            return validationError(res, error);
+        }
+
         let app_id = req.params.app_id;
-        const existingKey = await SDKAccessKey.findOne({ app_id: app_id });
+        const appType = await AppType.findById(req.body.app_type);
+        if (!appType) {
+            return response_handler(res, 404, "App type not found.");
+        }
+
+        const existingKey = await SDKAccessKey.findOne({
+            app_id: app_id,
+            app_type: appType._id,
+            status: "active"
+        });
         if (existingKey) {
             return response_handler(res, 400, "SDK key already exists. Use regenerate instead.");
         }
-        let data ={
+
+        const accessKey = new SDKAccessKey({
             app_id: app_id,
-            key: SDKAccessKey.generateKey(),
+            name: req.body.name,
+            app_type: appType._id,
+            permissions: req.body.permissions,
+            environment: req.body.environment,
+            rate_limit: req.body.rate_limit,
             created_by: req.admin.id
+        });
+        const key = accessKey.setNewKey();
+
+        await accessKey.save();
+        logger.info(`SDK access key ${accessKey.key_prefix}... created for ${appType.name}.`);
+        // The plain text key is only returned here
+        return response_handler(res, 201, "SDK key created successfully.", {
+            key,
+            access_key: accessKey
+        });
+    } catch (error) {
+        logger.error(`Error creating SDK key: ${error.message}`);
+        return response_handler(res, 500, "Internal Server Error");
+    }
+};
+
+// Update the name, permissions or status of an SDK access key
+exports.updateSDKKey = async (req, res) => {
+    try {
+        const { error } = validator.update_key.validate(req.body, { abortEarly: false });
+        if (error) {
+            return validationError(res, error);
         }
 
-        const accessKey = new SDKAccessKey(data);
+        const accessKey = await SDKAccessKey.findById(req.params.id).select("+signing_secret");
+        if (!accessKey) {
+            return response_handler(res, 404, "No SDK key found.");
+        }
+
+        if (req.body.signature_required && !accessKey.signing_secret) {
+            return response_handler(res, 400, "Generate a signing secret before requiring signatures.");
+        }
 
+        const { rate_limit, ...updates } = req.body;
+        accessKey.set(updates);
+        // Only change the limits that were sent
+        Object.entries(rate_limit || {}).forEach(([field, limit]) => {
+            accessKey.set(`rate_limit.${field}`, limit);
+        });
         await accessKey.save();
-        logger.info("SDK access key created.");
-        return response_handler(res, 201, "SDK key created successfully.", { key: accessKey.key });
+
+        logger.info(`SDK access key ${accessKey.key_prefix}... updated.`);
+        return response_handler(res, 200, "SDK key updated successfully.", accessKey);
     } catch (error) {
-        logger.error(`Error creating SDK key: ${error.message}`);
+        logger.error(`Error updating SDK key: ${error.message}`);
         return response_handler(res, 500, "Internal Server Error");
     }
 };
 
-// Regenerate a new SDK access key (replace existing)
+// Regenerate an SDK access key; the current key keeps working for the overlap window
 exports.regenerateSDKKey = async (req, res) => {
     try {
+        const { error } = validator.rotate_key.validate(req.body || {}, { abortEarly: false });
+        if (error) {
+            return validationError(res, error);
+        }
+
         let id = req.params.id;
         const accessKey = await SDKAccessKey.findById(id);
         if (!accessKey) {
             return response_handler(res, 404, "No SDK key found. Create one first.");
         }
 
-        accessKey.key = SDKAccessKey.generateKey();
+        const overlapHours = req.body && req.body.overlap_hours !== undefined
+            ? req.body.overlap_hours
+            : SDK_KEY_ROTATION_OVERLAP_HOURS;
+        const key = accessKey.setNewKey(overlapHours);
         await accessKey.save();
 
-        logger.info("SDK access key regenerated.");
-        return response_handler(res, 200, "SDK key regenerated successfully.", { key: accessKey.key });
+        logger.info(`SDK access key regenerated as ${accessKey.key_prefix}... (overlap ${overlapHours}h).`);
+        return response_handler(res, 200, "SDK key regenerated successfully.", {
+            key,
+            previous_key_expires_at: accessKey.previous_key_expires_at || null
+        });
     } catch (error) {
         logger.error(`Error regenerating SDK key: ${error.message}`);
         return response_handler(res, 500, "Internal Server Error");
     }
 };
 
+// Generate (or replace) the request signing secret of an SDK access key
+exports.generateSigningSecret = async (req, res) => {
+    try {
+        const accessKey = await SDKAccessKey.findById(req.params.id);
+        if (!accessKey) {
+            return response_handler(res, 404, "No SDK key found.");
+        }
+
+        const signing_secret = accessKey.setSigningSecret();
+        await accessKey.save();
+
+        logger.info(`Signing secret generated for SDK access key ${accessKey.key_prefix}...`);
+        // The secret is only returned here
+        return response_handler(res, 200, "Signing secret generated successfully.", {
+            signing_secret,
+            signature_required: accessKey.signature_required
+        });
+    } catch (error) {
+        logger.error(`Error generating SDK signing secret: ${error.message}`);
+        return response_handler(res, 500, "Internal Server Error");
+    }
+};
+
+// Hourly or daily request counts of an SDK access key for charts
+exports.getSDKKeyUsage = async (req, res) => {
+    try {
+        const { error, value } = validator.usage_query.validate(req.query, { abortEarly: false });
+        if (error) {
+            return validationError(res, error);
+        }
+
+        const accessKey = await SDKAccessKey.findById(req.params.id).select("key_prefix name rate_limit");
+        if (!accessKey) {
+            return response_handler(res, 404, "No SDK key found.");
+        }
+
+        // Defaults: last 24 hours by hour, last 30 days by day
+        const to = value.to || new Date();
+        const from = value.from || new Date(
+            to.getTime() - (value.granularity === "day" ? 30 : 1) * 24 * 60 * 60 * 1000
+        );
+        const buckets = await SDKKeyUsage.getBuckets(accessKey._id, value.granularity, from, to);
+
+        return response_handler(res, 200, "SDK key usage retrieved successfully.", {
+            key: accessKey,
+            granularity: value.granularity,
+            from,
+            to,
+            buckets
+        });
+    } catch (error) {
+        logger.error(`Error fetching SDK key usage: ${error.message}`);
+        return response_handler(res, 500, "Internal Server Error");
+    }
+};
+
 // Revoke (delete) SDK access key
 exports.revokeSDKKey = async (req, res) => {
     try {
@@ -24,7 +24,7 @@ router.post("/register",sdkAudit.sdkAction("register", {
  */
 router.get(
     "/users/:user_id/points",
-    sdkAuth(["read_user_points"]),
+    sdkAuth(["user_data"]),
     sdkAudit.sdkAction("get_user_points", {
         description: "SDK accessed user points balance",
         targetModel: "User",
@@ -46,7 +46,7 @@ router.get(
  */
 router.get(
     "/users/:user_id/transactions",
-    sdkAuth(["read_user_transactions"]),
+    sdkAuth(["transactions"]),
     sdkAudit.sdkAction("get_user_transactions", {
         description: "SDK accessed user transactions",
         targetModel: "User",
@@ -67,7 +67,7 @@ router.get(
  */
 router.post(
     "/transactions",
-    sdkAuth(["create_transactions"]),
+    sdkAuth(["points"]),
     sdkAudit.captureResponse(),
     sdkAudit.sdkAction("record_transaction", {
         description: "SDK recorded a transaction",
@@ -90,7 +90,7 @@ router.post(
  */
 router.post(
     "/redemptions",
-    sdkAuth(["create_redemptions"]),
+    sdkAuth(["redemptions"]),
     sdkAudit.captureResponse(),
     sdkAudit.sdkAction("redeem_points", {
         description: "SDK redeemed points",
@@ -113,7 +113,7 @@ router.post(
  */
 router.get(
     "/user/profile",
-    sdkAuth(["read_user_profile"]),
+    sdkAuth(["user_data"]),
     sdkUserAuth,
     sdkAudit.sdkAction("get_user_profile", {
         description: "SDK accessed user profile",
@@ -0,0 +1,42 @@
+const Joi = require("joi");
+const SDKAccessKey = require("../../../models/sdk_access_key_model");
+
+// 0 means unlimited
+const rateLimitSchema = Joi.object({
+    requests_per_minute: Joi.number().integer().min(0),
+    requests_per_day: Joi.number().integer().min(0),
+});
+
+exports.create_key = Joi.object({
+    name: Joi.string().trim().max(100),
+    app_type: Joi.string().hex().length(24).required(),
+    permissions: Joi.array()
+        .items(Joi.string().valid(...SDKAccessKey.PERMISSIONS))
+        .unique()
+        .min(1)
+        .required(),
+    environment: Joi.string().valid("development", "production"),
+    rate_limit: rateLimitSchema,
+});
+
+exports.update_key = Joi.object({
+    name: Joi.string().trim().max(100),
+    permissions: Joi.array()
+        .items(Joi.string().valid(...SDKAccessKey.PERMISSIONS))
+        .unique()
+        .min(1),
+    status: Joi.string().valid("active", "inactive", "revoked"),
+    rate_limit: rateLimitSchema,
+    signature_required: Joi.boolean(),
+}).min(1);
+
+exports.rotate_key = Joi.object({
+    // Hours the current key keeps working, 0 replaces it immediately
+    overlap_hours: Joi.number().min(0).max(24 * 30),
+});
+
+exports.usage_query = Joi.object({
+    granularity: Joi.string().valid("hour", "day").default("hour"),
+    from: Joi.date().iso(),
+    to: Joi.date().iso(),
+});
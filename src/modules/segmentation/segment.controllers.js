@@ -1,12 +1,37 @@
 const CustomerSegment = require("../../models/customer_segment_model");
 const SegmentMembership = require("../../models/segment_membership_model");
-const Customer = require("../../models/customer_model");
-const Transaction = require("../../models/transaction_model");
-const AppType = require("../../models/app_type_model");
+const SegmentMembershipHistory = require("../../models/segment_membership_history_model");
 const { logger } = require("../../middlewares/logger");
-const { response_handler } = require("../../helpers/response_handler");
+const response_handler = require("../../helpers/response_handler");
+const {
+  compileSegmentQuery,
+  previewSegmentQuery,
+  describeSegmentFields,
+} = require("../../helpers/segment_query");
+const { queueSegmentRefresh } = require("../../jobs/segment_refresh.job");
+const validator = require("./segment.validator");
 const mongoose = require("mongoose");
 
+const validate = (schema, payload, res) => {
+  const { error, value } = schema.validate(payload, { abortEarly: false });
+  if (error) {
+    const error_messages = error.details.map((err) => err.message).join(", ");
+    response_handler(res, 400, `Invalid input: ${error_messages}`);
+    return null;
+  }
+  return value;
+};
+
+/**
+ * Check that a custom filter compiles (its tiers, app types and services exist)
+ * @returns {Promise<string|null>} - Error message
+ */
+const checkCustomFilter = async (type, criteria) => {
+  if (type !== "custom" || !criteria || !criteria.custom) return null;
+  const compiled = await compileSegmentQuery(criteria.custom.filter);
+  return compiled.error || null;
+};
+
 /**
  * Create a new customer segment
  * @param {Object} req - Express request object
@@ -14,8 +39,14 @@ const mongoose = require("mongoose");
  */
 const createSegment = async (req, res) => {
   try {
-    const { name, description, type, status, criteria, auto_refresh } =
-      req.body;
+    const body = validate(validator.create_segment, req.body, res);
+    if (!body) return;
+    const { name, description, type, status, criteria, auto_refresh } = body;
+
+    const filterError = await checkCustomFilter(type, criteria);
+    if (filterError) {
+      return response_handler(res, 400, filterError);
+    }
 
     // Check if segment with the same name already exists
     const existingSegment = await CustomerSegment.findOne({ name });
@@ -35,18 +66,15 @@ const createSegment = async (req, res) => {
       status,
       criteria,
       auto_refresh,
-      created_by: req.user._id,
-      updated_by: req.user._id,
+      created_by: req.admin._id,
+      updated_by: req.admin._id,
     });
 
     await segment.save();
 
-    // If the segment is active, process it immediately to populate customers
+    // If the segment is active, refresh it right away to populate customers
     if (status === "active") {
-      // Process in background to avoid blocking the response
-      processSegment(segment._id).catch((err) => {
-        logger.error(`Error processing segment ${segment._id}: ${err.message}`);
-      });
+      await queueSegmentRefresh(segment._id, "created");
     }
 
     return response_handler(
@@ -194,8 +222,9 @@ const getSegmentById = async (req, res) => {
 const updateSegment = async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, description, type, status, criteria, auto_refresh } =
-      req.body;
+    const body = validate(validator.update_segment, req.body, res);
+    if (!body) return;
+    const { name, description, type, status, criteria, auto_refresh } = body;
 
     // Check if segment exists
     const segment = await CustomerSegment.findById(id);
@@ -204,6 +233,15 @@ const updateSegment = async (req, res) => {
       return response_handler(res, 404, "Customer segment not found");
     }
 
+    const segmentType = type || segment.type;
+    if (segmentType === "custom" && !(criteria || segment.criteria).custom?.filter) {
+      return response_handler(res, 400, "A custom segment needs criteria.custom.filter");
+    }
+    const filterError = await checkCustomFilter(segmentType, criteria);
+    if (filterError) {
+      return response_handler(res, 400, filterError);
+    }
+
     // Check if name is being changed and if it already exists
     if (name && name !== segment.name) {
       const existingSegment = await CustomerSegment.findOne({
@@ -229,7 +267,7 @@ const updateSegment = async (req, res) => {
         status: status || segment.status,
         criteria: criteria || segment.criteria,
         auto_refresh: auto_refresh || segment.auto_refresh,
-        updated_by: req.user._id,
+        updated_by: req.admin._id,
       },
       { new: true, runValidators: true }
     )
@@ -241,10 +279,7 @@ const updateSegment = async (req, res) => {
       (status === "active" || segment.status === "active") &&
       JSON.stringify(criteria) !== JSON.stringify(segment.criteria)
     ) {
-      // Process in background to avoid blocking the response
-      processSegment(id).catch((err) => {
-        logger.error(`Error processing segment ${id}: ${err.message}`);
-      });
+      await queueSegmentRefresh(id, "updated");
     }
 
     return response_handler(
@@ -280,8 +315,9 @@ const deleteSegment = async (req, res) => {
       return response_handler(res, 404, "Customer segment not found");
     }
 
-    // Delete segment memberships first
+    // Delete segment memberships and their history first
     await SegmentMembership.deleteMany({ segment: id });
+    await SegmentMembershipHistory.deleteMany({ segment: id });
 
     // Delete segment
     await CustomerSegment.findByIdAndDelete(id);
@@ -376,336 +412,149 @@ const getSegmentCustomers = async (req, res) => {
 };
 
 /**
- * Refresh a segment (recalculate members)
+ * Customers who entered or exited a segment, most recent first
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
-const refreshSegment = async (req, res) => {
+const getSegmentHistory = async (req, res) => {
   try {
     const { id } = req.params;
+    const { page = 1, limit = 20, change, customer, refresh_id } = req.query;
 
-    // Check if segment exists
-    const segment = await CustomerSegment.findById(id);
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return response_handler(res, 400, "Invalid segment ID");
+    }
+    if (change && !["entered", "exited"].includes(change)) {
+      return response_handler(res, 400, "change must be entered or exited");
+    }
+    if (customer && !mongoose.Types.ObjectId.isValid(customer)) {
+      return response_handler(res, 400, "Invalid customer ID");
+    }
 
+    const segment = await CustomerSegment.findById(id).select("name");
     if (!segment) {
       return response_handler(res, 404, "Customer segment not found");
     }
 
-    // Start processing in background
-    processSegment(id).catch((err) => {
-      logger.error(`Error processing segment ${id}: ${err.message}`);
-    });
+    const query = { segment: id };
+    if (change) query.change = change;
+    if (customer) query.customer = customer;
+    if (refresh_id) query.refresh_id = refresh_id;
 
-    return response_handler(res, 200, "Segment refresh started successfully");
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [history, total] = await Promise.all([
+      SegmentMembershipHistory.find(query)
+        .sort({ occurred_at: -1, _id: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .populate("customer", "name email phone")
+        .lean(),
+      SegmentMembershipHistory.countDocuments(query),
+    ]);
+
+    return response_handler(
+      res,
+      200,
+      "Segment membership history retrieved successfully",
+      {
+        history,
+        pagination: {
+          total,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          pages: Math.ceil(total / parseInt(limit)),
+        },
+      }
+    );
   } catch (error) {
-    logger.error(`Error refreshing segment: ${error.message}`);
+    logger.error(`Error retrieving segment history: ${error.message}`);
     return response_handler(
       res,
       500,
-      "Failed to refresh segment",
+      "Failed to retrieve segment history",
       error.message
     );
   }
 };
 
 /**
- * Process a segment to determine its members
- * @param {string} segmentId - ID of the segment to process
+ * Refresh a segment (recalculate members)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
  */
-const processSegment = async (segmentId) => {
+const refreshSegment = async (req, res) => {
   try {
-    const segment = await CustomerSegment.findById(segmentId);
+    const { id } = req.params;
+
+    // Check if segment exists
+    const segment = await CustomerSegment.findById(id);
 
     if (!segment) {
-      throw new Error("Segment not found");
+      return response_handler(res, 404, "Customer segment not found");
     }
 
-    // Skip processing if segment is not active
     if (segment.status !== "active") {
-      return;
+      return response_handler(res, 400, "Only active segments can be refreshed");
     }
 
-    // Get all existing memberships for this segment
-    const existingMemberships = await SegmentMembership.find({
-      segment: segmentId,
-    });
-    const existingMemberIds = new Set(
-      existingMemberships.map((m) => m.customer.toString())
-    );
-
-    // Determine which customers should be in this segment based on criteria
-    const eligibleCustomers = await getEligibleCustomers(segment);
-    const eligibleCustomerIds = new Set(
-      eligibleCustomers.map((c) => c._id.toString())
-    );
+    await queueSegmentRefresh(id, "manual");
 
-    // Customers to add (in eligible but not in existing)
-    const customersToAdd = eligibleCustomers.filter(
-      (c) => !existingMemberIds.has(c._id.toString())
-    );
-
-    // Customers to remove (in existing but not in eligible)
-    const customersToRemove = existingMemberships.filter(
-      (m) => !eligibleCustomerIds.has(m.customer.toString())
-    );
-
-    // Add new members
-    if (customersToAdd.length > 0) {
-      const memberships = customersToAdd.map((customer) => ({
-        segment: segmentId,
-        customer: customer._id,
-        added_at: new Date(),
-        metadata: getCustomerMetadata(customer, segment),
-      }));
-
-      await SegmentMembership.insertMany(memberships);
-    }
-
-    // Remove members who no longer qualify
-    if (customersToRemove.length > 0) {
-      await SegmentMembership.deleteMany({
-        _id: { $in: customersToRemove.map((m) => m._id) },
-      });
-    }
-
-    // Update segment with new count and refresh time
-    await CustomerSegment.findByIdAndUpdate(segmentId, {
-      customer_count: eligibleCustomers.length,
-      last_refreshed: new Date(),
-    });
-
-    logger.info(
-      `Processed segment ${segmentId}: Added ${customersToAdd.length}, Removed ${customersToRemove.length}, Total ${eligibleCustomers.length}`
-    );
+    return response_handler(res, 202, "Segment refresh queued successfully");
   } catch (error) {
-    logger.error(`Error processing segment ${segmentId}: ${error.message}`);
-    throw error;
-  }
-};
-
-/**
- * Get customers eligible for a segment based on its criteria
- * @param {Object} segment - The segment document
- * @returns {Array} Array of eligible customer documents
- */
-const getEligibleCustomers = async (segment) => {
-  // Start with active customers
-  let query = { status: true };
-
-  // Apply criteria based on segment type
-  switch (segment.type) {
-    case "transaction":
-      return await getTransactionBasedCustomers(segment.criteria.transaction);
-
-    case "engagement":
-      return await getEngagementBasedCustomers(segment.criteria.engagement);
-
-    case "app_type":
-      return await getAppTypeBasedCustomers(segment.criteria.app_type);
-
-    case "device":
-      return await getDeviceBasedCustomers(segment.criteria.device);
-
-    case "custom":
-      // For custom segments, use the provided MongoDB query
-      if (segment.criteria.custom && segment.criteria.custom.query) {
-        try {
-          const customQuery = JSON.parse(segment.criteria.custom.query);
-          query = { ...query, ...customQuery };
-        } catch (error) {
-          logger.error(`Error parsing custom query: ${error.message}`);
-        }
-      }
-      break;
+    logger.error(`Error refreshing segment: ${error.message}`);
+    return response_handler(
+      res,
+      500,
+      "Failed to refresh segment",
+      error.message
+    );
   }
-
-  return await Customer.find(query);
 };
 
 /**
- * Get customers based on transaction criteria
- * @param {Object} criteria - Transaction criteria
- * @returns {Array} Array of eligible customer documents
+ * Count and sample the customers a custom filter matches, without saving it
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
  */
-const getTransactionBasedCustomers = async (criteria) => {
-  if (!criteria) return [];
-
-  // Build date range for transaction period
-  let startDate = null;
-  const now = new Date();
-
-  switch (criteria.transaction_period) {
-    case "last_7_days":
-      startDate = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-      break;
-    case "last_30_days":
-      startDate = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
-      break;
-    case "last_90_days":
-      startDate = new Date(now.getTime() - 90 * 24 * 60 * 60 * 1000);
-      break;
-    case "last_year":
-      startDate = new Date(now.getTime() - 365 * 24 * 60 * 60 * 1000);
-      break;
-    default:
-      // all_time - no start date filter
-      break;
-  }
-
-  // Build transaction query
-  const transactionQuery = { status: "completed" };
-
-  if (startDate) {
-    transactionQuery.transaction_date = { $gte: startDate };
-  }
-
-  if (criteria.transaction_types && criteria.transaction_types.length > 0) {
-    transactionQuery.transaction_type = { $in: criteria.transaction_types };
-  }
-
-  if (criteria.sources && criteria.sources.length > 0) {
-    transactionQuery.source = { $in: criteria.sources };
-  }
-
-  // Get transaction counts and amounts per customer
-  const transactionStats = await Transaction.aggregate([
-    { $match: transactionQuery },
-    {
-      $group: {
-        _id: "$customer_id",
-        transaction_count: { $sum: 1 },
-        total_points: { $sum: "$points" },
-        // For spend, we'd need a field that tracks monetary value
-        // This is a placeholder assuming such a field exists
-        total_spend: { $sum: { $abs: "$amount" } },
-      },
-    },
-  ]);
-
-  // Filter customers based on transaction criteria
-  let eligibleCustomerIds = transactionStats.map((stat) => stat._id);
-
-  if (criteria.min_transactions) {
-    eligibleCustomerIds = transactionStats
-      .filter((stat) => stat.transaction_count >= criteria.min_transactions)
-      .map((stat) => stat._id);
-  }
-
-  if (criteria.max_transactions) {
-    eligibleCustomerIds = transactionStats
-      .filter((stat) => stat.transaction_count <= criteria.max_transactions)
-      .map((stat) => stat._id);
-  }
-
-  if (criteria.min_points) {
-    eligibleCustomerIds = transactionStats
-      .filter((stat) => stat.total_points >= criteria.min_points)
-      .map((stat) => stat._id);
-  }
-
-  if (criteria.max_points) {
-    eligibleCustomerIds = transactionStats
-      .filter((stat) => stat.total_points <= criteria.max_points)
-      .map((stat) => stat._id);
-  }
+const previewSegment = async (req, res) => {
+  try {
+    const body = validate(validator.preview_segment, req.body, res);
+    if (!body) return;
 
-  if (criteria.min_spend) {
-    eligibleCustomerIds = transactionStats
-      .filter((stat) => stat.total_spend >= criteria.min_spend)
-      .map((stat) => stat._id);
-  }
+    const preview = await previewSegmentQuery(body.filter, {
+      sampleSize: body.sample_size,
+    });
+    if (preview.error) {
+      return response_handler(res, 400, preview.error);
+    }
 
-  if (criteria.max_spend) {
-    eligibleCustomerIds = transactionStats
-      .filter((stat) => stat.total_spend <= criteria.max_spend)
-      .map((stat) => stat._id);
+    return response_handler(res, 200, "Segment preview generated successfully", {
+      count: preview.count,
+      sample: preview.sample,
+    });
+  } catch (error) {
+    logger.error(`Error previewing segment: ${error.message}`);
+    return response_handler(
+      res,
+      500,
+      "Failed to preview segment",
+      error.message
+    );
   }
-
-  // Get the actual customer documents
-  return await Customer.find({
-    _id: { $in: eligibleCustomerIds },
-    status: true,
-  });
-};
-
-/**
- * Get customers based on engagement criteria
- * @param {Object} criteria - Engagement criteria
- * @returns {Array} Array of eligible customer documents
- */
-const getEngagementBasedCustomers = async (criteria) => {
-  if (!criteria) return [];
-
-  // This is a placeholder implementation
-  // In a real system, you would query your analytics database or service
-  // to get engagement metrics for customers
-
-  // For now, we'll return all active customers
-  return await Customer.find({ status: true });
 };
 
 /**
- * Get customers based on app type criteria
- * @param {Object} criteria - App type criteria
- * @returns {Array} Array of eligible customer documents
- */
-const getAppTypeBasedCustomers = async (criteria) => {
-  if (!criteria || !criteria.types || criteria.types.length === 0) return [];
-
-  return await Customer.find({
-    app_type: { $in: criteria.types },
-    status: true,
-  });
-};
-
-/**
- * Get customers based on device criteria
- * @param {Object} criteria - Device criteria
- * @returns {Array} Array of eligible customer documents
- */
-const getDeviceBasedCustomers = async (criteria) => {
-  if (!criteria) return [];
-
-  // This is a placeholder implementation
-  // In a real system, you would query your device database or service
-  // to get device information for customers
-
-  // For now, we'll return all active customers
-  return await Customer.find({ status: true });
-};
-
-/**
- * Get metadata for a customer in a segment
- * @param {Object} customer - Customer document
- * @param {Object} segment - Segment document
- * @returns {Object} Metadata object
+ * Fields and operators available to custom segment filters
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
  */
-const getCustomerMetadata = (customer, segment) => {
-  const metadata = new Map();
-
-  // Add relevant metadata based on segment type
-  switch (segment.type) {
-    case "transaction":
-      // You could add transaction counts, total spend, etc.
-      break;
-
-    case "engagement":
-      // You could add engagement metrics
-      break;
-
-    case "app_type":
-      // You could add app type information
-      if (customer.app_type) {
-        metadata.set("app_types", customer.app_type);
-      }
-      break;
-
-    case "device":
-      // You could add device information
-      break;
-  }
-
-  return metadata;
+const getSegmentFields = async (req, res) => {
+  return response_handler(
+    res,
+    200,
+    "Segment filter fields retrieved successfully",
+    describeSegmentFields()
+  );
 };
 
 module.exports = {
@@ -716,5 +565,7 @@ module.exports = {
   deleteSegment,
   getSegmentCustomers,
   refreshSegment,
-  processSegment,
+  previewSegment,
+  getSegmentFields,
+  getSegmentHistory,
 };
@@ -7,18 +7,30 @@ const {
   updateSegment,
   deleteSegment,
   getSegmentCustomers,
+  getSegmentHistory,
   refreshSegment,
+  previewSegment,
+  getSegmentFields,
 } = require("./segment.controllers");
-const { authorizePermission } = require("../../middlewares/auth/auth");
 const { createAuditMiddleware } = require("../audit");
 
 // Create audit middleware for segmentation
 const segmentAudit = createAuditMiddleware("customer_segment");
 
-// Routes that require MANAGE_SEGMENTS permission
+// Filter builder (MUST come before /:id routes)
+router.get("/fields", getSegmentFields);
+
+router.post(
+  "/preview",
+  segmentAudit.adminAction("preview_segment", {
+    description: "Admin previewed a customer segment filter",
+    targetModel: "CustomerSegment",
+  }),
+  previewSegment
+);
+
 router.get(
   "/",
-  authorizePermission("MANAGE_SEGMENTS"),
   segmentAudit.captureResponse(),
   segmentAudit.adminAction("view_segments", {
     description: "Admin viewed all customer segments",
@@ -29,7 +41,6 @@ router.get(
 
 router.get(
   "/:id",
-  authorizePermission("MANAGE_SEGMENTS"),
   segmentAudit.captureResponse(),
   segmentAudit.adminAction("view_segment", {
     description: "Admin viewed a customer segment",
@@ -40,7 +51,6 @@ router.get(
 
 router.post(
   "/",
-  authorizePermission("MANAGE_SEGMENTS"),
   segmentAudit.captureResponse(),
   segmentAudit.adminAction("create_segment", {
     description: "Admin created a new customer segment",
@@ -51,7 +61,6 @@ router.post(
 
 router.put(
   "/:id",
-  authorizePermission("MANAGE_SEGMENTS"),
   segmentAudit.captureResponse(),
   segmentAudit.adminAction("update_segment", {
     description: "Admin updated a customer segment",
@@ -62,7 +71,6 @@ router.put(
 
 router.delete(
   "/:id",
-  authorizePermission("MANAGE_SEGMENTS"),
   segmentAudit.captureResponse(),
   segmentAudit.adminAction("delete_segment", {
     description: "Admin deleted a customer segment",
@@ -73,7 +81,6 @@ router.delete(
 
 router.get(
   "/:id/customers",
-  authorizePermission("MANAGE_SEGMENTS"),
   segmentAudit.captureResponse(),
   segmentAudit.adminAction("view_segment_customers", {
     description: "Admin viewed customers in a segment",
@@ -82,9 +89,18 @@ router.get(
   getSegmentCustomers
 );
 
+router.get(
+  "/:id/history",
+  segmentAudit.captureResponse(),
+  segmentAudit.adminAction("view_segment_history", {
+    description: "Admin viewed the membership history of a segment",
+    targetModel: "CustomerSegment",
+  }),
+  getSegmentHistory
+);
+
 router.post(
   "/:id/refresh",
-  authorizePermission("MANAGE_SEGMENTS"),
   segmentAudit.captureResponse(),
   segmentAudit.adminAction("refresh_segment", {
     description: "Admin refreshed a customer segment",
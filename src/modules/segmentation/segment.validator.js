@@ -0,0 +1,127 @@
+const Joi = require("joi");
+const {
+  SEGMENT_FIELDS,
+  FIELD_OPERATORS,
+  SEGMENT_PERIODS,
+} = require("../../helpers/segment_query");
+
+const fieldsOfKind = (kind) =>
+  Object.keys(SEGMENT_FIELDS).filter((field) => SEGMENT_FIELDS[field].kind === kind);
+
+const periodFields = Object.keys(SEGMENT_FIELDS).filter(
+  (field) => SEGMENT_FIELDS[field].period
+);
+
+const isoDate = Joi.date().iso();
+
+// Value of a predicate, by field kind and operator
+const valueSchemas = {
+  string: Joi.when("operator", {
+    is: Joi.valid("in", "not_in"),
+    then: Joi.array().items(Joi.string().trim().min(1)).min(1).max(500).required(),
+    otherwise: Joi.string().trim().min(1).max(200).required(),
+  }),
+  enum: Joi.array().min(1).required(), // Items checked per field below
+  number: Joi.when("operator", {
+    is: "between",
+    then: Joi.array().items(Joi.number()).length(2).required(),
+    otherwise: Joi.number().required(),
+  }),
+  date: Joi.when("operator", {
+    switch: [
+      { is: "between", then: Joi.array().items(isoDate).length(2).required() },
+      {
+        is: Joi.valid("within_last_days", "not_within_last_days"),
+        then: Joi.number().integer().min(1).max(3650).required(),
+      },
+    ],
+    otherwise: isoDate.required(),
+  }),
+  reference: Joi.array().items(Joi.string().trim().min(1)).min(1).max(100).required(),
+};
+
+// Filter node of a custom segment, see helpers/segment_query.js for the grammar
+const filterSchema = Joi.object({
+  type: Joi.string()
+    .valid("and", "or", "not", ...Object.keys(SEGMENT_FIELDS))
+    .required(),
+  conditions: Joi.when("type", {
+    is: Joi.valid("and", "or"),
+    then: Joi.array().items(Joi.link("#segmentFilterNode")).min(1).required(),
+    otherwise: Joi.forbidden(),
+  }),
+  condition: Joi.when("type", {
+    is: "not",
+    then: Joi.link("#segmentFilterNode").required(),
+    otherwise: Joi.forbidden(),
+  }),
+  operator: Joi.when("type", {
+    switch: Object.keys(FIELD_OPERATORS).map((kind) => ({
+      is: Joi.valid(...fieldsOfKind(kind)),
+      then: Joi.string().valid(...FIELD_OPERATORS[kind]).required(),
+    })),
+    otherwise: Joi.forbidden(),
+  }),
+  value: Joi.when("type", {
+    switch: [
+      ...fieldsOfKind("enum").map((field) => ({
+        is: field,
+        then: valueSchemas.enum.items(
+          Joi.string().valid(...SEGMENT_FIELDS[field].values)
+        ),
+      })),
+      ...["string", "number", "date", "reference"].map((kind) => ({
+        is: Joi.valid(...fieldsOfKind(kind)),
+        then: valueSchemas[kind],
+      })),
+    ],
+    otherwise: Joi.forbidden(),
+  }),
+  period: Joi.when("type", {
+    is: Joi.valid(...periodFields),
+    then: Joi.string().valid(...SEGMENT_PERIODS).default("all_time"),
+    otherwise: Joi.forbidden(),
+  }),
+}).id("segmentFilterNode");
+
+const criteriaSchema = Joi.object({
+  custom: Joi.object({
+    filter: filterSchema.required(),
+    description: Joi.string().trim().allow(""),
+  }),
+}).unknown(true);
+
+exports.create_segment = Joi.object({
+  name: Joi.string().trim().required(),
+  description: Joi.string().trim().allow(""),
+  type: Joi.string()
+    .valid("transaction", "engagement", "app_type", "device", "custom")
+    .required(),
+  status: Joi.string().valid("active", "inactive", "draft"),
+  criteria: Joi.when("type", {
+    is: "custom",
+    then: criteriaSchema.keys({ custom: criteriaSchema.extract("custom").required() }).required(),
+    otherwise: criteriaSchema.required(),
+  }),
+  auto_refresh: Joi.object({
+    enabled: Joi.boolean(),
+    frequency: Joi.string().valid("hourly", "daily", "weekly"),
+  }),
+});
+
+exports.update_segment = Joi.object({
+  name: Joi.string().trim(),
+  description: Joi.string().trim().allow(""),
+  type: Joi.string().valid("transaction", "engagement", "app_type", "device", "custom"),
+  status: Joi.string().valid("active", "inactive", "draft"),
+  criteria: criteriaSchema,
+  auto_refresh: Joi.object({
+    enabled: Joi.boolean(),
+    frequency: Joi.string().valid("hourly", "daily", "weekly"),
+  }),
+});
+
+exports.preview_segment = Joi.object({
+  filter: filterSchema.required(),
+  sample_size: Joi.number().integer().min(1).max(50).default(10),
+});
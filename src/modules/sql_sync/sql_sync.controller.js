@@ -0,0 +1,101 @@
+const response_handler = require("../../helpers/response_handler");
+const { logger } = require("../../middlewares/logger");
+const SqlSyncDeadLetter = require("../../models/sql_sync_dead_letter_model");
+const { syncService } = require("../../services/mongo-to-sql-sync");
+
+/**
+ * Checkpoint, lag and dead letters of every synced collection
+ */
+const getSyncStatus = async (req, res) => {
+  try {
+    const streams = await syncService.getStatus();
+
+    return response_handler(
+      res,
+      200,
+      "SQL sync status retrieved successfully",
+      streams
+    );
+  } catch (error) {
+    logger.error(`Error retrieving SQL sync status: ${error.message}`, {
+      stack: error.stack,
+    });
+    return response_handler(res, 500, `Internal Server Error: ${error.message}`);
+  }
+};
+
+/**
+ * Documents that failed to sync
+ */
+const getDeadLetters = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+    const filter = { status: req.query.status || "pending" };
+
+    if (req.query.entity) {
+      filter.entity = req.query.entity;
+    }
+
+    const [deadLetters, total_count] = await Promise.all([
+      SqlSyncDeadLetter.find(filter)
+        .sort({ last_failed_at: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      SqlSyncDeadLetter.countDocuments(filter),
+    ]);
+
+    return response_handler(
+      res,
+      200,
+      "SQL sync dead letters retrieved successfully",
+      deadLetters,
+      total_count
+    );
+  } catch (error) {
+    logger.error(`Error retrieving SQL sync dead letters: ${error.message}`, {
+      stack: error.stack,
+    });
+    return response_handler(res, 500, `Internal Server Error: ${error.message}`);
+  }
+};
+
+/**
+ * Sync the current version of a dead-lettered document again
+ */
+const retryDeadLetter = async (req, res) => {
+  try {
+    const deadLetter = await SqlSyncDeadLetter.findById(req.params.id);
+    if (!deadLetter) {
+      return response_handler(res, 404, "Dead letter not found");
+    }
+    if (deadLetter.status === "resolved") {
+      return response_handler(res, 400, "Dead letter is already resolved");
+    }
+
+    const result = await syncService.retryDeadLetter(deadLetter);
+    if (result.status !== "resolved") {
+      return response_handler(
+        res,
+        502,
+        `Sync failed again: ${result.error}`,
+        result
+      );
+    }
+
+    return response_handler(res, 200, "Document synced successfully", result);
+  } catch (error) {
+    logger.error(`Error retrying SQL sync dead letter: ${error.message}`, {
+      stack: error.stack,
+    });
+    return response_handler(res, 500, `Internal Server Error: ${error.message}`);
+  }
+};
+
+module.exports = {
+  getSyncStatus,
+  getDeadLetters,
+  retryDeadLetter,
+};
@@ -0,0 +1,33 @@
+const express = require("express");
+const router = express.Router();
+const sql_sync_controller = require("./sql_sync.controller");
+const { createAuditMiddleware } = require("../audit");
+
+// Create audit middleware for the SQL sync module
+const sqlSyncAudit = createAuditMiddleware("sql_sync");
+
+
+// Lag and checkpoints per synced collection
+router.get("/status", sql_sync_controller.getSyncStatus);
+
+// Documents that failed to sync
+router.get(
+  "/dead-letters",
+  sqlSyncAudit.dataAccess("view_sql_sync_dead_letters", {
+    description: "Admin viewed SQL sync dead letters",
+    targetModel: "SqlSyncDeadLetter",
+  }),
+  sql_sync_controller.getDeadLetters
+);
+
+router.post(
+  "/dead-letters/:id/retry",
+  sqlSyncAudit.adminAction("retry_sql_sync_dead_letter", {
+    description: "Admin retried a failed SQL sync",
+    targetModel: "SqlSyncDeadLetter",
+    targetId: (req) => req.params.id,
+  }),
+  sql_sync_controller.retryDeadLetter
+);
+
+module.exports = router;
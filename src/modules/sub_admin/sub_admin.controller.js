@@ -4,6 +4,11 @@ const PasswordChangeRequest = require("../../models/password_change_request_mode
 const response_handler = require("../../helpers/response_handler");
 const jwt = require("jsonwebtoken");
 const { hash_password } = require("../../utils/bcrypt");
+const {
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+} = require("../../services/admin_session.service");
 
 // Create new sub-admin
 const createSubAdmin = async (req, res) => {
@@ -117,6 +122,10 @@ const updateSubAdmin = async (req, res) => {
     }
 
     await subAdmin.save();
+    // A new password or deactivation logs the sub-admin out everywhere
+    if (password || subAdmin.isActive === false) {
+      await revokeAllSessions(subAdmin._id);
+    }
     await subAdmin.logActivity("UPDATE", "Sub-admin details updated");
 
     return response_handler(res, 200, "Sub-admin updated successfully");
@@ -145,6 +154,61 @@ const deleteSubAdmin = async (req, res) => {
   }
 };
 
+// Active sessions of a sub-admin
+const getSubAdminSessions = async (req, res) => {
+  try {
+    const subAdmin = await SubAdmin.findById(req.params.id).select("_id");
+    if (!subAdmin) {
+      return response_handler(res, 404, "Sub-admin not found");
+    }
+
+    const sessions = await listSessions(subAdmin._id);
+    return response_handler(
+      res,
+      200,
+      "Sessions retrieved successfully",
+      sessions
+    );
+  } catch (error) {
+    console.error("Error fetching sub-admin sessions:", error);
+    return response_handler(res, 500, "Error fetching sub-admin sessions");
+  }
+};
+
+// Revoke one session of a sub-admin
+const revokeSubAdminSession = async (req, res) => {
+  try {
+    const revoked = await revokeSession(req.params.id, req.params.sessionId);
+    if (!revoked) {
+      return response_handler(res, 404, "Session not found");
+    }
+    return response_handler(res, 200, "Session revoked successfully");
+  } catch (error) {
+    console.error("Error revoking sub-admin session:", error);
+    return response_handler(res, 500, "Error revoking sub-admin session");
+  }
+};
+
+// Revoke every session of a sub-admin
+const revokeSubAdminSessions = async (req, res) => {
+  try {
+    const subAdmin = await SubAdmin.findById(req.params.id);
+    if (!subAdmin) {
+      return response_handler(res, 404, "Sub-admin not found");
+    }
+
+    const count = await revokeAllSessions(subAdmin._id);
+    await subAdmin.logActivity("LOGOUT", "All sessions revoked by admin");
+
+    return response_handler(res, 200, "Sessions revoked successfully", {
+      revoked: count,
+    });
+  } catch (error) {
+    console.error("Error revoking sub-admin sessions:", error);
+    return response_handler(res, 500, "Error revoking sub-admin sessions");
+  }
+};
+
 // Reset password
 const resetPassword = async (req, res) => {
   try {
@@ -163,6 +227,7 @@ const resetPassword = async (req, res) => {
     subAdmin.passwordResetExpires = Date.now() + 3600000; // 1 hour
 
     await subAdmin.save();
+    await revokeAllSessions(subAdmin._id);
     await subAdmin.logActivity("PASSWORD_RESET", "Password reset requested");
 
     // TODO: Send reset email
@@ -181,7 +246,7 @@ const resetPassword = async (req, res) => {
 // Create password change request (User requests to super admin)
 const createPasswordChangeRequest = async (req, res) => {
   try {
-    const userId = req.user._id;
+    const userId = req.admin._id;
 
     // Check if user already has a pending request
     const existingRequest = await PasswordChangeRequest.findOne({
@@ -262,7 +327,7 @@ const getAllPasswordChangeRequests = async (req, res) => {
 // Get user's own password change requests
 const getMyPasswordChangeRequests = async (req, res) => {
   try {
-    const userId = req.user._id;
+    const userId = req.admin._id;
 
     const requests = await PasswordChangeRequest.find({ user: userId })
       .populate("processedBy", "name email")
@@ -289,7 +354,7 @@ const approvePasswordChangeRequest = async (req, res) => {
   try {
     const { requestId } = req.params;
     const { newPassword, notes } = req.body;
-    const adminId = req.user._id;
+    const adminId = req.admin._id;
 
     if (!newPassword || newPassword.length < 8) {
       return response_handler(
@@ -325,6 +390,7 @@ const approvePasswordChangeRequest = async (req, res) => {
     user.requirePasswordChange = true; // User must change password on next login
     user.passwordChangedAt = new Date();
     await user.save();
+    await revokeAllSessions(user._id);
 
     // Update request status
     request.status = "approved";
@@ -355,7 +421,7 @@ const rejectPasswordChangeRequest = async (req, res) => {
   try {
     const { requestId } = req.params;
     const { notes } = req.body;
-    const adminId = req.user._id;
+    const adminId = req.admin._id;
 
     const request = await PasswordChangeRequest.findById(requestId);
 
@@ -395,6 +461,9 @@ module.exports = {
   getSubAdminById,
   updateSubAdmin,
   deleteSubAdmin,
+  getSubAdminSessions,
+  revokeSubAdminSession,
+  revokeSubAdminSessions,
   resetPassword,
   createPasswordChangeRequest,
   getAllPasswordChangeRequests,
@@ -1,6 +1,5 @@
 const express = require("express");
 const router = express.Router();
-const { authorizePermission } = require("../../middlewares/auth/auth");
 const { protect } = require("../../middlewares/auth/protect");
 const { createAuditMiddleware } = require("../audit");
 const validators = require("./sub_admin.validators");
@@ -10,6 +9,9 @@ const {
   getSubAdminById,
   updateSubAdmin,
   deleteSubAdmin,
+  getSubAdminSessions,
+  revokeSubAdminSession,
+  revokeSubAdminSessions,
   resetPassword,
   createPasswordChangeRequest,
   getAllPasswordChangeRequests,
@@ -22,20 +24,19 @@ const {
 const subAdminAudit = createAuditMiddleware("sub_admin");
 
 // Create new sub-admin
-router.post("/", authorizePermission("MANAGE_SUB_ADMINS"), createSubAdmin);
+router.post("/", createSubAdmin);
 
 // Get all sub-admins
-router.get("/", authorizePermission("VIEW_SUB_ADMINS"), getAllSubAdmins);
+router.get("/", getAllSubAdmins);
 
 // Password Change Request Routes (MUST come before /:id routes to avoid conflicts)
 
 // Create password change request (Any authenticated user can request)
 router.post("/password-change-request", protect, createPasswordChangeRequest);
 
-// Get all password change requests (Super Admin only)
+// Get all password change requests (admins:reset_password)
 router.get(
   "/password-change-requests",
-  authorizePermission("MANAGE_SUB_ADMINS"),
   getAllPasswordChangeRequests
 );
 
@@ -46,34 +47,55 @@ router.get(
   getMyPasswordChangeRequests
 );
 
-// Approve password change request (Super Admin only)
+// Approve password change request (admins:reset_password)
 router.post(
   "/password-change-request/:requestId/approve",
-  authorizePermission("MANAGE_SUB_ADMINS"),
   approvePasswordChangeRequest
 );
 
-// Reject password change request (Super Admin only)
+// Reject password change request (admins:reset_password)
 router.post(
   "/password-change-request/:requestId/reject",
-  authorizePermission("MANAGE_SUB_ADMINS"),
   rejectPasswordChangeRequest
 );
 
 // Reset password
 router.post(
   "/reset-password",
-  authorizePermission("MANAGE_SUB_ADMINS"),
   resetPassword
 );
 
 // Get sub-admin by ID (MUST come after specific routes)
-router.get("/:id", authorizePermission("VIEW_SUB_ADMINS"), getSubAdminById);
+router.get("/:id", getSubAdminById);
 
 // Update sub-admin
-router.put("/:id", authorizePermission("MANAGE_SUB_ADMINS"), updateSubAdmin);
+router.put("/:id", updateSubAdmin);
 
 // Delete sub-admin
-router.delete("/:id", authorizePermission("MANAGE_SUB_ADMINS"), deleteSubAdmin);
+router.delete("/:id", deleteSubAdmin);
+
+// Sessions of a sub-admin
+router.get("/:id/sessions", getSubAdminSessions);
+
+router.delete(
+  "/:id/sessions",
+  subAdminAudit.adminAction("revoke_sub_admin_sessions", {
+    description: "Admin revoked all sessions of a sub-admin",
+    targetModel: "Admin",
+    targetId: (req) => req.params.id,
+  }),
+  revokeSubAdminSessions
+);
+
+router.delete(
+  "/:id/sessions/:sessionId",
+  subAdminAudit.adminAction("revoke_sub_admin_session", {
+    description: "Admin revoked a session of a sub-admin",
+    targetModel: "Admin",
+    targetId: (req) => req.params.id,
+    details: (req) => ({ session_id: req.params.sessionId }),
+  }),
+  revokeSubAdminSession
+);
 
 module.exports = router;
@@ -1,7 +1,6 @@
 const express = require("express");
 const router = express.Router();
 const themeSettingsController = require("../controllers/theme_settings.controller");
-const { authorizePermission } = require("../../../middlewares/auth/auth");
 const { createAuditMiddleware } = require("../../audit");
 const { cacheInvalidationMiddleware } = require("../../../middlewares/redis_cache/cache_invalidation.middleware");
 const { cacheMiddleware, cacheKeys } = require("../../../middlewares/redis_cache/cache.middleware");
@@ -10,7 +9,6 @@ const { cacheMiddleware, cacheKeys } = require("../../../middlewares/redis_cache
 const themeAudit = createAuditMiddleware("theme_settings");
 
 // All routes require authentication and MANAGE_SETTINGS permission
-router.use(authorizePermission("MANAGE_SETTINGS"));
 
 // Get theme settings
 router.get(
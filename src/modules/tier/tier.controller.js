@@ -6,6 +6,12 @@ const TierEligibilityCriteria = require("../../models/tier_eligibility_criteria_
 const Customer = require("../../models/customer_model");
 const Transaction = require("../../models/transaction_model");
 const { SafeTransaction } = require("../../helpers/transaction");
+const TierDowngradeRun = require("../../models/tier_downgrade_run_model");
+const {
+  getRunPeriod,
+  startTierDowngradeRun,
+  resumeTierDowngradeRun,
+} = require("../../jobs/tier_downgrade.job");
 
 exports.create = async (req, res) => {
   try {
@@ -645,3 +651,108 @@ exports.checkAndUpgradeTier = async (
     if (safeTransaction) await safeTransaction.end();
   }
 };
+
+exports.start_downgrade_run = async (req, res) => {
+  try {
+    const { error, value } = validator.start_downgrade_run.validate(req.body, {
+      abortEarly: false,
+    });
+    if (error) {
+      const error_messages = error.details.map((err) => err.message).join(", ");
+      return response_handler(res, 400, `Invalid input: ${error_messages}`);
+    }
+
+    const run = await startTierDowngradeRun({
+      period: value.period || getRunPeriod(),
+      triggeredBy: req.admin ? req.admin._id : null,
+      rerun: value.rerun,
+    });
+
+    return response_handler(res, 202, "Tier downgrade run started", run);
+  } catch (error) {
+    logger.error(`Error starting tier downgrade run: ${error.message}`, {
+      stack: error.stack,
+    });
+    return response_handler(res, 500, `Internal Server Error. ${error.message}`);
+  }
+};
+
+exports.list_downgrade_runs = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skipCount = (page - 1) * limit;
+    const filter = {};
+
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const runs = await TierDowngradeRun.find(filter)
+      .select("-failures")
+      .populate("triggered_by", "name email")
+      .skip(skipCount)
+      .limit(limit)
+      .sort({ period: -1 })
+      .lean();
+    const total_count = await TierDowngradeRun.countDocuments(filter);
+
+    return response_handler(
+      res,
+      200,
+      "Tier downgrade runs fetched successfully!",
+      runs,
+      total_count
+    );
+  } catch (error) {
+    return response_handler(res, 500, `Internal Server Error. ${error.message}`);
+  }
+};
+
+exports.get_downgrade_run = async (req, res) => {
+  try {
+    const run = await TierDowngradeRun.findById(req.params.id)
+      .populate("triggered_by", "name email")
+      .populate("failures.customer_id", "customer_id name email")
+      .lean();
+
+    if (!run) {
+      return response_handler(res, 404, "Tier downgrade run not found");
+    }
+
+    return response_handler(
+      res,
+      200,
+      "Tier downgrade run fetched successfully!",
+      run
+    );
+  } catch (error) {
+    return response_handler(res, 500, `Internal Server Error. ${error.message}`);
+  }
+};
+
+exports.resume_downgrade_run = async (req, res) => {
+  try {
+    const run = await TierDowngradeRun.findById(req.params.id);
+    if (!run) {
+      return response_handler(res, 404, "Tier downgrade run not found");
+    }
+
+    if (run.status === "completed") {
+      return response_handler(
+        res,
+        409,
+        "Tier downgrade run is already completed, start it with rerun instead"
+      );
+    }
+
+    const resumed = await resumeTierDowngradeRun(run._id);
+
+    return response_handler(res, 202, "Tier downgrade run resumed", resumed);
+  } catch (error) {
+    logger.error(`Error resuming tier downgrade run: ${error.message}`, {
+      stack: error.stack,
+    });
+    return response_handler(res, 500, `Internal Server Error. ${error.message}`);
+  }
+};
@@ -46,3 +46,12 @@ exports.update_tier = Joi.object({
     })
   ),
 });
+
+exports.start_downgrade_run = Joi.object({
+  period: Joi.string()
+    .pattern(/^\d{4}-(0[1-9]|1[0-2])$/)
+    .description("Month to process as YYYY-MM, defaults to the current month"),
+  rerun: Joi.boolean()
+    .default(false)
+    .description("Process a completed month again from the start"),
+});
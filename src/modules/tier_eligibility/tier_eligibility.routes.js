@@ -1,6 +1,5 @@
 const express = require("express");
 const router = express.Router();
-const { authorizePermission } = require('../../middlewares/auth/auth');
 const { createAuditMiddleware } = require("../audit");
 const { cacheMiddleware, cacheKeys,cachePatterns } = require("../../middlewares/redis_cache/cache.middleware");   
 const { cacheInvalidationMiddleware,enhancedCacheInvalidationMiddleware } = require("../../middlewares/redis_cache/cache_invalidation.middleware");
@@ -17,7 +16,6 @@ const {
 } = require("./tier_eligibility.controller");
 
 // Middleware imports (adjust paths as needed)
-router.use(authorizePermission("MANAGE_SETTINGS"));
 const {
     createTierEligibilitySchema,
     updateTierEligibilitySchema
@@ -8,16 +8,14 @@ const {
   updateTransactionStatus,
   getCustomerPointBalance,
 } = require("./transaction.controllers");
-const { authorizePermission } = require("../../middlewares/auth/auth");
 const { createAuditMiddleware } = require("../audit");
 
 // Create audit middleware for transactions
 const transactionAudit = createAuditMiddleware("transaction");
 
-// Routes that require VIEW_TRANSACTIONS permission
+// Routes that require transactions:view
 router.get(
   "/",
-  authorizePermission("VIEW_TRANSACTIONS"),
   transactionAudit.captureResponse(),
   transactionAudit.adminAction("view_transactions", {
     description: "Admin viewed all transactions",
@@ -28,7 +26,6 @@ router.get(
 
 router.get(
   "/:id",
-  authorizePermission("VIEW_TRANSACTIONS"),
   transactionAudit.captureResponse(),
   transactionAudit.adminAction("view_transaction", {
     description: "Admin viewed a transaction",
@@ -37,10 +34,9 @@ router.get(
   getTransactionById
 );
 
-// Routes that require MANAGE_POINTS permission
+// Routes that require transactions:create / transactions:update
 router.post(
   "/",
-  authorizePermission("MANAGE_POINTS"),
   transactionAudit.captureResponse(),
   transactionAudit.adminAction("create_transaction", {
     description: "Admin created a new transaction",
@@ -51,7 +47,6 @@ router.post(
 
 router.patch(
   "/:id/status",
-  authorizePermission("MANAGE_POINTS"),
   transactionAudit.captureResponse(),
   transactionAudit.adminAction("update_transaction_status", {
     description: "Admin updated a transaction status",
@@ -63,7 +58,6 @@ router.patch(
 // Customer-specific transaction routes
 router.get(
   "/customer/:customerId",
-  authorizePermission("VIEW_TRANSACTIONS"),
   transactionAudit.captureResponse(),
   transactionAudit.adminAction("view_customer_transactions", {
     description: "Admin viewed customer transactions",
@@ -74,7 +68,6 @@ router.get(
 
 router.get(
   "/customer/:customerId/balance",
-  authorizePermission("VIEW_TRANSACTIONS"),
   transactionAudit.captureResponse(),
   transactionAudit.adminAction("view_customer_balance", {
     description: "Admin viewed customer point balance",
@@ -7,7 +7,6 @@ const {
   getAllTriggerEvents,
   getTriggerEventById,
 } = require("./trigger_event.controller");
-const { authorizePermission } = require("../../middlewares/auth/auth");
 const { createAuditMiddleware } = require("../audit");
 const {
   enhancedCacheInvalidationMiddleware,
@@ -20,7 +19,6 @@ const {
 
 const triggerEventAudit = createAuditMiddleware("trigger_event");
 
-router.use(authorizePermission("MANAGE_SETTINGS"));
 
 router.post(
   "/",
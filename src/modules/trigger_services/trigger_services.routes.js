@@ -1,7 +1,6 @@
 const express = require('express');
 const router = express.Router();
 const { createTriggerServices, updateTriggerServices, deleteTriggerServices, getAllTriggerServices, getTriggerServicesById, getTriggerServicesByEventId } = require('./trigger_services.controller');
-const { authorizePermission } = require('../../middlewares/auth/auth');
 const { createAuditMiddleware } = require("../audit");
 const { cacheInvalidationMiddleware,enhancedCacheInvalidationMiddleware } = require("../../middlewares/redis_cache/cache_invalidation.middleware"); 
 const { cacheMiddleware, cacheKeys,cachePatterns } = require("../../middlewares/redis_cache/cache.middleware");
@@ -11,7 +10,6 @@ const triggerServicesAudit = createAuditMiddleware("trigger_services");
 
 
 
-router.use(authorizePermission("MANAGE_SETTINGS"));
 
 
 router.post('/', triggerServicesAudit.captureResponse(), triggerServicesAudit.adminAction("create_trigger_services", {
@@ -0,0 +1,319 @@
+const response_handler = require("../../helpers/response_handler");
+const AppType = require("../../models/app_type_model");
+const WebhookSubscription = require("../../models/webhook_subscription_model");
+const WebhookDelivery = require("../../models/webhook_delivery_model");
+const { replayDelivery } = require("../../services/webhook.service");
+const validator = require("./webhooks.validator");
+
+const validate = (schema, payload, res) => {
+  const { error } = schema.validate(payload, { abortEarly: false });
+  if (error) {
+    const error_messages = error.details.map((err) => err.message).join(", ");
+    response_handler(res, 400, `Invalid input: ${error_messages}`);
+    return false;
+  }
+  return true;
+};
+
+exports.list_events = async (req, res) => {
+  return response_handler(
+    res,
+    200,
+    "Webhook event types fetched successfully!",
+    WebhookSubscription.EVENTS
+  );
+};
+
+exports.create = async (req, res) => {
+  try {
+    if (!validate(validator.create_subscription, req.body, res)) return;
+
+    const app_type = await AppType.findById(req.body.app_type);
+    if (!app_type) {
+      return response_handler(res, 404, "App type not found");
+    }
+
+    const secret = WebhookSubscription.generateSecret();
+    const subscription = await WebhookSubscription.create({
+      ...req.body,
+      secret,
+      created_by: req.admin ? req.admin._id : undefined,
+    });
+
+    // The secret is only returned here and on rotation
+    return response_handler(
+      res,
+      201,
+      "Webhook subscription created successfully!",
+      { ...subscription.toObject(), secret }
+    );
+  } catch (error) {
+    return response_handler(
+      res,
+      500,
+      `Internal Server Error. ${error.message}`
+    );
+  }
+};
+
+exports.list = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skipCount = (page - 1) * limit;
+    const filter = {};
+
+    if (req.query.app_type) {
+      filter.app_type = req.query.app_type;
+    }
+    if (req.query.event_type) {
+      filter.event_types = req.query.event_type;
+    }
+    if (req.query.isActive !== undefined) {
+      filter.isActive = req.query.isActive === "true";
+    }
+
+    const subscriptions = await WebhookSubscription.find(filter)
+      .populate("app_type", "name")
+      .skip(skipCount)
+      .limit(limit)
+      .sort({ _id: -1 })
+      .lean();
+    const total_count = await WebhookSubscription.countDocuments(filter);
+
+    return response_handler(
+      res,
+      200,
+      "Webhook subscriptions fetched successfully!",
+      subscriptions,
+      total_count
+    );
+  } catch (error) {
+    return response_handler(
+      res,
+      500,
+      `Internal Server Error. ${error.message}`
+    );
+  }
+};
+
+exports.get_subscription = async (req, res) => {
+  try {
+    const subscription = await WebhookSubscription.findById(
+      req.params.id
+    ).populate("app_type", "name");
+    if (!subscription) {
+      return response_handler(res, 404, "Webhook subscription not found");
+    }
+
+    return response_handler(
+      res,
+      200,
+      "Webhook subscription fetched successfully!",
+      subscription
+    );
+  } catch (error) {
+    return response_handler(
+      res,
+      500,
+      `Internal Server Error. ${error.message}`
+    );
+  }
+};
+
+exports.update_subscription = async (req, res) => {
+  try {
+    if (!validate(validator.update_subscription, req.body, res)) return;
+
+    const subscription = await WebhookSubscription.findById(req.params.id);
+    if (!subscription) {
+      return response_handler(res, 404, "Webhook subscription not found");
+    }
+
+    subscription.set(req.body);
+    // Re-enabling an endpoint starts its failure count over
+    if (req.body.isActive === true) {
+      subscription.consecutive_failures = 0;
+    }
+    await subscription.save();
+
+    return response_handler(
+      res,
+      200,
+      "Webhook subscription updated successfully!",
+      subscription
+    );
+  } catch (error) {
+    return response_handler(
+      res,
+      500,
+      `Internal Server Error. ${error.message}`
+    );
+  }
+};
+
+exports.rotate_secret = async (req, res) => {
+  try {
+    const secret = WebhookSubscription.generateSecret();
+    const subscription = await WebhookSubscription.findByIdAndUpdate(
+      req.params.id,
+      { secret },
+      { new: true }
+    );
+    if (!subscription) {
+      return response_handler(res, 404, "Webhook subscription not found");
+    }
+
+    return response_handler(
+      res,
+      200,
+      "Webhook secret rotated successfully!",
+      { ...subscription.toObject(), secret }
+    );
+  } catch (error) {
+    return response_handler(
+      res,
+      500,
+      `Internal Server Error. ${error.message}`
+    );
+  }
+};
+
+exports.delete_subscription = async (req, res) => {
+  try {
+    const subscription = await WebhookSubscription.findById(req.params.id);
+    if (!subscription) {
+      return response_handler(res, 404, "Webhook subscription not found");
+    }
+
+    // Subscriptions with a delivery log stay so it can still be viewed
+    if (await WebhookDelivery.exists({ subscription: subscription._id })) {
+      subscription.isActive = false;
+      await subscription.save();
+      return response_handler(
+        res,
+        200,
+        "Webhook subscription has deliveries and was deactivated instead",
+        subscription
+      );
+    }
+
+    await subscription.deleteOne();
+
+    return response_handler(
+      res,
+      200,
+      "Webhook subscription deleted successfully!",
+      subscription
+    );
+  } catch (error) {
+    return response_handler(
+      res,
+      500,
+      `Internal Server Error. ${error.message}`
+    );
+  }
+};
+
+exports.list_deliveries = async (req, res) => {
+  try {
+    if (!validate(validator.list_deliveries, req.query, res)) return;
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skipCount = (page - 1) * limit;
+    const filter = {};
+
+    for (const field of ["subscription", "status", "event_type", "event_id"]) {
+      if (req.query[field]) {
+        filter[field] = req.query[field];
+      }
+    }
+
+    const deliveries = await WebhookDelivery.find(filter)
+      .select("-attempt_log")
+      .populate("subscription", "name url app_type")
+      .skip(skipCount)
+      .limit(limit)
+      .sort({ _id: -1 })
+      .lean();
+    const total_count = await WebhookDelivery.countDocuments(filter);
+
+    return response_handler(
+      res,
+      200,
+      "Webhook deliveries fetched successfully!",
+      deliveries,
+      total_count
+    );
+  } catch (error) {
+    return response_handler(
+      res,
+      500,
+      `Internal Server Error. ${error.message}`
+    );
+  }
+};
+
+exports.get_delivery = async (req, res) => {
+  try {
+    const delivery = await WebhookDelivery.findById(req.params.id).populate(
+      "subscription",
+      "name url app_type"
+    );
+    if (!delivery) {
+      return response_handler(res, 404, "Webhook delivery not found");
+    }
+
+    return response_handler(
+      res,
+      200,
+      "Webhook delivery fetched successfully!",
+      delivery
+    );
+  } catch (error) {
+    return response_handler(
+      res,
+      500,
+      `Internal Server Error. ${error.message}`
+    );
+  }
+};
+
+exports.replay_delivery = async (req, res) => {
+  try {
+    const delivery = await WebhookDelivery.findById(req.params.id);
+    if (!delivery) {
+      return response_handler(res, 404, "Webhook delivery not found");
+    }
+
+    const subscription = await WebhookSubscription.findById(
+      delivery.subscription
+    );
+    if (!subscription || !subscription.isActive) {
+      return response_handler(
+        res,
+        400,
+        "Webhook subscription is inactive or deleted"
+      );
+    }
+
+    const replay = await replayDelivery(
+      delivery,
+      req.admin ? req.admin._id : null
+    );
+
+    return response_handler(
+      res,
+      202,
+      "Webhook delivery queued for replay",
+      replay
+    );
+  } catch (error) {
+    return response_handler(
+      res,
+      500,
+      `Internal Server Error. ${error.message}`
+    );
+  }
+};
@@ -0,0 +1,89 @@
+const express = require("express");
+const router = express.Router();
+const webhooks_controller = require("./webhooks.controller");
+const { createAuditMiddleware } = require("../audit");
+
+// Create audit middleware for the webhooks module
+const webhooksAudit = createAuditMiddleware("webhooks");
+
+
+// Event types a subscription can choose from
+router.get("/events", webhooks_controller.list_events);
+
+// Delivery log
+router.get(
+  "/deliveries",
+  webhooksAudit.dataAccess("view_webhook_deliveries", {
+    description: "Admin viewed webhook deliveries",
+    targetModel: "WebhookDelivery",
+  }),
+  webhooks_controller.list_deliveries
+);
+
+router.get("/deliveries/:id", webhooks_controller.get_delivery);
+
+router.post(
+  "/deliveries/:id/replay",
+  webhooksAudit.adminAction("replay_webhook_delivery", {
+    description: "Admin replayed a webhook delivery",
+    targetModel: "WebhookDelivery",
+    targetId: (req) => req.params.id,
+  }),
+  webhooks_controller.replay_delivery
+);
+
+// Create and list subscriptions
+router.post(
+  "/",
+  webhooksAudit.adminAction("create_webhook_subscription", {
+    description: "Admin created a webhook subscription",
+    targetModel: "WebhookSubscription",
+    details: (req) => req.body,
+  }),
+  webhooks_controller.create
+);
+
+router.get("/", webhooks_controller.list);
+
+// Get, update, and delete a specific subscription
+router.get("/:id", webhooks_controller.get_subscription);
+
+router.put(
+  "/:id",
+  webhooksAudit.captureResponse(),
+  webhooksAudit.adminAction("update_webhook_subscription", {
+    description: "Admin updated a webhook subscription",
+    targetModel: "WebhookSubscription",
+    targetId: (req) => req.params.id,
+    details: (req) => req.body,
+    getModifiedData: (req, res) => {
+      if (res.locals.responseBody && res.locals.responseBody.data) {
+        return res.locals.responseBody.data;
+      }
+      return null;
+    },
+  }),
+  webhooks_controller.update_subscription
+);
+
+router.post(
+  "/:id/secret",
+  webhooksAudit.adminAction("rotate_webhook_secret", {
+    description: "Admin rotated a webhook signing secret",
+    targetModel: "WebhookSubscription",
+    targetId: (req) => req.params.id,
+  }),
+  webhooks_controller.rotate_secret
+);
+
+router.delete(
+  "/:id",
+  webhooksAudit.adminAction("delete_webhook_subscription", {
+    description: "Admin deleted a webhook subscription",
+    targetModel: "WebhookSubscription",
+    targetId: (req) => req.params.id,
+  }),
+  webhooks_controller.delete_subscription
+);
+
+module.exports = router;
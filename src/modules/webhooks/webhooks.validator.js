@@ -0,0 +1,38 @@
+const Joi = require("joi");
+const WebhookSubscription = require("../../models/webhook_subscription_model");
+
+const objectId = Joi.string().regex(/^[0-9a-fA-F]{24}$/); // MongoDB ObjectId validation
+
+const eventTypes = Joi.array()
+  .items(Joi.string().valid(...WebhookSubscription.EVENTS))
+  .min(1)
+  .unique();
+
+// Private and internal hosts are rejected at delivery time, after DNS resolution
+const url = Joi.string().uri({ scheme: ["https"] });
+
+exports.create_subscription = Joi.object({
+  name: Joi.string().trim().required(),
+  description: Joi.string().allow(""),
+  app_type: objectId.required(),
+  url: url.required(),
+  event_types: eventTypes.required(),
+  isActive: Joi.boolean(),
+});
+
+exports.update_subscription = Joi.object({
+  name: Joi.string().trim(),
+  description: Joi.string().allow(""),
+  url,
+  event_types: eventTypes,
+  isActive: Joi.boolean(),
+}).min(1);
+
+exports.list_deliveries = Joi.object({
+  page: Joi.number().integer().min(1),
+  limit: Joi.number().integer().min(1).max(100),
+  subscription: objectId,
+  status: Joi.string().valid("pending", "succeeded", "failed"),
+  event_type: Joi.string().valid(...WebhookSubscription.EVENTS),
+  event_id: Joi.string(),
+});
@@ -0,0 +1,108 @@
+const { connectDatabase, disconnectDatabase } = require("../config/database");
+const Customer = require("../models/customer_model");
+const PointsLedgerEntry = require("../models/points_ledger_entry_model");
+const { logger } = require("../middlewares/logger");
+
+const BATCH_SIZE = 500;
+
+/**
+ * One-off migration booking every customer's pre-ledger total_points as an
+ * opening_balance ledger entry. Run it once when the ledger is deployed,
+ * before ledgered point writes go live, so the ledger starts from the real
+ * balances instead of zero.
+ *
+ * Usage:
+ *   npm run ledger:opening-balances [-- --dry-run]
+ *
+ * Customers that already have an opening balance are skipped, so the script
+ * can be re-run. For customers with ledger entries but no opening balance,
+ * the difference between the cached and the ledger balance is booked.
+ */
+const postOpeningBalances = async (customers, dryRun, totals) => {
+  const customerIds = customers.map((customer) => customer._id);
+
+  const [ledgerRows, opened] = await Promise.all([
+    PointsLedgerEntry.getWalletBalances({ customer_id: { $in: customerIds } }),
+    PointsLedgerEntry.distinct("customer_id", {
+      customer_id: { $in: customerIds },
+      transaction_type: "opening_balance",
+    }),
+  ]);
+  const ledgerBalances = new Map(
+    ledgerRows.map((row) => [row._id.toString(), row.balance])
+  );
+  const openedIds = new Set(opened.map((id) => id.toString()));
+
+  for (const customer of customers) {
+    const id = customer._id.toString();
+    if (openedIds.has(id)) {
+      totals.skipped += 1;
+      continue;
+    }
+
+    const openingBalance = (customer.total_points || 0) - (ledgerBalances.get(id) || 0);
+    if (openingBalance === 0) continue;
+
+    if (!dryRun) {
+      await PointsLedgerEntry.record({
+        customer_id: customer._id,
+        points: openingBalance,
+        transaction_type: "opening_balance",
+        description: "Opening balance backfilled from total_points",
+      });
+    }
+    totals.posted += 1;
+    totals.points += openingBalance;
+  }
+};
+
+async function backfillOpeningBalances() {
+  const dryRun = process.argv.includes("--dry-run");
+  const totals = { customers: 0, posted: 0, skipped: 0, points: 0 };
+
+  let exitCode = 0;
+  try {
+    await connectDatabase();
+    console.log(`📒 Backfilling opening balances${dryRun ? " (dry run)" : ""}`);
+
+    const cursor = Customer.find({})
+      .select("_id total_points")
+      .sort({ _id: 1 })
+      .lean()
+      .cursor();
+
+    let batch = [];
+    for await (const customer of cursor) {
+      batch.push(customer);
+      if (batch.length >= BATCH_SIZE) {
+        await postOpeningBalances(batch, dryRun, totals);
+        totals.customers += batch.length;
+        console.log(`  ${totals.customers} customers checked`);
+        batch = [];
+      }
+    }
+    if (batch.length > 0) {
+      await postOpeningBalances(batch, dryRun, totals);
+      totals.customers += batch.length;
+    }
+
+    console.log("\n📊 OPENING BALANCE SUMMARY");
+    console.log(`Customers checked: ${totals.customers}`);
+    console.log(`✅ Opening balances ${dryRun ? "to post" : "posted"}: ${totals.posted} (${totals.points} points)`);
+    console.log(`⏭️  Already opened: ${totals.skipped}`);
+  } catch (error) {
+    console.error("❌ Error backfilling opening balances:", error.message);
+    logger.error("Error backfilling points ledger opening balances", {
+      error: error.message,
+      stack: error.stack,
+    });
+    exitCode = 1;
+  } finally {
+    await disconnectDatabase();
+  }
+
+  process.exit(exitCode);
+}
+
+// Run the script
+backfillOpeningBalances();
@@ -0,0 +1,102 @@
+const { connectDatabase, disconnectDatabase } = require("../config/database");
+const SDKAccessKey = require("../models/sdk_access_key_model");
+const AppType = require("../models/app_type_model");
+const { logger } = require("../middlewares/logger");
+
+// What the Khedmah SDK routes allowed before keys were scoped by permission
+const LEGACY_PERMISSIONS = ["user_data", "transactions", "points", "redemptions", "offers"];
+
+/**
+ * One-off migration for SDK access keys created before keys were scoped to an
+ * app type and permissions. sdkAuth rejects keys without an app type and
+ * every route needs a permission, so run it before deploying sdkAuth on the
+ * Khedmah SDK routes.
+ *
+ * Usage:
+ *   npm run sdk:backfill-keys -- [--app-type <name>] [--dry-run]
+ *
+ * Keys without an app type get --app-type, which may be left out when only
+ * one app type exists. Keys without permissions get the ones the SDK routes
+ * allowed before: user_data, transactions, points, redemptions and offers.
+ */
+const parseArgs = (argv) => {
+  const args = { dryRun: argv.includes("--dry-run") };
+  const appTypeIndex = argv.indexOf("--app-type");
+  if (appTypeIndex !== -1) args.appType = argv[appTypeIndex + 1];
+  return args;
+};
+
+const resolveAppType = async (name) => {
+  if (name) {
+    return AppType.findOne({ name });
+  }
+
+  const appTypes = await AppType.find({}).select("name").lean();
+  if (appTypes.length === 1) return appTypes[0];
+
+  console.error(
+    `Keys without an app type need --app-type, one of: ${appTypes.map((a) => a.name).join(", ")}`
+  );
+  return null;
+};
+
+async function backfillSdkKeys() {
+  const args = parseArgs(process.argv.slice(2));
+
+  let exitCode = 0;
+  try {
+    await connectDatabase();
+    console.log(`🔑 Backfilling SDK access keys${args.dryRun ? " (dry run)" : ""}`);
+
+    // Raw collection: legacy keys may hold permissions in a shape the schema would cast away
+    const missingAppType = { app_type: null };
+    const missingPermissions = {
+      $or: [{ permissions: { $size: 0 } }, { permissions: { $not: { $type: "array" } } }],
+    };
+
+    const keysWithoutAppType = await SDKAccessKey.collection.countDocuments(missingAppType);
+    if (keysWithoutAppType > 0) {
+      const appType = await resolveAppType(args.appType);
+      if (!appType) {
+        throw new Error(
+          args.appType ? `App type "${args.appType}" not found` : "No app type to assign"
+        );
+      }
+
+      console.log(`  ${keysWithoutAppType} key(s) without an app type -> ${appType.name}`);
+      if (!args.dryRun) {
+        await SDKAccessKey.collection.updateMany(missingAppType, {
+          $set: { app_type: appType._id },
+        });
+      }
+    }
+
+    const keysWithoutPermissions = await SDKAccessKey.collection.countDocuments(
+      missingPermissions
+    );
+    console.log(
+      `  ${keysWithoutPermissions} key(s) without permissions -> ${LEGACY_PERMISSIONS.join(", ")}`
+    );
+    if (keysWithoutPermissions > 0 && !args.dryRun) {
+      await SDKAccessKey.collection.updateMany(missingPermissions, {
+        $set: { permissions: LEGACY_PERMISSIONS },
+      });
+    }
+
+    console.log("✅ SDK access keys backfilled");
+  } catch (error) {
+    console.error("❌ Error backfilling SDK access keys:", error.message);
+    logger.error("Error backfilling SDK access keys", {
+      error: error.message,
+      stack: error.stack,
+    });
+    exitCode = 1;
+  } finally {
+    await disconnectDatabase();
+  }
+
+  process.exit(exitCode);
+}
+
+// Run the script
+backfillSdkKeys();
@@ -0,0 +1,76 @@
+const { connectDatabase, disconnectDatabase } = require("../config/database");
+const CustomerSegment = require("../models/customer_segment_model");
+const { logger } = require("../middlewares/logger");
+
+const LEGACY_QUERY_ERROR =
+  "Legacy custom query is no longer supported; rebuild it as criteria.custom.filter";
+
+/**
+ * One-off migration for custom segments saved before the filter language,
+ * which only hold a raw criteria.custom.query string. Refreshes no longer run
+ * those queries, so the segments are set inactive with auto-refresh off and
+ * flagged on last_refresh. Their members and the old query are kept, so an
+ * admin can rebuild the filter and activate the segment again.
+ *
+ * Usage:
+ *   npm run segments:flag-legacy-queries [-- --dry-run]
+ */
+async function flagLegacyQuerySegments() {
+  const dryRun = process.argv.includes("--dry-run");
+
+  let exitCode = 0;
+  try {
+    await connectDatabase();
+    console.log(`🧩 Flagging legacy custom query segments${dryRun ? " (dry run)" : ""}`);
+
+    // Raw collection: criteria.custom.query is no longer in the schema
+    const legacyQuery = {
+      type: "custom",
+      "criteria.custom.query": { $exists: true, $nin: ["", null] },
+      "criteria.custom.filter": { $in: [null] },
+    };
+
+    const segments = await CustomerSegment.collection
+      .find(legacyQuery, { projection: { name: 1, status: 1, "criteria.custom.query": 1 } })
+      .toArray();
+
+    for (const segment of segments) {
+      console.log(`  ${segment.name} (${segment.status}): ${segment.criteria.custom.query}`);
+    }
+
+    if (segments.length > 0 && !dryRun) {
+      await CustomerSegment.collection.updateMany(
+        { _id: { $in: segments.map((segment) => segment._id) } },
+        {
+          $set: {
+            status: "inactive",
+            "auto_refresh.enabled": false,
+            last_refresh: {
+              status: "failed",
+              finished_at: new Date(),
+              error: LEGACY_QUERY_ERROR,
+            },
+          },
+        }
+      );
+    }
+
+    console.log(
+      `✅ ${segments.length} legacy custom segment(s) ${dryRun ? "to flag" : "set inactive"}`
+    );
+  } catch (error) {
+    console.error("❌ Error flagging legacy custom segments:", error.message);
+    logger.error("Error flagging legacy custom query segments", {
+      error: error.message,
+      stack: error.stack,
+    });
+    exitCode = 1;
+  } finally {
+    await disconnectDatabase();
+  }
+
+  process.exit(exitCode);
+}
+
+// Run the script
+flagLegacyQuerySegments();
@@ -0,0 +1,74 @@
+const { connectDatabase, disconnectDatabase } = require("../config/database");
+const { syncService } = require("../services/mongo-to-sql-sync");
+const { logger } = require("../middlewares/logger");
+
+/**
+ * Replay the transactions/customers updated in a date range into the Khedmah
+ * SQL database, e.g. after downtime or a gap reported by /sql-sync/status
+ *
+ * Usage:
+ *   npm run sync:backfill -- --from 2025-01-01 --to 2025-01-31 [--entity transactions]
+ *
+ * --to defaults to now; --entity can be repeated (default: all synced collections)
+ */
+const parseArgs = (argv) => {
+  const args = { entities: [] };
+  for (let i = 0; i < argv.length; i += 1) {
+    const value = argv[i + 1];
+    if (argv[i] === "--from") args.from = value;
+    if (argv[i] === "--to") args.to = value;
+    if (argv[i] === "--entity") args.entities.push(value);
+  }
+  return args;
+};
+
+async function backfill() {
+  const args = parseArgs(process.argv.slice(2));
+  const from = new Date(args.from);
+  const to = args.to ? new Date(args.to) : new Date();
+
+  if (!args.from || isNaN(from) || isNaN(to) || from > to) {
+    console.error(
+      "Usage: npm run sync:backfill -- --from <date> [--to <date>] [--entity transactions|customers]"
+    );
+    process.exit(1);
+  }
+
+  let exitCode = 0;
+  try {
+    await connectDatabase();
+    console.log(
+      `🔁 Backfilling ${from.toISOString()} - ${to.toISOString()} into SQL`
+    );
+
+    const result = await syncService.backfill({
+      from,
+      to,
+      ...(args.entities.length > 0 && { entities: args.entities }),
+      onProgress: (stream, totals) =>
+        console.log(`  ${stream}: ${totals.synced} synced, ${totals.failed} failed`),
+    });
+
+    console.log("\n📊 BACKFILL SUMMARY");
+    for (const [stream, totals] of Object.entries(result)) {
+      console.log(
+        `${stream}: ✅ ${totals.synced} synced, ❌ ${totals.failed} failed (see /sql-sync/dead-letters)`
+      );
+    }
+  } catch (error) {
+    console.error("❌ Error during backfill:", error.message);
+    logger.error("Error backfilling SQL sync", {
+      error: error.message,
+      stack: error.stack,
+    });
+    exitCode = 1;
+  } finally {
+    await syncService.stop();
+    await disconnectDatabase();
+  }
+
+  process.exit(exitCode);
+}
+
+// Run the script
+backfill();
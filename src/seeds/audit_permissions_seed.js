@@ -10,10 +10,9 @@ const seedAuditPermissions = async () => {
 
         // Define audit permissions
         const auditPermissions = [
-            "VIEW_AUDIT_LOGS",
-            "VIEW_SYSTEM_LOGS",
-            "VIEW_API_LOGS",
-            "EXPORT_AUDIT_LOGS"
+            "audit:view",
+            "audit:export",
+            "logs:view"
         ];
 
         // Update admin role with audit permissions
@@ -6,6 +6,7 @@ const seedPointsExpirationRules = require("./points_expiration_rules_seed");
 const seedRoles = require("./role_seed");
 const seedSDKAccessKeys = require("./sdk_access_key_seed");
 const seedAuditPermissions = require("./audit_permissions_seed");
+const migrateRolePermissions = require("./role_permissions_seed");
 const seedThemeSettings = require("./theme_settings_seed");
 const seedTiers = require("./tier_seed");
 // Import new seed functions
@@ -25,15 +26,16 @@ async function runSeeds() {
     // Add all seed functions here
     await seedRoles(); // Seed roles first as they may be referenced by other entities
     await seedAuditPermissions(); // Add audit permissions to roles
+    await migrateRolePermissions(); // Legacy permission names => "resource:action"
     await seedRedemptionRules();
     await seedPointsExpirationRules();
     await seedTransactions();
-    await seedSDKAccessKeys();
     await seedThemeSettings(); // Seed default theme settings
     await seedTiers();
 
     // New seed functions - order matters due to dependencies
     await seedAppTypes(); // Seed app types first
+    await seedSDKAccessKeys(); // SDK keys are scoped to an app type
     await seedTriggerEvents(); // Seed trigger events next
     await seedTriggerServices(); // Seed trigger services (depends on trigger events)
     await seedPointsCriteria(); // Seed point criteria (depends on all the above)
@@ -0,0 +1,56 @@
+const Role = require("../models/role_model");
+const { logger } = require("../middlewares/logger");
+const {
+    ASSIGNABLE_PERMISSIONS,
+    LEGACY_PERMISSIONS,
+} = require("../config/permissions");
+
+/**
+ * Migrate roles from the old free-form permission names (role_seed.js before
+ * the permission registry) to "resource:action" permissions. Roles that only
+ * hold registry permissions are left alone, so this is safe to run on every seed.
+ */
+const migrateRolePermissions = async () => {
+    try {
+        const roles = await Role.find();
+        let migrated = 0;
+
+        for (const role of roles) {
+            const current = role.permissions || [];
+            if (current.every((permission) => ASSIGNABLE_PERMISSIONS.includes(permission))) {
+                continue;
+            }
+
+            const permissions = new Set();
+            const dropped = [];
+            for (const permission of current) {
+                if (ASSIGNABLE_PERMISSIONS.includes(permission)) {
+                    permissions.add(permission);
+                } else if (LEGACY_PERMISSIONS[permission]) {
+                    LEGACY_PERMISSIONS[permission].forEach((key) => permissions.add(key));
+                } else {
+                    dropped.push(permission);
+                }
+            }
+
+            role.permissions = role.name === "Super Admin" ? ["*"] : [...permissions].sort();
+            await role.save();
+            migrated += 1;
+
+            logger.info(`Migrated permissions of role ${role.name}`, {
+                from: current,
+                to: role.permissions,
+                dropped,
+            });
+        }
+
+        logger.info(`Role permission migration done, ${migrated} role(s) updated`);
+    } catch (error) {
+        logger.error(`Error migrating role permissions: ${error.message}`, {
+            stack: error.stack,
+        });
+        throw error;
+    }
+};
+
+module.exports = migrateRolePermissions;
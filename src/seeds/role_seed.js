@@ -14,94 +14,58 @@ const seedRoles = async () => {
             return;
         }
 
-        // Define all possible permissions based on the UI
-        const allPermissions = {
-            customers: [
-                "VIEW_CUSTOMERS",
-                "EDIT_CUSTOMERS",
-                "DELETE_CUSTOMERS",
-                "EXPORT_CUSTOMERS"
-            ],
-            points: [
-                "MANAGE_POINTS",
-                "VIEW_POINTS_HISTORY",
-                "ADJUST_POINTS",
-                "MANAGE_CRITERIA"
-            ],
-            offers: [
-                "CREATE_OFFERS",
-                "EDIT_OFFERS",
-                "DELETE_OFFERS",
-                "MANAGE_REDEMPTIONS"
-            ],
-            tiers: [
-                "MANAGE_TIERS",
-                "VIEW_TIERS",
-                "ASSIGN_TIERS"
-            ],
-            reports: [
-                "VIEW_REPORTS",
-                "EXPORT_REPORTS",
-                "MANAGE_ANALYTICS",
-                "VIEW_DASHBOARD"
-            ],
-            system: [
-                "MANAGE_ROLES",
-                "MANAGE_ADMINS",
-                "VIEW_AUDIT_LOGS",
-                "MANAGE_SETTINGS"
-            ]
-        };
-
-        // Create Super Admin role with all permissions
-        const superAdminPermissions = Object.values(allPermissions).flat();
+        // Permissions come from the registry in config/permissions.js
         const superAdmin = new Role({
             name: "Super Admin",
             description: "Full system access",
-            permissions: superAdminPermissions,
+            permissions: ["*"],
             status: true
         });
 
         // Create Manager role with limited permissions
-        const managerPermissions = [
-            ...allPermissions.customers,
-            ...allPermissions.points,
-            "VIEW_REPORTS", "EXPORT_REPORTS", "VIEW_DASHBOARD",
-            "VIEW_TIERS"
-        ];
         const manager = new Role({
             name: "Manager",
             description: "Manages customers and points",
-            permissions: managerPermissions,
+            permissions: [
+                "customers:*",
+                "points:*",
+                "transactions:*",
+                "ledger:view",
+                "reports:view",
+                "reports:export",
+                "dashboard:view",
+                "tier:view"
+            ],
             status: true
         });
 
         // Create Reports Viewer role
-        const reportViewerPermissions = [
-            "VIEW_CUSTOMERS",
-            "VIEW_POINTS_HISTORY",
-            "VIEW_REPORTS",
-            "EXPORT_REPORTS",
-            "VIEW_DASHBOARD"
-        ];
         const reportViewer = new Role({
             name: "Reports Viewer",
             description: "Can view and export reports only",
-            permissions: reportViewerPermissions,
+            permissions: [
+                "customers:view",
+                "points:view",
+                "transactions:view",
+                "reports:view",
+                "reports:export",
+                "dashboard:view"
+            ],
             status: true
         });
 
         // Create Customer Support role
-        const customerSupportPermissions = [
-            "VIEW_CUSTOMERS",
-            "VIEW_POINTS_HISTORY",
-            "ADJUST_POINTS",
-            "VIEW_TIERS"
-        ];
         const customerSupport = new Role({
             name: "Customer Support",
             description: "Handles customer inquiries and basic point adjustments",
-            permissions: customerSupportPermissions,
+            permissions: [
+                "customers:view",
+                "points:view",
+                "points:adjust",
+                "transactions:view",
+                "tier:view",
+                "support:*"
+            ],
             status: true
         });
 
@@ -1,4 +1,5 @@
 const SDKAccessKey = require("../models/sdk_access_key_model");
+const AppType = require("../models/app_type_model");
 const { logger } = require("../middlewares/logger");
 
 /**
@@ -13,84 +14,52 @@ const seedSDKAccessKeys = async () => {
             return;
         }
 
+        // Keys are scoped to an app type, so app types must be seeded first
+        const appType = await AppType.findOne();
+        if (!appType) {
+            logger.warn("No app types found. Skipping SDK access key seed.");
+            return;
+        }
+
         // Generate a development key
-        const devKey = SDKAccessKey.generateKey();
         const developmentKey = new SDKAccessKey({
             name: "Development Key",
-            description: "For development and testing purposes",
-            client: {
-                name: "Internal Development Team",
-                email: "dev@khedmah.com",
-                company: "Khedmah",
-                website: "https://khedmah.com"
-            },
-            key: devKey,
-            permissions: {
-                user_data: true,
-                transactions: true,
-                points: true,
-                redemptions: true
-            },
+            app_type: appType._id,
+            permissions: ["user_data", "transactions", "points", "redemptions", "offers"],
             environment: "development",
             status: "active"
         });
+        const devKey = developmentKey.setNewKey();
 
         // Generate a mobile app key
-        const mobileKey = SDKAccessKey.generateKey();
         const mobileAppKey = new SDKAccessKey({
             name: "Mobile App Key",
-            description: "For the Khedmah mobile application",
-            client: {
-                name: "Mobile App Team",
-                email: "mobile@khedmah.com",
-                company: "Khedmah",
-                website: "https://khedmah.com"
-            },
-            key: mobileKey,
-            permissions: {
-                user_data: true,
-                transactions: true,
-                points: true,
-                redemptions: true
-            },
+            app_type: appType._id,
+            permissions: ["user_data", "transactions", "points", "redemptions", "offers"],
             environment: "production",
             status: "active"
         });
+        mobileAppKey.setNewKey();
 
         // Generate a partner integration key
-        const partnerKey = SDKAccessKey.generateKey();
         const partnerIntegrationKey = new SDKAccessKey({
             name: "Partner Integration",
-            description: "For partner website integration",
-            client: {
-                name: "Partner Integration",
-                email: "partner@example.com",
-                company: "Partner Company",
-                website: "https://partner-example.com"
-            },
-            key: partnerKey,
-            permissions: {
-                user_data: true,
-                transactions: true,
-                points: false,
-                redemptions: false
-            },
+            app_type: appType._id,
+            permissions: ["user_data", "transactions"],
             environment: "production",
-            status: "active",
-            rate_limit: {
-                requests_per_minute: 30,
-                requests_per_day: 5000
-            }
+            status: "active"
         });
+        partnerIntegrationKey.setNewKey();
 
         // Save all keys
         await SDKAccessKey.insertMany([developmentKey, mobileAppKey, partnerIntegrationKey]);
 
         logger.info("SDK access keys seeded successfully!");
-        logger.info(`Development Key: ${devKey} (save this for development use)`);
+        // Shown once on the seed's console output; never sent to the logger
+        console.log(`Development Key: ${devKey} (save this for development use)`);
     } catch (error) {
         logger.error(`Error seeding SDK access keys: ${error.message}`);
     }
 };
 
-module.exports = seedSDKAccessKeys; 
\ No newline at end of file
+module.exports = seedSDKAccessKeys;
@@ -5,7 +5,7 @@
 
 const clc = require("cli-color");
 const { logger } = require("./middlewares/logger");
-const { PORT, NODE_ENV, BASE_PATH } = require("./config/env");
+const { PORT, NODE_ENV, BASE_PATH, SQL_SYNC_ENABLED } = require("./config/env");
 const initializeExpress = require("./config/express");
 const registerRoutes = require("./config/routes");
 const { connectDatabase, isDatabaseConnected } = require("./config/database");
@@ -13,6 +13,7 @@ const { registerErrorHandlers } = require("./config/errorHandlers");
 const { startScheduledJobs } = require("./config/jobs");
 const { runDatabaseSeeds } = require("./config/seeds");
 const { setupGracefulShutdown } = require("./config/shutdown");
+const { startSyncService } = require("./services/mongo-to-sql-sync");
 
 /**
  * Initialize and start the servern
@@ -55,6 +56,11 @@ async function startServer() {
       // Initialize scheduled jobs
       startScheduledJobs();
 
+      // Mirror transactions and customers into the Khedmah SQL database
+      if (SQL_SYNC_ENABLED) {
+        startSyncService();
+      }
+
       // Run database seeds in development mode
       // runDatabaseSeeds(NODE_ENV);
     });
@@ -0,0 +1,261 @@
+/**
+ * Admin panel sessions
+ * Each login is a session in Redis holding the hash of its current refresh
+ * token. Access tokens carry the session id (sid) and are only accepted while
+ * the session exists, so revoking a session logs it out immediately.
+ *
+ * Keys: admin_session:<sid> (hash), admin_sessions:<admin_id> (set of sids)
+ * Refresh token: "<sid>.<secret>", replaced on every refresh
+ */
+
+const crypto = require("crypto");
+const { redisClient } = require("../config/redis");
+const { logger } = require("../middlewares/logger");
+const { ADMIN_REFRESH_TOKEN_TTL_DAYS } = require("../config/env");
+
+const SESSION_TTL_SECONDS = ADMIN_REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60;
+// last_seen_at is written at most this often per session
+const LAST_SEEN_INTERVAL_MS = 60 * 1000;
+
+const sessionKey = (sessionId) => `admin_session:${sessionId}`;
+const adminSessionsKey = (adminId) => `admin_sessions:${adminId}`;
+
+const sha256 = (value) => crypto.createHash("sha256").update(value).digest("hex");
+
+// Swap the refresh token hash only if the presented token is the current one.
+// Returns 1 when rotated, -1 when the session exists but the token was already
+// used (or is wrong), 0 when the session is gone.
+const ROTATE_REFRESH_SCRIPT = `
+local current = redis.call('HGET', KEYS[1], 'refresh_hash')
+if not current then
+  return 0
+end
+if current ~= ARGV[1] then
+  return -1
+end
+redis.call('HSET', KEYS[1], 'refresh_hash', ARGV[2], 'last_seen_at', ARGV[3], 'ip', ARGV[4])
+redis.call('EXPIRE', KEYS[1], ARGV[5])
+redis.call('EXPIRE', KEYS[2], ARGV[5])
+return 1
+`;
+
+// Update last seen only while the session exists, so a revoked one is not recreated
+const TOUCH_SESSION_SCRIPT = `
+if redis.call('EXISTS', KEYS[1]) == 1 then
+  redis.call('HSET', KEYS[1], 'last_seen_at', ARGV[1], 'ip', ARGV[2])
+end
+return 1
+`;
+
+redisClient.defineCommand("rotateAdminRefreshToken", {
+  numberOfKeys: 2,
+  lua: ROTATE_REFRESH_SCRIPT,
+});
+
+redisClient.defineCommand("touchAdminSession", {
+  numberOfKeys: 1,
+  lua: TOUCH_SESSION_SCRIPT,
+});
+
+const newRefreshToken = (sessionId) => {
+  const secret = crypto.randomBytes(32).toString("base64url");
+  return { token: `${sessionId}.${secret}`, hash: sha256(secret) };
+};
+
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || "").split(".");
+  return sessionId && secret ? { sessionId, secret } : null;
+};
+
+const toSession = (sessionId, data) => ({
+  session_id: sessionId,
+  admin_id: data.admin_id,
+  device: data.device,
+  ip: data.ip,
+  created_at: new Date(Number(data.created_at)),
+  last_seen_at: new Date(Number(data.last_seen_at)),
+});
+
+/**
+ * Start a session for a login
+ * @param {Object} admin - Admin document
+ * @param {Object} client - { device, ip }
+ * @returns {Promise<Object>} - { sessionId, refreshToken }
+ */
+const createSession = async (admin, { device, ip }) => {
+  const sessionId = crypto.randomUUID();
+  const refresh = newRefreshToken(sessionId);
+  const now = Date.now();
+
+  await redisClient
+    .multi()
+    .hset(sessionKey(sessionId), {
+      admin_id: admin._id.toString(),
+      device: device || "unknown",
+      ip: ip || "",
+      created_at: now,
+      last_seen_at: now,
+      refresh_hash: refresh.hash,
+    })
+    .expire(sessionKey(sessionId), SESSION_TTL_SECONDS)
+    .sadd(adminSessionsKey(admin._id), sessionId)
+    .expire(adminSessionsKey(admin._id), SESSION_TTL_SECONDS)
+    .exec();
+
+  return { sessionId, refreshToken: refresh.token };
+};
+
+/**
+ * Exchange a refresh token for a new one
+ * Presenting a refresh token that was already rotated means it leaked, so the
+ * whole session is revoked.
+ * @param {string} refreshToken
+ * @param {Object} client - { ip }
+ * @returns {Promise<Object>} - { sessionId, adminId, refreshToken } or { error }
+ */
+const rotateRefreshToken = async (refreshToken, { ip }) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) {
+    return { error: "Invalid refresh token" };
+  }
+
+  const adminId = await redisClient.hget(sessionKey(parsed.sessionId), "admin_id");
+  if (!adminId) {
+    return { error: "Session has expired or was revoked" };
+  }
+
+  const refresh = newRefreshToken(parsed.sessionId);
+  const result = await redisClient.rotateAdminRefreshToken(
+    sessionKey(parsed.sessionId),
+    adminSessionsKey(adminId),
+    sha256(parsed.secret),
+    refresh.hash,
+    Date.now(),
+    ip || "",
+    SESSION_TTL_SECONDS
+  );
+
+  if (result === -1) {
+    logger.warn(`Refresh token reuse for admin ${adminId}, revoking session`, {
+      session_id: parsed.sessionId,
+      ip,
+    });
+    await revokeSession(adminId, parsed.sessionId);
+    return { error: "Refresh token was already used, session revoked" };
+  }
+  if (result !== 1) {
+    return { error: "Session has expired or was revoked" };
+  }
+
+  return { sessionId: parsed.sessionId, adminId, refreshToken: refresh.token };
+};
+
+/**
+ * Session an access token belongs to, if still active
+ * @param {string} sessionId
+ * @returns {Promise<Object|null>}
+ */
+const getSession = async (sessionId) => {
+  const data = await redisClient.hgetall(sessionKey(sessionId));
+  return data && data.admin_id ? toSession(sessionId, data) : null;
+};
+
+/**
+ * Record activity on a session, throttled
+ * @param {Object} session - From getSession
+ * @param {string} ip
+ */
+const touchSession = async (session, ip) => {
+  if (Date.now() - session.last_seen_at.getTime() < LAST_SEEN_INTERVAL_MS) {
+    return;
+  }
+  try {
+    await redisClient.touchAdminSession(
+      sessionKey(session.session_id),
+      Date.now(),
+      ip || ""
+    );
+  } catch (error) {
+    logger.warn(`Could not update admin session last seen: ${error.message}`);
+  }
+};
+
+/**
+ * Active sessions of an admin, most recently used first
+ * @param {string} adminId
+ * @returns {Promise<Array>}
+ */
+const listSessions = async (adminId) => {
+  const sessionIds = await redisClient.smembers(adminSessionsKey(adminId));
+  const sessions = [];
+  const expired = [];
+
+  for (const sessionId of sessionIds) {
+    const session = await getSession(sessionId);
+    if (session) {
+      sessions.push(session);
+    } else {
+      expired.push(sessionId);
+    }
+  }
+
+  if (expired.length > 0) {
+    await redisClient.srem(adminSessionsKey(adminId), ...expired);
+  }
+
+  return sessions.sort((a, b) => b.last_seen_at - a.last_seen_at);
+};
+
+/**
+ * Log out one session of an admin
+ * @param {string} adminId
+ * @param {string} sessionId
+ * @returns {Promise<boolean>} - False if the admin has no such session
+ */
+const revokeSession = async (adminId, sessionId) => {
+  const owner = await redisClient.hget(sessionKey(sessionId), "admin_id");
+  if (!owner || owner !== adminId.toString()) {
+    return false;
+  }
+
+  await redisClient
+    .multi()
+    .del(sessionKey(sessionId))
+    .srem(adminSessionsKey(adminId), sessionId)
+    .exec();
+  return true;
+};
+
+/**
+ * Log out every session of an admin
+ * @param {string} adminId
+ * @param {Object} [options] - { except } session id to keep
+ * @returns {Promise<number>} - Sessions revoked
+ */
+const revokeAllSessions = async (adminId, { except } = {}) => {
+  const sessionIds = (await redisClient.smembers(adminSessionsKey(adminId))).filter(
+    (sessionId) => sessionId !== except
+  );
+  if (sessionIds.length === 0) {
+    return 0;
+  }
+
+  await redisClient
+    .multi()
+    .del(...sessionIds.map(sessionKey))
+    .srem(adminSessionsKey(adminId), ...sessionIds)
+    .exec();
+
+  logger.info(`Revoked ${sessionIds.length} session(s) of admin ${adminId}`);
+  return sessionIds.length;
+};
+
+module.exports = {
+  createSession,
+  rotateRefreshToken,
+  getSession,
+  touchSession,
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+};
@@ -0,0 +1,207 @@
+/**
+ * Customer activity ingestion
+ * Stores the raw events the SDK reports (for a retention window) and rolls
+ * them up per customer: lifetime totals and push engagement in
+ * CustomerActivity, per-day counts in CustomerActivityDaily and the devices
+ * used in CustomerDevice. Campaign email opens and clicks are rolled up the
+ * same way. Engagement and device segments read the rollups.
+ */
+
+const moment = require("moment-timezone");
+const Customer = require("../models/customer_model");
+const CustomerActivityEvent = require("../models/customer_activity_event_model");
+const CustomerActivity = require("../models/customer_activity_model");
+const CustomerActivityDaily = require("../models/customer_activity_daily_model");
+const CustomerDevice = require("../models/customer_device_model");
+const { ACTIVITY_EVENT_RETENTION_DAYS } = require("../config/env");
+
+// Events that mean the customer was using the app (notification_received is not)
+const SEEN_EVENTS = ["app_open", "screen_view", "notification_open", "notification_click"];
+const NOTIFICATION_EVENTS = ["notification_received", "notification_open", "notification_click"];
+
+// Rollup counters an event increments: [CustomerActivity, CustomerActivityDaily]
+const EVENT_COUNTERS = {
+  app_open: [{ app_opens: 1 }, { app_opens: 1 }],
+  screen_view: [{ screen_views: 1 }, { screen_views: 1 }],
+  notification_received: [{ "push.sent": 1 }, {}],
+  notification_open: [{ "push.opened": 1 }, { push_opened: 1 }],
+  notification_click: [{ "push.clicked": 1 }, { push_clicked: 1 }],
+};
+
+const DEVICE_TYPES_ON_CUSTOMER = ["android", "ios", "web"];
+
+const dedupeKey = (event) => {
+  if (NOTIFICATION_EVENTS.includes(event.type)) {
+    return `${event.type}:${event.notification_id}`;
+  }
+  return event.event_id ? `event:${event.event_id}` : undefined;
+};
+
+const addCounters = (target, counters) => {
+  Object.entries(counters).forEach(([field, value]) => {
+    target[field] = (target[field] || 0) + value;
+  });
+};
+
+const laterOf = (a, b) => (!a || (b && b > a) ? b : a);
+const earlierOf = (a, b) => (!a || (b && b < a) ? b : a);
+
+/**
+ * Store a batch of activity events of one customer and update the rollups
+ * Events already recorded (same event id, or a notification already
+ * received/opened/clicked) are skipped, so retries are safe.
+ * @param {Object} customer - Customer document
+ * @param {Object} batch
+ * @param {Array} batch.events - [{ type, event_id, occurred_at, screen, notification_id, metadata }]
+ * @param {Object} [batch.device] - { type, model, os_version, app_version }
+ * @param {string} [batch.appType] - AppType id the SDK key is scoped to
+ * @returns {Promise<Object>} - { accepted, duplicates }
+ */
+const recordActivityEvents = async (customer, { events, device, appType }) => {
+  const now = new Date();
+  const expiresAt = moment(now).add(ACTIVITY_EVENT_RETENTION_DAYS, "days").toDate();
+
+  const summary = { inc: {}, firstSeen: null, lastSeen: null, lastAppOpen: null, lastPushOpen: null };
+  const daily = new Map();
+  let accepted = 0;
+  let duplicates = 0;
+
+  for (const event of events) {
+    // Client clocks can run ahead; an event can't be in the future
+    const occurredAt = event.occurred_at && event.occurred_at < now ? event.occurred_at : now;
+
+    try {
+      await CustomerActivityEvent.create({
+        customer: customer._id,
+        event_type: event.type,
+        dedupe_key: dedupeKey(event),
+        notification_id: event.notification_id || null,
+        screen: event.screen || null,
+        device,
+        app_type: appType || null,
+        metadata: event.metadata || {},
+        occurred_at: occurredAt,
+        expires_at: expiresAt,
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        duplicates += 1;
+        continue;
+      }
+      throw error;
+    }
+    accepted += 1;
+
+    const [summaryCounters, dailyCounters] = EVENT_COUNTERS[event.type];
+    addCounters(summary.inc, summaryCounters);
+
+    if (Object.keys(dailyCounters).length > 0) {
+      const day = moment.utc(occurredAt).startOf("day").toDate();
+      const key = day.getTime();
+      if (!daily.has(key)) daily.set(key, { date: day, inc: {} });
+      addCounters(daily.get(key).inc, dailyCounters);
+    }
+
+    if (SEEN_EVENTS.includes(event.type)) {
+      summary.firstSeen = earlierOf(summary.firstSeen, occurredAt);
+      summary.lastSeen = laterOf(summary.lastSeen, occurredAt);
+    }
+    if (event.type === "app_open") {
+      summary.lastAppOpen = laterOf(summary.lastAppOpen, occurredAt);
+    }
+    if (event.type === "notification_open") {
+      summary.lastPushOpen = laterOf(summary.lastPushOpen, occurredAt);
+    }
+  }
+
+  if (accepted === 0) {
+    return { accepted, duplicates };
+  }
+
+  const max = {};
+  if (summary.lastSeen) max.last_seen_at = summary.lastSeen;
+  if (summary.lastAppOpen) max.last_app_open_at = summary.lastAppOpen;
+  if (summary.lastPushOpen) max["push.last_opened_at"] = summary.lastPushOpen;
+
+  await CustomerActivity.updateOne(
+    { customer: customer._id },
+    {
+      $inc: summary.inc,
+      ...(Object.keys(max).length > 0 ? { $max: max } : {}),
+      ...(summary.firstSeen ? { $min: { first_seen_at: summary.firstSeen } } : {}),
+    },
+    { upsert: true }
+  );
+
+  if (daily.size > 0) {
+    await CustomerActivityDaily.bulkWrite(
+      [...daily.values()].map(({ date, inc }) => ({
+        updateOne: {
+          filter: { customer: customer._id, date },
+          update: { $inc: inc },
+          upsert: true,
+        },
+      })),
+      { ordered: false }
+    );
+  }
+
+  if (device && device.type) {
+    const seenAt = summary.lastSeen || now;
+    await CustomerDevice.updateOne(
+      {
+        customer: customer._id,
+        type: device.type,
+        model: device.model || "",
+        os_version: device.os_version || "",
+      },
+      {
+        $max: { last_seen_at: seenAt },
+        $min: { first_seen_at: seenAt },
+        ...(device.app_version ? { $set: { app_version: device.app_version } } : {}),
+      },
+      { upsert: true }
+    );
+  }
+
+  // Keep the customer's own activity fields current
+  const customerUpdate = {};
+  if (summary.lastSeen) customerUpdate.$max = { last_active: summary.lastSeen };
+  if (device && DEVICE_TYPES_ON_CUSTOMER.includes(device.type)) {
+    customerUpdate.$set = { device_type: device.type };
+  }
+  if (Object.keys(customerUpdate).length > 0) {
+    await Customer.updateOne({ _id: customer._id }, customerUpdate);
+  }
+
+  return { accepted, duplicates };
+};
+
+/**
+ * Count the first open or click of a campaign email in the customer's rollups
+ * Callers de-duplicate: call once per email and event.
+ * @param {ObjectId} customerId
+ * @param {string} event - opened or clicked
+ * @param {Date} [occurredAt]
+ */
+const recordEmailEngagement = async (customerId, event, occurredAt = new Date()) => {
+  await CustomerActivity.updateOne(
+    { customer: customerId },
+    {
+      $inc: { [`email.${event}`]: 1 },
+      ...(event === "opened" && { $max: { "email.last_opened_at": occurredAt } }),
+    },
+    { upsert: true }
+  );
+
+  await CustomerActivityDaily.updateOne(
+    { customer: customerId, date: moment.utc(occurredAt).startOf("day").toDate() },
+    { $inc: { [`email_${event}`]: 1 } },
+    { upsert: true }
+  );
+};
+
+module.exports = {
+  recordActivityEvents,
+  recordEmailEngagement,
+};
@@ -0,0 +1,128 @@
+/**
+ * Email service
+ * Renders email templates and sends mail through the transport picked by
+ * EMAIL_TRANSPORT: SMTP, or for local testing .eml files in EMAIL_FILE_DIR
+ * or the log. All three are nodemailer transports.
+ */
+
+const fs = require("fs/promises");
+const path = require("path");
+const nodemailer = require("nodemailer");
+const { logger } = require("../middlewares/logger");
+const {
+  EMAIL_TRANSPORT,
+  SMTP_HOST,
+  SMTP_PORT,
+  SMTP_SECURE,
+  SMTP_USER,
+  SMTP_PASS,
+  EMAIL_FROM,
+  EMAIL_FILE_DIR,
+} = require("../config/env");
+
+// {{variable}} placeholders of template subjects and bodies
+const VARIABLE_PATTERN = /{{\s*([\w.]+)\s*}}/g;
+
+const HTML_ESCAPES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+
+/**
+ * Replace the {{variable}} placeholders of a text; missing variables render empty
+ * @param {string} text
+ * @param {Object} variables - Name => value
+ * @param {Object} [options] - { html } escape values for an HTML body
+ * @returns {string}
+ */
+const renderTemplate = (text, variables, { html = false } = {}) =>
+  String(text || "").replace(VARIABLE_PATTERN, (placeholder, name) => {
+    const value = variables[name];
+    if (value === undefined || value === null) return "";
+    return html ? escapeHtml(value) : String(value);
+  });
+
+// Plain text part of an HTML body, for clients that don't render HTML
+const htmlToText = (html) =>
+  html
+    .replace(/<(style|script)[\s\S]*?<\/\1>/gi, "")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<\/(p|div|h[1-6]|li|tr)>/gi, "\n")
+    .replace(/<[^>]+>/g, "")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+
+const createTransport = () => {
+  switch (EMAIL_TRANSPORT) {
+    case "smtp":
+      return nodemailer.createTransport({
+        host: SMTP_HOST,
+        port: SMTP_PORT,
+        secure: SMTP_SECURE,
+        auth: SMTP_USER ? { user: SMTP_USER, pass: SMTP_PASS } : undefined,
+        pool: true,
+      });
+    case "file":
+      return nodemailer.createTransport({ streamTransport: true, buffer: true });
+    case "console":
+      return nodemailer.createTransport({ jsonTransport: true });
+    default:
+      throw new Error(`Unknown EMAIL_TRANSPORT "${EMAIL_TRANSPORT}"`);
+  }
+};
+
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) {
+    transport = createTransport();
+    logger.info(`Email transport: ${EMAIL_TRANSPORT}`);
+  }
+  return transport;
+};
+
+/**
+ * Send one email
+ * Throws when the transport fails; see isPermanentFailure to tell bounces
+ * from errors worth retrying.
+ * @param {Object} email
+ * @param {string} email.to
+ * @param {string} email.subject
+ * @param {string} email.html
+ * @param {Object} [email.headers]
+ * @returns {Promise<Object>} - { messageId, rejected } rejected recipient addresses
+ */
+const sendMail = async ({ to, subject, html, headers = {} }) => {
+  const info = await getTransport().sendMail({
+    from: EMAIL_FROM,
+    to,
+    subject,
+    html,
+    text: htmlToText(html),
+    headers,
+  });
+
+  if (EMAIL_TRANSPORT === "file") {
+    await fs.mkdir(EMAIL_FILE_DIR, { recursive: true });
+    const fileName = `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, "")}.eml`;
+    await fs.writeFile(path.join(EMAIL_FILE_DIR, fileName), info.message);
+  } else if (EMAIL_TRANSPORT === "console") {
+    logger.info(`Email to ${to}: ${subject}`, { message_id: info.messageId });
+  }
+
+  return { messageId: info.messageId, rejected: info.rejected || [] };
+};
+
+/**
+ * Whether a send error means the address does not accept mail (a bounce),
+ * rather than a temporary failure worth retrying
+ * @param {Error} error - From sendMail
+ * @returns {boolean}
+ */
+const isPermanentFailure = (error) =>
+  (error.responseCode >= 500 && error.responseCode < 600) || error.code === "EENVELOPE";
+
+module.exports = {
+  renderTemplate,
+  sendMail,
+  isPermanentFailure,
+};
@@ -0,0 +1,163 @@
+/**
+ * Email tracking
+ * Campaign emails carry a tracking pixel and have their links rewritten to
+ * the tracking endpoints. Each URL is signed for its delivery (and target
+ * link), so it cannot be forged or turned into an open redirect. The first
+ * open and click of every delivery count in the campaign stats and the
+ * customer's email engagement rollups; repeats only bump the delivery's counters.
+ */
+
+const crypto = require("crypto");
+const { logger } = require("../middlewares/logger");
+const {
+  EMAIL_TRACKING_BASE_URL,
+  EMAIL_TRACKING_SECRET,
+  JWT_SECRET,
+} = require("../config/env");
+const EmailDelivery = require("../models/email_delivery_model");
+const EmailCampaign = require("../models/email_campaign_model");
+const { recordEmailEngagement } = require("./customer_activity.service");
+
+const LINK_PATTERN = /(<a\b[^>]*?\bhref\s*=\s*)(["'])(https?:\/\/[^"']+)\2/gi;
+
+let signingKey = null;
+
+// EMAIL_TRACKING_SECRET, or a key derived from JWT_SECRET for tracking only,
+// so tracking URLs are never signed with the key auth tokens are signed with
+const getSigningKey = () => {
+  if (!signingKey) {
+    signingKey =
+      EMAIL_TRACKING_SECRET ||
+      Buffer.from(crypto.hkdfSync("sha256", JWT_SECRET, "", "email-tracking", 32));
+  }
+  return signingKey;
+};
+
+const sign = (value) =>
+  crypto
+    .createHmac("sha256", getSigningKey())
+    .update(value)
+    .digest("base64url");
+
+const openPayload = (deliveryId) => `open:${deliveryId}`;
+const clickPayload = (deliveryId, url) => `click:${deliveryId}:${url}`;
+
+/**
+ * Check a tracking signature
+ * @param {string} kind - open or click
+ * @param {string} deliveryId
+ * @param {string} signature
+ * @param {string} [url] - Target of a click
+ * @returns {boolean}
+ */
+const verifySignature = (kind, deliveryId, signature, url) => {
+  const expected = Buffer.from(
+    sign(kind === "open" ? openPayload(deliveryId) : clickPayload(deliveryId, url))
+  );
+  const given = Buffer.from(String(signature || ""));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+const decodeHtmlAttribute = (value) =>
+  value.replace(/&amp;/g, "&").replace(/&#39;/g, "'").replace(/&quot;/g, '"');
+
+/**
+ * Add the open pixel to a campaign email and route its links through click tracking
+ * @param {string} html - Rendered body
+ * @param {string|ObjectId} deliveryId - EmailDelivery the email is sent as
+ * @returns {string}
+ */
+const addEmailTracking = (html, deliveryId) => {
+  const id = deliveryId.toString();
+
+  const tracked = html.replace(LINK_PATTERN, (match, prefix, quote, href) => {
+    const url = decodeHtmlAttribute(href);
+    const clickUrl = `${EMAIL_TRACKING_BASE_URL}/email-tracking/click/${id}/${sign(
+      clickPayload(id, url)
+    )}?url=${encodeURIComponent(url)}`;
+    return `${prefix}${quote}${clickUrl}${quote}`;
+  });
+
+  const pixel = `<img src="${EMAIL_TRACKING_BASE_URL}/email-tracking/open/${id}/${sign(
+    openPayload(id)
+  )}.gif" width="1" height="1" alt="" style="display:none" />`;
+
+  return /<\/body>/i.test(tracked)
+    ? tracked.replace(/<\/body>/i, `${pixel}</body>`)
+    : `${tracked}${pixel}`;
+};
+
+/**
+ * Record an open of a campaign email
+ * @param {string} deliveryId
+ * @returns {Promise<boolean>} - True for the first open
+ */
+const recordOpen = async (deliveryId) => {
+  const now = new Date();
+  const delivery = await EmailDelivery.findOneAndUpdate(
+    { _id: deliveryId, status: "sent", opened_at: null },
+    { $set: { opened_at: now, last_opened_at: now }, $inc: { opens: 1 } }
+  );
+
+  if (!delivery) {
+    await EmailDelivery.updateOne(
+      { _id: deliveryId, status: "sent" },
+      { $set: { last_opened_at: now }, $inc: { opens: 1 } }
+    );
+    return false;
+  }
+
+  await EmailCampaign.updateOne({ _id: delivery.campaign }, { $inc: { "stats.opened": 1 } });
+  await recordEmailEngagement(delivery.customer, "opened", now);
+  return true;
+};
+
+/**
+ * Record a click in a campaign email
+ * A click also counts as an open, for clients that block the pixel.
+ * @param {string} deliveryId
+ * @returns {Promise<boolean>} - True for the first click
+ */
+const recordClick = async (deliveryId) => {
+  const now = new Date();
+  const delivery = await EmailDelivery.findOneAndUpdate(
+    { _id: deliveryId, status: "sent", clicked_at: null },
+    { $set: { clicked_at: now }, $inc: { clicks: 1 } }
+  );
+
+  if (!delivery) {
+    await EmailDelivery.updateOne(
+      { _id: deliveryId, status: "sent" },
+      { $inc: { clicks: 1 } }
+    );
+    return false;
+  }
+
+  if (!delivery.opened_at) {
+    await recordOpen(deliveryId);
+  }
+  await EmailCampaign.updateOne({ _id: delivery.campaign }, { $inc: { "stats.clicked": 1 } });
+  await recordEmailEngagement(delivery.customer, "clicked", now);
+  return true;
+};
+
+/**
+ * Record a tracking hit without failing the response it belongs to
+ * @param {Function} record - recordOpen or recordClick
+ * @param {string} deliveryId
+ */
+const trackSafely = async (record, deliveryId) => {
+  try {
+    await record(deliveryId);
+  } catch (error) {
+    logger.warn(`Could not record email tracking for delivery ${deliveryId}: ${error.message}`);
+  }
+};
+
+module.exports = {
+  addEmailTracking,
+  verifySignature,
+  recordOpen,
+  recordClick,
+  trackSafely,
+};
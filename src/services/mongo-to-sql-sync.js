@@ -1,94 +1,326 @@
-const mongoose = require('mongoose');
+/**
+ * Mongo-to-SQL sync
+ * Mirrors transactions and customers (with their tier changes) into the Khedmah
+ * MySQL database. Each collection is followed by a change stream whose resume
+ * token is checkpointed after every change, so a restart or reconnect carries on
+ * where it stopped. Documents that fail to write go to the dead-letter collection
+ * and the stream moves on; date ranges can be replayed with backfill().
+ */
+
 const mysql = require('mysql2/promise');
+const { logger } = require('../middlewares/logger');
+const {
+    SQL_SYNC_HOST,
+    SQL_SYNC_PORT,
+    SQL_SYNC_USER,
+    SQL_SYNC_PASSWORD,
+    SQL_SYNC_DATABASE,
+    SQL_SYNC_BATCH_SIZE,
+} = require('../config/env');
 const Transaction = require('../models/transaction_model');
-
-class TransactionSyncService {
+const Customer = require('../models/customer_model');
+const Tier = require('../models/tier_model');
+const SqlSyncState = require('../models/sql_sync_state_model');
+const SqlSyncDeadLetter = require('../models/sql_sync_dead_letter_model');
+
+// Change stream errors after which the resume token cannot be used again
+const CHANGE_STREAM_HISTORY_LOST = 286;
+const CHANGE_STREAM_FATAL_ERROR = 280;
+const MAX_RECONNECT_DELAY_MS = 60 * 1000;
+// How long a looked up tier name is reused, so renamed tiers show up in SQL
+const TIER_NAME_TTL_MS = 5 * 60 * 1000;
+
+const TABLES = [
+    `CREATE TABLE IF NOT EXISTS transactions (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        mongo_id CHAR(24) NOT NULL UNIQUE,
+        customer_id CHAR(24),
+        coupon_id CHAR(24),
+        transaction_type VARCHAR(50),
+        points INT,
+        transaction_id VARCHAR(255),
+        point_criteria CHAR(24),
+        payment_method VARCHAR(100),
+        status VARCHAR(50),
+        note TEXT,
+        reference_id VARCHAR(255),
+        app_type CHAR(24),
+        transaction_date DATETIME,
+        metadata JSON,
+        created_at DATETIME,
+        updated_at DATETIME,
+        INDEX idx_transactions_customer (customer_id),
+        INDEX idx_transactions_transaction_id (transaction_id)
+    )`,
+    `CREATE TABLE IF NOT EXISTS customers (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        mongo_id CHAR(24) NOT NULL UNIQUE,
+        customer_id VARCHAR(255),
+        name VARCHAR(255),
+        email VARCHAR(255),
+        phone VARCHAR(50),
+        tier_id CHAR(24),
+        tier_name VARCHAR(255),
+        total_points INT,
+        coins INT,
+        status TINYINT(1),
+        app_types JSON,
+        last_active DATETIME,
+        created_at DATETIME,
+        updated_at DATETIME,
+        INDEX idx_customers_customer_id (customer_id)
+    )`,
+    `CREATE TABLE IF NOT EXISTS customer_tier_changes (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        customer_mongo_id CHAR(24) NOT NULL,
+        customer_id VARCHAR(255),
+        from_tier_id CHAR(24),
+        from_tier_name VARCHAR(255),
+        to_tier_id CHAR(24),
+        to_tier_name VARCHAR(255),
+        changed_at DATETIME,
+        INDEX idx_tier_changes_customer (customer_mongo_id, changed_at)
+    )`,
+];
+
+const idOrNull = (value) => (value ? value.toString() : null);
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+class MongoToSqlSyncService {
     constructor(sqlConfig) {
-        this.sqlConnection = null;
         this.sqlConfig = sqlConfig;
-        this.changeStream = null;
+        this.pool = null;
+        this.changeStreams = {};
+        this.stopping = false;
+        this.tierNames = new Map();
+
+        // Collections that are synced, by stream name
+        this.entities = {
+            transactions: {
+                model: Transaction,
+                table: 'transactions',
+                write: (doc, connection) => this.upsertTransaction(doc, connection),
+            },
+            customers: {
+                model: Customer,
+                table: 'customers',
+                write: (doc, connection) => this.upsertCustomer(doc, connection),
+            },
+        };
     }
 
     async initSQLConnection() {
-        try {
-            this.sqlConnection = await mysql.createConnection(this.sqlConfig);
-            console.log('Connected to Khedmah SQL database');
-        } catch (error) {
-            console.error('Failed to connect to SQL database:', error);
-            throw error;
+        if (this.pool) return this.pool;
+        if (!this.sqlConfig.host || !this.sqlConfig.database) {
+            throw new Error('SQL sync database is not configured (SQL_SYNC_HOST, SQL_SYNC_DATABASE)');
         }
+
+        this.pool = mysql.createPool({
+            ...this.sqlConfig,
+            waitForConnections: true,
+            connectionLimit: 5,
+        });
+
+        for (const statement of TABLES) {
+            await this.pool.query(statement);
+        }
+
+        logger.info('Connected to Khedmah SQL database');
+        return this.pool;
     }
 
-    async startChangeStreamWatcher() {
-        try {
-            // Watch for changes in the transactions collection
-            this.changeStream = Transaction.watch([
-                {
-                    $match: {
-                        'operationType': { $in: ['insert', 'update', 'replace'] }
-                    }
-                }
-            ], { fullDocument: 'updateLookup' });
+    /**
+     * Start one change stream watcher per synced collection
+     */
+    async start() {
+        this.stopping = false;
+        await this.initSQLConnection();
 
-            console.log('Change stream watcher started for transactions');
+        for (const stream of Object.keys(this.entities)) {
+            this.runWatcher(stream);
+        }
+    }
 
-            this.changeStream.on('change', async (change) => {
-                try {
-                    await this.handleTransactionChange(change);
-                } catch (error) {
-                    console.error('Error processing change:', error);
+    /**
+     * Keep a change stream open, reconnecting with backoff from the last checkpoint
+     */
+    async runWatcher(stream) {
+        let failures = 0;
+
+        while (!this.stopping) {
+            try {
+                await this.watch(stream);
+                failures = 0;
+            } catch (error) {
+                if (this.stopping) break;
+                failures += 1;
+
+                if (
+                    error.code === CHANGE_STREAM_HISTORY_LOST ||
+                    error.code === CHANGE_STREAM_FATAL_ERROR
+                ) {
+                    await this.recordGap(stream);
                 }
-            });
 
-            this.changeStream.on('error', (error) => {
-                console.error('Change stream error:', error);
-                // Implement reconnection logic here
-                setTimeout(() => this.startChangeStreamWatcher(), 5000);
-            });
+                const delay = Math.min(1000 * 2 ** failures, MAX_RECONNECT_DELAY_MS);
+                await SqlSyncState.updateOne(
+                    { stream },
+                    {
+                        status: 'reconnecting',
+                        last_error: error.message,
+                        last_error_at: new Date(),
+                    },
+                    { upsert: true }
+                ).catch(() => {});
+                logger.error(`SQL sync ${stream} change stream failed: ${error.message}`, {
+                    retry_in_ms: delay,
+                    stack: error.stack,
+                });
+                await sleep(delay);
+            }
+        }
 
-        } catch (error) {
-            console.error('Failed to start change stream:', error);
-            throw error;
+        await SqlSyncState.updateOne({ stream }, { status: 'stopped' }).catch(() => {});
+    }
+
+    /**
+     * Follow one collection until the stream closes or fails
+     */
+    async watch(stream) {
+        const entity = this.entities[stream];
+        const state =
+            (await SqlSyncState.findOne({ stream })) ||
+            (await SqlSyncState.create({ stream }));
+
+        const options = { fullDocument: 'updateLookup' };
+        if (state.resume_token) {
+            options.resumeAfter = state.resume_token;
+        }
+
+        const changeStream = entity.model.collection.watch(
+            [{ $match: { operationType: { $in: ['insert', 'update', 'replace', 'delete'] } } }],
+            options
+        );
+        this.changeStreams[stream] = changeStream;
+
+        await SqlSyncState.updateOne({ stream }, { status: 'running' });
+        logger.info(`SQL sync change stream started for ${stream}`, {
+            resumed: Boolean(state.resume_token),
+        });
+
+        try {
+            for await (const change of changeStream) {
+                await this.handleChange(stream, change);
+            }
+        } finally {
+            delete this.changeStreams[stream];
+            await changeStream.close().catch(() => {});
         }
     }
 
-    async handleTransactionChange(change) {
-        const { operationType, fullDocument } = change;
-        
-        if (!fullDocument) {
-            console.log('No full document available');
-            return;
+    /**
+     * Write one change to SQL and checkpoint its resume token
+     */
+    async handleChange(stream, change) {
+        const mongoId = change.documentKey._id;
+        let deadLettered = false;
+
+        try {
+            if (change.operationType === 'delete') {
+                await this.deleteRow(stream, mongoId);
+            } else if (change.fullDocument) {
+                await this.syncDocument(stream, change.fullDocument);
+            }
+            // No full document: it was deleted since, the delete event follows
+        } catch (error) {
+            deadLettered = true;
+            await SqlSyncDeadLetter.record({
+                entity: stream,
+                mongo_id: mongoId,
+                operation: change.operationType,
+                error: error.message,
+            });
+            logger.error(`SQL sync failed for ${stream} ${mongoId}: ${error.message}`);
         }
 
-        const transactionData = this.transformMongoToSQL(fullDocument);
-
-        switch (operationType) {
-            case 'insert':
-                await this.insertTransaction(transactionData);
-                break;
-            case 'update':
-            case 'replace':
-                await this.upsertTransaction(transactionData);
-                break;
-            default:
-                console.log(`Unhandled operation type: ${operationType}`);
+        await SqlSyncState.updateOne(
+            { stream },
+            {
+                $set: {
+                    resume_token: change._id,
+                    last_event_at: this.getEventTime(change),
+                    last_synced_at: new Date(),
+                },
+                $inc: deadLettered ? { events_dead_lettered: 1 } : { events_synced: 1 },
+            }
+        );
+    }
+
+    getEventTime(change) {
+        if (change.wallTime) return change.wallTime;
+        if (change.clusterTime) return new Date(change.clusterTime.getHighBits() * 1000);
+        return new Date();
+    }
+
+    /**
+     * The resume token is gone: note the unsynced window and start from now
+     */
+    async recordGap(stream) {
+        const state = await SqlSyncState.findOne({ stream });
+        const from = state && (state.last_event_at || state.last_synced_at);
+
+        await SqlSyncState.updateOne(
+            { stream },
+            {
+                $set: { resume_token: null },
+                ...(from && { $push: { gaps: { from, to: new Date() } } }),
+            }
+        );
+        logger.error(
+            `SQL sync ${stream} resume token expired, backfill from ${from ? from.toISOString() : 'the start'} is needed`
+        );
+    }
+
+    /**
+     * Write a Mongo document of a synced collection to SQL
+     * @param {string} stream - transactions | customers
+     * @param {Object} doc - Plain document
+     */
+    async syncDocument(stream, doc) {
+        const connection = await this.pool.getConnection();
+        try {
+            await connection.beginTransaction();
+            await this.entities[stream].write(doc, connection);
+            await connection.commit();
+        } catch (error) {
+            await connection.rollback().catch(() => {});
+            throw error;
+        } finally {
+            connection.release();
         }
     }
 
+    async deleteRow(stream, mongoId) {
+        await this.pool.execute(
+            `DELETE FROM ${this.entities[stream].table} WHERE mongo_id = ?`,
+            [mongoId.toString()]
+        );
+    }
+
     transformMongoToSQL(mongoDoc) {
         return {
             mongo_id: mongoDoc._id.toString(),
-            customer_id: mongoDoc.customer_id ? mongoDoc.customer_id.toString() : null,
-            coupon_id: mongoDoc.coupon_id ? mongoDoc.coupon_id.toString() : null,
+            customer_id: idOrNull(mongoDoc.customer_id),
+            coupon_id: idOrNull(mongoDoc.coupon_id),
             transaction_type: mongoDoc.transaction_type,
             points: mongoDoc.points,
             transaction_id: mongoDoc.transaction_id,
-            point_criteria: mongoDoc.point_criteria ? mongoDoc.point_criteria.toString() : null,
+            point_criteria: idOrNull(mongoDoc.point_criteria),
             payment_method: mongoDoc.payment_method,
             status: mongoDoc.status,
             note: mongoDoc.note,
             reference_id: mongoDoc.reference_id,
-            app_type: mongoDoc.app_type ? mongoDoc.app_type.toString() : null,
+            app_type: idOrNull(mongoDoc.app_type),
             transaction_date: mongoDoc.transaction_date,
             metadata: JSON.stringify(mongoDoc.metadata || {}),
             created_at: mongoDoc.createdAt,
@@ -96,36 +328,8 @@ class TransactionSyncService {
         };
     }
 
-    async insertTransaction(data) {
-        const query = `
-            INSERT INTO transactions (
-                mongo_id, customer_id, coupon_id, transaction_type, points,
-                transaction_id, point_criteria, payment_method, status, note,
-                reference_id, app_type, transaction_date, metadata, created_at, updated_at
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-        `;
-
-        const values = [
-            data.mongo_id, data.customer_id, data.coupon_id, data.transaction_type,
-            data.points, data.transaction_id, data.point_criteria, data.payment_method,
-            data.status, data.note, data.reference_id, data.app_type,
-            data.transaction_date, data.metadata, data.created_at, data.updated_at
-        ];
-
-        try {
-            await this.sqlConnection.execute(query, values);
-            console.log(`Transaction inserted: ${data.transaction_id}`);
-        } catch (error) {
-            if (error.code === 'ER_DUP_ENTRY') {
-                console.log(`Duplicate entry, updating instead: ${data.transaction_id}`);
-                await this.updateTransaction(data);
-            } else {
-                throw error;
-            }
-        }
-    }
-
-    async upsertTransaction(data) {
+    async upsertTransaction(doc, connection) {
+        const data = this.transformMongoToSQL(doc);
         const query = `
             INSERT INTO transactions (
                 mongo_id, customer_id, coupon_id, transaction_type, points,
@@ -155,108 +359,254 @@ class TransactionSyncService {
             data.transaction_date, data.metadata, data.created_at, data.updated_at
         ];
 
-        try {
-            await this.sqlConnection.execute(query, values);
-            console.log(`Transaction upserted: ${data.transaction_id}`);
-        } catch (error) {
-            console.error('Error upserting transaction:', error);
-            throw error;
+        await connection.execute(query, values);
+    }
+
+    async getTierName(tierId) {
+        if (!tierId) return null;
+        const key = tierId.toString();
+        const cached = this.tierNames.get(key);
+        if (cached && cached.expiresAt > Date.now()) {
+            return cached.name;
         }
+
+        const tier = await Tier.findById(tierId).select('name').lean();
+        const name = tier && tier.name ? tier.name.en : null;
+        this.tierNames.set(key, { name, expiresAt: Date.now() + TIER_NAME_TTL_MS });
+        return name;
     }
 
-    async updateTransaction(data) {
-        const query = `
-            UPDATE transactions SET
-                customer_id = ?, coupon_id = ?, transaction_type = ?, points = ?,
-                point_criteria = ?, payment_method = ?, status = ?, note = ?,
-                reference_id = ?, app_type = ?, transaction_date = ?, metadata = ?,
-                updated_at = ?
-            WHERE transaction_id = ?
-        `;
+    /**
+     * Upsert a customer row; a tier that differs from the stored row is
+     * recorded in customer_tier_changes in the same SQL transaction
+     */
+    async upsertCustomer(doc, connection) {
+        const mongoId = doc._id.toString();
+        const tierId = idOrNull(doc.tier);
+        const tierName = await this.getTierName(tierId);
+
+        const [rows] = await connection.execute(
+            'SELECT tier_id, tier_name FROM customers WHERE mongo_id = ? FOR UPDATE',
+            [mongoId]
+        );
+        const previous = rows[0];
+
+        if (previous && previous.tier_id !== tierId) {
+            await connection.execute(
+                `INSERT INTO customer_tier_changes (
+                    customer_mongo_id, customer_id, from_tier_id, from_tier_name,
+                    to_tier_id, to_tier_name, changed_at
+                ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    mongoId, doc.customer_id || null, previous.tier_id, previous.tier_name,
+                    tierId, tierName, doc.updatedAt || new Date()
+                ]
+            );
+        }
 
-        const values = [
-            data.customer_id, data.coupon_id, data.transaction_type, data.points,
-            data.point_criteria, data.payment_method, data.status, data.note,
-            data.reference_id, data.app_type, data.transaction_date, data.metadata,
-            data.updated_at, data.transaction_id
-        ];
+        await connection.execute(
+            `INSERT INTO customers (
+                mongo_id, customer_id, name, email, phone, tier_id, tier_name,
+                total_points, coins, status, app_types, last_active, created_at, updated_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            ON DUPLICATE KEY UPDATE
+                customer_id = VALUES(customer_id),
+                name = VALUES(name),
+                email = VALUES(email),
+                phone = VALUES(phone),
+                tier_id = VALUES(tier_id),
+                tier_name = VALUES(tier_name),
+                total_points = VALUES(total_points),
+                coins = VALUES(coins),
+                status = VALUES(status),
+                app_types = VALUES(app_types),
+                last_active = VALUES(last_active),
+                updated_at = VALUES(updated_at)`,
+            [
+                mongoId, doc.customer_id || null, doc.name || null, doc.email || null,
+                doc.phone || null, tierId, tierName, doc.total_points || 0, doc.coins || 0,
+                doc.status === false ? 0 : 1,
+                JSON.stringify((doc.app_type || []).map((id) => id.toString())),
+                doc.last_active || null, doc.createdAt || null, doc.updatedAt || null
+            ]
+        );
+    }
 
-        try {
-            const [result] = await this.sqlConnection.execute(query, values);
-            console.log(`Transaction updated: ${data.transaction_id}, affected rows: ${result.affectedRows}`);
-        } catch (error) {
-            console.error('Error updating transaction:', error);
-            throw error;
+    /**
+     * Replay the documents updated in a date range into SQL
+     * @param {Object} range
+     * @param {Date} range.from
+     * @param {Date} range.to
+     * @param {Array} [range.entities] - Streams to replay (default all)
+     * @param {Function} [range.onProgress] - Called with the running totals per batch
+     * @returns {Promise<Object>} - { [stream]: { synced, failed } }
+     */
+    async backfill({ from, to, entities = Object.keys(this.entities), onProgress }) {
+        await this.initSQLConnection();
+        const result = {};
+
+        for (const stream of entities) {
+            const entity = this.entities[stream];
+            if (!entity) {
+                throw new Error(`Unknown sync entity ${stream}`);
+            }
+
+            const totals = { synced: 0, failed: 0 };
+            result[stream] = totals;
+
+            const cursor = entity.model
+                .find({ updatedAt: { $gte: from, $lte: to } })
+                .sort({ _id: 1 })
+                .lean()
+                .cursor({ batchSize: SQL_SYNC_BATCH_SIZE });
+
+            for await (const doc of cursor) {
+                try {
+                    await this.syncDocument(stream, doc);
+                    totals.synced += 1;
+                    await SqlSyncDeadLetter.updateOne(
+                        { entity: stream, mongo_id: doc._id, status: 'pending' },
+                        { status: 'resolved', resolved_at: new Date() }
+                    );
+                } catch (error) {
+                    totals.failed += 1;
+                    await SqlSyncDeadLetter.record({
+                        entity: stream,
+                        mongo_id: doc._id,
+                        operation: 'backfill',
+                        error: error.message,
+                    });
+                }
+
+                if (onProgress && (totals.synced + totals.failed) % SQL_SYNC_BATCH_SIZE === 0) {
+                    onProgress(stream, totals);
+                }
+            }
+
+            logger.info(`SQL sync backfill of ${stream} completed`, {
+                from,
+                to,
+                ...totals,
+            });
         }
+
+        return result;
     }
 
-    async syncExistingData() {
-        console.log('Starting initial sync of existing data...');
-        
-        const batchSize = 1000;
-        let skip = 0;
-        let hasMore = true;
-
-        while (hasMore) {
-            const transactions = await Transaction.find({})
-                .skip(skip)
-                .limit(batchSize)
-                .lean();
-
-            if (transactions.length === 0) {
-                hasMore = false;
-                break;
+    /**
+     * Write the current version of a dead-lettered document again
+     * @param {Object} deadLetter - SqlSyncDeadLetter document
+     * @returns {Promise<Object>} - The updated dead letter
+     */
+    async retryDeadLetter(deadLetter) {
+        await this.initSQLConnection();
+        const entity = this.entities[deadLetter.entity];
+
+        try {
+            const doc = await entity.model.findById(deadLetter.mongo_id).lean();
+            if (doc) {
+                await this.syncDocument(deadLetter.entity, doc);
+            } else {
+                await this.deleteRow(deadLetter.entity, deadLetter.mongo_id);
             }
 
-            for (const transaction of transactions) {
-                const sqlData = this.transformMongoToSQL(transaction);
-                await this.upsertTransaction(sqlData);
+            deadLetter.status = 'resolved';
+            deadLetter.resolved_at = new Date();
+        } catch (error) {
+            deadLetter.attempts += 1;
+            deadLetter.error = error.message;
+            deadLetter.last_failed_at = new Date();
+        }
+
+        return deadLetter.save();
+    }
+
+    /**
+     * Lag of every stream: time between the newest change in Mongo and the last
+     * change written to SQL
+     */
+    async getStatus() {
+        const streams = [];
+
+        for (const [stream, entity] of Object.entries(this.entities)) {
+            const [state, latest, deadLetters] = await Promise.all([
+                SqlSyncState.findOne({ stream }).select('-resume_token').lean(),
+                entity.model.findOne().sort({ updatedAt: -1 }).select('updatedAt').lean(),
+                SqlSyncDeadLetter.countDocuments({ entity: stream, status: 'pending' }),
+            ]);
+
+            const lastEventAt = state ? state.last_event_at : null;
+            const latestChangeAt = latest ? latest.updatedAt : null;
+            let lagSeconds = null;
+            if (latestChangeAt) {
+                lagSeconds = lastEventAt
+                    ? Math.max(0, Math.round((latestChangeAt - lastEventAt) / 1000))
+                    : null;
             }
 
-            skip += batchSize;
-            console.log(`Synced ${skip} transactions so far...`);
+            streams.push({
+                stream,
+                status: state ? state.status : 'stopped',
+                watching_here: Boolean(this.changeStreams[stream]),
+                last_event_at: lastEventAt,
+                last_synced_at: state ? state.last_synced_at : null,
+                latest_change_at: latestChangeAt,
+                lag_seconds: lagSeconds,
+                events_synced: state ? state.events_synced : 0,
+                events_dead_lettered: state ? state.events_dead_lettered : 0,
+                pending_dead_letters: deadLetters,
+                last_error: state ? state.last_error : null,
+                last_error_at: state ? state.last_error_at : null,
+                gaps: state ? state.gaps : [],
+            });
         }
 
-        console.log('Initial sync completed');
+        return streams;
     }
 
     async stop() {
-        if (this.changeStream) {
-            await this.changeStream.close();
+        this.stopping = true;
+        await Promise.all(
+            Object.values(this.changeStreams).map((changeStream) =>
+                changeStream.close().catch(() => {})
+            )
+        );
+        if (this.pool) {
+            await this.pool.end();
+            this.pool = null;
         }
-        if (this.sqlConnection) {
-            await this.sqlConnection.end();
-        }
-        console.log('Sync service stopped');
+        logger.info('SQL sync service stopped');
     }
 }
 
-// Usage example
 const sqlConfig = {
-    host: 'khedmah-db-host',
-    user: 'your-username',
-    password: 'your-password',
-    database: 'khedmah_db'
+    host: SQL_SYNC_HOST,
+    port: SQL_SYNC_PORT,
+    user: SQL_SYNC_USER,
+    password: SQL_SYNC_PASSWORD,
+    database: SQL_SYNC_DATABASE,
 };
 
-const syncService = new TransactionSyncService(sqlConfig);
+const syncService = new MongoToSqlSyncService(sqlConfig);
 
-// Start the service
+// Start the change stream watchers
 async function startSyncService() {
     try {
-        await syncService.initSQLConnection();
-        await syncService.syncExistingData(); // Optional: sync existing data
-        await syncService.startChangeStreamWatcher();
+        await syncService.start();
     } catch (error) {
-        console.error('Failed to start sync service:', error);
+        logger.error(`Failed to start SQL sync service: ${error.message}`, {
+            stack: error.stack,
+        });
     }
 }
 
-// Graceful shutdown
-process.on('SIGINT', async () => {
-    console.log('Shutting down sync service...');
+async function stopSyncService() {
     await syncService.stop();
-    process.exit(0);
-});
+}
 
-module.exports = { TransactionSyncService, startSyncService };
\ No newline at end of file
+module.exports = {
+    MongoToSqlSyncService,
+    syncService,
+    startSyncService,
+    stopSyncService,
+};
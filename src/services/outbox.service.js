@@ -0,0 +1,196 @@
+/**
+ * Outbox service
+ * Domain events are written to the outbox in the same session as the points
+ * change they describe, so they are committed (or rolled back) with it. The
+ * relay job then publishes pending events to the queues of their consumers,
+ * at least once and oldest first, with the event id as dedupe key. Order is
+ * not guaranteed: an event that fails to publish is retried after a backoff,
+ * while later events go ahead.
+ */
+
+const { logger } = require("../middlewares/logger");
+const { queues, addJob } = require("../config/queue");
+const {
+  OUTBOX_RELAY_INTERVAL_MS,
+  OUTBOX_RELAY_BATCH_SIZE,
+} = require("../config/env");
+const OutboxEvent = require("../models/outbox_event_model");
+const WebhookSubscription = require("../models/webhook_subscription_model");
+const { FAN_OUT_JOB_NAME } = require("./webhook.service");
+
+const RELAY_JOB_NAME = "relay";
+const RELAY_LEASE_MS = 60 * 1000;
+const MAX_RETRY_DELAY_MS = 10 * 60 * 1000;
+// Completed jobs are kept this long so a re-relayed event id is dropped by the queue
+const DEDUPE_WINDOW_SECONDS = 24 * 60 * 60;
+
+// Queues every event type is relayed to
+const consumers = [
+  {
+    name: "webhook",
+    queue: "webhook",
+    jobName: FAN_OUT_JOB_NAME,
+    events: WebhookSubscription.EVENTS,
+  },
+];
+
+/**
+ * Default dedupe key of an event: one event per type and points transaction
+ */
+const getEventId = (eventType, data) =>
+  data.transaction_id ? `${eventType}-${data.transaction_id}` : undefined;
+
+/**
+ * Record a domain event in the outbox
+ * Pass the session of the business change so the event commits with it. Without
+ * a session the event is written on its own (for changes that are not transactional).
+ * @param {string} eventType - e.g. points.earned
+ * @param {Object} event
+ * @param {Object|ObjectId} [event.customer] - Customer document or _id
+ * @param {Object|string} [event.appType] - AppType document, id or name (defaults to the customer's)
+ * @param {Object} event.data - Event specific fields
+ * @param {string} [event.eventId] - Dedupe key (defaults to type + data.transaction_id)
+ * @param {Object} session - Mongoose session
+ * @returns {Promise<string>} - The event id
+ */
+const publishEvent = async (
+  eventType,
+  { customer = null, appType = null, data = {}, eventId },
+  session = null
+) => {
+  const [id] = await OutboxEvent.record(
+    [
+      {
+        event_id: eventId || getEventId(eventType, data),
+        event_type: eventType,
+        customer: customer ? customer._id || customer : null,
+        app_type: appType ? String(appType._id || appType) : null,
+        data,
+      },
+    ],
+    session
+  );
+  return id;
+};
+
+/**
+ * Publish one outbox event to the queues of its consumers
+ * Job ids are stable per consumer and event, so relaying an event again after a
+ * crash between publishing and marking it does not queue it twice.
+ * @param {Object} event - OutboxEvent document
+ */
+const relayEvent = async (event) => {
+  const message = {
+    event_id: event.event_id,
+    event_type: event.event_type,
+    customer: event.customer ? event.customer.toString() : null,
+    app_type: event.app_type,
+    data: event.data,
+    occurred_at: event.occurred_at.toISOString(),
+  };
+
+  for (const consumer of consumers) {
+    if (!consumer.events.includes(event.event_type)) continue;
+
+    await addJob(consumer.queue, consumer.jobName, message, {
+      jobId: `${consumer.name}-${event.event_id}`,
+      attempts: 5,
+      backoff: { type: "exponential", delay: 10000 },
+      removeOnComplete: { age: DEDUPE_WINDOW_SECONDS },
+      removeOnFail: 1000,
+    });
+  }
+};
+
+/**
+ * Relay pending outbox events, oldest first
+ * Stops at the first event that cannot be published. That event is locked for
+ * a growing backoff, so later runs relay the events after it first; consumers
+ * must not rely on events arriving in order.
+ * @returns {Promise<Object>} - { relayed, failed }
+ */
+const relayOutboxEvents = async () => {
+  const result = { relayed: 0, failed: 0 };
+
+  while (result.relayed < OUTBOX_RELAY_BATCH_SIZE) {
+    const now = new Date();
+    const event = await OutboxEvent.findOneAndUpdate(
+      {
+        status: "pending",
+        $or: [{ locked_until: null }, { locked_until: { $lte: now } }],
+      },
+      {
+        $set: { locked_until: new Date(now.getTime() + RELAY_LEASE_MS) },
+        $inc: { attempts: 1 },
+      },
+      { sort: { _id: 1 }, new: true }
+    );
+    if (!event) break;
+
+    try {
+      await relayEvent(event);
+      await OutboxEvent.updateOne(
+        { _id: event._id },
+        {
+          $set: { status: "published", published_at: new Date() },
+          $unset: { locked_until: 1, last_error: 1 },
+        }
+      );
+      result.relayed += 1;
+    } catch (error) {
+      const retryDelay = Math.min(
+        1000 * 2 ** Math.min(event.attempts, 20),
+        MAX_RETRY_DELAY_MS
+      );
+      await OutboxEvent.updateOne(
+        { _id: event._id },
+        {
+          last_error: error.message,
+          locked_until: new Date(Date.now() + retryDelay),
+        }
+      );
+      result.failed += 1;
+      logger.error(
+        `Error relaying outbox event ${event.event_id}: ${error.message}`,
+        { event_type: event.event_type, attempts: event.attempts }
+      );
+      break;
+    }
+  }
+
+  if (result.relayed > 0) {
+    logger.debug("Outbox events relayed", result);
+  }
+  return result;
+};
+
+/**
+ * Register the repeatable relay job on the outbox queue
+ */
+const scheduleOutboxRelay = async () => {
+  // Drop the schedule of an old interval (BullMQ reports `every` as the pattern)
+  const existing = await queues.outbox.getRepeatableJobs();
+  for (const repeatable of existing) {
+    if (repeatable.pattern !== String(OUTBOX_RELAY_INTERVAL_MS)) {
+      await queues.outbox.removeRepeatableByKey(repeatable.key);
+    }
+  }
+
+  await queues.outbox.add(
+    RELAY_JOB_NAME,
+    {},
+    {
+      repeat: { every: OUTBOX_RELAY_INTERVAL_MS },
+      removeOnComplete: true,
+      removeOnFail: 100,
+    }
+  );
+};
+
+module.exports = {
+  RELAY_JOB_NAME,
+  consumers,
+  publishEvent,
+  relayOutboxEvents,
+  scheduleOutboxRelay,
+};
@@ -0,0 +1,339 @@
+/**
+ * Webhook service
+ * Fans loyalty events relayed from the outbox out to the webhook subscriptions
+ * of the event's app type and delivers them with signed requests and retries.
+ */
+
+const crypto = require("crypto");
+const dns = require("dns");
+const https = require("https");
+const net = require("net");
+const { logger } = require("../middlewares/logger");
+const { addJob } = require("../config/queue");
+const {
+  WEBHOOK_MAX_ATTEMPTS,
+  WEBHOOK_TIMEOUT_MS,
+} = require("../config/env");
+const Customer = require("../models/customer_model");
+const AppType = require("../models/app_type_model");
+const WebhookSubscription = require("../models/webhook_subscription_model");
+const WebhookDelivery = require("../models/webhook_delivery_model");
+
+const DELIVERY_JOB_NAME = "deliver";
+const FAN_OUT_JOB_NAME = "fan_out";
+const MAX_RESPONSE_BODY = 2000;
+
+// Webhooks are never delivered to private, loopback, link-local or other
+// non-public addresses, whatever the subscription URL resolves to
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, "ipv4"));
+[
+  ["::", 128],
+  ["::1", 128],
+  ["64:ff9b::", 96],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, "ipv6"));
+
+/**
+ * Signature header value: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+ * @param {string} secret
+ * @param {string} body - Raw JSON body
+ * @param {number} [timestamp]
+ * @returns {string}
+ */
+const signPayload = (secret, body, timestamp = Math.floor(Date.now() / 1000)) => {
+  const signature = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+  return `t=${timestamp},v1=${signature}`;
+};
+
+/**
+ * Queue a delivery on the webhook queue
+ * @param {Object} delivery - WebhookDelivery document
+ */
+const enqueueDelivery = (delivery) =>
+  addJob(
+    "webhook",
+    DELIVERY_JOB_NAME,
+    { delivery_id: delivery._id.toString() },
+    {
+      jobId: `webhook-${delivery._id}`,
+      attempts: WEBHOOK_MAX_ATTEMPTS,
+      backoff: { type: "exponential", delay: 30000 },
+      removeOnComplete: true,
+      removeOnFail: 1000,
+    }
+  );
+
+/**
+ * App types an event belongs to: the given one, else the customer's
+ * @returns {Promise<Array>} - AppType documents
+ */
+const resolveEventAppTypes = async (appType, customer) => {
+  if (appType) {
+    const doc =
+      appType._id || /^[0-9a-fA-F]{24}$/.test(String(appType))
+        ? await AppType.findById(appType._id || appType)
+        : await AppType.findOne({ name: appType });
+    return doc ? [doc] : [];
+  }
+  if (customer && customer.app_type && customer.app_type.length > 0) {
+    return AppType.find({ _id: { $in: customer.app_type } });
+  }
+  return [];
+};
+
+/**
+ * Fan an outbox event out to its subscribers as one delivery per subscription
+ * Runs from the webhook queue; an event relayed twice reuses its deliveries.
+ * @param {Object} event - Outbox message (see services/outbox.service.js)
+ * @returns {Promise<number>} - Number of deliveries queued
+ */
+const fanOutEvent = async ({
+  event_id,
+  event_type,
+  customer: customerId,
+  app_type,
+  data,
+  occurred_at,
+}) => {
+  const customer = customerId
+    ? await Customer.findById(customerId).select("customer_id app_type")
+    : null;
+
+  const appTypes = await resolveEventAppTypes(app_type, customer);
+  if (appTypes.length === 0) return 0;
+
+  const subscriptions = await WebhookSubscription.find({
+    app_type: { $in: appTypes.map((a) => a._id) },
+    event_types: event_type,
+    isActive: true,
+  });
+  let queued = 0;
+
+  for (const subscription of subscriptions) {
+    const subscriptionAppType = appTypes.find((a) =>
+      a._id.equals(subscription.app_type)
+    );
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      { subscription: subscription._id, event_id, replay_of: null },
+      {
+        $setOnInsert: {
+          event_type,
+          payload: {
+            id: event_id,
+            type: event_type,
+            created_at: occurred_at,
+            app_type: subscriptionAppType.name,
+            data: {
+              ...(customer && { customer_id: customer.customer_id }),
+              ...data,
+            },
+          },
+        },
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    if (delivery.status === "pending") {
+      await enqueueDelivery(delivery);
+      queued += 1;
+    }
+  }
+
+  return queued;
+};
+
+/**
+ * Whether an address is one webhooks may not be delivered to
+ * @param {string} address - IP address
+ * @param {number} family - 4 or 6
+ * @returns {boolean}
+ */
+const isBlockedAddress = (address, family) =>
+  // IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) are matched against the IPv4 ranges
+  BLOCKED_ADDRESSES.check(address, family === 6 ? "ipv6" : "ipv4");
+
+/**
+ * dns.lookup for webhook requests that fails when the host resolves to a
+ * blocked address. Checking the addresses the socket connects to (rather than
+ * resolving once beforehand) leaves no room for DNS rebinding.
+ */
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find(({ address, family }) => isBlockedAddress(address, family));
+    if (blocked) {
+      return callback(
+        new Error(`Webhook host ${hostname} resolves to non-public address ${blocked.address}`)
+      );
+    }
+
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+/**
+ * POST a webhook body to a public https endpoint
+ * Redirects are not followed.
+ * @param {string} url - Subscription URL
+ * @param {Object} headers
+ * @param {string} body
+ * @returns {Promise<Object>} - { status, body } body truncated to MAX_RESPONSE_BODY
+ */
+const postWebhook = (url, headers, body) =>
+  new Promise((resolve, reject) => {
+    const target = new URL(url);
+    if (target.protocol !== "https:") {
+      return reject(new Error("Webhook URLs must use https"));
+    }
+
+    // IP literals are connected to without a lookup, so check them here
+    const host = target.hostname.replace(/^\[|\]$/g, "");
+    const family = net.isIP(host);
+    if (family && isBlockedAddress(host, family)) {
+      return reject(new Error(`Webhook host ${host} is not a public address`));
+    }
+
+    const request = https.request(
+      target,
+      {
+        method: "POST",
+        headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+        lookup: publicLookup,
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+      },
+      (response) => {
+        let responseBody = "";
+        response.setEncoding("utf8");
+        response.on("data", (chunk) => {
+          if (responseBody.length < MAX_RESPONSE_BODY) responseBody += chunk;
+        });
+        response.on("end", () =>
+          resolve({
+            status: response.statusCode,
+            body: responseBody.slice(0, MAX_RESPONSE_BODY),
+          })
+        );
+        response.on("error", reject);
+      }
+    );
+    request.on("error", reject);
+    request.end(body);
+  });
+
+/**
+ * Send one delivery; throws on failure so the queue retries with backoff
+ * @param {Object} data - { delivery_id } from the webhook queue job
+ * @param {Object} job - BullMQ job
+ */
+const processWebhookDelivery = async ({ delivery_id }, job) => {
+  const delivery = await WebhookDelivery.findById(delivery_id);
+  if (!delivery || delivery.status === "succeeded") return;
+
+  const subscription = await WebhookSubscription.findById(
+    delivery.subscription
+  ).select("+secret");
+  if (!subscription || !subscription.isActive) {
+    await delivery.recordAttempt(
+      { error: "Subscription is inactive or deleted" },
+      "failed"
+    );
+    return;
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const startedAt = Date.now();
+  const isLastAttempt = !job || job.attemptsMade + 1 >= (job.opts.attempts || 1);
+  let attempt;
+
+  try {
+    const response = await postWebhook(
+      subscription.url,
+      {
+        "Content-Type": "application/json",
+        "User-Agent": "Khedmah-Loyalty-Webhooks/1.0",
+        "X-Webhook-Id": delivery.event_id,
+        "X-Webhook-Event": delivery.event_type,
+        "X-Webhook-Delivery": delivery._id.toString(),
+        "X-Webhook-Signature": signPayload(subscription.secret, body),
+      },
+      body
+    );
+
+    attempt = {
+      response_status: response.status,
+      response_body: response.body,
+      duration_ms: Date.now() - startedAt,
+    };
+    if (response.status < 200 || response.status >= 300) {
+      attempt.error = `Endpoint responded with ${response.status}`;
+    }
+  } catch (error) {
+    attempt = { error: error.message, duration_ms: Date.now() - startedAt };
+  }
+
+  if (!attempt.error) {
+    await delivery.recordAttempt(attempt, "succeeded");
+    await WebhookSubscription.updateOne(
+      { _id: subscription._id },
+      { last_delivery_at: new Date(), consecutive_failures: 0 }
+    );
+    return;
+  }
+
+  await delivery.recordAttempt(attempt, isLastAttempt ? "failed" : undefined);
+  if (isLastAttempt) {
+    await WebhookSubscription.updateOne(
+      { _id: subscription._id },
+      { $inc: { consecutive_failures: 1 } }
+    );
+  }
+  throw new Error(attempt.error);
+};
+
+/**
+ * Send a delivery again as a new delivery of the same event
+ * @param {Object} delivery - WebhookDelivery document
+ * @param {ObjectId} [replayedBy] - Admin replaying it
+ * @returns {Promise<Object>} - The new delivery
+ */
+const replayDelivery = async (delivery, replayedBy = null) => {
+  const replay = await WebhookDelivery.create({
+    subscription: delivery.subscription,
+    event_id: delivery.event_id,
+    event_type: delivery.event_type,
+    payload: delivery.payload,
+    replay_of: delivery._id,
+    replayed_by: replayedBy,
+  });
+  await enqueueDelivery(replay);
+  return replay;
+};
+
+module.exports = {
+  DELIVERY_JOB_NAME,
+  FAN_OUT_JOB_NAME,
+  signPayload,
+  fanOutEvent,
+  processWebhookDelivery,
+  replayDelivery,
+};
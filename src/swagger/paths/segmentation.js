@@ -10,7 +10,7 @@
  * /segments:
  *   post:
  *     summary: Create a new customer segment
- *     description: Creates a new customer segment based on specified criteria. Requires MANAGE_SEGMENTS permission.
+ *     description: Creates a new customer segment based on specified criteria. Requires the segments permission.
  *     tags:
  *       - Segmentation
  *     security:
@@ -112,7 +112,7 @@
  *
  *   get:
  *     summary: Get all customer segments
- *     description: Retrieves a list of all customer segments with pagination and filtering. Requires MANAGE_SEGMENTS permission.
+ *     description: Retrieves a list of all customer segments with pagination and filtering. Requires the segments permission.
  *     tags:
  *       - Segmentation
  *     security:
@@ -243,7 +243,7 @@
  * /segments/{id}:
  *   get:
  *     summary: Get a specific customer segment
- *     description: Retrieves a specific customer segment by ID, including sample members. Requires MANAGE_SEGMENTS permission.
+ *     description: Retrieves a specific customer segment by ID, including sample members. Requires the segments permission.
  *     tags:
  *       - Segmentation
  *     security:
@@ -337,7 +337,7 @@
  *
  *   put:
  *     summary: Update a customer segment
- *     description: Updates an existing customer segment. Requires MANAGE_SEGMENTS permission.
+ *     description: Updates an existing customer segment. Requires the segments permission.
  *     tags:
  *       - Segmentation
  *     security:
@@ -432,7 +432,7 @@
  *
  *   delete:
  *     summary: Delete a customer segment
- *     description: Deletes a customer segment and all its memberships. Requires MANAGE_SEGMENTS permission.
+ *     description: Deletes a customer segment and all its memberships. Requires the segments permission.
  *     tags:
  *       - Segmentation
  *     security:
@@ -473,7 +473,7 @@
  * /segments/{id}/customers:
  *   get:
  *     summary: Get customers in a segment
- *     description: Retrieves a list of customers in a specific segment with pagination. Requires MANAGE_SEGMENTS permission.
+ *     description: Retrieves a list of customers in a specific segment with pagination. Requires the segments permission.
  *     tags:
  *       - Segmentation
  *     security:
@@ -598,7 +598,7 @@
  * /segments/{id}/refresh:
  *   post:
  *     summary: Refresh a segment
- *     description: Manually triggers a refresh of a segment to update its members based on current criteria. Requires MANAGE_SEGMENTS permission.
+ *     description: Queues a refresh of an active segment on the segment refresh queue. Members who entered or exited are recorded in its history. A refresh requested while one is already queued or running is not queued again. Requires segments:update.
  *     tags:
  *       - Segmentation
  *     security:
@@ -611,8 +611,8 @@
  *           type: string
  *         description: The segment ID
  *     responses:
- *       200:
- *         description: Segment refresh started successfully
+ *       202:
+ *         description: Segment refresh queued successfully
  *         content:
  *           application/json:
  *             schema:
@@ -620,10 +620,12 @@
  *               properties:
  *                 status:
  *                   type: number
- *                   example: 200
+ *                   example: 202
  *                 message:
  *                   type: string
- *                   example: "Segment refresh started successfully"
+ *                   example: "Segment refresh queued successfully"
+ *       400:
+ *         description: Segment is not active
  *       401:
  *         description: Unauthorized - Missing or invalid token
  *       403:
@@ -633,3 +635,173 @@
  *       500:
  *         description: Internal Server Error
  */
+
+/**
+ * @swagger
+ * /segments/{id}/history:
+ *   get:
+ *     summary: Get segment membership history
+ *     description: Customers who entered or exited a segment, as found by its refreshes, most recent first. Requires segments:view.
+ *     tags:
+ *       - Segmentation
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The segment ID
+ *       - in: query
+ *         name: change
+ *         schema:
+ *           type: string
+ *           enum: [entered, exited]
+ *       - in: query
+ *         name: customer
+ *         schema:
+ *           type: string
+ *         description: Only changes of this customer
+ *       - in: query
+ *         name: refresh_id
+ *         schema:
+ *           type: string
+ *         description: Only changes found by this refresh
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Segment membership history retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: number
+ *                   example: 200
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     history:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           customer:
+ *                             type: object
+ *                           change:
+ *                             type: string
+ *                             example: "entered"
+ *                           refresh_id:
+ *                             type: string
+ *                           occurred_at:
+ *                             type: string
+ *                             format: date-time
+ *                     pagination:
+ *                       type: object
+ *       400:
+ *         description: Invalid segment ID, customer ID or change
+ *       401:
+ *         description: Unauthorized - Missing or invalid token
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ *       404:
+ *         description: Customer segment not found
+ *       500:
+ *         description: Internal Server Error
+ */
+
+/**
+ * @swagger
+ * /segments/fields:
+ *   get:
+ *     summary: List custom segment filter fields
+ *     description: Fields, their operators and periods available to custom segment filters. Requires segments:view.
+ *     tags:
+ *       - Segmentation
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Segment filter fields retrieved successfully
+ *       401:
+ *         description: Unauthorized - Missing or invalid token
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ */
+
+/**
+ * @swagger
+ * /segments/preview:
+ *   post:
+ *     summary: Preview a custom segment filter
+ *     description: Returns how many active customers match a filter and a sample of them, without saving a segment. Requires segments:view.
+ *     tags:
+ *       - Segmentation
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               filter:
+ *                 type: object
+ *                 description: Filter tree, groups (and/or/not) of field conditions
+ *                 example:
+ *                   type: "and"
+ *                   conditions:
+ *                     - type: "points_balance"
+ *                       operator: "gte"
+ *                       value: 500
+ *                     - type: "last_transaction_date"
+ *                       operator: "not_within_last_days"
+ *                       value: 90
+ *               sample_size:
+ *                 type: number
+ *                 example: 10
+ *             required:
+ *               - filter
+ *     responses:
+ *       200:
+ *         description: Segment preview generated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: number
+ *                   example: 200
+ *                 message:
+ *                   type: string
+ *                   example: "Segment preview generated successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     count:
+ *                       type: number
+ *                       example: 1284
+ *                     sample:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *       400:
+ *         description: Invalid filter, or it references an unknown tier, app type or service
+ *       401:
+ *         description: Unauthorized - Missing or invalid token
+ *       403:
+ *         description: Forbidden - Insufficient permissions
+ */
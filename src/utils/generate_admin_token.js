@@ -1,8 +1,11 @@
 const jwt = require("jsonwebtoken");
 const Role = require("../models/role_model");
 const Admin = require("../models/admin_model");
+const { getEffectivePermissions } = require("../config/permissions");
+const { ADMIN_ACCESS_TOKEN_EXPIRES_IN } = require("../config/env");
 
-exports.generate_admin_token = async (user_id) => {
+// Short-lived access token of an admin session (see services/admin_session.service.js)
+exports.generate_admin_token = async (user_id, session_id) => {
   try {
     // Fetch user details along with role and permissions
     const admin = await Admin.findById(user_id).populate("role");
@@ -12,10 +15,11 @@ exports.generate_admin_token = async (user_id) => {
     }
 
     const roleName = admin.role ? admin.role.name : "user";
-    const permissions = admin.role && admin.role.permissions ? admin.role.permissions : [];
+    const permissions = getEffectivePermissions(admin.role);
 
     const payload = {
       admin_id: admin._id,
+      sid: session_id,
       name: admin.name,
       email: admin.email,
       role: roleName,
@@ -24,7 +28,7 @@ exports.generate_admin_token = async (user_id) => {
     };
 
     const token = jwt.sign(payload, process.env.JWT_SECRET, {
-      expiresIn: "30d",
+      expiresIn: ADMIN_ACCESS_TOKEN_EXPIRES_IN,
       algorithm: "HS256",
     });
 